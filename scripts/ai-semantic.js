@@ -754,9 +754,14 @@
       scale[scaleNames[i] || `size-${i}`] = size;
     });
 
+    // Modular ratio the sizes follow (see __seUtils.analyzeTypeScale)
+    const usage = Object.fromEntries(Array.from(sizes.entries()).map(([size, data]) => [size, { count: data.elements.length }]));
+    const modularScale = window.__seUtils?.analyzeTypeScale?.(usage) || null;
+
     return {
       families: Array.from(fonts),
       scale,
+      modularScale,
       weights: Array.from(weights).map(w => parseInt(w)).sort((a, b) => a - b)
     };
   }
@@ -830,6 +835,12 @@
       .sort((a, b) => b.count - a.count)
       .slice(0, 5);
 
+    // Named and ordered by perceived elevation (see __seUtils.analyzeShadowScale)
+    const scale = window.__seUtils?.analyzeShadowScale?.(Object.fromEntries(sorted.map(s => [s.value, s.count])));
+    if (scale) {
+      return scale.ranked.map(s => ({ name: s.name, value: s.value, frequency: s.count }));
+    }
+
     return sorted.map((s, i) => ({
       name: ['sm', 'md', 'lg', 'xl', '2xl'][i] || `shadow-${i}`,
       value: s.value,
@@ -860,6 +871,14 @@
       .sort((a, b) => b.count - a.count)
       .slice(0, 5);
 
+    // Named and ordered small → full (see __seUtils.analyzeRadiusScale)
+    const scale = window.__seUtils?.analyzeRadiusScale?.(Object.fromEntries(sorted.map(r => [r.value, r.count])));
+    if (scale) {
+      return Object.entries(scale.scale)
+        .filter(([name]) => name !== 'none')
+        .map(([name, value]) => ({ name, value, frequency: radii.get(value)?.count || 0 }));
+    }
+
     return sorted.map((r, i) => ({
       name: ['sm', 'md', 'lg', 'xl', 'full'][i] || `radius-${i}`,
       value: r.value,
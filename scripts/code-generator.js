@@ -475,17 +475,29 @@ export { default as Page } from './Page.vue';
     return t;
   }
 
+  // Inlined same-origin frames render as plain containers: an <iframe> ignores its children
+  // and a nested <body> is invalid.
+  function replicaTag(node) {
+    if (node?.frameRoot) return 'div';
+    if (node?.frame && Array.isArray(node.children) && node.children.length) return 'div';
+    return pickTag(node?.tag);
+  }
+
   function buildReplicaAttrs(node, options) {
     const attrs = [];
     const dataAttr = options?.dataAttrName || 'data-se-id';
 
-    if (node?.uid) attrs.push([dataAttr, node.uid]);
+    // Pattern instances share the styling hooks of their component's first instance
+    const uid = options?.uidAlias?.get(node?.uid) || node?.uid;
+    if (uid) attrs.push([dataAttr, uid]);
+    // Tailwind replica mode: utility classes per node (see toReplicaTailwind)
+    if (uid && options?.classesByUid?.[uid]) attrs.push(['class', options.classesByUid[uid]]);
 
     if (node?.domId) attrs.push(['id', node.domId]);
     if (node?.role) attrs.push(['role', node.role]);
     if (node?.ariaLabel) attrs.push(['aria-label', node.ariaLabel]);
 
-    const tag = pickTag(node?.tag);
+    const tag = replicaTag(node);
     if (tag === 'a') {
       if (node?.href) attrs.push(['href', node.href]);
       if (node?.target) attrs.push(['target', node.target]);
@@ -503,7 +515,10 @@ export { default as Page } from './Page.vue';
       if (node?.buttonType) attrs.push(['type', node.buttonType]);
     }
 
-    return attrs;
+    // Externalized copy: these attributes bind to the node's content entry (see buildReplicaContent)
+    const contentKey = replicaContentKey(node, options);
+    if (!contentKey) return attrs;
+    return attrs.map(([k, v]) => (REPLICA_CONTENT_ATTRS.has(k) ? [k, { content: `${contentKey}.${REPLICA_CONTENT_ATTRS.get(k)}` }] : [k, v]));
   }
 
   function attrsToHtml(attrs) {
@@ -511,6 +526,8 @@ export { default as Page } from './Page.vue';
     for (const [k, v] of attrs) {
       if (!k) continue;
       if (v === null || v === undefined) continue;
+      // Content-bound attributes are filled in by the content loader
+      if (v.content) continue;
       const value = String(v);
       out.push(`${k}="${escapeHtml(value)}"`);
     }
@@ -522,9 +539,13 @@ export { default as Page } from './Page.vue';
     for (const [k, v] of attrs) {
       if (!k) continue;
       if (v === null || v === undefined) continue;
+      if (v.content) {
+        out.push(`${k}={content.${v.content}}`);
+        continue;
+      }
       const value = String(v);
       // Use double quotes for JSX string literals.
-      out.push(`${k}="${escapeJsxText(value)}"`);
+      out.push(`${k === 'class' ? 'className' : k}="${escapeJsxText(value)}"`);
     }
     return out.length ? ' ' + out.join(' ') : '';
   }
@@ -555,6 +576,8 @@ export { default as Page } from './Page.vue';
       pushDecl(decls, 'overflow', layout.overflow);
       pushDecl(decls, 'overflowX', layout.overflowX);
       pushDecl(decls, 'overflowY', layout.overflowY);
+      pushDecl(decls, 'containerType', layout.containerType);
+      pushDecl(decls, 'containerName', layout.containerName);
 
       if (layout.flex) {
         pushDecl(decls, 'flexDirection', layout.flex.direction);
@@ -1463,8 +1486,11 @@ export { default as Page } from './Page.vue';
   function renderReplicaNodeToHtml(node, depth, options = {}) {
     if (!node) return '';
 
-    const tag = pickTag(node.tag);
-    const attrs = buildReplicaAttrs(node, options);
+    const tag = replicaTag(node);
+    // Static HTML keeps the default copy inline; [data-content] lets the loader swap it
+    const attrs = buildReplicaAttrs(node, { ...options, replicaContent: null });
+    const contentKey = replicaContentKey(node, options);
+    if (contentKey) attrs.push(['data-content', contentKey]);
     const attrStr = attrsToHtml(attrs);
     const pad = '  '.repeat(depth);
 
@@ -1473,7 +1499,7 @@ export { default as Page } from './Page.vue';
 
     // Icon placeholder if this is icon-only.
     let iconHtml = '';
-    if (!text && node.icon?.type === 'svg') {
+    if (!node.text && node.icon?.type === 'svg') {
       if (node.icon.markup) {
         iconHtml = String(node.icon.markup);
       } else {
@@ -1504,14 +1530,20 @@ export { default as Page } from './Page.vue';
 
   function renderReplicaNodeToJsx(node, depth, options = {}) {
     if (!node) return '';
+    // Pattern runs render as one `.map()` at their first instance (see extractReplicaPatterns)
+    if (options.replaceNodes?.has(node)) {
+      const replacement = options.replaceNodes.get(node);
+      return replacement ? `${'  '.repeat(depth)}${replacement}` : '';
+    }
 
-    const tag = pickTag(node.tag);
+    const tag = replicaTag(node);
     const attrs = buildReplicaAttrs(node, options);
     const attrStr = attrsToJsx(attrs);
     const pad = '  '.repeat(depth);
 
     const children = Array.isArray(node.children) ? node.children : [];
-    const text = node.text ? escapeJsxText(String(node.text)) : '';
+    const contentKey = replicaContentKey(node, options);
+    const text = node.text ? (contentKey ? `{content.${contentKey}.text}` : escapeJsxText(String(node.text))) : '';
 
     let iconJsx = '';
     if (!text && node.icon?.type === 'svg') {
@@ -1547,6 +1579,24 @@ export { default as Page } from './Page.vue';
   function toReplicaHTML(blueprint, options = {}) {
     if (!blueprint?.tree) return '<!-- No blueprint tree available -->';
 
+    // options.styling: 'tailwind' puts utility classes on each node and loads the Tailwind CDN
+    // instead of replica.css (options.stateCapture feeds hover:/focus: variants)
+    const tailwind = options.styling === 'tailwind';
+    if (tailwind && !options.classesByUid) {
+      const tw = toReplicaTailwind(blueprint, options.stateCapture || null, options);
+      if (tw.error) return `<!-- ${escapeHtml(tw.error)} -->`;
+      options = { ...options, classesByUid: tw.classesByUid };
+    }
+    const styleTag = tailwind
+      ? '<script src=\"https://cdn.tailwindcss.com\"></script>'
+      : '<link rel=\"stylesheet\" href=\"replica.css\" />';
+
+    // options.content: copy comes from content.json (see toReplicaContent) instead of the markup
+    if (options.content && !options.replicaContent) {
+      options = { ...options, replicaContent: buildReplicaContent(blueprint, options) };
+    }
+    const content = options.replicaContent || null;
+
     const title = blueprint?.meta?.title || 'Replica';
     const rootTag = pickTag(blueprint.tree.tag);
 
@@ -1554,7 +1604,7 @@ export { default as Page } from './Page.vue';
     let bodyAttrs = '';
     let bodyInner = '';
     if (rootTag === 'body') {
-      bodyAttrs = attrsToHtml(buildReplicaAttrs(blueprint.tree, options));
+      bodyAttrs = attrsToHtml(buildReplicaAttrs(blueprint.tree, { ...options, replicaContent: null }));
       const children = Array.isArray(blueprint.tree.children) ? blueprint.tree.children : [];
       bodyInner = children
         .map((child) => renderReplicaNodeToHtml(child, 1, options))
@@ -1564,7 +1614,7 @@ export { default as Page } from './Page.vue';
       bodyInner = renderReplicaNodeToHtml(blueprint.tree, 1, options);
     }
 
-    return `<!DOCTYPE html>\n<html lang=\"en\">\n<head>\n  <meta charset=\"UTF-8\" />\n  <meta name=\"viewport\" content=\"width=device-width, initial-scale=1.0\" />\n  <title>${escapeHtml(title)}</title>\n  <link rel=\"stylesheet\" href=\"replica.css\" />\n</head>\n<body${bodyAttrs}>\n${bodyInner}\n</body>\n</html>\n`;
+    return `<!DOCTYPE html>\n<html lang=\"en\">\n<head>\n  <meta charset=\"UTF-8\" />\n  <meta name=\"viewport\" content=\"width=device-width, initial-scale=1.0\" />\n  <title>${escapeHtml(title)}</title>\n  ${styleTag}\n</head>\n<body${bodyAttrs}>\n${bodyInner}\n${content ? replicaContentLoader(content) : ''}</body>\n</html>\n`;
   }
 
   function toReplicaReact(blueprint, stateCapture, options = {}) {
@@ -1573,7 +1623,30 @@ export { default as Page } from './Page.vue';
     const title = blueprint?.meta?.title || 'Replica';
     const dataAttrName = options.dataAttrName || 'data-se-id';
 
-    const css = toReplicaCSS(blueprint, stateCapture, options);
+    if (options.styling === 'tailwind' && !options.classesByUid) {
+      const tw = toReplicaTailwind(blueprint, stateCapture, options);
+      if (tw.error) return { error: tw.error };
+      const result = toReplicaReact(blueprint, stateCapture, { ...options, classesByUid: tw.classesByUid });
+      result.files['tailwind-report.json'] = JSON.stringify(tw.report, null, 2) + '\n';
+      result.report = tw.report;
+      return result;
+    }
+    const tailwind = options.styling === 'tailwind';
+    let css = tailwind ? null : toReplicaCSS(blueprint, stateCapture, options);
+
+    // options.content: copy is read from content.json / locale catalogs instead of hardcoded
+    const content = options.replicaContent || buildReplicaContent(blueprint, options);
+    if (content) options = { ...options, replicaContent: content };
+
+    // Repeated patterns become components; their later instances' rules are redundant
+    const extracted = extractReplicaPatterns(blueprint, css, { ...options, dataAttrName });
+    if (extracted.uidAlias.size) {
+      options = { ...options, uidAlias: extracted.uidAlias, replaceNodes: extracted.replaceNodes };
+      if (css !== null) {
+        const dropped = new Map(Array.from(extracted.uidAlias).filter(([uid, to]) => uid !== to).map(([uid]) => [uid, 'dropped']));
+        css = splitReplicaCSS(css, dropped, dataAttrName).global;
+      }
+    }
 
     const rootTag = pickTag(blueprint.tree.tag);
     let jsx = '';
@@ -1590,13 +1663,928 @@ export { default as Page } from './Page.vue';
     }
 
     const files = {};
-    files['replica.css'] = css;
+    if (css !== null) files['replica.css'] = css;
     files['index.html'] = toReplicaHTML(blueprint, { ...options, dataAttrName });
-    files['Page.tsx'] = `import React from 'react';\nimport './replica.css';\n\nexport default function Page() {\n  return (\n    <React.Fragment>\n      {/* ${escapeJsxText(title)} */}\n${jsx}\n    </React.Fragment>\n  );\n}\n`;
+    const imports = extracted.components.map(c => `import ${c.name}, { type ${c.name}Props } from './${c.name}';\n`).join('') +
+      (content ? `import content from './${content.path}';\n` : '');
+    const data = extracted.data.map(d => `${d}\n\n`).join('');
+    Object.assign(files, extracted.files);
+    if (content) Object.assign(files, content.files);
+    files['Page.tsx'] = `import React from 'react';\n${imports}${tailwind ? '' : "import './replica.css';\n"}\n${data}export default function Page() {\n  return (\n    <React.Fragment>\n      {/* ${content ? 'Replica' : escapeJsxText(title)} */}\n${jsx}\n    </React.Fragment>\n  );\n}\n`;
+
+    const result = { format: 'replica', files };
+    if (extracted.components.length) result.components = extracted.components;
+    return result;
+  }
+
+  // ============================================
+  // Tailwind Replica (Blueprint -> utility classes)
+  // ============================================
+
+  const TAILWIND_STATE_VARIANTS = {
+    ':hover': 'hover',
+    ':focus': 'focus',
+    ':focus-visible': 'focus-visible',
+    ':focus-within': 'focus-within',
+    ':active': 'active',
+    ':disabled': 'disabled',
+    ':checked': 'checked',
+    ':invalid': 'invalid',
+    '::before': 'before',
+    '::after': 'after',
+    '::placeholder': 'placeholder'
+  };
+
+  // min-width of each default screen; other breakpoints use min-[Npx]:
+  const TAILWIND_SCREENS = { 640: 'sm', 768: 'md', 1024: 'lg', 1280: 'xl', 1536: '2xl' };
+
+  // Rule bodies from toReplicaCSS: one `prop: value;` per line
+  function parseReplicaDecls(body) {
+    const decls = [];
+    for (const line of String(body).split('\n')) {
+      const m = line.trim().match(/^([-a-z]+)\s*:\s*(.+?);?$/i);
+      if (m) decls.push([m[1].toLowerCase(), m[2].trim()]);
+    }
+    return decls;
+  }
+
+  // Reads the replica CSS back rule by rule and turns every declaration into Tailwind classes:
+  // state rules become hover:/focus:… variants and the desktop-first @media (max-width) overrides
+  // are flipped into mobile-first md:/lg: prefixes. Declarations that need an arbitrary property
+  // or can't be expressed at all are listed in the report.
+  function toReplicaTailwind(blueprint, stateCapture, options = {}) {
+    if (!blueprint?.tree) return { error: 'No blueprint tree available' };
+    const toTailwind = window.__seStyleKit?.declToTailwind;
+    if (!toTailwind) return { error: '__seStyleKit.declToTailwind is not installed' };
+
+    const dataAttr = options.dataAttrName || 'data-se-id';
+    const css = toReplicaCSS(blueprint, stateCapture, { ...options, dataAttrName: dataAttr });
+    const escaped = dataAttr.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const selectorRe = new RegExp(`^\\[${escaped}="([^"]+)"\\]((?::{1,2}[a-z-]+)*)$`);
+    // Preflight already resets these
+    const preflight = new Set(['* { box-sizing: border-box; }', 'html, body { margin: 0; padding: 0; }']);
+
+    const report = { nodes: 0, classes: 0, utilities: 0, arbitraryValues: 0, arbitraryProperties: [], dropped: [] };
+    const entries = new Map(); // uid -> Map(`${variant}|${prop}` -> [{ maxWidth, value, order }])
+    const breakpoints = new Set();
+    let order = 0;
+
+    const addRule = (block, maxWidth) => {
+      const open = block.indexOf('{');
+      const selector = block.slice(0, open).trim();
+      const match = selector.match(selectorRe);
+      const pseudos = match ? (match[2].match(/::?[a-z-]+/g) || []) : [];
+      if (!match || pseudos.some(p => !TAILWIND_STATE_VARIANTS[p])) {
+        report.dropped.push({ selector, reason: 'selector has no Tailwind variant' });
+        return;
+      }
+      const variant = pseudos.map(p => TAILWIND_STATE_VARIANTS[p]).join(':');
+      if (!entries.has(match[1])) entries.set(match[1], new Map());
+      const byProp = entries.get(match[1]);
+      for (const [prop, value] of parseReplicaDecls(block.slice(open + 1, block.lastIndexOf('}')))) {
+        const key = `${variant}|${prop}`;
+        if (!byProp.has(key)) byProp.set(key, []);
+        byProp.get(key).push({ maxWidth, value, order: order++ });
+      }
+    };
+
+    for (const block of splitCssBlocks(css)) {
+      if (block.startsWith('/*') || preflight.has(block)) continue;
+      const media = block.match(/^@media\s*\(max-width:\s*(\d+)px\)\s*\{/);
+      if (media) {
+        const maxWidth = Number(media[1]);
+        breakpoints.add(maxWidth);
+        const inner = block.slice(block.indexOf('{') + 1, block.lastIndexOf('}'));
+        for (const rule of splitCssBlocks(inner)) addRule(rule, maxWidth);
+      } else if (block.startsWith('@')) {
+        report.dropped.push({ selector: block.slice(0, block.indexOf('{')).trim(), reason: 'at-rule has no Tailwind variant' });
+      } else {
+        addRule(block, null);
+      }
+    }
+
+    // Width ranges, narrowest first: (0, b0], (b0, b1], …, (bn, ∞)
+    const sorted = Array.from(breakpoints).sort((a, b) => a - b);
+    const uppers = [...sorted, Infinity];
+    const screenFor = (maxWidth) => TAILWIND_SCREENS[maxWidth + 1] || `min-[${maxWidth + 1}px]`;
+
+    const classesByUid = {};
+    for (const [uid, byProp] of entries) {
+      const classes = [];
+      for (const [key, list] of byProp) {
+        const [variant, prop] = key.split('|');
+        // The cascade winner at a range's upper bound: last rule whose media still applies there
+        const valueAt = (upper) => {
+          const applying = list.filter(e => e.maxWidth === null || e.maxWidth >= upper);
+          return applying.length ? applying[applying.length - 1].value : null;
+        };
+        let previous;
+        uppers.forEach((upper, i) => {
+          const value = valueAt(upper);
+          if (i > 0 && value === previous) return;
+          const screen = i > 0 ? screenFor(sorted[i - 1]) : null;
+          previous = value;
+          const prefix = [screen, variant].filter(Boolean).map(p => `${p}:`).join('');
+          const declaration = `${prop}: ${value}`;
+          if (value === null) {
+            if (i > 0) report.dropped.push({ uid, variant: prefix || null, declaration: prop, reason: 'no base value to restore at this breakpoint' });
+            return;
+          }
+          const result = toTailwind(prop, value);
+          if (!result) {
+            report.dropped.push({ uid, variant: prefix || null, declaration, reason: 'unparseable declaration' });
+            return;
+          }
+          const prefixed = result.classes.map(c => `${prefix}${c}`);
+          classes.push(...prefixed);
+          if (result.kind === 'utility') report.utilities += 1;
+          else if (result.kind === 'arbitrary') report.arbitraryValues += 1;
+          else report.arbitraryProperties.push({ uid, variant: prefix || null, declaration, className: prefixed.join(' ') });
+        });
+      }
+      const unique = Array.from(new Set(classes));
+      if (!unique.length) continue;
+      classesByUid[uid] = unique.join(' ');
+      report.nodes += 1;
+      report.classes += unique.length;
+    }
+
+    return { format: 'replica-tailwind', classesByUid, report };
+  }
+
+  // ============================================
+  // Replica Content (copy -> content.json / locale catalogs)
+  // ============================================
+
+  // Attributes that carry copy rather than structure, and their field in a content entry
+  const REPLICA_CONTENT_ATTRS = new Map([['alt', 'alt'], ['aria-label', 'ariaLabel'], ['href', 'href'], ['placeholder', 'placeholder']]);
+
+  // options.content: true collects the page copy into content.json; { locales: ['en', 'de'] }
+  // writes one catalog per locale instead (each seeded with the page copy, the first is the
+  // default). Entries are keyed by section, then node uid:
+  //   { meta: { title }, header: { n3: { text }, n4: { ariaLabel } }, main: { n41: { text, href } } }
+  function buildReplicaContent(blueprint, options = {}) {
+    if (!options.content || !blueprint?.tree) return null;
+    const all = { maxNodes: Number.MAX_SAFE_INTEGER, maxDepth: Number.MAX_SAFE_INTEGER };
+
+    const sectionOfUid = new Map();
+    const used = new Set(['meta', 'page']);
+    for (const section of collectReplicaSections(blueprint)) {
+      const base = toCamelCase(section.componentName.replace(/Section(\d*)$/, '$1')) || 'section';
+      let key = base;
+      for (let i = 2; used.has(key); i++) key = `${base}${i}`;
+      used.add(key);
+      walkBlueprintTree(section.node, (node) => {
+        if (node?.uid) sectionOfUid.set(node.uid, key);
+      }, all);
+    }
+
+    const catalog = { meta: { title: String(blueprint.meta?.title || '') } };
+    const keys = new Map();
+    walkBlueprintTree(blueprint.tree, (node) => {
+      if (!node?.uid) return;
+      const entry = {};
+      if (node.text) entry.text = String(node.text);
+      for (const [k, v] of buildReplicaAttrs(node, {})) {
+        if (REPLICA_CONTENT_ATTRS.has(k)) entry[REPLICA_CONTENT_ATTRS.get(k)] = String(v);
+      }
+      if (!Object.keys(entry).length) return;
+      const section = sectionOfUid.get(node.uid) || 'page';
+      if (!catalog[section]) catalog[section] = {};
+      catalog[section][node.uid] = entry;
+      keys.set(node.uid, `${section}.${node.uid}`);
+    }, all);
+
+    const locales = Array.isArray(options.content?.locales) && options.content.locales.length
+      ? options.content.locales.map(String)
+      : null;
+    const json = JSON.stringify(catalog, null, 2) + '\n';
+    const files = {};
+    if (locales) {
+      for (const locale of locales) files[`locales/${locale}.json`] = json;
+    } else {
+      files['content.json'] = json;
+    }
+
+    return {
+      catalog,
+      keys,
+      files,
+      path: locales ? `locales/${locales[0]}.json` : 'content.json',
+      locales
+    };
+  }
+
+  function toReplicaContent(blueprint, options = {}) {
+    const content = buildReplicaContent(blueprint, { ...options, content: options.content || true });
+    if (!content) return { error: 'No blueprint tree available' };
+    return { format: 'replica-content', files: content.files, catalog: content.catalog };
+  }
+
+  // Catalog path of a node's entry ("main.n41"), when the replica externalizes copy
+  function replicaContentKey(node, options) {
+    return (node?.uid && options?.replicaContent?.keys.get(node.uid)) || null;
+  }
+
+  // Static index.html: the markup carries the default copy, so the page reads fine without
+  // JavaScript or when the catalog can't be fetched (file:// URLs). The loader swaps in the
+  // catalog's text and copy attributes of [data-content] nodes (?lang=de picks another locale).
+  function replicaContentLoader(content) {
+    const source = content.locales
+      ? `'locales/' + (new URLSearchParams(location.search).get('lang') || '${content.locales[0]}') + '.json'`
+      : `'${content.path}'`;
+    const attrs = JSON.stringify(Array.from(REPLICA_CONTENT_ATTRS));
+    return `  <script>
+    fetch(${source})
+      .then((res) => (res.ok ? res.json() : Promise.reject(new Error(res.status + ' ' + res.statusText))))
+      .then((content) => {
+        if (content.meta?.title) document.title = content.meta.title;
+        document.querySelectorAll('[data-content]').forEach((el) => {
+          const entry = el.getAttribute('data-content').split('.').reduce((o, k) => o && o[k], content);
+          if (!entry) return;
+          if (entry.text != null) {
+            const node = Array.from(el.childNodes).find((n) => n.nodeType === 3 && n.textContent.trim());
+            if (node) node.textContent = entry.text;
+            else el.prepend(entry.text);
+          }
+          for (const [attr, field] of ${attrs}) {
+            if (entry[field] != null) el.setAttribute(attr, entry[field]);
+          }
+        });
+      })
+      .catch((err) => console.warn('Replica content not loaded, keeping the inline copy:', err));
+  </script>
+`;
+  }
+
+  // ============================================
+  // Pattern Components (Blueprint patterns -> React)
+  // ============================================
+
+  const PATTERN_TEXT_PROPS = {
+    h1: 'title', h2: 'title', h3: 'title', h4: 'title', h5: 'title', h6: 'title',
+    p: 'body', a: 'linkLabel', button: 'buttonLabel', span: 'label', strong: 'label', label: 'label',
+    small: 'note', figcaption: 'caption', blockquote: 'quote', time: 'date', li: 'text'
+  };
+  const PATTERN_NODE_NAMES = {
+    h1: 'title', h2: 'title', h3: 'title', h4: 'title', h5: 'title', h6: 'title',
+    p: 'body', a: 'link', img: 'image', button: 'button', input: 'input', svg: 'icon'
+  };
+
+  function toCamelCase(str) {
+    const pascal = toPascalCase(String(str || '').replace(/[^A-Za-z0-9_\s-]/g, ''));
+    return pascal.charAt(0).toLowerCase() + pascal.slice(1);
+  }
+
+  function pluralize(word) {
+    if (/[^aeiou]y$/.test(word)) return word.slice(0, -1) + 'ies';
+    if (/(s|x|ch|sh)$/.test(word)) return word + 'es';
+    return word + 's';
+  }
+
+  function flattenBlueprintNode(node, out = []) {
+    out.push(node);
+    for (const child of Array.isArray(node.children) ? node.children : []) flattenBlueprintNode(child, out);
+    return out;
+  }
+
+  function blueprintShape(node) {
+    const children = Array.isArray(node.children) ? node.children : [];
+    return `${replicaTag(node)}(${children.map(blueprintShape).join(',')})`;
+  }
+
+  function selectorClasses(selector) {
+    const last = String(selector || '').split('>').pop();
+    return Array.from(last.matchAll(/\.([\w-]+)/g), m => m[1]);
+  }
+
+  function patternComponentName(pattern, sample, container) {
+    const cls = pattern.template?.classes?.[0] || selectorClasses(sample.selector)[0];
+    if (cls) return toPascalCase(cls.replace(/[^A-Za-z0-9_-]/g, ''));
+    const tag = replicaTag(sample);
+    const parentTag = replicaTag(container);
+    if (tag === 'li') return 'ListItem';
+    if (tag === 'a') return parentTag === 'nav' ? 'NavLink' : 'LinkItem';
+    return `${toPascalCase(tag)}Item`;
+  }
+
+  // "btn-secondary" next to "btn" -> "secondary", "card--featured" -> "featured"; falls back to variantN
+  function patternVariantName(defaultNodes, nodes, positions, index) {
+    for (const p of positions) {
+      const base = selectorClasses(defaultNodes[p].selector);
+      const extra = selectorClasses(nodes[p].selector).find(c => !base.includes(c));
+      if (!extra) continue;
+      const modifier = base.find(c => extra.startsWith(`${c}-`));
+      return toCamelCase(modifier ? extra.slice(modifier.length).replace(/^-+/, '') : extra);
+    }
+    return `variant${index + 1}`;
+  }
+
+  // Style identity of a node: its replica rules (uid masked) or its Tailwind classes
+  function patternStyleSignatures(uids, css, options) {
+    const dataAttr = options.dataAttrName || 'data-se-id';
+    if (options.classesByUid) return new Map(uids.map(uid => [uid, options.classesByUid[uid] || '']));
+    const scoped = splitReplicaCSS(css || '', new Map(uids.map(uid => [uid, uid])), dataAttr).scoped;
+    return new Map(uids.map(uid => [uid, (scoped.get(uid) || '').split(`="${uid}"`).join('="*"')]));
+  }
+
+  function jsxAttrName(key) {
+    return key === 'class' ? 'className' : key;
+  }
+
+  // Data/JSX object literal: { title: "…", href: "…" } ({ code } values are emitted as-is)
+  function toObjectLiteral(entries) {
+    if (!entries.length) return '{}';
+    const keyOf = (k) => (/^[A-Za-z_$][\w$]*$/.test(k) ? k : `'${k}'`);
+    return `{ ${entries.map(([k, v]) => `${keyOf(k)}: ${v?.code ?? JSON.stringify(v)}`).join(', ')} }`;
+  }
+
+  // Component template: instance-1 markup with props in the slots that differ between instances
+  // and a variant attribute lookup on nodes whose styles differ.
+  function renderPatternNodeToJsx(node, depth, ctx) {
+    const tag = replicaTag(node);
+    const pad = '  '.repeat(depth);
+    const slots = ctx.slots.get(node) || {};
+    const variantKey = ctx.variantKeys.get(node);
+    const dataAttr = ctx.options.dataAttrName || 'data-se-id';
+
+    const parts = [];
+    for (const [k, v] of buildReplicaAttrs(node, ctx.options)) {
+      if (variantKey && (k === dataAttr || k === 'class')) continue;
+      if (slots.attrs?.[k]) continue;
+      if (v.content) ctx.usesContent = true;
+      parts.push(v.content ? `${k}={content.${v.content}}` : `${jsxAttrName(k)}="${escapeJsxText(String(v))}"`);
+    }
+    for (const [k, prop] of Object.entries(slots.attrs || {})) parts.push(`${jsxAttrName(k)}={${prop}}`);
+    if (variantKey) parts.push(`{...attrs.${variantKey}}`);
+    const attrStr = parts.length ? ' ' + parts.join(' ') : '';
+
+    if (shouldSelfClose(tag)) return `${pad}<${tag}${attrStr} />`;
+
+    const children = Array.isArray(node.children) ? node.children : [];
+    const contentKey = replicaContentKey(node, ctx.options);
+    if (!slots.text && node.text && contentKey) ctx.usesContent = true;
+    const text = slots.text
+      ? `{${slots.text}}`
+      : (node.text ? (contentKey ? `{content.${contentKey}.text}` : escapeJsxText(String(node.text))) : '');
+    let iconJsx = '';
+    if (slots.icon) {
+      iconJsx = `{${slots.icon} && <span dangerouslySetInnerHTML={{ __html: ${slots.icon} }} />}`;
+    } else if (!text && node.icon?.type === 'svg') {
+      if (node.icon.markup) {
+        iconJsx = `<span dangerouslySetInnerHTML={{ __html: ${JSON.stringify(String(node.icon.markup))} }} />`;
+      } else {
+        const viewBox = node.icon.viewBox ? ` viewBox="${escapeJsxText(String(node.icon.viewBox))}"` : '';
+        iconJsx = `<svg aria-hidden="true"${viewBox}></svg>`;
+      }
+    }
+
+    if (!children.length) return `${pad}<${tag}${attrStr}>${text}${iconJsx}</${tag}>`;
+
+    const renderedChildren = children.map(child => renderPatternNodeToJsx(child, depth + 1, ctx)).join('\n');
+    const contentLine = text ? `${pad}  ${text}\n` : '';
+    const iconLine = iconJsx ? `${pad}  ${iconJsx}\n` : '';
+    return `${pad}<${tag}${attrStr}>\n${contentLine}${iconLine}${renderedChildren}\n${pad}</${tag}>`;
+  }
+
+  // Turns each detected repeating pattern (blueprint.patterns.items from
+  // __sePatternDetect.detectPatterns) into a typed React component. Siblings with the
+  // sample's shape form the instances; their differing text, links, image sources and icons
+  // become props, style differences become a `variant` prop, and every contiguous run of
+  // instances is rendered from a data array with `.map()`. Later instances reuse the
+  // first instance's data-se-id hooks so their duplicate CSS rules are dropped.
+  function extractReplicaPatterns(blueprint, css, options = {}) {
+    const result = { components: [], files: {}, data: [], replaceNodes: new Map(), uidAlias: new Map() };
+    if (options.extractPatterns === false) return result;
+    const source = options.patterns || blueprint.patterns;
+    const patterns = Array.isArray(source) ? source : (Array.isArray(source?.items) ? source.items : []);
+    if (!patterns.length) return result;
+
+    const dataAttr = options.dataAttrName || 'data-se-id';
+    const bySelector = new Map();
+    walkBlueprintTree(blueprint.tree, (node) => {
+      if (node?.selector && !bySelector.has(node.selector)) bySelector.set(node.selector, node);
+    }, { maxNodes: Number.MAX_SAFE_INTEGER, maxDepth: Number.MAX_SAFE_INTEGER });
+
+    const claimed = new Set();
+    const usedNames = new Set(['Page', 'React']);
+    const usedData = new Set();
+    const unique = (used, name) => {
+      let out = name;
+      for (let n = 2; used.has(out); n++) out = `${name}${n}`;
+      used.add(out);
+      return out;
+    };
+
+    for (const pattern of patterns) {
+      const container = bySelector.get(pattern?.containerSelector);
+      const sample = bySelector.get(pattern?.sampleSelector) ||
+        bySelector.get((pattern?.sampleSelectors || [])[0]);
+      const siblings = Array.isArray(container?.children) ? container.children : [];
+      if (!container || !sample || !siblings.includes(sample) || claimed.has(container)) continue;
+
+      // Contiguous runs of same-shaped siblings (a single instance stays inline)
+      const shape = blueprintShape(sample);
+      const runs = [];
+      let run = [];
+      for (const child of siblings) {
+        if (blueprintShape(child) === shape) {
+          run.push(child);
+        } else {
+          if (run.length > 1) runs.push(run);
+          run = [];
+        }
+      }
+      if (run.length > 1) runs.push(run);
+      if (!runs.length) continue;
+
+      const instances = runs.flat();
+      const flat = new Map(instances.map(inst => [inst, flattenBlueprintNode(inst)]));
+      const first = flat.get(instances[0]);
+      const positions = first.map((_, p) => p);
+      const column = (p) => instances.map(inst => flat.get(inst)[p]);
+
+      // Style variants: positions whose rules differ between instances
+      const signatures = patternStyleSignatures(
+        instances.flatMap(inst => flat.get(inst).map(n => n.uid).filter(Boolean)), css, options
+      );
+      const styleOf = (node) => signatures.get(node.uid) || '';
+      const variantPositions = positions.filter(p => new Set(column(p).map(styleOf)).size > 1);
+      const variantOf = new Map();
+      const variants = [];
+      for (const inst of instances) {
+        const key = variantPositions.map(p => styleOf(flat.get(inst)[p])).join('\u0000');
+        let variant = variants.find(v => v.key === key);
+        if (!variant) {
+          const nodes = flat.get(inst);
+          const name = variants.length
+            ? patternVariantName(first, nodes, variantPositions, variants.length)
+            : 'default';
+          variant = { key, name: unique(new Set(variants.map(v => v.name)), name), nodes };
+          variants.push(variant);
+        }
+        variantOf.set(inst, variant);
+      }
+
+      // Props: text, attributes and icon markup that differ between instances
+      const attrOpts = { ...options, classesByUid: null, uidAlias: null, replicaContent: null };
+      const usedProps = new Set(variants.length > 1 ? ['variant', 'attrs'] : []);
+      const usedKeys = new Set();
+      const slots = new Map();
+      const variantKeys = new Map();
+      const props = [];
+      for (const p of positions) {
+        const nodes = column(p);
+        const node = first[p];
+        const tag = replicaTag(node);
+        const isRoot = p === 0;
+        const baseName = isRoot ? '' : (PATTERN_NODE_NAMES[tag] || toCamelCase(tag));
+        const slot = {};
+        // field: the content entry a value comes from when copy is externalized
+        const addProp = (name, values, field) => {
+          const prop = unique(usedProps, name);
+          props.push({ name: prop, values, nodes, field, optional: values.some(v => !v) });
+          return prop;
+        };
+
+        const texts = nodes.map(n => (n.text ? String(n.text) : ''));
+        if (new Set(texts).size > 1) {
+          slot.text = addProp(isRoot ? 'label' : (PATTERN_TEXT_PROPS[tag] || baseName || 'text'), texts, 'text');
+        }
+        const attrMaps = nodes.map(n => new Map(buildReplicaAttrs(n, attrOpts)
+          .filter(([k]) => k !== dataAttr && k !== 'class')
+          .map(([k, v]) => [k, String(v)])));
+        const keys = Array.from(new Set(attrMaps.flatMap(m => Array.from(m.keys()))));
+        for (const key of keys) {
+          const values = attrMaps.map(m => m.get(key) || '');
+          if (new Set(values).size < 2) continue;
+          const suffix = toCamelCase(key);
+          slot.attrs = { ...slot.attrs, [key]: addProp(baseName ? baseName + toPascalCase(suffix) : suffix, values, REPLICA_CONTENT_ATTRS.get(key)) };
+        }
+        const icons = nodes.map(n => (n.icon?.markup && !n.text ? String(n.icon.markup) : ''));
+        if (new Set(icons).size > 1) slot.icon = addProp(baseName ? `${baseName}Icon` : 'icon', icons);
+        if (Object.keys(slot).length) slots.set(node, slot);
+        if (variantPositions.includes(p)) variantKeys.set(node, unique(usedKeys, baseName || 'root'));
+      }
+
+      const name = unique(usedNames, patternComponentName(pattern, sample, container));
+      const propsName = `${name}Props`;
+
+      // Instance nodes resolve to instance 1 (or their variant's first instance) for styling
+      for (const inst of instances) {
+        const nodes = flat.get(inst);
+        const variantNodes = variantOf.get(inst).nodes;
+        nodes.forEach((node, p) => {
+          if (node.uid) result.uidAlias.set(node.uid, (variantPositions.includes(p) ? variantNodes : first)[p].uid);
+        });
+        for (const node of nodes) claimed.add(node);
+      }
+
+      // Component file
+      const lines = [`import React from 'react';`, '', `export interface ${propsName} {`];
+      for (const prop of props) lines.push(`  ${prop.name}${prop.optional ? '?' : ''}: string;`);
+      if (variants.length > 1) lines.push(`  variant?: ${variants.map(v => `'${v.name}'`).join(' | ')};`);
+      lines.push('}', '');
+      if (variants.length > 1) {
+        // Per-variant style hooks for the nodes whose styles differ
+        lines.push(`const VARIANT_ATTRS = {`);
+        variants.forEach((variant, i) => {
+          const entries = variantPositions.map((p) => {
+            const node = variant.nodes[p];
+            const attrs = [[dataAttr, node.uid]];
+            if (options.classesByUid?.[node.uid]) attrs.push(['className', options.classesByUid[node.uid]]);
+            return [variantKeys.get(first[p]), { code: toObjectLiteral(attrs) }];
+          });
+          lines.push(`  ${variant.name}: ${toObjectLiteral(entries)}${i < variants.length - 1 ? ',' : ''}`);
+        });
+        lines.push('};', '');
+      }
+      const params = props.map(prop => prop.name);
+      if (variants.length > 1) params.push(`variant = 'default'`);
+      lines.push(`export default function ${name}(${params.length ? `{ ${params.join(', ')} }` : '_props'}: ${propsName}) {`);
+      if (variants.length > 1) lines.push('  const attrs = VARIANT_ATTRS[variant];');
+      const ctx = { slots, variantKeys, options: { ...options, dataAttrName: dataAttr }, usesContent: false };
+      const body = renderPatternNodeToJsx(instances[0], 2, ctx);
+      lines.push('  return (', body, '  );', '}', '');
+      if (ctx.usesContent) lines.splice(1, 0, `import content from './${options.replicaContent.path}';`);
+      result.files[`${name}.tsx`] = lines.join('\n');
+
+      // Page data arrays: one per contiguous run
+      runs.forEach((runNodes) => {
+        const dataName = unique(usedData, toCamelCase(pluralize(name)));
+        const rows = runNodes.map((inst) => {
+          const i = instances.indexOf(inst);
+          const valueOf = (prop) => {
+            const key = prop.field && replicaContentKey(prop.nodes[i], options);
+            return key ? { code: `content.${key}.${prop.field}` } : prop.values[i];
+          };
+          const entries = props.filter(prop => prop.values[i]).map(prop => [prop.name, valueOf(prop)]);
+          const variant = variantOf.get(inst);
+          if (variant.name !== 'default') entries.push(['variant', variant.name]);
+          return `  ${toObjectLiteral(entries)}`;
+        });
+        result.data.push(`const ${dataName}: ${propsName}[] = [\n${rows.join(',\n')}\n];`);
+        runNodes.forEach((inst, i) => {
+          result.replaceNodes.set(inst, i === 0 ? `{${dataName}.map((item, index) => <${name} key={index} {...item} />)}` : '');
+        });
+      });
+
+      result.components.push({
+        name,
+        file: `${name}.tsx`,
+        patternId: pattern.id || null,
+        containerSelector: container.selector,
+        instances: instances.length,
+        runs: runs.length,
+        props: props.map(prop => prop.name),
+        variants: variants.map(v => v.name)
+      });
+    }
+
+    return result;
+  }
+
+  // ============================================
+  // Replica Framework Generators (Blueprint -> Vue/Svelte/Angular)
+  // ============================================
+
+  // Text and attribute values for framework templates: `{`, `}` and `@` would start
+  // interpolation (Vue/Angular `{{ }}`, Svelte `{ }`) or control flow (Angular `@if`).
+  function escapeTemplateText(str) {
+    return escapeHtml(String(str || ''))
+      .replace(/\{/g, '&#123;')
+      .replace(/\}/g, '&#125;')
+      .replace(/@/g, '&#64;');
+  }
+
+  const LANDMARK_TAGS = new Set(['header', 'nav', 'main', 'section', 'article', 'aside', 'footer']);
+
+  // Section roots of the blueprint tree: nodes matching blueprint.sections selectors
+  // (outermost only), else the children of the page root.
+  function collectReplicaSections(blueprint) {
+    const root = blueprint.tree;
+    const detected = Array.isArray(blueprint.sections) ? blueprint.sections : [];
+    const bySelector = new Map(detected.filter(s => s?.selector).map(s => [s.selector, s]));
+    const found = [];
+
+    const visit = (node) => {
+      if (!node) return;
+      const section = node !== root && node.selector ? bySelector.get(node.selector) : null;
+      if (section) {
+        found.push({ node, name: section.name || section.semanticRole });
+        return;
+      }
+      for (const child of Array.isArray(node.children) ? node.children : []) visit(child);
+    };
+    if (bySelector.size) visit(root);
+
+    const picked = found.length
+      ? found
+      : (Array.isArray(root.children) && root.children.length ? root.children : [root])
+        .map(node => ({ node, name: LANDMARK_TAGS.has(node.tag) ? node.tag : node.semanticRole || node.tag }));
+
+    const used = new Set();
+    return picked.map(({ node, name }) => {
+      const words = String(name || '').replace(/[^a-zA-Z0-9]+/g, ' ').replace(/section\s*$/i, '').trim();
+      let base = words ? toPascalCase(words) : 'Content';
+      if (!/^[A-Z]/.test(base)) base = `S${base}`;
+      let componentName = `${base}Section`;
+      for (let i = 2; used.has(componentName); i++) componentName = `${base}Section${i}`;
+      used.add(componentName);
+      return { node, componentName, fileBase: toKebabCase(componentName) };
+    });
+  }
+
+  // Template attributes; options.contentBinding gives the framework syntax for copy read from the content catalog
+  function templateAttrs(node, options) {
+    const attrs = buildReplicaAttrs(node, options)
+      .filter(([, v]) => v !== null && v !== undefined)
+      .map(([k, v]) => (v.content ? options.contentBinding.attr(k, `content.${v.content}`) : `${k}="${escapeTemplateText(v)}"`));
+    return attrs.length ? ' ' + attrs.join(' ') : '';
+  }
+
+  function renderReplicaNodeToTemplate(node, depth, options = {}) {
+    if (!node) return '';
+
+    const pad = '  '.repeat(depth);
+    const section = options.sectionFor?.(node);
+    if (section) return `${pad}${options.renderSection(section)}`;
+
+    const tag = replicaTag(node);
+    const bind = options.contentBinding;
+    const attrStr = templateAttrs(node, options);
+
+    const children = Array.isArray(node.children) ? node.children : [];
+    const contentKey = replicaContentKey(node, options);
+    const text = node.text ? (contentKey ? bind.text(`content.${contentKey}.text`) : escapeTemplateText(node.text)) : '';
+
+    let iconHtml = '';
+    if (!text && node.icon?.type === 'svg') {
+      if (node.icon.markup) {
+        iconHtml = String(node.icon.markup).replace(/\{/g, '&#123;').replace(/\}/g, '&#125;').replace(/@/g, '&#64;');
+      } else {
+        const viewBox = node.icon.viewBox ? ` viewBox="${escapeTemplateText(node.icon.viewBox)}"` : '';
+        iconHtml = `<svg aria-hidden="true"${viewBox}></svg>`;
+      }
+    }
+
+    if (shouldSelfClose(tag)) {
+      return `${pad}<${tag}${attrStr} />`;
+    }
+
+    if (!children.length) {
+      return `${pad}<${tag}${attrStr}>${text || iconHtml}</${tag}>`;
+    }
+
+    const renderedChildren = children
+      .map((child) => renderReplicaNodeToTemplate(child, depth + 1, options))
+      .filter(Boolean)
+      .join('\n');
+
+    const contentLine = text ? `${pad}  ${text}\n` : '';
+    const iconLine = iconHtml ? `${pad}  ${iconHtml}\n` : '';
+
+    return `${pad}<${tag}${attrStr}>\n${contentLine}${iconLine}${renderedChildren}\n${pad}</${tag}>`;
+  }
+
+  // Top-level blocks of generated CSS (brace depth outside strings and comments)
+  function splitCssBlocks(css) {
+    const blocks = [];
+    let depth = 0;
+    let quote = null;
+    let start = 0;
+    for (let i = 0; i < css.length; i++) {
+      const ch = css[i];
+      if (quote) {
+        if (ch === '\\') i++;
+        else if (ch === quote) quote = null;
+        continue;
+      }
+      if (ch === '"' || ch === "'") {
+        quote = ch;
+      } else if (ch === '/' && css[i + 1] === '*') {
+        const end = css.indexOf('*/', i + 2);
+        i = end === -1 ? css.length : end + 1;
+        if (depth === 0) {
+          blocks.push(css.slice(start, i + 1).trim());
+          start = i + 1;
+        }
+      } else if (ch === '{') {
+        depth++;
+      } else if (ch === '}') {
+        depth = Math.max(0, depth - 1);
+        if (depth === 0) {
+          blocks.push(css.slice(start, i + 1).trim());
+          start = i + 1;
+        }
+      } else if (ch === ';' && depth === 0) {
+        blocks.push(css.slice(start, i + 1).trim());
+        start = i + 1;
+      }
+    }
+    const rest = css.slice(start).trim();
+    if (rest) blocks.push(rest);
+    return blocks.filter(Boolean);
+  }
+
+  // Moves rules that only target one section's nodes into that section's stylesheet
+  // (@media blocks are split rule by rule); everything else stays in the global CSS.
+  function splitReplicaCSS(css, sectionOfUid, dataAttr) {
+    const attrRe = new RegExp(`\\[${dataAttr.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}="([^"]+)"\\]`, 'g');
+    const ownerOf = (block) => {
+      const brace = block.indexOf('{');
+      if (brace === -1 || block.startsWith('/*')) return null;
+      const uids = Array.from(block.slice(0, brace).matchAll(attrRe), m => m[1]);
+      if (!uids.length) return null;
+      const owners = new Set(uids.map(uid => sectionOfUid.get(uid) || null));
+      return owners.size === 1 ? Array.from(owners)[0] : null;
+    };
+
+    const global = [];
+    const scoped = new Map();
+    const push = (owner, text) => {
+      if (!scoped.has(owner)) scoped.set(owner, []);
+      scoped.get(owner).push(text);
+    };
+
+    for (const block of splitCssBlocks(css)) {
+      if (/^@media\b/.test(block)) {
+        const open = block.indexOf('{');
+        const prelude = block.slice(0, open).trim();
+        const kept = [];
+        const moved = new Map();
+        for (const rule of splitCssBlocks(block.slice(open + 1, block.lastIndexOf('}')))) {
+          const owner = ownerOf(rule);
+          if (owner === null) kept.push(rule);
+          else moved.set(owner, [...(moved.get(owner) || []), rule]);
+        }
+        // Inner rules keep their own indentation past the first (trimmed) line
+        const wrap = (rules) => `${prelude} {\n${rules.map(r => `  ${r}`).join('\n')}\n}`;
+        if (kept.length) global.push(wrap(kept));
+        for (const [owner, rules] of moved) push(owner, wrap(rules));
+        continue;
+      }
+      const owner = ownerOf(block);
+      if (owner === null) global.push(block);
+      else push(owner, block);
+    }
+
+    return {
+      global: global.join('\n') + '\n',
+      scoped: new Map(Array.from(scoped, ([owner, blocks]) => [owner, blocks.join('\n') + '\n']))
+    };
+  }
+
+  // Shared pipeline: CSS split by section plus a template renderer that stops at section roots
+  function buildReplicaFramework(blueprint, stateCapture, options, renderSection, contentBinding) {
+    const dataAttrName = options.dataAttrName || 'data-se-id';
+    const content = buildReplicaContent(blueprint, options);
+    const opts = { ...options, dataAttrName, replicaContent: content, contentBinding };
+    const sections = collectReplicaSections(blueprint);
+
+    const sectionOfUid = new Map();
+    for (const section of sections) {
+      walkBlueprintTree(section.node, (node) => {
+        if (node?.uid) sectionOfUid.set(node.uid, section.componentName);
+      }, { maxNodes: Number.MAX_SAFE_INTEGER, maxDepth: Number.MAX_SAFE_INTEGER });
+    }
+    const css = splitReplicaCSS(toReplicaCSS(blueprint, stateCapture, opts), sectionOfUid, dataAttrName);
+
+    const byNode = new Map(sections.map(s => [s.node, s]));
+    const render = (node, depth, insideSection) => renderReplicaNodeToTemplate(node, depth, {
+      ...opts,
+      sectionFor: (n) => (n === insideSection ? null : byNode.get(n) || null),
+      renderSection
+    });
+
+    // Page root: a <body> blueprint renders as a <div> wrapper like the React replica
+    const root = blueprint.tree;
+    let page;
+    if (pickTag(root.tag) === 'body' && !byNode.has(root)) {
+      const rootAttrs = templateAttrs(root, opts);
+      const children = Array.isArray(root.children) ? root.children : [];
+      page = `<div${rootAttrs}>\n${children.map(child => render(child, 1, null)).filter(Boolean).join('\n')}\n</div>`;
+    } else {
+      page = render(root, 0, null);
+    }
+
+    // Whether a component's own nodes (nested sections excluded) read the content catalog
+    const readsContent = (node, insideSection) => {
+      if (!content || (node !== insideSection && byNode.has(node))) return false;
+      if (replicaContentKey(node, opts)) return true;
+      return (Array.isArray(node.children) ? node.children : []).some(child => readsContent(child, insideSection));
+    };
+
+    return {
+      title: content ? 'Replica' : blueprint?.meta?.title || 'Replica',
+      sections: sections.map(section => ({
+        ...section,
+        template: render(section.node, 0, section.node),
+        css: css.scoped.get(section.componentName) || '',
+        usesContent: readsContent(section.node, section.node)
+      })),
+      page,
+      pageUsesContent: readsContent(root, null),
+      globalCss: css.global,
+      content
+    };
+  }
+
+  function replicaEntryHtml(title, mount, script) {
+    return `<!DOCTYPE html>\n<html lang="en">\n<head>\n  <meta charset="UTF-8" />\n  <meta name="viewport" content="width=device-width, initial-scale=1.0" />\n  <title>${escapeHtml(title)}</title>\n</head>\n<body>\n  ${mount}\n${script ? `  <script type="module" src="${script}"></script>\n` : ''}</body>\n</html>\n`;
+  }
+
+  function toReplicaVue(blueprint, stateCapture, options = {}) {
+    if (!blueprint?.tree) return { error: 'No blueprint tree available' };
+
+    const built = buildReplicaFramework(blueprint, stateCapture, options, s => `<${s.componentName} />`, {
+      text: (expr) => `{{ ${expr} }}`,
+      attr: (name, expr) => `:${name}="${expr}"`
+    });
+    const files = {};
+    const contentImport = built.content ? `import content from './${built.content.path}';` : '';
+    files['replica.css'] = built.globalCss;
+    files['index.html'] = replicaEntryHtml(built.title, '<div id="app"></div>', './main.ts');
+    files['main.ts'] = `import { createApp } from 'vue';\nimport App from './App.vue';\nimport './replica.css';\n\ncreateApp(App).mount('#app');\n`;
+    const appImports = built.sections.map(s => `import ${s.componentName} from './${s.componentName}.vue';`);
+    if (built.pageUsesContent) appImports.push(contentImport);
+    files['App.vue'] = `<script setup lang="ts">\n${appImports.join('\n')}\n</script>\n\n<template>\n${indent(built.page, 2)}\n</template>\n`;
+    for (const section of built.sections) {
+      const script = section.usesContent ? `<script setup lang="ts">\n${contentImport}\n</script>\n\n` : '';
+      const style = section.css ? `\n<style scoped>\n${section.css}</style>\n` : '';
+      files[`${section.componentName}.vue`] = `${script}<template>\n${indent(section.template, 2)}\n</template>\n${style}`;
+    }
+    if (built.content) Object.assign(files, built.content.files);
+
+    return {
+      format: 'replica',
+      framework: 'vue',
+      files,
+      components: built.sections.map(s => s.componentName)
+    };
+  }
+
+  function toReplicaSvelte(blueprint, stateCapture, options = {}) {
+    if (!blueprint?.tree) return { error: 'No blueprint tree available' };
+
+    const built = buildReplicaFramework(blueprint, stateCapture, options, s => `<${s.componentName} />`, {
+      text: (expr) => `{${expr}}`,
+      attr: (name, expr) => `${name}={${expr}}`
+    });
+    const files = {};
+    const contentImport = built.content ? `  import content from './${built.content.path}';` : '';
+    files['replica.css'] = built.globalCss;
+    files['index.html'] = replicaEntryHtml(built.title, '<div id="app"></div>', './main.ts');
+    files['main.ts'] = `import { mount } from 'svelte';\nimport App from './App.svelte';\nimport './replica.css';\n\nmount(App, { target: document.getElementById('app')! });\n`;
+    const appImports = built.sections.map(s => `  import ${s.componentName} from './${s.componentName}.svelte';`);
+    if (built.pageUsesContent) appImports.push(contentImport);
+    files['App.svelte'] = `<script lang="ts">\n${appImports.join('\n')}\n</script>\n\n${built.page}\n`;
+    for (const section of built.sections) {
+      const script = section.usesContent ? `<script lang="ts">\n${contentImport}\n</script>\n\n` : '';
+      // Svelte scopes <style> to the component by default
+      const style = section.css ? `\n<style>\n${section.css}</style>\n` : '';
+      files[`${section.componentName}.svelte`] = `${script}${section.template}\n${style}`;
+    }
+    if (built.content) Object.assign(files, built.content.files);
+
+    return {
+      format: 'replica',
+      framework: 'svelte',
+      files,
+      components: built.sections.map(s => s.componentName)
+    };
+  }
+
+  function toReplicaAngular(blueprint, stateCapture, options = {}) {
+    if (!blueprint?.tree) return { error: 'No blueprint tree available' };
+
+    // Standalone components; hosts use display: contents so the section root lays out as on the page
+    const built = buildReplicaFramework(blueprint, stateCapture, options, s => `<app-${s.fileBase}></app-${s.fileBase}>`, {
+      text: (expr) => `{{ ${expr} }}`,
+      attr: (name, expr) => `[attr.${name}]="${expr}"`
+    });
+    const files = {};
+    // Templates read the catalog through a component field
+    const contentImport = (uses) => (uses ? `import content from './${built.content.path}';\n` : '');
+    const contentField = (uses) => (uses ? ' {\n  protected readonly content = content;\n}' : ' {}');
+    files['replica.css'] = built.globalCss;
+    files['index.html'] = replicaEntryHtml(built.title, '<app-root></app-root>', null);
+    files['main.ts'] = `import { bootstrapApplication } from '@angular/platform-browser';\nimport { AppComponent } from './app.component';\n\nbootstrapApplication(AppComponent).catch((err) => console.error(err));\n`;
+    // The app component carries replica.css unencapsulated so it applies page-wide
+    files['app.component.ts'] = `import { Component, ViewEncapsulation } from '@angular/core';\n${built.sections.map(s => `import { ${s.componentName}Component } from './${s.fileBase}.component';`).join('\n')}\n${contentImport(built.pageUsesContent)}\n@Component({\n  selector: 'app-root',\n  standalone: true,\n  imports: [${built.sections.map(s => `${s.componentName}Component`).join(', ')}],\n  templateUrl: './app.component.html',\n  styleUrls: ['./replica.css'],\n  encapsulation: ViewEncapsulation.None\n})\nexport class AppComponent${contentField(built.pageUsesContent)}\n`;
+    files['app.component.html'] = `${built.page}\n`;
+    for (const section of built.sections) {
+      files[`${section.fileBase}.component.ts`] = `import { Component } from '@angular/core';\n${contentImport(section.usesContent)}\n@Component({\n  selector: 'app-${section.fileBase}',\n  standalone: true,\n  templateUrl: './${section.fileBase}.component.html',\n  styleUrls: ['./${section.fileBase}.component.css']\n})\nexport class ${section.componentName}Component${contentField(section.usesContent)}\n`;
+      files[`${section.fileBase}.component.html`] = `${section.template}\n`;
+      files[`${section.fileBase}.component.css`] = `:host { display: contents; }\n${section.css}`;
+    }
+    if (built.content) Object.assign(files, built.content.files);
 
     return {
       format: 'replica',
-      files
+      framework: 'angular',
+      files,
+      components: built.sections.map(s => `${s.componentName}Component`)
     };
   }
 
@@ -1668,6 +2656,11 @@ export { default as Page } from './Page.vue';
     toReplicaCSS,
     toReplicaHTML,
     toReplicaReact,
+    toReplicaTailwind,
+    toReplicaVue,
+    toReplicaSvelte,
+    toReplicaAngular,
+    toReplicaContent,
 
     // Unified generator
     generate,
@@ -2,6 +2,7 @@
 // Identifies and extracts common UI component patterns from the DOM
 //
 // Detects: buttons, cards, navigation, forms, modals, badges, etc.
+// (open shadow roots included; custom elements are components in their own right)
 // Extracts: states (default, hover, active, focus, disabled), variants, hierarchy
 //
 // Usage in evaluate_script:
@@ -218,6 +219,128 @@
     };
   }
 
+  // Scopes: null (top document), __seUtils.collectFrames() entries, or shadow scopes
+  // ({ document: shadowRoot, shadowHost } plus the enclosing frame's path/offset).
+  // Elements inside shadow roots get ' >>> '-joined selectors.
+  function scopedSelector(el, scope) {
+    const local = window.__seUtils?.shadowSelector ? window.__seUtils.shadowSelector(el, cssPath) : cssPath(el);
+    return scope ? window.__seUtils.frameSelector(scope, local) : local;
+  }
+
+  function scopedRect(el, scope) {
+    return scope ? window.__seUtils.offsetRect(getRect(el), scope) : getRect(el);
+  }
+
+  // Sheets that can hold el's pseudo-class rules (shadow sheets and :host rules included)
+  function sheetsFor(el) {
+    if (window.__seUtils?.stylesheetsFor) return window.__seUtils.stylesheetsFor(el);
+    return Array.from(document.styleSheets, sheet => ({ sheet, mapSelector: s => s }));
+  }
+
+  /**
+   * Documents to scan. options.includeFrames adds same-origin frames; open shadow roots
+   * are scanned unless options.includeShadowDOM === false (options.shadowDepth limits nesting).
+   */
+  function detectionScopes(options = {}) {
+    const utils = window.__seUtils;
+    const scopes = [null];
+    let frames = null;
+    if (options.includeFrames && utils?.collectFrames) {
+      frames = utils.collectFrames({ maxFrameDepth: options.maxFrameDepth });
+      scopes.push(...frames.filter(f => f.document));
+    }
+    if (options.includeShadowDOM !== false && utils?.collectShadowRoots) {
+      for (const scope of scopes.slice()) {
+        const roots = utils.collectShadowRoots({ root: scope?.document || document, maxShadowDepth: options.shadowDepth });
+        for (const shadow of roots) {
+          scopes.push({ path: scope?.path, offset: scope?.offset, document: shadow.root, shadowHost: shadow.host });
+        }
+      }
+    }
+    return { scopes, frames };
+  }
+
+  // Last tag segment → component type for custom elements (sl-button, md-outlined-text-field, ...)
+  const CUSTOM_ELEMENT_TYPES = {
+    button: 'button', 'icon-button': 'button', fab: 'button',
+    card: 'card',
+    dialog: 'modal', modal: 'modal', drawer: 'modal',
+    input: 'input', textfield: 'input', 'text-field': 'input', textarea: 'input', select: 'input',
+    checkbox: 'input', radio: 'input', switch: 'input',
+    badge: 'badge', tag: 'badge', chip: 'badge',
+    icon: 'icon',
+    nav: 'navigation', menu: 'navigation', tabs: 'navigation', 'tab-group': 'navigation', breadcrumb: 'navigation'
+  };
+
+  function customElementType(tag) {
+    const segments = tag.split('-').slice(1);
+    for (let i = 0; i < segments.length; i++) {
+      const type = CUSTOM_ELEMENT_TYPES[segments.slice(i).join('-')];
+      if (type) return type;
+    }
+    return 'webComponent';
+  }
+
+  /**
+   * Custom elements that are components in their own right: registered with
+   * customElements or carrying an open shadow root. Plain hyphenated tags
+   * (framework roots such as app-root) are skipped.
+   */
+  function detectCustomElements(scopes) {
+    const results = [];
+    for (const scope of scopes) {
+      let elements = [];
+      try {
+        elements = (scope?.document || document).querySelectorAll('*');
+      } catch {
+        continue;
+      }
+      for (const el of elements) {
+        const tag = el.tagName.toLowerCase();
+        if (!tag.includes('-')) continue;
+        if (!el.shadowRoot && !window.customElements?.get?.(tag)) continue;
+        if (!isVisible(el)) continue;
+        const parts = el.shadowRoot
+          ? [...new Set(Array.from(el.shadowRoot.querySelectorAll('[part]')).flatMap(p => p.getAttribute('part').split(/\s+/)).filter(Boolean))]
+          : [];
+        results.push({
+          type: customElementType(tag),
+          element: el,
+          selector: scopedSelector(el, scope),
+          rect: scopedRect(el, scope),
+          text: getTextContent(el),
+          styles: extractStyles(el),
+          tag,
+          customElement: true,
+          shadowMode: el.shadowRoot ? el.shadowRoot.mode || 'open' : null,
+          parts
+        });
+      }
+    }
+    return results;
+  }
+
+  // Merge custom elements into a detection result, skipping ones patterns already found
+  function addCustomElements(allComponents, summary, scopes, detectionMethod) {
+    for (const c of detectCustomElements(scopes)) {
+      const items = allComponents[c.type] || (allComponents[c.type] = []);
+      const existing = items.find(item => item.selector === c.selector);
+      const info = { tag: c.tag, customElement: true, shadowMode: c.shadowMode, parts: c.parts };
+      if (existing) {
+        Object.assign(existing, info);
+        continue;
+      }
+      const entry = { selector: c.selector, rect: c.rect, text: c.text, styles: c.styles, ...info };
+      if (detectionMethod) {
+        entry.variant = identifyVariant(c.element, c.type);
+        entry.detectionMethod = detectionMethod;
+      }
+      items.push(entry);
+      summary.byType[c.type] = (summary.byType[c.type] || 0) + 1;
+      summary.totalComponents++;
+    }
+  }
+
   function extractStyles(el, properties = STYLE_PROPERTIES) {
     const s = getComputedStyle(el);
     const result = {};
@@ -642,19 +765,23 @@
   }
 
   /**
-   * Enhanced detectAll with smart detection
+   * Enhanced detectAll: pattern + smart detection.
+   * options.includeFrames: also scan same-origin iframes (selectors are frame-scoped,
+   * rects in top-level coordinates); options.maxFrameDepth limits nesting.
+   * Open shadow roots are scanned too and custom elements are reported as components.
    */
-  function detectAllEnhanced() {
+  function detectAllEnhanced(options = {}) {
     const allComponents = {};
     const summary = {
       totalComponents: 0,
       byType: {},
       byConfidence: { high: 0, medium: 0, low: 0 }
     };
+    const { scopes, frames } = detectionScopes(options);
 
     // First, run pattern-based detection
     for (const type of Object.keys(COMPONENT_PATTERNS)) {
-      const components = detectComponents(type);
+      const components = scopes.flatMap(scope => detectComponents(type, scope));
       if (components.length > 0) {
         allComponents[type] = components.map(c => {
           const variant = identifyVariant(c.element, type);
@@ -671,6 +798,7 @@
         summary.totalComponents += components.length;
       }
     }
+    addCustomElements(allComponents, summary, scopes, 'custom-element');
 
     // Then, scan for components missed by patterns
     const scannedElements = new Set();
@@ -680,71 +808,77 @@
       '[class*="tag"]', '[class*="chip"]', '[class*="alert"]'
     ];
 
-    for (const selector of interactiveSelectors) {
-      try {
-        const elements = document.querySelectorAll(selector);
-        for (const el of elements) {
-          if (scannedElements.has(el)) continue;
-          if (!isVisible(el)) continue;
-          scannedElements.add(el);
-
-          // Check if already detected
-          let alreadyDetected = false;
-          for (const [type, items] of Object.entries(allComponents)) {
-            if (items.some(item => item.selector === cssPath(el))) {
-              alreadyDetected = true;
-              break;
-            }
-          }
-          if (alreadyDetected) continue;
-
-          // Try smart detection
-          const detection = smartDetect(el);
-          if (detection && detection.confidence >= 0.5) {
-            const type = detection.type;
-            if (!allComponents[type]) {
-              allComponents[type] = [];
-              summary.byType[type] = 0;
+    for (const scope of scopes) {
+      for (const selector of interactiveSelectors) {
+        try {
+          const elements = (scope?.document || document).querySelectorAll(selector);
+          for (const el of elements) {
+            if (scannedElements.has(el)) continue;
+            if (!isVisible(el)) continue;
+            scannedElements.add(el);
+
+            // Check if already detected
+            const elSelector = scopedSelector(el, scope);
+            let alreadyDetected = false;
+            for (const [type, items] of Object.entries(allComponents)) {
+              if (items.some(item => item.selector === elSelector)) {
+                alreadyDetected = true;
+                break;
+              }
             }
+            if (alreadyDetected) continue;
+
+            // Try smart detection
+            const detection = smartDetect(el);
+            if (detection && detection.confidence >= 0.5) {
+              const type = detection.type;
+              if (!allComponents[type]) {
+                allComponents[type] = [];
+                summary.byType[type] = 0;
+              }
 
-            const variant = identifyVariant(el, type);
-            allComponents[type].push({
-              selector: cssPath(el),
-              rect: getRect(el),
-              text: getTextContent(el),
-              styles: extractStyles(el),
-              variant,
-              detection,
-              detectionMethod: 'smart'
-            });
-
-            summary.byType[type]++;
-            summary.totalComponents++;
-
-            // Track confidence
-            if (detection.confidence >= 0.8) summary.byConfidence.high++;
-            else if (detection.confidence >= 0.6) summary.byConfidence.medium++;
-            else summary.byConfidence.low++;
+              const variant = identifyVariant(el, type);
+              allComponents[type].push({
+                selector: elSelector,
+                rect: scopedRect(el, scope),
+                text: getTextContent(el),
+                styles: extractStyles(el),
+                variant,
+                detection,
+                detectionMethod: 'smart'
+              });
+
+              summary.byType[type]++;
+              summary.totalComponents++;
+
+              // Track confidence
+              if (detection.confidence >= 0.8) summary.byConfidence.high++;
+              else if (detection.confidence >= 0.6) summary.byConfidence.medium++;
+              else summary.byConfidence.low++;
+            }
           }
+        } catch (e) {
+          debugWarn('Error in enhanced detection:', selector, e.message);
         }
-      } catch (e) {
-        debugWarn('Error in enhanced detection:', selector, e.message);
       }
     }
 
-    return {
+    const result = {
       summary,
       components: allComponents,
       timestamp: Date.now(),
       url: location.href
     };
+    // Cross-origin frames are listed so the runner can extract them separately
+    if (frames) result.frames = frames.map(({ element, document: doc, ...frame }) => frame);
+    return result;
   }
 
   // ============================================
   // Component Detection (Original)
   // ============================================
 
-  function detectComponents(type) {
+  function detectComponents(type, scope = null) {
     const pattern = COMPONENT_PATTERNS[type];
     if (!pattern) return [];
 
@@ -753,7 +887,7 @@
 
     for (const selector of pattern.selectors) {
       try {
-        const elements = document.querySelectorAll(selector);
+        const elements = (scope?.document || document).querySelectorAll(selector);
         for (const el of elements) {
           if (seen.has(el)) continue;
           if (!isVisible(el)) continue;
@@ -777,8 +911,8 @@
           results.push({
             type,
             element: el,
-            selector: cssPath(el),
-            rect: getRect(el),
+            selector: scopedSelector(el, scope),
+            rect: scopedRect(el, scope),
             text: getTextContent(el),
             styles: extractStyles(el)
           });
@@ -791,15 +925,20 @@
     return results;
   }
 
-  function detectAll() {
+  /**
+   * Pattern detection over the page and its open shadow roots, plus custom elements.
+   * options as detectionScopes().
+   */
+  function detectAll(options = {}) {
     const allComponents = {};
     const summary = {
       totalComponents: 0,
       byType: {}
     };
+    const { scopes } = detectionScopes(options);
 
     for (const type of Object.keys(COMPONENT_PATTERNS)) {
-      const components = detectComponents(type);
+      const components = scopes.flatMap(scope => detectComponents(type, scope));
       if (components.length > 0) {
         allComponents[type] = components.map(c => ({
           selector: c.selector,
@@ -811,6 +950,7 @@
         summary.totalComponents += components.length;
       }
     }
+    addCustomElements(allComponents, summary, scopes);
 
     return {
       summary,
@@ -825,7 +965,7 @@
   // ============================================
 
   function extractStates(selector) {
-    const el = typeof selector === 'string' ? document.querySelector(selector) : selector;
+    const el = window.__seUtils.resolveElement(selector);
     if (!el) return { ok: false, reason: 'Element not found' };
 
     const states = {
@@ -838,16 +978,16 @@
     };
 
     // Get pseudo-class styles from stylesheets
-    const sheets = document.styleSheets;
     const matchingRules = { hover: [], active: [], focus: [], focusVisible: [], disabled: [] };
 
-    for (const sheet of sheets) {
+    for (const { sheet, mapSelector } of sheetsFor(el)) {
       try {
         const rules = sheet.cssRules || sheet.rules;
         for (const rule of rules) {
           if (rule.type !== 1) continue; // CSSStyleRule
 
-          const selectorText = rule.selectorText || '';
+          const selectorText = mapSelector(rule.selectorText || '');
+          if (!selectorText) continue;
 
           // Check if this rule applies to our element
           if (selectorText.includes(':hover') && el.matches(selectorText.replace(/:hover/g, ''))) {
@@ -940,7 +1080,7 @@
 
     return {
       ok: true,
-      selector: cssPath(el),
+      selector: typeof selector === 'string' ? selector : scopedSelector(el, null),
       states,
       hasHover: !!states.hover,
       hasActive: !!states.active,
@@ -956,12 +1096,12 @@
   // Extract pseudo-class styles from stylesheets (safe, no side effects)
   function extractPseudoStyles(el, pseudoClass) {
     const styles = {};
-    for (const sheet of document.styleSheets) {
+    for (const { sheet, mapSelector } of sheetsFor(el)) {
       try {
         const rules = sheet.cssRules || sheet.rules;
         for (const rule of rules) {
           if (rule.type !== 1) continue;
-          const selectorText = rule.selectorText || '';
+          const selectorText = mapSelector(rule.selectorText || '');
           if (selectorText.includes(pseudoClass)) {
             const baseSelector = selectorText.replace(new RegExp(pseudoClass.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'g'), '');
             try {
@@ -985,7 +1125,7 @@
   }
 
   async function captureInteractiveStates(selector, options = {}) {
-    const el = typeof selector === 'string' ? document.querySelector(selector) : selector;
+    const el = window.__seUtils.resolveElement(selector);
     if (!el) return { ok: false, reason: 'Element not found' };
 
     const timeout = options.timeout || 5000;
@@ -1037,7 +1177,7 @@
 
     return {
       ok: true,
-      selector: cssPath(el),
+      selector: typeof selector === 'string' ? selector : scopedSelector(el, null),
       states,
       capturedAt: Date.now()
     };
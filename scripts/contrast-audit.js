@@ -0,0 +1,481 @@
+// Style Extractor: Contrast Audit
+// WCAG 2.x and APCA contrast checks over extracted color roles and rendered text
+//
+// This module:
+// 1. Builds a contrast matrix over the semantic color roles (stylekit-adapter normalizeColors)
+// 2. Samples real foreground/background pairs from rendered text nodes
+// 3. Computes WCAG 2.x ratios and APCA Lc values for every pair
+// 4. Reports failing pairs with the selectors that use them
+// 5. Suggests the nearest palette color (CIEDE2000) that passes
+//
+// Usage in evaluate_script:
+//   window.__seContrast.audit({ colors, level: 'AA' })
+//   window.__seContrast.samplePairs({ maxNodes: 2000 })
+//   window.__seContrast.evaluatePair('#777', '#fff', { fontSize: 16, fontWeight: 400 })
+//   window.__seContrast.wcagRatio('#777', '#fff')
+//   window.__seContrast.apcaContrast('#777', '#fff')
+
+(() => {
+  if (window.__seContrast?.installed) return;
+
+  // Debug mode
+  const debug = (...args) => {
+    if (window.__seDebug) console.log('[style-extractor:contrast]', ...args);
+  };
+
+  const utils = window.__seUtils || {};
+
+  // Roles rendered as text (or icons) on top of a surface role
+  const FOREGROUND_ROLES = ['text', 'textMuted', 'primary', 'secondary', 'accent', 'error', 'success', 'warning'];
+  const SURFACE_ROLES = ['background', 'surface'];
+
+  const WCAG_THRESHOLDS = {
+    AA: { normal: 4.5, large: 3 },
+    AAA: { normal: 7, large: 4.5 }
+  };
+
+  const WHITE = { r: 255, g: 255, b: 255, a: 1 };
+
+  // ============================================
+  // Color Math
+  // ============================================
+
+  function toColor(value) {
+    if (!value) return null;
+    if (typeof value === 'object') {
+      if (typeof value.r === 'number') return value;
+      if (typeof value.value === 'string') return toColor(value.value);
+      return null;
+    }
+    return utils.parseColor ? utils.parseColor(value) : null;
+  }
+
+  // Source-over compositing of a translucent color onto an opaque backdrop
+  function composite(top, bottom) {
+    const a = top.a ?? 1;
+    if (a >= 1) return { r: top.r, g: top.g, b: top.b, a: 1 };
+    return {
+      r: Math.round(top.r * a + bottom.r * (1 - a)),
+      g: Math.round(top.g * a + bottom.g * (1 - a)),
+      b: Math.round(top.b * a + bottom.b * (1 - a)),
+      a: 1
+    };
+  }
+
+  function hexOf(color) {
+    return utils.formatHex ? utils.formatHex(color) : `rgb(${color.r}, ${color.g}, ${color.b})`;
+  }
+
+  /**
+   * WCAG 2.x relative luminance
+   */
+  function relativeLuminance({ r, g, b }) {
+    const lin = c => {
+      c /= 255;
+      return c <= 0.04045 ? c / 12.92 : ((c + 0.055) / 1.055) ** 2.4;
+    };
+    return 0.2126 * lin(r) + 0.7152 * lin(g) + 0.0722 * lin(b);
+  }
+
+  /**
+   * WCAG 2.x contrast ratio (1-21). Translucent colors are flattened first.
+   */
+  function wcagRatio(fg, bg) {
+    const b = composite(toColor(bg) || WHITE, WHITE);
+    const f = composite(toColor(fg) || WHITE, b);
+    const l1 = relativeLuminance(f);
+    const l2 = relativeLuminance(b);
+    const ratio = (Math.max(l1, l2) + 0.05) / (Math.min(l1, l2) + 0.05);
+    return Math.round(ratio * 100) / 100;
+  }
+
+  // APCA-W3 0.0.98G-4g constants
+  const APCA = {
+    mainTRC: 2.4,
+    normBG: 0.56, normTXT: 0.57, revTXT: 0.62, revBG: 0.65,
+    blkThrs: 0.022, blkClmp: 1.414,
+    scaleBoW: 1.14, scaleWoB: 1.14,
+    loBoWoffset: 0.027, loWoBoffset: 0.027,
+    deltaYmin: 0.0005, loClip: 0.1
+  };
+
+  function apcaY({ r, g, b }) {
+    const ch = c => (c / 255) ** APCA.mainTRC;
+    return 0.2126729 * ch(r) + 0.7151522 * ch(g) + 0.0721750 * ch(b);
+  }
+
+  /**
+   * APCA lightness contrast (Lc). Positive = dark text on light, negative = light text on dark.
+   */
+  function apcaContrast(fg, bg) {
+    const b = composite(toColor(bg) || WHITE, WHITE);
+    const f = composite(toColor(fg) || WHITE, b);
+    const clamp = y => (y > APCA.blkThrs ? y : y + (APCA.blkThrs - y) ** APCA.blkClmp);
+    const txtY = clamp(apcaY(f));
+    const bgY = clamp(apcaY(b));
+    if (Math.abs(bgY - txtY) < APCA.deltaYmin) return 0;
+
+    let lc;
+    if (bgY > txtY) {
+      const sapc = (bgY ** APCA.normBG - txtY ** APCA.normTXT) * APCA.scaleBoW;
+      lc = sapc < APCA.loClip ? 0 : sapc - APCA.loBoWoffset;
+    } else {
+      const sapc = (bgY ** APCA.revBG - txtY ** APCA.revTXT) * APCA.scaleWoB;
+      lc = sapc > -APCA.loClip ? 0 : sapc + APCA.loWoBoffset;
+    }
+    return Math.round(lc * 1000) / 10;
+  }
+
+  // ============================================
+  // Thresholds
+  // ============================================
+
+  function isBold(fontWeight) {
+    return (parseInt(fontWeight, 10) || 400) >= 700;
+  }
+
+  /**
+   * WCAG "large text": 24px+, or 18.66px+ (14pt) bold
+   */
+  function isLargeText(fontSize, fontWeight) {
+    const px = parseFloat(fontSize) || 16;
+    return px >= 24 || (px >= 18.66 && isBold(fontWeight));
+  }
+
+  /**
+   * APCA minimum Lc (bronze simple mode): 75 body text, 60 content text, 45 headlines
+   */
+  function apcaThreshold(fontSize, fontWeight) {
+    const px = parseFloat(fontSize) || 16;
+    const bold = isBold(fontWeight);
+    if (px >= 36 || (px >= 24 && bold)) return 45;
+    if (px >= 24 || (px >= 16 && bold)) return 60;
+    return 75;
+  }
+
+  /**
+   * Evaluate a foreground/background pair against WCAG and APCA.
+   * @param {string|Object} fg - CSS color or { r, g, b, a }
+   * @param {string|Object} bg - CSS color or { r, g, b, a }
+   * @param {Object} [options] - { fontSize, fontWeight, level: 'AA'|'AAA' }
+   */
+  function evaluatePair(fg, bg, options = {}) {
+    const { fontSize = 16, fontWeight = 400, level = 'AA' } = options;
+    const fgColor = toColor(fg);
+    const bgColor = toColor(bg);
+    if (!fgColor || !bgColor) return null;
+
+    const large = isLargeText(fontSize, fontWeight);
+    const ratio = wcagRatio(fgColor, bgColor);
+    const lc = apcaContrast(fgColor, bgColor);
+    const thresholds = WCAG_THRESHOLDS[level] || WCAG_THRESHOLDS.AA;
+    const wcagMin = large ? thresholds.large : thresholds.normal;
+    const apcaMin = apcaThreshold(fontSize, fontWeight);
+
+    return {
+      fg: hexOf(fgColor),
+      bg: hexOf(bgColor),
+      large,
+      wcag: {
+        ratio,
+        required: wcagMin,
+        AA: ratio >= (large ? WCAG_THRESHOLDS.AA.large : WCAG_THRESHOLDS.AA.normal),
+        AAA: ratio >= (large ? WCAG_THRESHOLDS.AAA.large : WCAG_THRESHOLDS.AAA.normal),
+        pass: ratio >= wcagMin
+      },
+      apca: {
+        lc,
+        required: apcaMin,
+        pass: Math.abs(lc) >= apcaMin
+      }
+    };
+  }
+
+  // ============================================
+  // Rendered Text Sampling
+  // ============================================
+
+  /**
+   * Effective background behind an element: translucent layers are composited up
+   * the ancestor chain until an opaque one (or the white canvas) is reached.
+   */
+  function resolveBackground(el) {
+    const layers = [];
+    let hasImage = false;
+    let cur = el;
+
+    while (cur && cur.nodeType === 1) {
+      const cs = getComputedStyle(cur);
+      if (cs.backgroundImage && cs.backgroundImage !== 'none') hasImage = true;
+      const color = toColor(cs.backgroundColor);
+      if (color && color.a > 0) {
+        layers.push(color);
+        if (color.a >= 1) break;
+      }
+      cur = cur.parentElement;
+    }
+
+    let bg = WHITE;
+    for (let i = layers.length - 1; i >= 0; i--) bg = composite(layers[i], bg);
+    return { color: bg, hasImage };
+  }
+
+  function selectorOf(el) {
+    if (utils.getCachedSelector) return utils.getCachedSelector(el);
+    return el.tagName.toLowerCase() + (el.id ? `#${el.id}` : '');
+  }
+
+  /**
+   * Sample foreground/background pairs from visible text nodes, grouped by color pair and text size class.
+   * @param {Object} [options] - { root, maxNodes, maxSelectors }
+   */
+  function samplePairs(options = {}) {
+    const { root = document.body, maxNodes = 2000, maxSelectors = 5 } = options;
+    const pairs = new Map();
+    const seen = new Set();
+    if (!root) return [];
+
+    const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT, {
+      acceptNode: node => (node.textContent.trim() ? NodeFilter.FILTER_ACCEPT : NodeFilter.FILTER_REJECT)
+    });
+
+    let visited = 0;
+    while (walker.nextNode() && visited < maxNodes) {
+      const el = walker.currentNode.parentElement;
+      if (!el || seen.has(el)) continue;
+      seen.add(el);
+      if (['SCRIPT', 'STYLE', 'NOSCRIPT', 'TEMPLATE'].includes(el.tagName)) continue;
+      if (utils.isVisible && !utils.isVisible(el)) continue;
+      visited++;
+
+      try {
+        const cs = getComputedStyle(el);
+        const fg = toColor(cs.color);
+        if (!fg || fg.a === 0) continue;
+
+        const background = resolveBackground(el);
+        const flatFg = composite(fg, background.color);
+        const fontSize = parseFloat(cs.fontSize) || 16;
+        const fontWeight = parseInt(cs.fontWeight, 10) || 400;
+        const large = isLargeText(fontSize, fontWeight);
+        const apcaMin = apcaThreshold(fontSize, fontWeight);
+        const key = `${hexOf(flatFg)}|${hexOf(background.color)}|${large ? 'large' : 'normal'}|${apcaMin}`;
+
+        let pair = pairs.get(key);
+        if (!pair) {
+          pair = {
+            fg: flatFg,
+            bg: background.color,
+            fontSize,
+            fontWeight,
+            count: 0,
+            selectors: [],
+            overImage: false
+          };
+          pairs.set(key, pair);
+        }
+        pair.count++;
+        pair.fontSize = Math.min(pair.fontSize, fontSize);
+        pair.overImage = pair.overImage || background.hasImage;
+        if (pair.selectors.length < maxSelectors) {
+          const selector = selectorOf(el);
+          if (selector && !pair.selectors.includes(selector)) pair.selectors.push(selector);
+        }
+      } catch (e) {
+        debug('Sampling failed for element:', e.message);
+      }
+    }
+
+    return Array.from(pairs.values()).sort((a, b) => b.count - a.count);
+  }
+
+  // ============================================
+  // Suggestions
+  // ============================================
+
+  function collectCandidates(colors) {
+    const candidates = new Map();
+    const add = (name, value) => {
+      const color = toColor(value);
+      if (!color || color.a < 1) return;
+      const hex = hexOf(color);
+      if (!candidates.has(hex)) candidates.set(hex, { name, color, hex });
+    };
+
+    for (const [role, value] of Object.entries(colors?.semantic || {})) add(role, value);
+    for (const [key, info] of Object.entries(colors?.palette || {})) add(key, info?.value ?? info);
+    for (const [name, scale] of Object.entries(colors?.scales || {})) {
+      for (const [step, info] of Object.entries(scale)) add(`${name}-${step}`, info?.value);
+    }
+    return Array.from(candidates.values());
+  }
+
+  /**
+   * Nearest palette color (CIEDE2000 from the failing foreground) that passes on the same background.
+   * Colors passing both WCAG and APCA win over colors passing WCAG only.
+   */
+  function suggestReplacement(result, candidates, options) {
+    const fg = toColor(result.fg);
+    if (!fg || !utils.rgbToLab || !utils.deltaE2000) return null;
+    const fgLab = utils.rgbToLab(fg);
+
+    let best = null;
+    for (const candidate of candidates) {
+      if (candidate.hex === result.fg) continue;
+      const check = evaluatePair(candidate.color, result.bg, options);
+      if (!check?.wcag.pass) continue;
+      const deltaE = utils.deltaE2000(fgLab, utils.rgbToLab(candidate.color));
+      const rank = (check.apca.pass ? 0 : 1000) + deltaE;
+      if (!best || rank < best.rank) {
+        best = {
+          rank,
+          value: candidate.hex,
+          name: candidate.name,
+          ratio: check.wcag.ratio,
+          lc: check.apca.lc,
+          apcaPass: check.apca.pass,
+          deltaE: Math.round(deltaE * 10) / 10
+        };
+      }
+    }
+
+    if (best) delete best.rank;
+    return best;
+  }
+
+  // ============================================
+  // Audit
+  // ============================================
+
+  function resolveColors(colors) {
+    if (colors) return colors;
+    try {
+      const normalized = window.__seStyleKit?.normalize?.();
+      return normalized?.tokens?.colors || null;
+    } catch (e) {
+      debug('StyleKit colors unavailable:', e.message);
+      return null;
+    }
+  }
+
+  /**
+   * Full contrast audit.
+   * @param {Object} [options]
+   * @param {Object} [options.colors] - normalizeColors() output ({ semantic, palette }); default: __seStyleKit.normalize()
+   * @param {string} [options.level] - 'AA' (default) or 'AAA'
+   * @param {boolean} [options.sample] - Sample rendered text pairs (default true)
+   * @param {number} [options.maxNodes] - Max text elements to sample (default 2000)
+   */
+  function audit(options = {}) {
+    const { level = 'AA', sample = true, maxNodes = 2000 } = options;
+    const colors = resolveColors(options.colors);
+    const semantic = colors?.semantic || {};
+    const candidates = collectCandidates(colors);
+
+    // Role matrix: every ordered pair of distinct roles
+    const roles = Object.keys(semantic).filter(role => toColor(semantic[role]));
+    const matrix = {};
+    for (const fgRole of roles) {
+      matrix[fgRole] = {};
+      for (const bgRole of roles) {
+        if (fgRole === bgRole) continue;
+        matrix[fgRole][bgRole] = {
+          ratio: wcagRatio(semantic[fgRole], semantic[bgRole]),
+          lc: apcaContrast(semantic[fgRole], semantic[bgRole])
+        };
+      }
+    }
+
+    const sampled = sample ? samplePairs({ maxNodes }) : [];
+    const usedBy = (fgHex, bgHex) => {
+      const selectors = [];
+      for (const pair of sampled) {
+        if (hexOf(pair.fg) !== fgHex || hexOf(pair.bg) !== bgHex) continue;
+        for (const s of pair.selectors) if (!selectors.includes(s)) selectors.push(s);
+      }
+      return selectors;
+    };
+
+    // Role pairs are checked as body text
+    const checks = [];
+    for (const fgRole of FOREGROUND_ROLES.filter(r => roles.includes(r))) {
+      for (const bgRole of SURFACE_ROLES.filter(r => roles.includes(r))) {
+        const result = evaluatePair(semantic[fgRole], semantic[bgRole], { level });
+        if (!result || result.fg === result.bg) continue;
+        checks.push({ source: 'roles', fgRole, bgRole, ...result, selectors: usedBy(result.fg, result.bg) });
+      }
+    }
+
+    for (const pair of sampled) {
+      const result = evaluatePair(pair.fg, pair.bg, { fontSize: pair.fontSize, fontWeight: pair.fontWeight, level });
+      if (!result) continue;
+      checks.push({
+        source: 'rendered',
+        ...result,
+        fontSize: pair.fontSize,
+        fontWeight: pair.fontWeight,
+        count: pair.count,
+        overImage: pair.overImage,
+        selectors: pair.selectors
+      });
+    }
+
+    const failures = [];
+    for (const check of checks) {
+      const failed = [];
+      if (!check.wcag.pass) failed.push(`wcag-${level.toLowerCase()}`);
+      if (!check.apca.pass) failed.push('apca');
+      if (!failed.length) continue;
+      const suggestion = suggestReplacement(check, candidates, {
+        fontSize: check.fontSize,
+        fontWeight: check.fontWeight,
+        level
+      });
+      failures.push({ ...check, failed, suggestion });
+    }
+
+    // Worst WCAG offenders first
+    failures.sort((a, b) => a.wcag.ratio - b.wcag.ratio);
+
+    return {
+      level,
+      roles: Object.fromEntries(roles.map(role => [role, hexOf(toColor(semantic[role]))])),
+      matrix,
+      checks,
+      failures,
+      summary: {
+        roles: roles.length,
+        rolePairs: checks.filter(c => c.source === 'roles').length,
+        renderedPairs: checks.filter(c => c.source === 'rendered').length,
+        failing: failures.length,
+        wcagFailures: failures.filter(f => !f.wcag.pass).length,
+        apcaFailures: failures.filter(f => !f.apca.pass).length,
+        withSuggestion: failures.filter(f => f.suggestion).length,
+        overImage: failures.filter(f => f.overImage).length,
+        minRatio: checks.length ? Math.min(...checks.map(c => c.wcag.ratio)) : null
+      }
+    };
+  }
+
+  // ============================================
+  // Export
+  // ============================================
+
+  window.__seContrast = {
+    installed: true,
+
+    // Audit
+    audit,
+    samplePairs,
+    evaluatePair,
+
+    // Metrics
+    wcagRatio,
+    apcaContrast,
+    relativeLuminance,
+
+    // Thresholds
+    isLargeText,
+    apcaThreshold
+  };
+})();
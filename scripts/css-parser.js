@@ -6,14 +6,22 @@
 // 2. Extracts CSS custom properties (variables)
 // 3. Extracts @keyframes animations
 // 4. Extracts media queries and breakpoints
-// 5. Extracts font-face declarations
+// 5. Extracts container queries, cascade layers and @supports conditions
+// 6. Extracts font-face declarations
+// 7. Merges cross-origin sheets recovered in Node (tools/css-recover.cjs)
+// 8. Reads shadow-root styles (incl. adoptedStyleSheets), :host and ::part() rules
 //
 // Usage in evaluate_script:
 //   window.__seCSS.getStylesheetUrls()
+//   window.__seCSS.getInaccessibleStylesheets()
+//   window.__seCSS.registerExternalCss(sheets)   // from tools/css-recover.cjs
 //   window.__seCSS.parseInlineStyles()
 //   window.__seCSS.extractVariables()
 //   window.__seCSS.extractKeyframes()
 //   window.__seCSS.extractMediaQueries()
+//   window.__seCSS.extractContainerQueries()
+//   window.__seCSS.extractLayers()
+//   window.__seCSS.extractShadowStyles()
 //   window.__seCSS.analyze()
 
 (() => {
@@ -30,6 +38,9 @@
   // Cache for reverse variable map (reset when extractVariables is called)
   let _reverseMapCache = null;
 
+  // Stylesheets recovered outside the page (see registerExternalCss)
+  let _externalSheets = [];
+
   // ============================================
   // Stylesheet Discovery
   // ============================================
@@ -86,6 +97,57 @@
     return urls;
   }
 
+  /**
+   * List stylesheets whose rules cannot be read (cross-origin without CORS).
+   * The runner fetches and parses these in Node, then hands them back via registerExternalCss().
+   */
+  function getInaccessibleStylesheets() {
+    const sheets = [];
+    for (const sheet of document.styleSheets) {
+      if (!sheet.href) continue;
+      try {
+        void sheet.cssRules;
+      } catch (e) {
+        if (!sheets.some(s => s.url === sheet.href)) {
+          sheets.push({ url: sheet.href, media: sheet.media?.mediaText || 'all' });
+        }
+      }
+    }
+    return sheets;
+  }
+
+  /**
+   * Register stylesheets parsed outside the page (tools/css-recover.cjs).
+   * Each entry: { url, status, variables: { root, html, body, other }, keyframes, fontFaces, mediaQueries }.
+   * Their items are merged into the extract*() results, marked with the sheet URL.
+   */
+  function registerExternalCss(sheets) {
+    _externalSheets = (Array.isArray(sheets) ? sheets : []).filter(s => s && s.url);
+    _reverseMapCache = null;
+    return { count: _externalSheets.length };
+  }
+
+  /**
+   * Summary of registered external stylesheets
+   */
+  function getExternalCss() {
+    const sheets = _externalSheets.map(s => ({
+      url: s.url,
+      status: s.status || null,
+      importedBy: s.importedBy || null,
+      error: s.error || null,
+      variableCount: ['root', 'html', 'body'].reduce((n, k) => n + Object.keys(s.variables?.[k] || {}).length, 0),
+      keyframeCount: s.keyframes?.length || 0,
+      fontFaceCount: s.fontFaces?.length || 0,
+      mediaQueryCount: s.mediaQueries?.length || 0
+    }));
+    return {
+      sheets,
+      count: sheets.length,
+      recoveredCount: sheets.filter(s => s.status && s.status !== 'failed').length
+    };
+  }
+
   /**
    * Get inline styles from <style> elements
    */
@@ -161,6 +223,36 @@
       }
     }
 
+    // Merge variables from recovered cross-origin sheets. Rules the page could read win.
+    // Sources mirror the buckets: sources.root[prop], sources.other[selector][prop]
+    const sources = {};
+    const record = (bucket, prop, url, selector = null) => {
+      if (!sources[bucket]) sources[bucket] = {};
+      let target = sources[bucket];
+      if (selector) {
+        if (!target[selector]) target[selector] = {};
+        target = target[selector];
+      }
+      target[prop] = url;
+    };
+    for (const sheet of _externalSheets) {
+      for (const bucket of ['root', 'html', 'body']) {
+        for (const [prop, value] of Object.entries(sheet.variables?.[bucket] || {})) {
+          if (prop in variables[bucket]) continue;
+          variables[bucket][prop] = value;
+          record(bucket, prop, sheet.url);
+        }
+      }
+      for (const [selector, vars] of Object.entries(sheet.variables?.other || {})) {
+        if (!variables.other[selector]) variables.other[selector] = {};
+        for (const [prop, value] of Object.entries(vars)) {
+          if (prop in variables.other[selector]) continue;
+          variables.other[selector][prop] = value;
+          record('other', prop, sheet.url, selector);
+        }
+      }
+    }
+
     // Get computed values for all root variables
     for (const prop of Object.keys(variables.root)) {
       variables.computed[prop] = rootStyles.getPropertyValue(prop).trim();
@@ -169,7 +261,7 @@
     // Categorize variables by type
     const categorized = categorizeVariables(variables);
 
-    return {
+    const result = {
       variables,
       categorized,
       count: {
@@ -182,6 +274,9 @@
                Object.keys(variables.body).length
       }
     };
+    // Source URL per variable that came from a recovered sheet
+    if (Object.keys(sources).length > 0) result.sources = sources;
+    return result;
   }
 
   /**
@@ -475,7 +570,8 @@
             keyframes[name] = {
               name,
               frames,
-              cssText: rule.cssText
+              cssText: rule.cssText,
+              source: sheet.href || 'inline'
             };
           }
         }
@@ -484,6 +580,12 @@
       }
     }
 
+    for (const sheet of _externalSheets) {
+      for (const kf of sheet.keyframes || []) {
+        if (kf?.name && !keyframes[kf.name]) keyframes[kf.name] = { ...kf, source: kf.source || sheet.url };
+      }
+    }
+
     return {
       keyframes,
       count: Object.keys(keyframes).length,
@@ -492,60 +594,190 @@
   }
 
   // ============================================
-  // Media Query Extraction
+  // Nested Rule Walking
   // ============================================
 
   /**
-   * Extract all media queries from stylesheets
+   * Classify a CSS rule. jsdom and older engines lack constants for
+   * @container / @layer, so fall back to the cssText prefix.
    */
-  function extractMediaQueries() {
-    const mediaQueries = [];
-    const breakpoints = new Map();
+  function ruleKind(rule) {
+    if (!rule) return null;
+    switch (rule.type) {
+      case 1: return 'style';
+      case 4: return 'media';
+      case 7: return 'keyframes';
+      case 12: return 'supports';
+      default: break;
+    }
+    const ctor = rule.constructor?.name || '';
+    if (ctor === 'CSSContainerRule') return 'container';
+    if (ctor === 'CSSLayerBlockRule') return 'layer';
+    if (ctor === 'CSSLayerStatementRule') return 'layer-statement';
+    const text = String(rule.cssText || '').trimStart();
+    if (text.startsWith('@container')) return 'container';
+    if (text.startsWith('@layer')) return rule.cssRules ? 'layer' : 'layer-statement';
+    return null;
+  }
 
-    for (const sheet of document.styleSheets) {
+  /**
+   * Name of a @layer block rule; anonymous layers have an empty name.
+   */
+  function layerBlockName(rule) {
+    if (typeof rule.name === 'string') return rule.name;
+    const m = String(rule.cssText || '').match(/^@layer\s+([^{\s]*)\s*\{/);
+    return m ? m[1] : '';
+  }
+
+  /**
+   * Names declared by a `@layer a, b;` statement.
+   */
+  function layerStatementNames(rule) {
+    if (rule.nameList) return Array.from(rule.nameList);
+    const m = String(rule.cssText || '').match(/^@layer\s+([^;{]+);?/);
+    return m ? m[1].split(',').map(s => s.trim()).filter(Boolean) : [];
+  }
+
+  /**
+   * Split a @container prelude into name and condition.
+   * conditionText may or may not include the name depending on the engine.
+   */
+  function parseContainerPrelude(rule) {
+    let text = rule.conditionText;
+    if (!text) {
+      const m = String(rule.cssText || '').match(/^@container\s+([^{]+)\{/);
+      text = m ? m[1] : '';
+    }
+    text = String(text).trim();
+    let name = rule.containerName || '';
+    if (!name) {
+      const m = text.match(/^(?!not\b|style\b|scroll-state\b)([a-zA-Z_-][\w-]*)\s+(.+)$/);
+      if (m) {
+        name = m[1];
+        text = m[2].trim();
+      }
+    } else if (text.startsWith(name + ' ')) {
+      text = text.slice(name.length).trim();
+    }
+    return { name: name || null, condition: text };
+  }
+
+  /**
+   * Visit every rule in the given sheets, descending into @media, @supports,
+   * @container and @layer groups. The visitor receives the rule, its kind,
+   * the owning sheet and the enclosing context
+   * ({ layer, media[], supports[], container[] }).
+   */
+  function walkRules(visit, sheets = document.styleSheets) {
+    const walkList = (rules, sheet, ctx) => {
+      for (const rule of rules || []) {
+        const kind = ruleKind(rule);
+        visit(rule, kind, sheet, ctx);
+        if (kind === 'media') {
+          const media = rule.conditionText || rule.media?.mediaText || '';
+          walkList(rule.cssRules, sheet, { ...ctx, media: [...ctx.media, media] });
+        } else if (kind === 'supports') {
+          walkList(rule.cssRules, sheet, { ...ctx, supports: [...ctx.supports, rule.conditionText || ''] });
+        } else if (kind === 'container') {
+          walkList(rule.cssRules, sheet, { ...ctx, container: [...ctx.container, parseContainerPrelude(rule)] });
+        } else if (kind === 'layer') {
+          const name = layerBlockName(rule) || '(anonymous)';
+          const layer = ctx.layer ? `${ctx.layer}.${name}` : name;
+          walkList(rule.cssRules, sheet, { ...ctx, layer });
+        }
+      }
+    };
+
+    for (const sheet of sheets || []) {
       try {
-        for (const rule of sheet.cssRules || []) {
-          if (rule.type === CSSRule.MEDIA_RULE) {
-            const media = rule.conditionText || rule.media?.mediaText;
-            if (!media) continue;
+        walkList(sheet.cssRules, sheet, { layer: null, media: [], supports: [], container: [] });
+      } catch (e) {
+        debugWarn('Cannot access stylesheet rules:', sheet.href);
+      }
+    }
+  }
 
-            const ruleCount = rule.cssRules?.length || 0;
+  /**
+   * Pull width breakpoints out of a media or container condition.
+   * Handles min-/max-width, min-/max-inline-size and range syntax.
+   */
+  function parseWidthConditions(text) {
+    const out = [];
+    const toPx = (value, unit) => (unit === 'px' ? value : value * 16);
+    const push = (type, num, unit) => {
+      const value = parseFloat(num);
+      out.push({ type, value: `${num}${unit}`, px: Math.round(toPx(value, unit)) });
+    };
+    const s = String(text || '');
+    const num = '(\\d+(?:\\.\\d+)?)(px|em|rem)';
 
-            mediaQueries.push({
-              query: media,
-              ruleCount,
-              source: sheet.href || 'inline'
-            });
+    for (const m of s.matchAll(new RegExp(`(min|max)-(?:width|inline-size):\\s*${num}`, 'g'))) {
+      push(`${m[1]}-width`, m[2], m[3]);
+    }
+    // Range syntax: (width >= 600px), (400px < width), (400px <= width < 800px)
+    for (const m of s.matchAll(new RegExp(`(?:width|inline-size)\\s*(>=|<=|>|<)\\s*${num}`, 'g'))) {
+      push(m[1].startsWith('>') ? 'min-width' : 'max-width', m[2], m[3]);
+    }
+    for (const m of s.matchAll(new RegExp(`${num}\\s*(>=|<=|>|<)\\s*(?:width|inline-size)`, 'g'))) {
+      push(m[3].startsWith('<') ? 'min-width' : 'max-width', m[1], m[2]);
+    }
+    return out;
+  }
 
-            // Extract breakpoint values
-            const minMatch = media.match(/min-width:\s*(\d+(?:\.\d+)?)(px|em|rem)/);
-            const maxMatch = media.match(/max-width:\s*(\d+(?:\.\d+)?)(px|em|rem)/);
-
-            if (minMatch) {
-              const value = parseFloat(minMatch[1]);
-              const unit = minMatch[2];
-              const px = unit === 'px' ? value : value * 16;
-              breakpoints.set(`min-${px}`, {
-                type: 'min-width',
-                value: `${minMatch[1]}${unit}`,
-                px: Math.round(px)
-              });
-            }
+  /**
+   * Attach cascade context (layer / supports / container) to an entry,
+   * only for the fields that are actually set.
+   */
+  function withContext(entry, ctx, skip) {
+    if (ctx.layer) entry.layer = ctx.layer;
+    if (ctx.supports.length) entry.supports = ctx.supports.slice();
+    if (skip !== 'media' && ctx.media.length) entry.media = ctx.media.slice();
+    if (skip !== 'container' && ctx.container.length) {
+      entry.container = ctx.container.map(c => (c.name ? `${c.name} ${c.condition}` : c.condition));
+    }
+    return entry;
+  }
 
-            if (maxMatch) {
-              const value = parseFloat(maxMatch[1]);
-              const unit = maxMatch[2];
-              const px = unit === 'px' ? value : value * 16;
-              breakpoints.set(`max-${px}`, {
-                type: 'max-width',
-                value: `${maxMatch[1]}${unit}`,
-                px: Math.round(px)
-              });
-            }
-          }
+  // ============================================
+  // Media Query Extraction
+  // ============================================
+
+  /**
+   * Extract all media queries from stylesheets, including ones nested
+   * inside @layer, @supports and @container blocks
+   */
+  function extractMediaQueries(sheets) {
+    const mediaQueries = [];
+    const breakpoints = new Map();
+
+    const addBreakpoints = (media) => {
+      for (const bp of parseWidthConditions(media)) {
+        const key = `${bp.type === 'min-width' ? 'min' : 'max'}-${bp.px}`;
+        if (!breakpoints.has(key)) breakpoints.set(key, bp);
+      }
+    };
+
+    walkRules((rule, kind, sheet, ctx) => {
+      if (kind !== 'media') return;
+      const media = rule.conditionText || rule.media?.mediaText;
+      if (!media) return;
+
+      mediaQueries.push(withContext({
+        query: media,
+        ruleCount: rule.cssRules?.length || 0,
+        source: sheet.href || 'inline'
+      }, ctx, 'media'));
+      addBreakpoints(media);
+    }, sheets);
+
+    // Recovered cross-origin sheets only apply to the live document
+    if (!sheets) {
+      for (const sheet of _externalSheets) {
+        for (const mq of sheet.mediaQueries || []) {
+          if (!mq?.query) continue;
+          mediaQueries.push({ ...mq, source: mq.source || sheet.url });
+          addBreakpoints(mq.query);
         }
-      } catch (e) {
-        debugWarn('Cannot access stylesheet for media queries:', sheet.href);
       }
     }
 
@@ -561,6 +793,307 @@
     };
   }
 
+  // ============================================
+  // Container Query Extraction
+  // ============================================
+
+  /**
+   * Read container-type / container-name from a style rule,
+   * expanding the `container: name / type` shorthand.
+   */
+  function readContainerDecl(style) {
+    if (!style?.getPropertyValue) return null;
+    let type = style.getPropertyValue('container-type').trim();
+    let name = style.getPropertyValue('container-name').trim();
+    const shorthand = style.getPropertyValue('container').trim();
+    if (shorthand) {
+      const [n, t] = shorthand.split('/').map(s => s.trim());
+      if (!name && n && n !== 'none') name = n;
+      if (!type && t) type = t;
+    }
+    if (type === 'normal') type = '';
+    if (name === 'none') name = '';
+    if (!type && !name) return null;
+    return { type: type || 'normal', names: name ? name.split(/\s+/) : [] };
+  }
+
+  /**
+   * Extract @container rules, the elements that establish containers,
+   * and container breakpoints
+   */
+  function extractContainerQueries(sheets) {
+    const containerQueries = [];
+    const containers = [];
+    const breakpoints = new Map();
+    const cssPath = window.__seUtils?.cssPath;
+
+    walkRules((rule, kind, sheet, ctx) => {
+      if (kind === 'container') {
+        const { name, condition } = parseContainerPrelude(rule);
+        const selectors = [];
+        for (const child of rule.cssRules || []) {
+          if (child.selectorText && selectors.length < 10) selectors.push(child.selectorText);
+        }
+        containerQueries.push(withContext({
+          name,
+          condition,
+          ruleCount: rule.cssRules?.length || 0,
+          selectors,
+          source: sheet.href || 'inline'
+        }, ctx, 'container'));
+
+        for (const bp of parseWidthConditions(condition)) {
+          const key = `${name || '*'}|${bp.type}|${bp.px}`;
+          if (!breakpoints.has(key)) breakpoints.set(key, { container: name, ...bp });
+        }
+        return;
+      }
+
+      if (kind !== 'style') return;
+      const decl = readContainerDecl(rule.style);
+      if (!decl) return;
+
+      let elements = [];
+      try {
+        elements = Array.from(document.querySelectorAll(rule.selectorText));
+      } catch {
+        // Selector not supported by querySelectorAll (e.g. pseudo-elements)
+      }
+      containers.push(withContext({
+        selector: rule.selectorText,
+        type: decl.type,
+        names: decl.names,
+        elementCount: elements.length,
+        samples: cssPath ? elements.slice(0, 3).map(el => cssPath(el)) : [],
+        source: sheet.href || 'inline'
+      }, ctx));
+    }, sheets);
+
+    const sortedBreakpoints = Array.from(breakpoints.values())
+      .sort((a, b) => a.px - b.px);
+
+    return {
+      containerQueries,
+      containers,
+      breakpoints: sortedBreakpoints,
+      count: containerQueries.length,
+      containerCount: containers.length,
+      breakpointCount: sortedBreakpoints.length
+    };
+  }
+
+  // ============================================
+  // Cascade Layers & Feature Queries
+  // ============================================
+
+  /**
+   * Extract @layer order. Order follows first declaration across sheets,
+   * which is how the cascade ranks layers (later = higher priority).
+   */
+  function extractLayers(sheets) {
+    const order = [];
+    const layers = {};
+    let unlayeredRuleCount = 0;
+
+    const declare = (name) => {
+      if (!layers[name]) {
+        layers[name] = { ruleCount: 0, sources: [] };
+        order.push(name);
+      }
+      return layers[name];
+    };
+
+    walkRules((rule, kind, sheet, ctx) => {
+      const source = sheet.href || 'inline';
+      if (kind === 'layer-statement') {
+        for (const n of layerStatementNames(rule)) {
+          declare(ctx.layer ? `${ctx.layer}.${n}` : n);
+        }
+        return;
+      }
+      if (kind === 'layer') {
+        const name = layerBlockName(rule) || '(anonymous)';
+        const entry = declare(ctx.layer ? `${ctx.layer}.${name}` : name);
+        if (!entry.sources.includes(source)) entry.sources.push(source);
+        return;
+      }
+      if (kind !== 'style') return;
+      if (ctx.layer) declare(ctx.layer).ruleCount++;
+      else unlayeredRuleCount++;
+    }, sheets);
+
+    return {
+      order,
+      layers,
+      unlayeredRuleCount,
+      count: order.length
+    };
+  }
+
+  /**
+   * Extract @supports conditions with the rules they guard
+   */
+  function extractSupports(sheets) {
+    const supports = [];
+
+    walkRules((rule, kind, sheet, ctx) => {
+      if (kind !== 'supports') return;
+      const entry = {
+        condition: rule.conditionText || '',
+        ruleCount: rule.cssRules?.length || 0,
+        source: sheet.href || 'inline'
+      };
+      if (ctx.layer) entry.layer = ctx.layer;
+      if (ctx.media.length) entry.media = ctx.media.slice();
+      supports.push(entry);
+    }, sheets);
+
+    return {
+      supports,
+      conditions: [...new Set(supports.map(s => s.condition))],
+      count: supports.length
+    };
+  }
+
+  // ============================================
+  // Shadow DOM Styles
+  // ============================================
+
+  const VAR_REF_RE = /var\(\s*(--[\w-]+)\s*(?:,\s*([^()]*(?:\([^()]*\)[^()]*)*))?\)/g;
+
+  function ruleDeclarations(style) {
+    const declarations = {};
+    for (let i = 0; i < (style?.length || 0); i++) {
+      declarations[style[i]] = style.getPropertyValue(style[i]).trim();
+    }
+    return declarations;
+  }
+
+  /**
+   * Split `sl-button.primary::part(base):hover` into host selector, part names and trailing pseudo.
+   */
+  function parsePartSelector(selector) {
+    const m = String(selector).match(/^(.*?)::part\(([^)]*)\)(.*)$/);
+    if (!m) return null;
+    const host = m[1].trim();
+    return {
+      host,
+      tag: host.split(/[\s>+~]+/).pop().match(/^([a-z][\w]*-[\w-]*)/i)?.[1].toLowerCase() || null,
+      parts: m[2].trim().split(/\s+/).filter(Boolean),
+      pseudo: m[3].trim() || null
+    };
+  }
+
+  /**
+   * Styles of web components: per custom-element tag, the custom properties declared
+   * inside its shadow root, :host rules, exposed parts and the custom-property API
+   * (properties the shadow styles read that the page can set on the host).
+   * Also lists page rules that style components from outside via ::part().
+   *   api[name].source: 'host' (default set on :host), 'fallback' (var() fallback),
+   *   'inherited' (no default — expects a page-level token)
+   */
+  function extractShadowStyles(options = {}) {
+    const utils = window.__seUtils;
+    const roots = utils?.collectShadowRoots ? utils.collectShadowRoots({ maxShadowDepth: options.shadowDepth ?? 3 }) : [];
+    const components = {};
+
+    for (const { root, tag, mode, selector } of roots) {
+      let entry = components[tag];
+      if (entry) {
+        entry.instances++;
+        continue;
+      }
+      // Instances of one element share their styles; read the first one.
+      entry = components[tag] = {
+        tag,
+        instances: 1,
+        mode,
+        selector,
+        defined: !!window.customElements?.get?.(tag),
+        sheetCount: 0,
+        adoptedSheetCount: (root.adoptedStyleSheets || []).length,
+        variables: {},
+        hostRules: [],
+        parts: [],
+        api: {}
+      };
+
+      const sheets = utils.getShadowSheets(root);
+      entry.sheetCount = sheets.length;
+      const internal = new Set();
+      const refs = new Map();
+
+      walkRules((rule, kind, sheet, ctx) => {
+        if (kind !== 'style') return;
+        const ruleSelector = rule.selectorText || '';
+        const isHost = /^:host\b/.test(ruleSelector);
+        const declarations = ruleDeclarations(rule.style);
+
+        for (const [prop, value] of Object.entries(declarations)) {
+          if (prop.startsWith('--')) {
+            if (!entry.variables[ruleSelector]) entry.variables[ruleSelector] = {};
+            entry.variables[ruleSelector][prop] = value;
+            if (!isHost) internal.add(prop);
+            else if (ruleSelector === ':host' && !(prop in entry.api)) {
+              entry.api[prop] = { default: value, source: 'host' };
+            }
+          }
+          for (const m of value.matchAll(VAR_REF_RE)) {
+            if (!refs.has(m[1]) || (m[2] !== undefined && refs.get(m[1]) === undefined)) {
+              refs.set(m[1], m[2]?.trim());
+            }
+          }
+        }
+
+        if (isHost) {
+          const hostRule = { selector: ruleSelector, declarations };
+          if (ctx.media.length) hostRule.media = ctx.media.slice();
+          entry.hostRules.push(hostRule);
+        }
+      }, sheets);
+
+      for (const [name, fallback] of refs) {
+        if (name in entry.api || internal.has(name)) continue;
+        entry.api[name] = fallback !== undefined
+          ? { default: fallback, source: 'fallback' }
+          : { default: null, source: 'inherited' };
+      }
+
+      const parts = new Set();
+      for (const el of root.querySelectorAll?.('[part], [exportparts]') || []) {
+        for (const name of (el.getAttribute('part') || '').split(/\s+/)) if (name) parts.add(name);
+        for (const name of (el.getAttribute('exportparts') || '').split(',')) {
+          const exported = name.split(':').pop().trim();
+          if (exported) parts.add(exported);
+        }
+      }
+      entry.parts = [...parts];
+    }
+
+    // ::part() rules live in the page's stylesheets
+    const partRules = [];
+    walkRules((rule, kind, sheet, ctx) => {
+      if (kind !== 'style' || !rule.selectorText?.includes('::part(')) return;
+      for (const selector of rule.selectorText.split(',').map(s => s.trim())) {
+        const parsed = parsePartSelector(selector);
+        if (!parsed) continue;
+        partRules.push(withContext({
+          selector,
+          ...parsed,
+          declarations: ruleDeclarations(rule.style),
+          source: sheet.href || 'inline'
+        }, ctx));
+      }
+    });
+
+    return {
+      components,
+      partRules,
+      hostCount: roots.length,
+      count: Object.keys(components).length
+    };
+  }
+
   // ============================================
   // Font Face Extraction
   // ============================================
@@ -591,6 +1124,12 @@
       }
     }
 
+    for (const sheet of _externalSheets) {
+      for (const face of sheet.fontFaces || []) {
+        if (face?.family) fontFaces.push({ ...face, source: face.source || sheet.url });
+      }
+    }
+
     // Group by family
     const byFamily = {};
     for (const face of fontFaces) {
@@ -778,9 +1317,14 @@
     const variables = extractVariables();
     const keyframes = extractKeyframes();
     const mediaQueries = extractMediaQueries();
+    const containerQueries = extractContainerQueries();
+    const layers = extractLayers();
+    const supports = extractSupports();
     const fontFaces = extractFontFaces();
     const reverseMap = buildReverseMap();
     const fontSources = extractFontSources();
+    const external = getExternalCss();
+    const shadow = extractShadowStyles();
 
     return {
       meta: {
@@ -792,17 +1336,27 @@
       variables,
       keyframes,
       mediaQueries,
+      containerQueries,
+      layers,
+      supports,
       fontFaces,
       reverseMap,
       fontSources,
+      external,
+      shadow,
       summary: {
         stylesheetCount: stylesheets.length,
         inlineStyleCount: inlineStyles.length,
         variableCount: variables.count.total,
         keyframeCount: keyframes.count,
         mediaQueryCount: mediaQueries.count,
+        containerQueryCount: containerQueries.count,
+        layerCount: layers.count,
+        supportsCount: supports.count,
         fontFaceCount: fontFaces.count,
         reverseMapCount: reverseMap.count,
+        externalSheetCount: external.count,
+        shadowComponentCount: shadow.count,
         fontSourceCount: fontSources.summary.googleFontCount +
                          fontSources.summary.adobeFontCount +
                          fontSources.summary.customLinkCount
@@ -852,13 +1406,22 @@
     // Discovery
     getStylesheetUrls,
     getInlineStyles,
+    getInaccessibleStylesheets,
+
+    // Cross-origin recovery
+    registerExternalCss,
+    getExternalCss,
 
     // Extraction
     extractVariables,
     extractKeyframes,
     extractMediaQueries,
+    extractContainerQueries,
+    extractLayers,
+    extractSupports,
     extractFontFaces,
     extractFontSources,
+    extractShadowStyles,
 
     // Reverse mapping
     buildReverseMap,
@@ -873,6 +1436,8 @@
     generateKeyframesCSS,
 
     // Helpers
-    categorizeVariables
+    categorizeVariables,
+    walkRules,
+    parseWidthConditions
   };
 })();
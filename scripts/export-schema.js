@@ -8,6 +8,7 @@
 //   window.__seExport.toStyleCollectionFormat(data)
 //   window.__seExport.validateSchema(data)
 //   window.__seExport.export(options)
+//   window.__seExport.exportStyleDictionary(options)
 
 (() => {
   if (window.__seExport?.installed) return;
@@ -192,6 +193,11 @@
       tokens.colors = data.tokens.colors;
     }
 
+    // Primitive / semantic / component tiers
+    if (data.stylekit?.normalized?.tokens?.tiers) {
+      tokens.tiers = data.stylekit.normalized.tokens.tiers;
+    }
+
     // Typography
     if (data.stylekit?.normalized?.tokens?.typography) {
       tokens.typography = data.stylekit.normalized.tokens.typography;
@@ -206,6 +212,13 @@
       tokens.spacing = data.tokens.spacing;
     }
 
+    // Ordered scales: radius none → full, shadows by elevation, z-index layers, opacity
+    const stylekitTokens = data.stylekit?.normalized?.tokens || {};
+    for (const key of ['borders', 'shadows', 'zIndex', 'opacity']) {
+      const group = stylekitTokens[key] || data.tokens?.[key];
+      if (group && Object.keys(group).length) tokens[key] = group;
+    }
+
     // Motion
     if (data.stylekit?.normalized?.tokens?.motion) {
       tokens.motion = data.stylekit.normalized.tokens.motion;
@@ -571,6 +584,223 @@
     };
   }
 
+  // ============================================
+  // Style Dictionary Export
+  // ============================================
+
+  // Style Dictionary's size transforms (size/rem, size/remToDp, size/swift/remToCGFloat)
+  // expect unitless rem values, so px are converted against a 16px root.
+  const SD_BASE_FONT_SIZE = 16;
+
+  const SD_EASING_KEYWORDS = ['linear', 'ease', 'ease-in', 'ease-out', 'ease-in-out'];
+
+  function toSDKey(str) {
+    return slugify(String(str).replace(/([a-z])([A-Z])/g, '$1-$2'));
+  }
+
+  function toSDColor(value) {
+    if (!value || typeof value !== 'string') return null;
+    const str = value.trim();
+    if (/^#[0-9a-f]{3,8}$/i.test(str)) return str.toLowerCase();
+    const match = str.match(/^rgba?\(\s*(\d+)[,\s]+(\d+)[,\s]+(\d+)(?:\s*[,/]\s*([\d.]+%?))?\s*\)$/i);
+    if (!match) return /^(hsla?|oklch|oklab|lab|lch)\(/i.test(str) ? str : null;
+    const [, r, g, b, a] = match;
+    const hex = '#' + [r, g, b].map(x => Math.min(255, parseInt(x, 10)).toString(16).padStart(2, '0')).join('');
+    if (a === undefined) return hex;
+    const alpha = a.endsWith('%') ? parseFloat(a) / 100 : parseFloat(a);
+    return alpha < 1 ? hex + Math.round(alpha * 255).toString(16).padStart(2, '0') : hex;
+  }
+
+  function toSDRem(value) {
+    const match = String(value ?? '').trim().match(/^(-?[\d.]+)(px|rem|em)?$/);
+    if (!match) return null;
+    const n = parseFloat(match[1]);
+    if (isNaN(n)) return null;
+    const rem = match[2] === 'rem' || match[2] === 'em' ? n : n / SD_BASE_FONT_SIZE;
+    return Math.round(rem * 10000) / 10000;
+  }
+
+  function toSDMilliseconds(value) {
+    if (typeof value === 'number') return value;
+    const match = String(value ?? '').trim().match(/^([\d.]+)(ms|s)?$/);
+    if (!match) return null;
+    return match[2] === 's' ? parseFloat(match[1]) * 1000 : parseFloat(match[1]);
+  }
+
+  /**
+   * Convert normalized export tokens (schema.tokens) to a Style Dictionary source tree.
+   * Tokens follow the Category/Type/Item layout with SD `type`s, so the built-in
+   * css, scss, ios-swift and android transform groups pick the right transforms.
+   * CSS-only values (shadows, easings, z-index) are marked `private` and dropped from the
+   * native platforms through the built-in `removePrivate` filter.
+   * @param {Object} tokens - Normalized tokens ({ colors, typography, spacing, motion, ... })
+   * @param {Object} options - { name, buildPath }
+   * @returns {{ config: Object, tokens: Object, files: Object<string, string> }}
+   */
+  function toStyleDictionary(tokens = {}, options = {}) {
+    const tree = {};
+    const className = (options.name || 'StyleTokens').replace(/[^A-Za-z0-9]+(.)?/g, (_, c) => (c ? c.toUpperCase() : ''))
+      .replace(/^[^A-Za-z]+/, '').replace(/^./, c => c.toUpperCase()) || 'StyleTokens';
+    const buildPath = (options.buildPath || 'build/').replace(/\/?$/, '/');
+
+    function add(path, token) {
+      if (token.value === null || token.value === undefined || token.value === '') return;
+      let node = tree;
+      const keys = path.map(toSDKey);
+      if (keys.some(k => !k)) return;
+      for (const key of keys.slice(0, -1)) {
+        node[key] = node[key] || {};
+        node = node[key];
+      }
+      node[keys[keys.length - 1]] = token;
+    }
+
+    const webOnly = (token) => ({ ...token, private: true, comment: 'CSS-only value; excluded from native platforms' });
+
+    // Token tiers: primitives carry the values, everything above is a reference
+    // (`.value` suffix so both Style Dictionary v3 and v4 resolve it)
+    const tiers = tokens.tiers;
+    const ref = path => `{${path.split('.').map(toSDKey).join('.')}.value}`;
+    for (const tier of ['primitive', 'semantic', 'component']) {
+      for (const [path, token] of Object.entries(tiers?.[tier] || {})) {
+        add(path.split('.'), { value: token.ref ? ref(token.ref) : toSDColor(token.value), type: 'color' });
+      }
+    }
+
+    // Colors
+    const colors = tokens.colors || {};
+    for (const [name, value] of Object.entries(colors.semantic || {})) {
+      const alias = tiers?.aliases?.roles?.[name];
+      add(['color', 'semantic', name], { value: alias ? ref(alias) : toSDColor(value), type: 'color' });
+    }
+    for (const [key, info] of Object.entries(colors.palette || {})) {
+      const value = typeof info === 'object' ? info?.value : info;
+      const alias = tiers?.aliases?.palette?.[key];
+      const usage = Array.isArray(info?.usage) && info.usage.length ? `Used for ${info.usage.join(', ')}` : undefined;
+      add(['color', 'palette', key], { value: alias ? ref(alias) : toSDColor(value), type: 'color', ...(usage ? { comment: usage } : {}) });
+    }
+    for (const [name, scale] of Object.entries(colors.scales || {})) {
+      const family = tiers?.aliases?.scales?.[name];
+      // Detected ramps are primitive families already
+      if (tiers && !family) continue;
+      for (const [step, info] of Object.entries(scale)) {
+        add(['color', name, step], { value: family ? ref(`${family}.${step}`) : toSDColor(info?.value), type: 'color' });
+      }
+    }
+
+    // Typography
+    const typography = tokens.typography || {};
+    for (const [name, value] of Object.entries(typography.fontSize || {})) {
+      add(['size', 'font', name], { value: toSDRem(value), type: 'fontSize', comment: String(value) });
+    }
+    for (const [name, value] of Object.entries(typography.fontFamily || {})) {
+      // `content` makes ios-swift emit a string literal; CSS keeps the family list as-is
+      add(['font', 'family', name], { value: value || null, type: 'content' });
+    }
+    for (const [name, value] of Object.entries(typography.fontWeight || {})) {
+      const weight = parseInt(value, 10);
+      add(['font', 'weight', name], { value: isNaN(weight) ? null : weight, type: 'fontWeight' });
+    }
+    for (const [name, value] of Object.entries(typography.lineHeight || {})) {
+      if (/^[\d.]+$/.test(String(value).trim())) {
+        add(['font', 'line-height', name], { value: parseFloat(value), type: 'number' });
+      } else {
+        add(['size', 'line-height', name], { value: toSDRem(value), type: 'dimension', comment: String(value) });
+      }
+    }
+
+    // Spacing, borders
+    for (const [name, value] of Object.entries(tokens.spacing || {})) {
+      add(['size', 'spacing', name], { value: toSDRem(value), type: 'dimension', comment: String(value) });
+    }
+    for (const [name, value] of Object.entries(tokens.borders?.radius || {})) {
+      add(['size', 'radius', name], { value: toSDRem(value), type: 'dimension', comment: String(value) });
+    }
+    for (const [name, value] of Object.entries(tokens.borders?.width || {})) {
+      add(['size', 'border-width', name], { value: toSDRem(value), type: 'dimension', comment: String(value) });
+    }
+    for (const [name, value] of Object.entries(tokens.shadows || {})) {
+      add(['shadow', name], webOnly({ value: value && value !== 'none' ? String(value) : null, type: 'shadow' }));
+    }
+
+    // Layers: z-index only means something in CSS; opacity is a plain number everywhere
+    for (const [name, value] of Object.entries(tokens.zIndex || {})) {
+      const z = parseInt(value, 10);
+      add(['z-index', name], webOnly({ value: isNaN(z) ? null : z, type: 'number' }));
+    }
+    for (const [name, value] of Object.entries(tokens.opacity || {})) {
+      const n = parseFloat(value);
+      add(['opacity', name], { value: isNaN(n) ? null : n, type: 'number' });
+    }
+
+    // Motion (stylekit shape: duration/easing; fallback shape: durations/easings)
+    const motion = tokens.motion || {};
+    for (const [name, value] of Object.entries(motion.duration || motion.durations || {})) {
+      add(['time', 'duration', name], { value: toSDMilliseconds(value), type: 'time', comment: String(value) });
+    }
+    for (const [name, value] of Object.entries(motion.easing || motion.easings || {})) {
+      const easing = String(value || '').trim();
+      const valid = SD_EASING_KEYWORDS.includes(easing) || /^(cubic-bezier|steps)\(/.test(easing);
+      add(['easing', name], webOnly({ value: valid ? easing : null, type: 'other' }));
+    }
+
+    const config = {
+      source: ['tokens/**/*.json'],
+      platforms: {
+        css: {
+          transformGroup: 'css',
+          buildPath: `${buildPath}css/`,
+          files: [{ destination: 'variables.css', format: 'css/variables' }]
+        },
+        scss: {
+          transformGroup: 'scss',
+          buildPath: `${buildPath}scss/`,
+          files: [{ destination: '_variables.scss', format: 'scss/variables' }]
+        },
+        'ios-swift': {
+          transformGroup: 'ios-swift',
+          buildPath: `${buildPath}ios/`,
+          files: [{
+            destination: `${className}.swift`,
+            format: 'ios-swift/class.swift',
+            // Style Dictionary v3 reads file.className, v4+ reads file.options.className
+            className,
+            options: { className },
+            filter: 'removePrivate'
+          }]
+        },
+        android: {
+          transformGroup: 'android',
+          buildPath: `${buildPath}android/`,
+          files: [
+            { destination: 'colors.xml', format: 'android/colors', filter: 'removePrivate' },
+            { destination: 'dimens.xml', format: 'android/dimens', filter: 'removePrivate' },
+            { destination: 'font_dimens.xml', format: 'android/fontDimens', filter: 'removePrivate' }
+          ]
+        }
+      }
+    };
+
+    // One source file per top-level category
+    const files = { 'config.json': JSON.stringify(config, null, 2) + '\n' };
+    for (const [category, group] of Object.entries(tree)) {
+      files[`tokens/${category}.json`] = JSON.stringify({ [category]: group }, null, 2) + '\n';
+    }
+
+    return { config, tokens: tree, files };
+  }
+
+  /**
+   * Run the full export pipeline and convert its normalized tokens to Style Dictionary.
+   */
+  function exportStyleDictionary(options = {}) {
+    const { schema } = exportFull(options);
+    return toStyleDictionary(schema.tokens, {
+      name: options.className || schema.meta?.name,
+      buildPath: options.buildPath
+    });
+  }
+
   // ============================================
   // Export
   // ============================================
@@ -585,6 +815,10 @@
     // Full pipeline
     export: exportFull,
 
+    // Style Dictionary
+    toStyleDictionary,
+    exportStyleDictionary,
+
     // Helpers
     generateMetadata,
     inferTags,
@@ -4,14 +4,22 @@
 // Supported formats:
 // - json: Structured JSON schema
 // - tailwind: Tailwind CSS config
+// - tailwind4: Tailwind CSS v4 @theme CSS (CSS-first config)
 // - cssVars: CSS custom properties
 // - stylekit: StyleKit tokens format
+// - dtcg: W3C Design Tokens Community Group format
+// - tokensStudio: Tokens Studio multi-set JSON (light/dark sets)
+// - figmaVariables: Figma Variables REST payload (collections + modes)
 //
 // Usage in evaluate_script:
 //   window.__seFormat.toJSON(styleData)
 //   window.__seFormat.toTailwind(styleData)
+//   window.__seFormat.toTailwind4(styleData, { keyframes, spacingFrequency })
 //   window.__seFormat.toCSSVars(styleData)
 //   window.__seFormat.toStyleKit(styleData)
+//   window.__seFormat.toDTCG(styleData)
+//   window.__seFormat.toTokensStudio(normalized, themes)
+//   window.__seFormat.toFigmaVariables(normalized, themes)
 
 (() => {
   if (window.__seFormat?.installed) return;
@@ -88,6 +96,123 @@
     return unit === 's' ? parseFloat(value) * 1000 : parseFloat(value);
   }
 
+  // ============================================
+  // Token Tiers
+  // ============================================
+
+  // styleData.tiers comes from __seStyleKit.buildTokenTiers(): primitive, semantic and
+  // component tokens keyed by dotted path, where `ref` is the path of the token below.
+
+  const TIER_NAMES = ['primitive', 'semantic', 'component'];
+
+  // Tier token path → custom property (`color.blue.600` → `--color-blue-600`)
+  function tierVarName(path) {
+    return `--${path.replace(/\./g, '-')}`;
+  }
+
+  // All tier tokens, primitives first, as { tier, path, value, ref }
+  function tierTokens(tiers) {
+    if (!tiers) return [];
+    return TIER_NAMES.flatMap(tier => Object.entries(tiers[tier] || {})
+      .map(([path, token]) => ({ tier, path, value: token.value, ref: token.ref || null })));
+  }
+
+  // Tier path a flat color role (or a step of a brand scale) stands for
+  function tierAlias(tiers, name, step) {
+    const aliases = tiers?.aliases;
+    if (!aliases) return null;
+    if (step === undefined) return aliases.roles?.[name] || null;
+    return aliases.scales?.[name] ? `${aliases.scales[name]}.${step}` : null;
+  }
+
+  // Detected ramps are primitive families themselves, so formats skip their flat copy
+  function isPrimitiveScale(tiers, name) {
+    return Boolean(tiers && !tiers.aliases?.scales?.[name]
+      && Object.keys(tiers.primitive || {}).some(path => path.startsWith(`color.${name}.`)));
+  }
+
+  // { tier: { path: value or "{ref}" } } for the JSON-shaped formats
+  function tierReferences(tiers) {
+    const result = {};
+    for (const token of tierTokens(tiers)) {
+      result[token.tier] = result[token.tier] || {};
+      result[token.tier][token.path] = token.ref ? `{${token.ref}}` : token.value;
+    }
+    return result;
+  }
+
+  // ============================================
+  // Elevation & Layer Scales
+  // ============================================
+
+  /**
+   * Shadows, radii, z-index and opacity as ordered scales. Named maps (stylekit tokens,
+   * already ordered by the adapter) pass through; bare value lists are ranked with the
+   * __seUtils analyzers (elevation, none → full, named layers, percentage).
+   */
+  function orderedScales(styleData) {
+    const utils = window.__seUtils;
+    const tally = list => Object.fromEntries(list.map(v => [String(v), 1]));
+    const scale = (value, analyze) => {
+      if (!Array.isArray(value)) return value || {};
+      return utils?.[analyze]?.(tally(value))?.scale || Object.fromEntries(value.map((v, i) => [String(i), v]));
+    };
+    const zIndex = Array.isArray(styleData.zIndex)
+      ? utils?.analyzeZIndexLayers?.(styleData.zIndex.map(z => (typeof z === 'object' ? z : { zIndex: z })))?.scale || {}
+      : styleData.zIndex || {};
+    return {
+      shadows: scale(styleData.shadows, 'analyzeShadowScale'),
+      radius: scale(styleData.borders?.radius, 'analyzeRadiusScale'),
+      zIndex,
+      opacity: scale(styleData.opacity, 'analyzeOpacityScale')
+    };
+  }
+
+  // ============================================
+  // Gradients & Effects
+  // ============================================
+
+  // Gradient tokens by name: stylekit tokens carry parsed stops, CSS strings are parsed here
+  function gradientTokens(styleData) {
+    const out = {};
+    for (const [name, value] of Object.entries(styleData.gradients || {})) {
+      const gradient = typeof value === 'string' ? window.__seUtils?.parseGradient?.(value) : value;
+      if (gradient?.stops?.length) out[name] = typeof value === 'string' ? { ...gradient, value } : gradient;
+    }
+    return out;
+  }
+
+  // Gradient CSS with each referenced stop written as stopRef(path)
+  function gradientCSS(gradient, stopRef) {
+    if (!window.__seUtils?.formatGradient) return gradient.value;
+    return window.__seUtils.formatGradient(gradient, stop => (stop.ref && stopRef ? stopRef(stop.ref) : stop.color));
+  }
+
+  // Effect custom properties (__seUtils.formatEffectVars, shared with StyleKit's variables.css)
+  function effectVarLines(effects) {
+    return window.__seUtils?.formatEffectVars?.(effects || {}, toCSSVarName) || [];
+  }
+
+  // Lone blur stacks (`blur-md: blur(12px)`) as Tailwind blur keys ({ md: '12px' })
+  function blurSteps(stacks) {
+    const out = {};
+    for (const [name, value] of Object.entries(stacks || {})) {
+      const radius = String(value).match(/^blur\(([^)]*)\)$/);
+      if (radius && name.startsWith('blur-')) out[name.slice(5)] = radius[1];
+    }
+    return out;
+  }
+
+  function setPath(target, path, value) {
+    const keys = path.split('.');
+    let node = target;
+    for (const key of keys.slice(0, -1)) {
+      if (!node[key] || typeof node[key] !== 'object') node[key] = {};
+      node = node[key];
+    }
+    node[keys[keys.length - 1]] = value;
+  }
+
   // ============================================
   // JSON Schema Format
   // ============================================
@@ -107,20 +232,31 @@
       spacing: {},
       borders: {},
       shadows: {},
+      zIndex: {},
+      opacity: {},
+      gradients: {},
+      effects: {},
       animations: {},
       components: {}
     };
+    const scales = orderedScales(styleData);
 
-    // Colors
+    // Colors (roles backed by a semantic tier token reference it)
     if (styleData.colors) {
       for (const [name, value] of Object.entries(styleData.colors)) {
+        const alias = tierAlias(styleData.tiers, name);
         result.colors[slugify(name)] = {
-          value: parseColor(value),
+          value: alias ? `{${alias}}` : parseColor(value),
           usage: styleData.colorUsage?.[name] || null
         };
       }
     }
 
+    // Token tiers: literals only in primitives, references above
+    if (styleData.tiers) {
+      result.tiers = tierReferences(styleData.tiers);
+    }
+
     // Typography
     if (styleData.typography) {
       result.typography = {
@@ -141,17 +277,27 @@
     if (styleData.borders) {
       result.borders = {
         widths: styleData.borders.widths || {},
-        radius: styleData.borders.radius || {},
+        radius: scales.radius,
         colors: styleData.borders.colors || {}
       };
     }
 
-    // Shadows
-    if (styleData.shadows) {
-      for (const [name, value] of Object.entries(styleData.shadows)) {
-        result.shadows[slugify(name)] = value;
-      }
+    // Shadows (low → high elevation), z-index layers, opacity
+    for (const [name, value] of Object.entries(scales.shadows)) {
+      result.shadows[slugify(name)] = value;
+    }
+    result.zIndex = { ...scales.zIndex };
+    result.opacity = { ...scales.opacity };
+
+    // Gradients (stops reference tier tokens as "{color.blue.600}") and effects
+    for (const [name, gradient] of Object.entries(gradientTokens(styleData))) {
+      result.gradients[slugify(name)] = {
+        type: gradient.type,
+        value: gradientCSS(gradient, ref => `{${ref}}`),
+        stops: gradient.stops.map(stop => ({ color: stop.ref ? `{${stop.ref}}` : parseColor(stop.color), offset: stop.offset }))
+      };
     }
+    result.effects = { ...(styleData.effects || {}) };
 
     // Animations
     if (styleData.animations) {
@@ -236,6 +382,11 @@
           spacing: {},
           borderRadius: {},
           boxShadow: {},
+          zIndex: {},
+          opacity: {},
+          backgroundImage: {},
+          backdropBlur: {},
+          blur: {},
           transitionDuration: {},
           transitionTimingFunction: {},
           animation: {},
@@ -244,14 +395,40 @@
       }
     };
 
+    // Token tiers: primitives nest by family with their values; semantic and component
+    // tokens, roles and brand ramps reference the tier custom properties (see toCSSVars)
+    const tiers = styleData.tiers;
+    const ref = path => `var(${tierVarName(path)})`;
+    for (const token of tierTokens(tiers)) {
+      setPath(config.theme.extend.colors, token.path.replace(/^color\./, ''), token.ref ? ref(token.path) : token.value);
+    }
+
     // Colors
     if (styleData.colors) {
       for (const [name, value] of Object.entries(styleData.colors)) {
         const key = slugify(name);
-        config.theme.extend.colors[key] = parseColor(value);
+        const alias = tierAlias(tiers, name);
+        // A role that is its own tier token (original naming) already holds its value
+        if (alias && alias === key) continue;
+        config.theme.extend.colors[key] = alias ? ref(alias) : parseColor(value);
       }
     }
 
+    // Color scales (detected ramps and generated brand ramps) nest under their name;
+    // a semantic color of the same name becomes DEFAULT
+    for (const [name, scale] of Object.entries(styleData.colorScales || {})) {
+      if (isPrimitiveScale(tiers, name)) continue;
+      const key = slugify(name);
+      const base = config.theme.extend.colors[key];
+      config.theme.extend.colors[key] = {
+        ...(typeof base === 'string' ? { DEFAULT: base } : {}),
+        ...Object.fromEntries(Object.entries(scale).map(([step, info]) => {
+          const alias = tierAlias(tiers, name, step);
+          return [step, alias ? ref(alias) : parseColor(info)];
+        }))
+      };
+    }
+
     // Typography - Font Families
     if (styleData.typography?.families) {
       for (const family of styleData.typography.families) {
@@ -267,26 +444,30 @@
       }
     }
 
-    // Spacing
-    if (styleData.spacing) {
+    // Spacing: the detected grid's scale (multiples of the base unit) replaces frequency buckets
+    const gridScale = Object.entries(styleData.spacingGrid?.scale || {});
+    if (gridScale.length) {
+      for (const [step, value] of gridScale) config.theme.extend.spacing[step] = value;
+    } else if (styleData.spacing) {
       for (const [name, value] of Object.entries(styleData.spacing)) {
         config.theme.extend.spacing[slugify(name)] = value;
       }
     }
 
-    // Border Radius
-    if (styleData.borders?.radius) {
-      for (const [name, value] of Object.entries(styleData.borders.radius)) {
-        config.theme.extend.borderRadius[slugify(name)] = value;
+    // Border radius, shadows, z-index layers (`z-modal`) and opacity, in scale order
+    const scales = orderedScales(styleData);
+    for (const [key, scale] of [['borderRadius', scales.radius], ['boxShadow', scales.shadows], ['zIndex', scales.zIndex], ['opacity', scales.opacity]]) {
+      for (const [name, value] of Object.entries(scale)) {
+        config.theme.extend[key][slugify(name)] = value;
       }
     }
 
-    // Shadows
-    if (styleData.shadows) {
-      for (const [name, value] of Object.entries(styleData.shadows)) {
-        config.theme.extend.boxShadow[slugify(name)] = value;
-      }
+    // Gradients (`bg-gradient-1`) and lone blurs (`backdrop-blur-md`, `blur-md`)
+    for (const [name, gradient] of Object.entries(gradientTokens(styleData))) {
+      config.theme.extend.backgroundImage[slugify(name)] = gradientCSS(gradient, tiers ? ref : null);
     }
+    Object.assign(config.theme.extend.backdropBlur, blurSteps(styleData.effects?.backdropFilter));
+    Object.assign(config.theme.extend.blur, blurSteps(styleData.effects?.filter));
 
     // Animation Durations
     if (styleData.animations?.durations) {
@@ -321,6 +502,218 @@
     return config;
   }
 
+  // ============================================
+  // Tailwind CSS v4 Theme Format (@theme)
+  // ============================================
+
+  const TW4_FONT_WEIGHTS = {
+    100: 'thin', 200: 'extralight', 300: 'light', 400: 'normal', 500: 'medium',
+    600: 'semibold', 700: 'bold', 800: 'extrabold', 900: 'black'
+  };
+
+  // An analyzeSpacingGrid() result as a `--spacing` base; without a grid Tailwind's
+  // own 4px (0.25rem) stays and `grid` is false
+  function spacingBaseFromGrid(grid, samples) {
+    if (!grid) return { px: 4, rem: '0.25rem', coverage: 0, samples, grid: false };
+    return { px: parseFloat(grid.base), rem: grid.rem, coverage: grid.coverage, samples, grid: true };
+  }
+
+  /**
+   * Derive the Tailwind v4 `--spacing` base unit from spacing usage counts, using the
+   * shared grid detection (`__seUtils.analyzeSpacingGrid`). When no base unit divides
+   * enough of the values, or there are none, it reports `grid: false`.
+   * @param {Object|Array} frequency - { '16px': count } or list of px values
+   * @returns {{ px: number, rem: string, coverage: number, samples: number, grid: boolean }}
+   */
+  function deriveSpacingBase(frequency) {
+    const counts = {};
+    if (Array.isArray(frequency)) {
+      for (const value of frequency) counts[value] = (counts[value] || 0) + 1;
+    } else {
+      Object.assign(counts, frequency || {});
+    }
+
+    const samples = Object.keys(counts).filter(value => /^-?[\d.]+(px|rem)$/.test(String(value).trim()) && parseFloat(value)).length;
+    return spacingBaseFromGrid(window.__seUtils?.analyzeSpacingGrid?.(counts), samples);
+  }
+
+  // Keyframes come as extractKeyframes() entries ({ frames: [{ offset, styles }] }),
+  // offset → declarations maps, or raw CSS strings
+  function toTW4KeyframeBody(keyframe, indent) {
+    const lines = [];
+    if (typeof keyframe === 'string') {
+      const inner = keyframe.replace(/^\s*@keyframes[^{]*\{/, '').replace(/\}\s*$/, '').trim();
+      if (inner) lines.push(`${indent}${inner}`);
+      return lines;
+    }
+
+    const frames = Array.isArray(keyframe?.frames)
+      ? keyframe.frames.map(f => [f.offset, f.styles || {}])
+      : Object.entries(keyframe || {});
+
+    for (const [offset, props] of frames) {
+      if (!props || typeof props !== 'object') continue;
+      lines.push(`${indent}${offset} {`);
+      for (const [prop, val] of Object.entries(props)) {
+        lines.push(`${indent}  ${toKebabCase(prop)}: ${val};`);
+      }
+      lines.push(`${indent}}`);
+    }
+    return lines;
+  }
+
+  /**
+   * Convert style data to a Tailwind v4 CSS-first config (`@import "tailwindcss"; @theme { ... }`).
+   * @param {Object} styleData - Same input as toTailwind()
+   * @param {Object} [options]
+   * @param {Object} [options.keyframes] - Keyframes by name (default: styleData keyframes, then __seCSS.extractKeyframes())
+   * @param {Object|Array} [options.spacingFrequency] - { '16px': count } usage counts for the --spacing base unit
+   * @returns {string} CSS
+   */
+  function toTailwind4(styleData, options = {}) {
+    if (!styleData || typeof styleData !== 'object') {
+      console.warn('[style-extractor] toTailwind4: invalid input');
+      return '@import "tailwindcss";\n\n@theme {\n  /* No valid style data */\n}\n';
+    }
+
+    const lines = [];
+    const section = (title, entries) => {
+      if (!entries.length) return;
+      if (lines.length) lines.push('');
+      lines.push(`  /* ${title} */`);
+      lines.push(...entries);
+    };
+    // @theme variables land on :root, so `--color-text: var(--color-text)` would be a cycle;
+    // resolve such self-references against the page and drop them if still unresolved
+    const rootStyle = typeof document !== 'undefined' ? getComputedStyle(document.documentElement) : null;
+    const vars = (prefix, source, mapValue = v => v) => {
+      const out = [];
+      for (const [name, value] of Object.entries(source || {})) {
+        const safeName = toCSSVarName(name);
+        let mapped = value ? mapValue(value, name) : null;
+        if (typeof mapped === 'string' && mapped.trim() === `var(--${prefix}-${safeName})`) {
+          const resolved = rootStyle?.getPropertyValue(`--${prefix}-${safeName}`).trim();
+          mapped = resolved && !resolved.includes(`--${prefix}-${safeName}`) ? mapValue(resolved, name) : null;
+        }
+        if (safeName && mapped) out.push(`  --${prefix}-${safeName}: ${mapped};`);
+      }
+      return out;
+    };
+
+    // Token tiers: primitives hold the values, semantic and component tokens reference them
+    const tiers = styleData.tiers;
+    const ref = path => `var(${tierVarName(path)})`;
+    const tierLines = (tier) => tierTokens(tiers).filter(t => t.tier === tier)
+      .map(t => `  ${tierVarName(t.path)}: ${t.ref ? ref(t.ref) : t.value};`);
+    section('Primitives', tierLines('primitive'));
+    section('Semantic', tierLines('semantic'));
+    section('Component', tierLines('component'));
+
+    // Colors
+    const aliasOr = (alias, value) => (alias ? ref(alias) : parseColor(value));
+    section('Colors', vars('color', styleData.colors, (value, name) => aliasOr(tierAlias(tiers, name), value)));
+    section('Color Scales', Object.entries(styleData.colorScales || {})
+      .filter(([name]) => !isPrimitiveScale(tiers, name))
+      .flatMap(([name, scale]) => vars(`color-${toCSSVarName(name)}`, scale,
+        (info, step) => aliasOr(tierAlias(tiers, name, step), info))));
+
+    // Typography
+    const families = Array.isArray(styleData.typography?.families) ? styleData.typography.families : [];
+    const usedFontNames = new Set();
+    section('Font Families', families.map((family, i) => {
+      let key = toCSSVarName(String(family).split(',')[0].replace(/['"]/g, '')) || `f${i}`;
+      if (usedFontNames.has(key)) key = `${key}-${i}`;
+      usedFontNames.add(key);
+      return `  --font-${key}: ${family};`;
+    }));
+    const typeScale = styleData.typography?.modularScale;
+    const fontSizes = vars('text', styleData.typography?.scale);
+    if (typeScale && fontSizes.length) fontSizes.unshift(`  /* ${window.__seUtils.describeTypeScale(typeScale)} */`);
+    section('Font Sizes', fontSizes);
+    // Composite text styles: `text-h1` sets size (fluid clamp() when measured), line height, tracking and weight
+    section('Text Styles', window.__seUtils?.formatTextStyleVars?.(styleData.typography?.textStyles || {}, toCSSVarName) || []);
+
+    const weights = styleData.typography?.weights;
+    const weightEntries = Array.isArray(weights)
+      ? weights.map(w => [TW4_FONT_WEIGHTS[parseInt(w)] || String(w), w])
+      : Object.entries(weights || {});
+    section('Font Weights', vars('font-weight', Object.fromEntries(weightEntries)));
+    section('Line Heights', vars('leading', styleData.typography?.lineHeights));
+
+    // Spacing: base unit drives every numeric utility (p-4 = calc(var(--spacing) * 4));
+    // a detected spacing grid (styleData.spacingGrid) already names it
+    const base = styleData.spacingGrid
+      ? spacingBaseFromGrid(styleData.spacingGrid, Object.keys(styleData.spacingGrid.scale).length + styleData.spacingGrid.offGrid.length)
+      : deriveSpacingBase(options.spacingFrequency || Object.values(styleData.spacing || {}));
+    const spacing = [];
+    if (base.grid) {
+      spacing.push(`  --spacing: ${base.rem}; /* ${base.px}px base, ${Math.round(base.coverage * 100)}% of spacing values on grid */`);
+    } else if (base.samples) {
+      spacing.push(`  /* No spacing grid in ${base.samples} spacing values; Tailwind's ${base.rem} base kept */`);
+    }
+    if (!Array.isArray(styleData.spacing)) spacing.push(...vars('spacing', styleData.spacing));
+    section('Spacing', spacing);
+
+    // Borders, shadows, layers: Tailwind v4 has --radius-* and --shadow-* namespaces;
+    // z-index and opacity have none, so they are plain variables for z-(--z-modal)
+    const scales = orderedScales(styleData);
+    section('Border Radius', vars('radius', scales.radius));
+    section('Shadows', vars('shadow', scales.shadows));
+    section('Z-Index', vars('z', scales.zIndex));
+    section('Opacity', vars('opacity', scales.opacity));
+
+    // Gradients for bg-(image:--gradient-1); Tailwind v4's --blur-* serves blur-* and backdrop-blur-*
+    section('Gradients', Object.entries(gradientTokens(styleData))
+      .map(([name, gradient]) => `  --${toCSSVarName(name)}: ${gradientCSS(gradient, tiers ? ref : null)};`));
+    const blurs = { ...blurSteps(styleData.effects?.filter), ...blurSteps(styleData.effects?.backdropFilter) };
+    section('Effects', [
+      ...Object.entries(blurs).map(([step, radius]) => `  --blur-${toCSSVarName(step)}: ${radius};`),
+      ...effectVarLines(styleData.effects)
+    ]);
+
+    // Motion
+    section('Easings', vars('ease', styleData.animations?.easings));
+
+    let keyframes = options.keyframes || null;
+    if (!keyframes && styleData.animations?.keyframes && Object.keys(styleData.animations.keyframes).length) {
+      keyframes = styleData.animations.keyframes;
+    }
+    if (!keyframes && window.__seCSS?.extractKeyframes) {
+      try {
+        keyframes = window.__seCSS.extractKeyframes().keyframes;
+      } catch (e) {
+        console.warn('[style-extractor] toTailwind4: keyframes unavailable', e.message);
+      }
+    }
+
+    const durations = Object.values(styleData.animations?.durations || {});
+    const defaultDuration = durations.length ? `${parseDuration(durations[0])}ms` : '300ms';
+    const animate = [];
+    const keyframeBlocks = [];
+    for (const [name, keyframe] of Object.entries(keyframes || {})) {
+      const key = toCSSVarName(name);
+      const body = toTW4KeyframeBody(keyframe, '    ');
+      if (!key || !body.length) continue;
+      const duration = styleData.animations?.durations?.[name] || defaultDuration;
+      const easing = styleData.animations?.easings?.[name] || 'ease';
+      animate.push(`  --animate-${key}: ${key} ${duration} ${easing};`);
+      keyframeBlocks.push('', `  @keyframes ${key} {`, ...body, '  }');
+    }
+    section('Animations', animate);
+    lines.push(...keyframeBlocks);
+
+    const header = [
+      '/* Style Extractor - Tailwind CSS v4 theme */',
+      styleData.url ? `/* Generated from: ${styleData.url} */` : null,
+      '',
+      '@import "tailwindcss";',
+      '',
+      '@theme {'
+    ].filter(l => l !== null);
+
+    return header.concat(lines, ['}', '']).join('\n');
+  }
+
   // ============================================
   // CSS Variables Format
   // ============================================
@@ -335,13 +728,26 @@
     const vars = [];
     vars.push(':root {');
 
+    // Token tiers: primitives hold the values, semantic and component tokens reference them
+    const tiers = styleData.tiers;
+    for (const [tier, label] of [['primitive', 'Primitives'], ['semantic', 'Semantic'], ['component', 'Component']]) {
+      const tokens = tierTokens(tiers).filter(t => t.tier === tier);
+      if (!tokens.length) continue;
+      vars.push(`  /* ${label} */`);
+      for (const token of tokens) {
+        vars.push(`  ${tierVarName(token.path)}: ${token.ref ? `var(${tierVarName(token.ref)})` : token.value};`);
+      }
+      vars.push('');
+    }
+
     // Colors
     if (styleData.colors && typeof styleData.colors === 'object') {
       vars.push('  /* Colors */');
       for (const [name, value] of Object.entries(styleData.colors)) {
         const safeName = toCSSVarName(name);
+        const alias = tierAlias(tiers, name);
         if (safeName && value) {
-          vars.push(`  --color-${safeName}: ${parseColor(value)};`);
+          vars.push(`  --color-${safeName}: ${alias ? `var(${tierVarName(alias)})` : parseColor(value)};`);
         }
       }
       vars.push('');
@@ -367,8 +773,15 @@
       vars.push('');
     }
 
-    // Spacing
-    if (styleData.spacing && typeof styleData.spacing === 'object') {
+    // Spacing: base unit and its observed multiples when a grid was detected
+    const gridScale = Object.entries(styleData.spacingGrid?.scale || {});
+    if (gridScale.length) {
+      const grid = styleData.spacingGrid;
+      vars.push('  /* Spacing */');
+      vars.push(`  --space-base: ${grid.unit === 'rem' ? grid.rem : grid.base};`);
+      for (const [step, value] of gridScale) vars.push(`  --space-${step}: ${value};`);
+      vars.push('');
+    } else if (styleData.spacing && typeof styleData.spacing === 'object') {
       vars.push('  /* Spacing */');
       for (const [name, value] of Object.entries(styleData.spacing)) {
         const safeName = toCSSVarName(name);
@@ -379,23 +792,36 @@
       vars.push('');
     }
 
-    // Borders
-    if (styleData.borders?.radius) {
-      vars.push('  /* Border Radius */');
-      for (const [name, value] of Object.entries(styleData.borders.radius)) {
-        vars.push(`  --radius-${toKebabCase(name)}: ${value};`);
+    // Border radius, shadows, z-index layers and opacity, in scale order
+    const scales = orderedScales(styleData);
+    for (const [label, prefix, scale] of [
+      ['Border Radius', 'radius', scales.radius],
+      ['Shadows', 'shadow', scales.shadows],
+      ['Z-Index', 'z', scales.zIndex],
+      ['Opacity', 'opacity', scales.opacity]
+    ]) {
+      const entries = Object.entries(scale);
+      if (!entries.length) continue;
+      vars.push(`  /* ${label} */`);
+      for (const [name, value] of entries) {
+        vars.push(`  --${prefix}-${toKebabCase(name)}: ${value};`);
       }
       vars.push('');
     }
 
-    // Shadows
-    if (styleData.shadows) {
-      vars.push('  /* Shadows */');
-      for (const [name, value] of Object.entries(styleData.shadows)) {
-        vars.push(`  --shadow-${toKebabCase(name)}: ${value};`);
+    // Gradients (stops reference the tier custom properties) and effects
+    const gradients = Object.entries(gradientTokens(styleData));
+    if (gradients.length) {
+      vars.push('  /* Gradients */');
+      for (const [name, gradient] of gradients) {
+        vars.push(`  --${toCSSVarName(name)}: ${gradientCSS(gradient, tiers ? path => `var(${tierVarName(path)})` : null)};`);
       }
       vars.push('');
     }
+    const effectLines = effectVarLines(styleData.effects);
+    if (effectLines.length) {
+      vars.push('  /* Effects */', ...effectLines, '');
+    }
 
     // Animations
     if (styleData.animations?.durations) {
@@ -444,6 +870,797 @@
     return vars.join('\n');
   }
 
+  // ============================================
+  // W3C Design Tokens (DTCG) Format
+  // ============================================
+
+  const DTCG_EASING_KEYWORDS = {
+    linear: [0, 0, 1, 1],
+    ease: [0.25, 0.1, 0.25, 1],
+    'ease-in': [0.42, 0, 1, 1],
+    'ease-out': [0, 0, 0.58, 1],
+    'ease-in-out': [0.42, 0, 0.58, 1]
+  };
+
+  // css-parser reverse-map categories that may back each token group
+  const DTCG_ALIAS_CATEGORIES = {
+    color: ['color'],
+    fontFamily: ['typography'],
+    fontWeight: ['typography'],
+    fontSize: ['typography'],
+    spacing: ['spacing'],
+    radius: ['border'],
+    borderWidth: ['border'],
+    shadow: ['shadow'],
+    zIndex: [],
+    opacity: [],
+    duration: ['motion'],
+    easing: ['motion']
+  };
+
+  // DTCG token names may not contain '.', '{', '}' or start with '$'
+  function toDTCGName(str) {
+    const name = toCSSVarName(str);
+    return name === 'unknown' ? null : name;
+  }
+
+  function toDTCGDimension(value) {
+    if (typeof value === 'number') return `${value}px`;
+    const match = String(value || '').trim().match(/^(-?[\d.]+)(px|rem)?$/);
+    if (!match) return null;
+    return `${parseFloat(match[1])}${match[2] || 'px'}`;
+  }
+
+  function toDTCGFontFamily(value) {
+    if (Array.isArray(value)) return value;
+    const families = window.__seUtils.splitLayers(value || '').map(f => f.replace(/['"]/g, '').trim()).filter(Boolean);
+    return families.length > 1 ? families : (families[0] || null);
+  }
+
+  function toDTCGCubicBezier(value) {
+    const str = String(value || '').trim().toLowerCase();
+    if (DTCG_EASING_KEYWORDS[str]) return DTCG_EASING_KEYWORDS[str];
+    const match = str.match(/^cubic-bezier\(\s*([-\d.]+)\s*,\s*([-\d.]+)\s*,\s*([-\d.]+)\s*,\s*([-\d.]+)\s*\)$/);
+    return match ? match.slice(1, 5).map(Number) : null;
+  }
+
+  function toDTCGShadow(value, resolveColor) {
+    if (!value || value === 'none') return null;
+    const layers = [];
+    for (const layer of window.__seUtils.splitLayers(value)) {
+      const colorMatch = layer.match(/(rgba?\([^)]*\)|hsla?\([^)]*\)|#[0-9a-f]{3,8}\b)/i);
+      const rest = colorMatch ? layer.replace(colorMatch[0], ' ') : layer;
+      const inset = /\binset\b/.test(rest);
+      const lengths = rest.replace(/\binset\b/, ' ').trim().split(/\s+/).filter(Boolean);
+      if (lengths.length < 2) continue;
+      const [offsetX, offsetY, blur = '0px', spread = '0px'] = lengths.map(toDTCGDimension);
+      if (!offsetX || !offsetY) continue;
+      const shadow = {
+        color: colorMatch ? resolveColor(colorMatch[0]) : '#000000',
+        offsetX,
+        offsetY,
+        blur: blur || '0px',
+        spread: spread || '0px'
+      };
+      if (inset) shadow.inset = true;
+      layers.push(shadow);
+    }
+    if (!layers.length) return null;
+    return layers.length === 1 ? layers[0] : layers;
+  }
+
+  /**
+   * Convert style data to the W3C Design Tokens Community Group format.
+   * Values that css-parser can trace back to a CSS custom property are emitted
+   * as aliases (e.g. "{color.brand-500}") to a token holding the variable's value.
+   * Token tiers become nested groups (`color.blue.700`, `color.action.primary.bg`,
+   * `button.primary.bg.hover`) where only primitives carry literal values.
+   */
+  function toDTCG(styleData) {
+    if (!styleData || typeof styleData !== 'object') {
+      console.warn('[style-extractor] toDTCG: invalid input');
+      return {};
+    }
+
+    const tokens = {
+      $description: `Design tokens extracted from ${styleData.url || 'unknown source'}`,
+      $extensions: {
+        'dev.stylekit': {
+          name: styleData.name || 'Extracted Style',
+          source: styleData.url || null,
+          extractedAt: new Date().toISOString(),
+          generator: 'style-extractor'
+        }
+      }
+    };
+
+    const group = (name) => {
+      if (!tokens[name]) tokens[name] = {};
+      return tokens[name];
+    };
+
+    // Names already used by semantic tokens and tier groups, so CSS-variable tokens never shadow them
+    const tiers = styleData.tiers;
+    const reserved = {
+      color: new Set([
+        ...Object.keys(styleData.colors || {}).map(toDTCGName),
+        ...tierTokens(tiers).filter(t => t.path.startsWith('color.')).map(t => t.path.split('.')[1])
+      ])
+    };
+
+    const lookupVariable = (value) => {
+      if (!window.__seCSS?.lookupVariable || value === null || value === undefined) return null;
+      try {
+        return window.__seCSS.lookupVariable(String(value));
+      } catch (e) {
+        return null;
+      }
+    };
+
+    // Returns an alias for a value backed by a CSS variable, registering the
+    // referenced token on first use. ownName prevents a token aliasing itself.
+    function aliasFor(groupName, type, value, convert, ownName = null) {
+      const hit = lookupVariable(value);
+      if (!hit?.varName) return null;
+      const categories = DTCG_ALIAS_CATEGORIES[groupName] || [];
+      if (hit.category && hit.category !== 'other' && !categories.includes(hit.category)) return null;
+
+      let key = toDTCGName(hit.varName.replace(/^--/, '').replace(new RegExp(`^${groupName}-`, 'i'), ''));
+      if (!key || key === ownName) return null;
+      if (reserved[groupName]?.has(key)) key = `css-${key}`;
+
+      const target = group(groupName);
+      if (!target[key]) {
+        const converted = convert(hit.rawValue && !hit.rawValue.startsWith('var(') ? hit.rawValue : value);
+        if (converted === null || converted === undefined) return null;
+        target[key] = {
+          $type: type,
+          $value: converted,
+          $extensions: { 'dev.stylekit': { cssVar: hit.varName } }
+        };
+      }
+      return `{${groupName}.${key}}`;
+    }
+
+    function addToken(groupName, name, type, value, convert, description) {
+      const key = toDTCGName(name);
+      if (!key || value === null || value === undefined || value === '') return;
+      const alias = aliasFor(groupName, type, value, convert, key);
+      const converted = alias || convert(value);
+      if (converted === null || converted === undefined) return;
+      const token = { $type: type, $value: converted };
+      if (description) token.$description = description;
+      group(groupName)[key] = token;
+    }
+
+    const resolveColor = (value) => aliasFor('color', 'color', value, parseColor) || parseColor(value);
+
+    // Token tiers: primitives carry the values, semantic and component tokens alias the tier below
+    for (const token of tierTokens(tiers)) {
+      const value = token.ref ? `{${token.ref}}` : parseColor(token.value);
+      setPath(tokens, token.path, { $type: 'color', $value: value });
+    }
+
+    // Colors
+    for (const [name, value] of Object.entries(styleData.colors || {})) {
+      const usage = styleData.colorUsage?.[name];
+      const description = usage ? `Used for ${[].concat(usage).join(', ')}` : null;
+      const alias = tierAlias(tiers, name);
+      if (alias && toDTCGName(name)) {
+        group('color')[toDTCGName(name)] = { $type: 'color', $value: `{${alias}}`, ...(description ? { $description: description } : {}) };
+        continue;
+      }
+      addToken('color', name, 'color', value, parseColor, description);
+    }
+
+    // Typography primitives
+    const families = styleData.typography?.families || [];
+    families.forEach((family, i) => {
+      const name = i === 0 ? 'primary' : i === 1 ? 'secondary' : `f${i}`;
+      addToken('fontFamily', name, 'fontFamily', family, toDTCGFontFamily);
+    });
+
+    const weights = Array.isArray(styleData.typography?.weights)
+      ? styleData.typography.weights
+      : Object.values(styleData.typography?.weights || {});
+    for (const weight of weights) {
+      const n = parseInt(weight, 10);
+      if (isNaN(n)) continue;
+      addToken('fontWeight', String(n), 'fontWeight', n, v => parseInt(v, 10));
+    }
+
+    for (const [name, value] of Object.entries(styleData.typography?.scale || {})) {
+      addToken('fontSize', name, 'dimension', value, toDTCGDimension);
+    }
+    // The modular scale and fluid clamp() sizes describe the font sizes as a whole
+    const typeScale = styleData.typography?.modularScale;
+    const fluidSizes = Object.entries(styleData.typography?.fluid || {});
+    if (tokens.fontSize && (typeScale || fluidSizes.length)) {
+      const meta = {};
+      if (typeScale) {
+        tokens.fontSize.$description = window.__seUtils.describeTypeScale(typeScale);
+        meta.modularScale = { name: typeScale.name, ratio: typeScale.ratio, base: typeScale.base, fit: typeScale.fit };
+      }
+      if (fluidSizes.length) meta.fluid = Object.fromEntries(fluidSizes.map(([selector, f]) => [selector, f.clamp]));
+      tokens.fontSize.$extensions = { 'dev.stylekit': meta };
+    }
+
+    // Spacing, borders
+    const scales = orderedScales(styleData);
+    for (const [name, value] of Object.entries(styleData.spacing || {})) {
+      addToken('spacing', name, 'dimension', value, toDTCGDimension);
+    }
+    for (const [name, value] of Object.entries(scales.radius)) {
+      addToken('radius', name, 'dimension', value, toDTCGDimension);
+    }
+    for (const [name, value] of Object.entries(styleData.borders?.widths || {})) {
+      addToken('borderWidth', name, 'dimension', value, toDTCGDimension);
+    }
+
+    // Shadows (low → high elevation), z-index layers and opacity
+    for (const [name, value] of Object.entries(scales.shadows)) {
+      addToken('shadow', name, 'shadow', value, v => toDTCGShadow(v, resolveColor));
+    }
+    const toNumber = v => (Number.isFinite(parseFloat(v)) ? parseFloat(v) : null);
+    for (const [name, value] of Object.entries(scales.zIndex)) {
+      addToken('zIndex', name, 'number', value, toNumber);
+    }
+    for (const [name, value] of Object.entries(scales.opacity)) {
+      addToken('opacity', name, 'number', value, toNumber);
+    }
+
+    // Gradients: stops alias tier primitives; angle/shape live in the extension
+    const tierPaths = new Set(tierTokens(tiers).map(t => t.path));
+    for (const [name, gradient] of Object.entries(gradientTokens(styleData))) {
+      const key = toDTCGName(name);
+      if (!key) continue;
+      group('gradient')[key] = {
+        $type: 'gradient',
+        $value: gradient.stops.map(stop => ({
+          color: stop.ref && tierPaths.has(stop.ref) ? `{${stop.ref}}` : resolveColor(stop.color),
+          position: stop.offset
+        })),
+        $extensions: {
+          'dev.stylekit': {
+            type: gradient.type,
+            prelude: gradient.prelude || null,
+            repeating: !!gradient.repeating,
+            css: gradientCSS(gradient)
+          }
+        }
+      };
+    }
+
+    // Effects have no DTCG type: CSS values, tagged with the property they belong to
+    const effects = styleData.effects || {};
+    for (const [groupName, property] of [['backdropFilter', 'backdrop-filter'], ['filter', 'filter'], ['blend', 'mix-blend-mode'], ['noise', 'background-image']]) {
+      for (const [name, value] of Object.entries(effects[groupName] || {})) {
+        const key = toDTCGName(name);
+        if (!key) continue;
+        setPath(tokens, `effect.${groupName}.${key}`, { $value: value, $extensions: { 'dev.stylekit': { property } } });
+      }
+    }
+    for (const [name, glass] of Object.entries(effects.glass || {})) {
+      const key = toDTCGName(name);
+      if (!key) continue;
+      setPath(tokens, `effect.glass.${key}`, {
+        $value: { backdropFilter: glass.backdropFilter, background: resolveColor(glass.background), ...(glass.border ? { border: glass.border } : {}) },
+        $extensions: { 'dev.stylekit': { property: 'backdrop-filter' } }
+      });
+    }
+
+    // Motion
+    for (const [name, value] of Object.entries(styleData.animations?.durations || {})) {
+      addToken('duration', name, 'duration', value, v => {
+        const ms = parseDuration(v);
+        return ms === null ? null : `${ms}ms`;
+      });
+    }
+    for (const [name, value] of Object.entries(styleData.animations?.easings || {})) {
+      addToken('easing', name, 'cubicBezier', value, toDTCGCubicBezier);
+    }
+
+    // Typography composites: one per extracted text style, referencing primitives with the same value
+    const primitiveRef = (groupName, value) => {
+      const hit = Object.entries(tokens[groupName] || {})
+        .find(([key, t]) => !key.startsWith('$') && JSON.stringify(t.$value) === JSON.stringify(value));
+      return hit ? `{${groupName}.${hit[0]}}` : value;
+    };
+    for (const [name, style] of Object.entries(styleData.typography?.textStyles || {})) {
+      const key = toDTCGName(name);
+      const fontSize = toDTCGDimension(style.fontSize);
+      if (!key || !fontSize) continue;
+      const value = {};
+      const family = toDTCGFontFamily(style.fontFamily);
+      if (family) value.fontFamily = primitiveRef('fontFamily', family);
+      value.fontSize = primitiveRef('fontSize', fontSize);
+      const weight = parseInt(style.fontWeight, 10);
+      if (!isNaN(weight)) value.fontWeight = primitiveRef('fontWeight', weight);
+      // `letter-spacing: normal` adds no spacing
+      const letterSpacing = style.letterSpacing === 'normal' ? '0px' : toDTCGDimension(style.letterSpacing);
+      if (letterSpacing) value.letterSpacing = letterSpacing;
+      // DTCG line heights are multiples of the font size; `normal` depends on the font and is left out
+      const lineHeight = String(style.lineHeight || '').trim();
+      if (/^[\d.]+px$/.test(lineHeight) && fontSize.endsWith('px')) value.lineHeight = Math.round((parseFloat(lineHeight) / parseFloat(fontSize)) * 1000) / 1000;
+      else if (/^[\d.]+$/.test(lineHeight)) value.lineHeight = parseFloat(lineHeight);
+
+      const token = { $type: 'typography', $value: value };
+      const meta = {};
+      if (style.step !== undefined) meta.step = style.step;
+      if (style.fluid) meta.fluid = style.fluid;
+      if (Object.keys(meta).length) token.$extensions = { 'dev.stylekit': meta };
+      group('typography')[key] = token;
+    }
+
+    return tokens;
+  }
+
+  // ============================================
+  // Tokens Studio / Figma Variables Format
+  // ============================================
+
+  // Figma variable scopes per primitive group
+  const FIGMA_SCOPES = {
+    fontSize: ['FONT_SIZE'],
+    fontWeight: ['FONT_WEIGHT'],
+    fontFamily: ['FONT_FAMILY'],
+    lineHeight: ['LINE_HEIGHT'],
+    letterSpacing: ['LETTER_SPACING'],
+    spacing: ['GAP', 'WIDTH_HEIGHT'],
+    radius: ['CORNER_RADIUS'],
+    borderWidth: ['STROKE_FLOAT'],
+    opacity: ['OPACITY'],
+    // No Figma property takes a z-index; keep the layers out of every picker
+    zIndex: []
+  };
+
+  const THEME_VAR_GROUPS = ['colors', 'backgrounds', 'borders', 'text', 'other'];
+
+  function capitalize(str) {
+    return str ? str.charAt(0).toUpperCase() + str.slice(1) : str;
+  }
+
+  function varNameOf(value) {
+    const match = String(value || '').match(/^var\(\s*(--[\w-]+)/);
+    return match ? match[1] : null;
+  }
+
+  // Theme variables only become color tokens when they hold an actual color
+  function isThemeColor(value) {
+    const color = parseColor(value);
+    if (color === 'transparent' || (typeof color === 'string' && color.startsWith('#'))) return true;
+    return !!window.__seUtils?.isColorValue?.(String(value).trim());
+  }
+
+  // Non-color theme variables: plain lengths/numbers are dimensions, the rest strings
+  function themeValueType(value) {
+    return /^-?[\d.]+(px|rem|em)?$/.test(String(value).trim()) ? 'dimension' : 'string';
+  }
+
+  /**
+   * Build per-mode variable maps from __seTheme.extractBothThemes() output (`vars` for
+   * colors, `other` for everything else) and resolve each semantic color to a theme
+   * variable (when one backs it).
+   * Without theme data a single "default" mode carries the semantic values as-is.
+   */
+  function resolveThemeModes(normalized, themes) {
+    const semantic = normalized?.tokens?.colors?.semantic || {};
+    const sources = themes?.current && themes?.opposite
+      ? [themes.current, themes.opposite].sort((a, b) => (a.mode === 'light' ? -1 : b.mode === 'light' ? 1 : 0))
+      : null;
+
+    const modes = sources
+      ? sources.map(theme => {
+        const vars = {};
+        const other = {};
+        for (const groupName of THEME_VAR_GROUPS) {
+          for (const [name, value] of Object.entries(theme.variables?.[groupName] || {})) {
+            if (!value) continue;
+            if (isThemeColor(value)) vars[name] = value;
+            else other[name] = value;
+          }
+        }
+        return { name: theme.mode || 'default', vars, other };
+      })
+      : [{ name: 'default', vars: {}, other: {} }];
+
+    const current = themes?.current?.mode
+      ? modes.find(m => m.name === themes.current.mode) || modes[0]
+      : modes[0];
+
+    const resolved = {};
+    for (const [name, value] of Object.entries(semantic)) {
+      if (!value) continue;
+      let varName = varNameOf(value);
+      if (!varName) {
+        const hex = parseColor(value);
+        varName = Object.keys(current.vars).find(v => parseColor(current.vars[v]) === hex) || null;
+      }
+      const values = {};
+      for (const mode of modes) {
+        const modeValue = varName ? mode.vars[varName] : value;
+        values[mode.name] = modeValue && !varNameOf(modeValue) ? modeValue : null;
+      }
+      resolved[name] = { varName: varName && modes.some(m => m.vars[varName]) ? varName : null, values };
+    }
+
+    return { modes, current, semantic: resolved };
+  }
+
+  // Palette colors whose value is itself a var() are resolved through the current theme
+  function resolvePaletteColor(value, current) {
+    const varName = varNameOf(value);
+    if (!varName) return value;
+    return current?.vars[varName] || null;
+  }
+
+  function toTokensStudioShadow(value) {
+    const shadow = toDTCGShadow(value, v => parseColor(v));
+    if (!shadow) return null;
+    const layers = [].concat(shadow).map(s => ({
+      x: s.offsetX,
+      y: s.offsetY,
+      blur: s.blur,
+      spread: s.spread,
+      color: s.color,
+      type: s.inset ? 'innerShadow' : 'dropShadow'
+    }));
+    return layers.length === 1 ? layers[0] : layers;
+  }
+
+  /**
+   * Convert normalized StyleKit data to a Tokens Studio multi-set JSON file.
+   * Primitives live in a "core" set; each detected theme mode gets its own set
+   * whose semantic colors reference that mode's theme variables. Token tiers are
+   * nested in "core" with semantic and component tokens as references.
+   * @param {Object} normalized - __seStyleKit normalized data (normalizeToStyleKit output)
+   * @param {Object} [themes] - __seTheme.extractBothThemes() result
+   */
+  function toTokensStudio(normalized, themes = null) {
+    const tokens = normalized?.tokens;
+    if (!tokens) {
+      console.warn('[style-extractor] toTokensStudio: invalid input');
+      return {};
+    }
+
+    const { modes, current, semantic } = resolveThemeModes(normalized, themes);
+    const core = {};
+
+    const add = (set, groupName, name, type, value, description) => {
+      const key = toDTCGName(name);
+      if (!key || value === null || value === undefined || value === '') return;
+      if (!set[groupName]) set[groupName] = {};
+      const token = { value, type };
+      if (description) token.description = description;
+      set[groupName][key] = token;
+    };
+    const dimension = (value) => toDTCGDimension(value) || value;
+
+    // Token tiers: primitives carry the values, semantic and component tokens reference them.
+    // Flat palette and brand ramp entries then reference the primitive holding their value.
+    const tiers = tokens.tiers;
+    for (const token of tierTokens(tiers)) {
+      setPath(core, token.path, { value: token.ref ? `{${token.ref}}` : parseColor(token.value), type: 'color' });
+    }
+
+    for (const [key, info] of Object.entries(tokens.colors?.palette || {})) {
+      const alias = tiers?.aliases?.palette?.[key];
+      const value = alias ? `{${alias}}` : resolvePaletteColor(info?.value, current);
+      const usage = info?.usage?.length ? `Used for ${info.usage.join(', ')}` : null;
+      add(core, 'color', key, 'color', value ? parseColor(value) : null, usage);
+    }
+    for (const [name, scale] of Object.entries(tokens.colors?.scales || {})) {
+      if (isPrimitiveScale(tiers, name)) continue;
+      for (const [step, info] of Object.entries(scale)) {
+        const alias = tierAlias(tiers, name, step);
+        const value = alias ? `{${alias}}` : resolvePaletteColor(info?.value, current);
+        add(core, 'color', `${name}-${step}`, 'color', value ? parseColor(value) : null);
+      }
+    }
+
+    const typography = tokens.typography || {};
+    for (const [name, value] of Object.entries(typography.fontFamily || {})) {
+      add(core, 'fontFamilies', name, 'fontFamilies', value);
+    }
+    for (const [name, value] of Object.entries(typography.fontSize || {})) {
+      add(core, 'fontSizes', name, 'fontSizes', dimension(value));
+    }
+    for (const [name, value] of Object.entries(typography.fontWeight || {})) {
+      add(core, 'fontWeights', name, 'fontWeights', String(value));
+    }
+    for (const [name, value] of Object.entries(typography.lineHeight || {})) {
+      add(core, 'lineHeights', name, 'lineHeights', String(value));
+    }
+    // Composite text styles; Tokens Studio has no clamp(), so fluid ones keep their measured size
+    for (const [name, style] of Object.entries(typography.textStyles || {})) {
+      const value = {};
+      if (style.fontFamily) value.fontFamily = style.fontFamily;
+      if (style.fontWeight) value.fontWeight = String(style.fontWeight);
+      value.fontSize = dimension(style.fontSize);
+      if (style.lineHeight) value.lineHeight = style.lineHeight === 'normal' ? 'AUTO' : dimension(style.lineHeight);
+      if (style.letterSpacing) value.letterSpacing = style.letterSpacing === 'normal' ? '0px' : dimension(style.letterSpacing);
+      add(core, 'typography', name, 'typography', value, style.fluid ? `Fluid: ${style.fluid}` : null);
+    }
+
+    for (const [name, value] of Object.entries(tokens.spacing || {})) {
+      add(core, 'spacing', name, 'spacing', dimension(value));
+    }
+    for (const [name, value] of Object.entries(tokens.borders?.radius || {})) {
+      add(core, 'borderRadius', name, 'borderRadius', dimension(value));
+    }
+    for (const [name, value] of Object.entries(tokens.borders?.width || {})) {
+      add(core, 'borderWidth', name, 'borderWidth', dimension(value));
+    }
+    for (const [name, value] of Object.entries(tokens.shadows || {})) {
+      add(core, 'boxShadow', name, 'boxShadow', toTokensStudioShadow(value));
+    }
+    // Tokens Studio has no z-index type; layers travel as 'other'
+    for (const [name, value] of Object.entries(tokens.zIndex || {})) {
+      add(core, 'zIndex', name, 'other', String(value));
+    }
+    for (const [name, value] of Object.entries(tokens.opacity || {})) {
+      add(core, 'opacity', name, 'opacity', String(value));
+    }
+
+    for (const [name, value] of Object.entries(tokens.motion?.duration || {})) {
+      const ms = parseDuration(value);
+      add(core, 'duration', name, 'other', ms === null ? null : `${ms}ms`);
+    }
+    for (const [name, value] of Object.entries(tokens.motion?.easing || {})) {
+      add(core, 'easing', name, 'other', value);
+    }
+
+    const output = { core };
+
+    for (const mode of modes) {
+      const set = {};
+      for (const [varName, value] of Object.entries(mode.vars)) {
+        add(set, 'theme', varName.replace(/^--/, ''), 'color', parseColor(value), `CSS variable ${varName}`);
+      }
+      for (const [varName, value] of Object.entries(mode.other)) {
+        const type = themeValueType(value) === 'dimension' ? 'dimension' : 'other';
+        add(set, 'theme', varName.replace(/^--/, ''), type, type === 'dimension' ? dimension(value) : value, `CSS variable ${varName}`);
+      }
+      for (const [name, info] of Object.entries(semantic)) {
+        const themeKey = info.varName ? toDTCGName(info.varName.replace(/^--/, '')) : null;
+        // Tiers describe the current mode, so only that mode can reference them
+        const alias = mode === current ? tierAlias(tiers, name) : null;
+        const value = themeKey && set.theme?.[themeKey]
+          ? `{theme.${themeKey}}`
+          : alias ? `{${alias}}`
+            : info.values[mode.name] ? parseColor(info.values[mode.name]) : null;
+        add(set, 'semantic', name, 'color', value);
+      }
+      output[mode.name] = set;
+    }
+
+    output.$themes = modes.map(mode => ({
+      id: mode.name,
+      name: capitalize(mode.name),
+      selectedTokenSets: { core: 'source', [mode.name]: 'enabled' }
+    }));
+    output.$metadata = { tokenSetOrder: ['core', ...modes.map(m => m.name)] };
+
+    return output;
+  }
+
+  function toFigmaColor(value) {
+    const color = parseColor(value);
+    if (color === 'transparent') return { r: 0, g: 0, b: 0, a: 0 };
+    if (typeof color !== 'string' || !color.startsWith('#')) return null;
+    let hex = color.slice(1);
+    if (hex.length === 3 || hex.length === 4) hex = hex.split('').map(c => c + c).join('');
+    if (hex.length !== 6 && hex.length !== 8) return null;
+    const channel = (i) => Math.round((parseInt(hex.slice(i, i + 2), 16) / 255) * 1000) / 1000;
+    return { r: channel(0), g: channel(2), b: channel(4), a: hex.length === 8 ? channel(6) : 1 };
+  }
+
+  // Figma FLOAT variables are unitless; rem/em assume a 16px root
+  function toFigmaFloat(value) {
+    if (typeof value === 'number') return value;
+    const match = String(value || '').trim().match(/^(-?[\d.]+)(px|rem|em)?$/);
+    if (!match) return null;
+    const n = parseFloat(match[1]);
+    return match[2] === 'rem' || match[2] === 'em' ? n * 16 : n;
+  }
+
+  /**
+   * Convert normalized StyleKit data to a Figma Variables REST payload
+   * (POST /v1/files/:file_key/variables). Primitives go into a single-mode
+   * "Primitives" collection; theme colors go into a "Theme" collection with one
+   * mode per detected theme, and semantic colors alias the theme variables.
+   * Tier primitives join "Primitives"; the semantic and component tiers get
+   * single-mode "Semantic" and "Component" collections aliasing the tier below.
+   * @param {Object} normalized - __seStyleKit normalized data (normalizeToStyleKit output)
+   * @param {Object} [themes] - __seTheme.extractBothThemes() result
+   */
+  function toFigmaVariables(normalized, themes = null) {
+    const tokens = normalized?.tokens;
+    const payload = {
+      variableCollections: [],
+      variableModes: [],
+      variables: [],
+      variableModeValues: []
+    };
+    if (!tokens) {
+      console.warn('[style-extractor] toFigmaVariables: invalid input');
+      return payload;
+    }
+
+    const { modes, current, semantic } = resolveThemeModes(normalized, themes);
+
+    function addCollection(key, name, modeNames) {
+      const modeIds = modeNames.map(m => `${key}:mode:${toDTCGName(m) || 'default'}`);
+      payload.variableCollections.push({ action: 'CREATE', id: key, name, initialModeId: modeIds[0] });
+      modeNames.forEach((modeName, i) => {
+        payload.variableModes.push({
+          // The initial mode already exists once the collection is created; rename it
+          action: i === 0 ? 'UPDATE' : 'CREATE',
+          id: modeIds[i],
+          name: capitalize(modeName),
+          variableCollectionId: key
+        });
+      });
+      return modeIds;
+    }
+
+    function addVariable(collectionId, path, resolvedType, options = {}) {
+      const name = path.map(p => toDTCGName(p)).filter(Boolean).join('/');
+      const id = `${collectionId}:${name}`;
+      if (!name || payload.variables.some(v => v.id === id)) return null;
+      const variable = { action: 'CREATE', id, name, variableCollectionId: collectionId, resolvedType };
+      if (options.scopes) variable.scopes = options.scopes;
+      if (options.cssVar) variable.codeSyntax = { WEB: `var(${options.cssVar})` };
+      if (options.description) variable.description = options.description;
+      payload.variables.push(variable);
+      return id;
+    }
+
+    const setValue = (variableId, modeId, value) => {
+      payload.variableModeValues.push({ variableId, modeId, value });
+    };
+
+    // Primitives
+    const [valueMode] = addCollection('primitives', 'Primitives', ['value']);
+    const addPrimitive = (path, type, value, convert, options) => {
+      const converted = convert(value);
+      if (converted === null || converted === undefined) return;
+      const id = addVariable('primitives', path, type, options);
+      if (id) setValue(id, valueMode, converted);
+    };
+
+    // Tier primitives hold the color values; palette and brand ramp entries alias them
+    const tiers = tokens.tiers;
+    const tierIds = {};
+    const alias = path => (tierIds[path] ? { type: 'VARIABLE_ALIAS', id: tierIds[path] } : null);
+    for (const token of tierTokens(tiers).filter(t => t.tier === 'primitive')) {
+      const color = toFigmaColor(token.value);
+      const id = color ? addVariable('primitives', token.path.split('.'), 'COLOR', { cssVar: tierVarName(token.path) }) : null;
+      if (!id) continue;
+      tierIds[token.path] = id;
+      setValue(id, valueMode, color);
+    }
+
+    for (const [key, info] of Object.entries(tokens.colors?.palette || {})) {
+      const usage = info?.usage?.length ? `Used for ${info.usage.join(', ')}` : null;
+      const target = alias(tiers?.aliases?.palette?.[key]);
+      addPrimitive(['color', key], 'COLOR', resolvePaletteColor(info?.value, current), v => target || toFigmaColor(v), { description: usage });
+    }
+    for (const [name, scale] of Object.entries(tokens.colors?.scales || {})) {
+      if (isPrimitiveScale(tiers, name)) continue;
+      for (const [step, info] of Object.entries(scale)) {
+        const target = alias(tierAlias(tiers, name, step));
+        addPrimitive(['color', name, step], 'COLOR', resolvePaletteColor(info?.value, current), v => target || toFigmaColor(v));
+      }
+    }
+
+    const typography = tokens.typography || {};
+    for (const [name, value] of Object.entries(typography.fontFamily || {})) {
+      addPrimitive(['font-family', name], 'STRING', value, v => v || null, { scopes: FIGMA_SCOPES.fontFamily });
+    }
+    for (const [name, value] of Object.entries(typography.fontSize || {})) {
+      addPrimitive(['font-size', name], 'FLOAT', value, toFigmaFloat, { scopes: FIGMA_SCOPES.fontSize });
+    }
+    for (const [name, value] of Object.entries(typography.fontWeight || {})) {
+      addPrimitive(['font-weight', name], 'FLOAT', value, toFigmaFloat, { scopes: FIGMA_SCOPES.fontWeight });
+    }
+    for (const [name, value] of Object.entries(typography.lineHeight || {})) {
+      addPrimitive(['line-height', name], 'FLOAT', value, toFigmaFloat, { scopes: FIGMA_SCOPES.lineHeight });
+    }
+    // Text styles are not variables in Figma; each one's properties are, under text/<style>/
+    // (fluid sizes keep their measured px value; the description carries the clamp())
+    for (const [name, style] of Object.entries(typography.textStyles || {})) {
+      const cssVar = `--text-${toCSSVarName(name)}`;
+      addPrimitive(['text', name, 'font-size'], 'FLOAT', style.fontSize, toFigmaFloat, {
+        scopes: FIGMA_SCOPES.fontSize,
+        cssVar,
+        description: style.fluid ? `Fluid: ${style.fluid}` : null
+      });
+      addPrimitive(['text', name, 'line-height'], 'FLOAT', style.lineHeight, toFigmaFloat, { scopes: FIGMA_SCOPES.lineHeight, cssVar: `${cssVar}--line-height` });
+      addPrimitive(['text', name, 'letter-spacing'], 'FLOAT', style.letterSpacing, toFigmaFloat, { scopes: FIGMA_SCOPES.letterSpacing, cssVar: `${cssVar}--letter-spacing` });
+      addPrimitive(['text', name, 'font-weight'], 'FLOAT', style.fontWeight, toFigmaFloat, { scopes: FIGMA_SCOPES.fontWeight, cssVar: `${cssVar}--font-weight` });
+      addPrimitive(['text', name, 'font-family'], 'STRING', style.fontFamily, v => v || null, { scopes: FIGMA_SCOPES.fontFamily, cssVar: `${cssVar}--font-family` });
+    }
+    for (const [name, value] of Object.entries(tokens.spacing || {})) {
+      addPrimitive(['spacing', name], 'FLOAT', value, toFigmaFloat, { scopes: FIGMA_SCOPES.spacing });
+    }
+    for (const [name, value] of Object.entries(tokens.borders?.radius || {})) {
+      addPrimitive(['radius', name], 'FLOAT', value, toFigmaFloat, { scopes: FIGMA_SCOPES.radius });
+    }
+    for (const [name, value] of Object.entries(tokens.borders?.width || {})) {
+      addPrimitive(['border-width', name], 'FLOAT', value, toFigmaFloat, { scopes: FIGMA_SCOPES.borderWidth });
+    }
+    // Shadows are effect styles in Figma, not variables; z-index and opacity are FLOATs
+    // (Figma reads opacity variables as 0-100)
+    for (const [name, value] of Object.entries(tokens.zIndex || {})) {
+      addPrimitive(['z-index', name], 'FLOAT', value, toFigmaFloat, { scopes: FIGMA_SCOPES.zIndex });
+    }
+    for (const [name, value] of Object.entries(tokens.opacity || {})) {
+      addPrimitive(['opacity', name], 'FLOAT', value, v => {
+        const n = toFigmaFloat(v);
+        return n === null ? null : Math.round(n * 100);
+      }, { scopes: FIGMA_SCOPES.opacity });
+    }
+
+    // Semantic and component tiers: single-mode collections aliasing the tier below
+    for (const [tier, name] of [['semantic', 'Semantic'], ['component', 'Component']]) {
+      const entries = tierTokens(tiers).filter(t => t.tier === tier && tierIds[t.ref]);
+      if (!entries.length) continue;
+      const [modeId] = addCollection(tier, name, ['value']);
+      for (const token of entries) {
+        const id = addVariable(tier, token.path.split('.'), 'COLOR', { cssVar: tierVarName(token.path) });
+        if (!id) continue;
+        tierIds[token.path] = id;
+        setValue(id, modeId, alias(token.ref));
+      }
+    }
+
+    // Theme colors: one mode per detected theme
+    const modeIds = addCollection('theme', 'Theme', modes.map(m => m.name));
+    const themeVarIds = {};
+    const themeVarNames = new Set(modes.flatMap(m => Object.keys(m.vars)));
+
+    for (const varName of themeVarNames) {
+      const id = addVariable('theme', ['theme', varName.replace(/^--/, '')], 'COLOR', { cssVar: varName });
+      if (!id) continue;
+      themeVarIds[varName] = id;
+      modes.forEach((mode, i) => {
+        const color = toFigmaColor(mode.vars[varName]);
+        if (color) setValue(id, modeIds[i], color);
+      });
+    }
+
+    // Non-color theme variables: lengths as FLOAT, anything else (url(), keywords) as STRING
+    const themeOtherNames = new Set(modes.flatMap(m => Object.keys(m.other)));
+    for (const varName of themeOtherNames) {
+      const sample = modes.map(m => m.other[varName]).find(Boolean);
+      const float = themeValueType(sample) === 'dimension';
+      const id = addVariable('theme', ['theme', varName.replace(/^--/, '')], float ? 'FLOAT' : 'STRING', { cssVar: varName });
+      if (!id) continue;
+      modes.forEach((mode, i) => {
+        const value = mode.other[varName];
+        const converted = value === undefined ? null : float ? toFigmaFloat(value) : String(value);
+        if (converted !== null) setValue(id, modeIds[i], converted);
+      });
+    }
+
+    for (const [name, info] of Object.entries(semantic)) {
+      const aliasId = info.varName ? themeVarIds[info.varName] : null;
+      // Tiers describe the current mode, so only that mode aliases the semantic tier
+      const values = modes.map(mode => aliasId
+        ? { type: 'VARIABLE_ALIAS', id: aliasId }
+        : (mode === current && alias(tierAlias(tiers, name))) || toFigmaColor(info.values[mode.name]));
+      if (!values.some(Boolean)) continue;
+      const id = addVariable('theme', ['semantic', name], 'COLOR', { cssVar: info.varName });
+      if (!id) continue;
+      values.forEach((value, i) => {
+        if (value) setValue(id, modeIds[i], value);
+      });
+    }
+
+    return payload;
+  }
+
   // ============================================
   // StyleKit Tokens Format
   // ============================================
@@ -535,6 +1752,9 @@
         lg: null
       },
 
+      zIndex: {},
+      opacity: {},
+
       motion: {
         duration: {
           fast: null,
@@ -632,34 +1852,36 @@
       }
     }
 
-    // Map borders
-    if (styleData.borders?.radius) {
-      const radii = Object.values(styleData.borders.radius)
-        .map(v => ({ value: v, px: parseInt(v) }))
-        .filter(r => !isNaN(r.px))
-        .sort((a, b) => a.px - b.px);
-
-      if (radii.length) {
-        tokens.borders.radius.sm = radii[0].value;
-        tokens.borders.radius.default = radii[Math.floor(radii.length / 2)].value;
-        if (radii.length > 1) {
-          tokens.borders.radius.lg = radii[radii.length - 1].value;
-        }
+    // Map borders: sm/default/lg from the ordered radius scale, none and full as observed
+    const scales = orderedScales(styleData);
+    const radii = Object.entries(scales.radius)
+      .filter(([name]) => name !== 'none' && name !== 'full')
+      .map(([, value]) => value);
+    if (radii.length) {
+      tokens.borders.radius.sm = radii[0];
+      tokens.borders.radius.default = radii[Math.floor(radii.length / 2)];
+      if (radii.length > 1) {
+        tokens.borders.radius.lg = radii[radii.length - 1];
       }
     }
-
-    // Map shadows
-    if (styleData.shadows) {
-      const shadowList = Object.values(styleData.shadows);
-      if (shadowList.length) {
-        tokens.shadows.default = shadowList[0];
-        if (shadowList.length > 1) {
-          tokens.shadows.sm = shadowList[0];
-          tokens.shadows.lg = shadowList[shadowList.length - 1];
-        }
+    if (scales.radius.full) tokens.borders.radius.full = scales.radius.full;
+
+    // Map shadows: sm/default/lg by elevation (inset shadows don't lift)
+    const shadowList = Object.entries(scales.shadows)
+      .filter(([name]) => !name.startsWith('inner'))
+      .map(([, value]) => value);
+    if (shadowList.length) {
+      tokens.shadows.default = shadowList[Math.floor(shadowList.length / 2)];
+      if (shadowList.length > 1) {
+        tokens.shadows.sm = shadowList[0];
+        tokens.shadows.lg = shadowList[shadowList.length - 1];
       }
     }
 
+    // Z-index layers and opacity keep their scales
+    tokens.zIndex = { ...scales.zIndex };
+    tokens.opacity = { ...scales.opacity };
+
     // Map motion
     if (styleData.animations) {
       if (styleData.animations.durations) {
@@ -700,6 +1922,11 @@
       tokens.components = { ...styleData.components };
     }
 
+    // Token tiers; the role colors above stay literal since StyleDefinition consumes them as CSS values
+    if (styleData.tiers) {
+      tokens.tiers = tierReferences(styleData.tiers);
+    }
+
     return tokens;
   }
 
@@ -816,6 +2043,20 @@ export default ${safeId}Style;
     return window.__seStyleKit.generateRecipes();
   }
 
+  function toCvaTS() {
+    if (!window.__seStyleKit?.generateCva) {
+      return '// cva variants not available — stylekit-adapter.js not loaded\n';
+    }
+    return window.__seStyleKit.generateCva();
+  }
+
+  function toTvTS() {
+    if (!window.__seStyleKit?.generateTv) {
+      return '// tailwind-variants not available — stylekit-adapter.js not loaded\n';
+    }
+    return window.__seStyleKit.generateTv();
+  }
+
   function toTokensTS() {
     if (!window.__seStyleKit?.generateTokens) {
       return '// Tokens not available — stylekit-adapter.js not loaded\n';
@@ -833,10 +2074,16 @@ export default ${safeId}Style;
     // Core converters
     toJSON,
     toTailwind,
+    toTailwind4,
     toCSSVars,
+    toDTCG,
+    toTokensStudio,
+    toFigmaVariables,
     toStyleKit,
     toStyleKitTS,
     toRecipesTS,
+    toCvaTS,
+    toTvTS,
     toTokensTS,
 
     // Helpers
@@ -846,16 +2093,21 @@ export default ${safeId}Style;
     rgbToHex,
     parseColor,
     parseDuration,
+    deriveSpacingBase,
 
     // Format all at once
     convertAll(styleData) {
       return {
         json: toJSON(styleData),
         tailwind: toTailwind(styleData),
+        tailwind4: toTailwind4(styleData),
         cssVars: toCSSVars(styleData),
+        dtcg: toDTCG(styleData),
         styleKit: toStyleKit(styleData),
         styleKitTS: toStyleKitTS(styleData),
         recipesTS: toRecipesTS(),
+        cvaTS: toCvaTS(),
+        tvTS: toTvTS(),
         tokensTS: toTokensTS()
       };
     }
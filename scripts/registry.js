@@ -273,6 +273,20 @@
   // Auto-Registration of Built-in Modules
   // ============================================
 
+  // Options of the running extractStyle() call that module extractors read
+  let runOptions = {};
+
+  function frameOptions() {
+    return runOptions.includeFrames ? { includeFrames: true } : {};
+  }
+
+  function stylekitOptions() {
+    const options = frameOptions();
+    if (runOptions.naming) options.naming = runOptions.naming;
+    if (runOptions.palette) options.palette = runOptions.palette;
+    return options;
+  }
+
   const BUILT_IN_MODULES = [
     {
       name: 'utils',
@@ -290,7 +304,7 @@
       dependencies: [],
       optionalDeps: ['utils'],
       capabilities: ['dom', 'layout', 'breakpoints', 'semantic'],
-      extract: () => window.__seStructure?.extract()
+      extract: () => window.__seStructure?.extract({ dom: frameOptions() })
     },
     {
       name: 'css',
@@ -299,7 +313,7 @@
       description: 'CSS parsing and variable extraction',
       dependencies: [],
       optionalDeps: ['utils'],
-      capabilities: ['css-variables', 'keyframes', 'media-queries', 'font-faces'],
+      capabilities: ['css-variables', 'keyframes', 'media-queries', 'container-queries', 'cascade-layers', 'supports', 'font-faces', 'shadow-styles'],
       extract: () => window.__seCSS?.analyze()
     },
     {
@@ -309,7 +323,7 @@
       description: 'Component detection and state extraction',
       dependencies: [],
       optionalDeps: ['utils'],
-      capabilities: ['components', 'states', 'hierarchy'],
+      capabilities: ['components', 'states', 'hierarchy', 'custom-elements'],
       extract: () => window.__seComponents?.generateReport()
     },
     {
@@ -340,7 +354,7 @@
       dependencies: ['structure'],
       optionalDeps: ['components', 'state-capture', 'responsive', 'stylekit', 'ai-semantic', 'a11y'],
       capabilities: ['blueprint', 'replica-ir', 'hierarchy', 'constraints'],
-      extract: (data) => window.__seBlueprint?.build(data)
+      extract: (data) => window.__seBlueprint?.build(data, frameOptions())
     },
     {
       name: 'a11y',
@@ -360,7 +374,7 @@
       dependencies: [],
       optionalDeps: ['utils'],
       capabilities: ['tokens', 'stylekit', 'recipes', 'prompts', 'confidence'],
-      extract: () => window.__seStyleKit?.extract()
+      extract: () => window.__seStyleKit?.extract(stylekitOptions())
     },
     {
       name: 'format',
@@ -484,6 +498,16 @@
       optionalDeps: ['structure', 'utils'],
       capabilities: ['patterns', 'repeating-elements', 'template-detection'],
       extract: () => window.__sePatternDetect?.detectPatterns()
+    },
+    {
+      name: 'contrast',
+      globalName: '__seContrast',
+      version: '1.0.0',
+      description: 'WCAG 2.x / APCA contrast audit over color roles and rendered text',
+      dependencies: [],
+      optionalDeps: ['utils', 'stylekit'],
+      capabilities: ['contrast', 'wcag', 'apca', 'palette-audit'],
+      extract: (data) => window.__seContrast?.audit({ colors: data.stylekit?.normalized?.tokens?.colors })
     }
   ];
 
@@ -638,7 +662,7 @@
   async function quickExtract(preset = 'full') {
     const presets = {
       minimal: ['structure', 'css'],
-      style: ['css', 'stylekit', 'theme'],
+      style: ['css', 'stylekit', 'theme', 'contrast'],
       components: ['structure', 'components', 'stylekit'],
       motion: ['motion', 'motion-assoc'],
       'ai-semantic': ['structure', 'components', 'state-capture', 'ai-semantic'],
@@ -684,8 +708,11 @@
    * @param {boolean} options.includeRecipes - Generate StyleKit component recipes
    * @param {boolean} options.includePrompt - Generate AI-ready design system prompt
    * @param {boolean} options.includeConfidence - Include confidence scoring report
-   * @param {string} options.format - Output format: 'raw', 'json', 'tailwind', 'stylekit'
+   * @param {string} options.format - Output format: 'raw', 'json', 'tailwind', 'tailwind4', 'stylekit', 'css', 'dtcg', 'tokens-studio', 'figma'
    * @param {string} options.depth - Blueprint detail level: 'overview', 'section', 'full' (default: 'full')
+   * @param {boolean} options.includeFrames - Traverse same-origin iframes (structure, stylekit, blueprint); lists all frames in data.frames
+   * @param {string} options.naming - StyleKit token names: 'semantic' (default), 'original' (page custom properties), 'tailwind'
+   * @param {Object} options.palette - StyleKit palette options: { deltaE, rampMinSize, brandScales } (brandScales: OKLCH 50-950 ramps for brand colors)
    * @returns {Promise<Object>} Extraction result
    */
   function toFormatInputFromStyleKit(stylekitResult, fallbackMeta = {}) {
@@ -701,18 +728,29 @@
       name: normalized.name || fallbackMeta.title || 'Extracted Style',
       url: normalized.source?.url || fallbackMeta.url || location.href,
       colors: tokens.colors?.semantic || {},
+      colorScales: tokens.colors?.scales || {},
+      tiers: tokens.tiers || null,
       typography: {
         families,
         scale: typography.fontSize || {},
-        weights
+        weights,
+        lineHeights: typography.lineHeight || {},
+        textStyles: typography.textStyles || {},
+        modularScale: typography.modularScale || null,
+        fluid: typography.fluid || {}
       },
       spacing: tokens.spacing || {},
+      spacingGrid: tokens.spacingGrid || null,
       borders: {
         widths: tokens.borders?.width || {},
         radius: tokens.borders?.radius || {},
         colors: {}
       },
       shadows: tokens.shadows || {},
+      zIndex: tokens.zIndex || {},
+      opacity: tokens.opacity || {},
+      gradients: tokens.gradients || {},
+      effects: tokens.effects || {},
       animations: {
         durations: motion.duration || {},
         easings: motion.easing || {},
@@ -797,16 +835,41 @@
       includePrompt = false,
       includeConfidence = false,
       format = 'raw',
-      depth = 'full'
+      depth = 'full',
+      includeFrames = false,
+      naming,
+      palette
     } = options;
 
     const replicaMode = preset === 'replica';
     const fullMode = preset === 'full';
 
     // Run extraction
-    const result = requestedModules
-      ? await extractAll({ modules: requestedModules })
-      : await quickExtract(preset);
+    runOptions = { includeFrames, naming, palette };
+    let result;
+    try {
+      result = requestedModules
+        ? await extractAll({ modules: requestedModules })
+        : await quickExtract(preset);
+    } finally {
+      runOptions = {};
+    }
+
+    // Frame inventory: same-origin frames were traversed, cross-origin ones need a separate run
+    if (includeFrames && window.__seUtils?.listFrames) {
+      const frames = window.__seUtils.listFrames();
+      result.data.frames = frames;
+      const crossOrigin = frames.filter(f => !f.sameOrigin);
+      if (crossOrigin.length > 0) {
+        pushWarning(
+          result,
+          'frames',
+          'CROSS_ORIGIN_FRAMES',
+          `${crossOrigin.length} cross-origin frame(s) need a separate extraction`,
+          { urls: crossOrigin.map(f => f.url) }
+        );
+      }
+    }
 
     // Add code generation if requested
     if ((includeCode || replicaMode) && result.data.structure) {
@@ -899,12 +962,38 @@
           case 'tailwind':
             result.formatted = window.__seFormat.toTailwind(styleData);
             break;
+          case 'tailwind4':
+            // Raw spacing usage counts drive the --spacing base unit; keyframes come from __seCSS
+            result.formatted = window.__seFormat.toTailwind4(styleData, {
+              spacingFrequency: result.data.stylekit.raw?.spacing
+            });
+            break;
           case 'stylekit':
             result.formatted = window.__seFormat.toStyleKitTS(styleData);
             break;
           case 'css':
             result.formatted = window.__seFormat.toCSSVars(styleData);
             break;
+          case 'dtcg':
+            result.formatted = window.__seFormat.toDTCG(styleData);
+            break;
+          case 'tokens-studio':
+          case 'figma': {
+            // Design-tool formats work on normalized tokens and split colors by theme mode
+            let themes = result.data.themes || null;
+            if (!themes && window.__seTheme?.installed) {
+              try {
+                themes = await window.__seTheme.extractBothThemes();
+              } catch (e) {
+                pushWarning(result, 'theme', 'EXTRACTION_OPTION_FAILED', e.message);
+              }
+            }
+            const normalized = result.data.stylekit.normalized;
+            result.formatted = format === 'figma'
+              ? window.__seFormat.toFigmaVariables(normalized, themes)
+              : window.__seFormat.toTokensStudio(normalized, themes);
+            break;
+          }
         }
       } catch (e) {
         pushWarning(result, 'format', 'FORMAT_CONVERSION_FAILED', e.message);
@@ -33,7 +33,10 @@
     interactionTargetLimit: 80,
     interactionGroupSampleLimit: 6,
     interactionRecommendationLimit: 8,
-    interactionWorkflowLimit: 5
+    interactionWorkflowLimit: 5,
+    // Opt-in: inline same-origin iframe documents into the tree
+    includeFrames: false,
+    maxFrameDepth: 3
   };
 
   // --------------------------------------------
@@ -210,6 +213,10 @@
     if (s.overflowX && s.overflowX !== 'visible' && s.overflowX !== s.overflow) layout.overflowX = s.overflowX;
     if (s.overflowY && s.overflowY !== 'visible' && s.overflowY !== s.overflow) layout.overflowY = s.overflowY;
 
+    // Query containers: @container rules only resolve against these.
+    if (s.containerType && s.containerType !== 'normal') layout.containerType = s.containerType;
+    if (s.containerName && s.containerName !== 'none') layout.containerName = s.containerName;
+
     // Flex item evidence (e.g. `flex-1`).
     const flexItem = {};
     if (s.flexGrow && s.flexGrow !== '0') flexItem.grow = s.flexGrow;
@@ -1461,8 +1468,11 @@
     const tag = el.tagName.toLowerCase();
     if (options.skipTags.includes(tag)) return null;
 
-    const rect = getRect(el);
-    const hasChildren = el.children && el.children.length > 0;
+    // Inside a frame: rects shift to top-level coordinates, selectors get the frame path.
+    const frame = options.frame || null;
+    const rect = frame ? utils.offsetRect(getRect(el), frame) : getRect(el);
+    const frameEntry = indexes.frames?.get(el) || null;
+    const hasChildren = (el.children && el.children.length > 0) || !!frameEntry?.document;
     const visible = isVisible(el);
     const tooSmall = rect.width < options.minWidth || rect.height < options.minHeight;
 
@@ -1470,7 +1480,7 @@
     if (tooSmall && !hasChildren) return null;
 
     const s = options.includeStyles ? getStyle(el) : null;
-    const selector = cssPath(el);
+    const selector = frame ? utils.frameSelector(frame, cssPath(el)) : cssPath(el);
     const a11yInfo = getA11yInfo(el, selector, indexes.a11y);
 
     stats.count += 1;
@@ -1654,6 +1664,24 @@
       node.semanticName = semanticName;
     }
 
+    if (frameEntry) {
+      node.frame = cleanObject({
+        selector: frameEntry.selector,
+        url: frameEntry.url,
+        name: frameEntry.name,
+        sameOrigin: frameEntry.sameOrigin
+      });
+      const body = frameEntry.document?.body;
+      const bodyNode = body && depth < options.maxDepth
+        ? buildNode(body, depth + 1, rect, indexes, { ...options, frame: frameEntry }, stats)
+        : null;
+      if (bodyNode) {
+        bodyNode.frameRoot = true;
+        node.children = [bodyNode];
+      }
+      return node;
+    }
+
     if (hasChildren && depth < options.maxDepth) {
       const children = [];
       for (const child of el.children) {
@@ -2054,10 +2082,52 @@
       spacing: tokens.spacing || null,
       radii: tokens.borders?.radius || null,
       shadows: tokens.shadows || null,
+      zIndex: tokens.zIndex || null,
+      opacity: tokens.opacity || null,
       motion: tokens.motion || null
     };
   }
 
+  /**
+   * Summarize cascade structure (@layer order, @supports, @container) for the
+   * blueprint. Replica rules hold computed values, which already resolve the layer
+   * order; the replica keeps the container contexts.
+   */
+  function summarizeCascade(css) {
+    const parser = window.__seCSS;
+    let layers = css?.layers || null;
+    let supports = css?.supports || null;
+    let containerQueries = css?.containerQueries || null;
+    try {
+      if (!layers) layers = parser?.extractLayers?.() || null;
+      if (!supports) supports = parser?.extractSupports?.() || null;
+      if (!containerQueries) containerQueries = parser?.extractContainerQueries?.() || null;
+    } catch (e) {
+      logger.warn('Failed to summarize cascade:', e.message);
+    }
+
+    const layerOrder = layers?.order || [];
+    const supportConditions = supports?.conditions || [];
+    const containers = containerQueries?.containers || [];
+    const containerBreakpoints = containerQueries?.breakpoints || [];
+    if (!layerOrder.length && !supportConditions.length && !containers.length && !containerBreakpoints.length) {
+      return null;
+    }
+
+    return {
+      layerOrder,
+      unlayeredRuleCount: layers?.unlayeredRuleCount || 0,
+      supports: supportConditions,
+      containers: containers.map(c => ({
+        selector: c.selector,
+        type: c.type,
+        names: c.names,
+        elementCount: c.elementCount
+      })),
+      containerBreakpoints
+    };
+  }
+
   function summarizeResponsive(responsive) {
     if (!responsive) return null;
 
@@ -2323,6 +2393,8 @@
       count: contexts.length,
       top,
       overlayCandidates,
+      // base → dropdown → sticky → overlay → modal → toast (see __seUtils.analyzeZIndexLayers)
+      layers: utils.analyzeZIndexLayers ? utils.analyzeZIndexLayers(contexts)?.scale || null : null,
       note: 'Stacking contexts are approximate. Within the same context, paint order follows DOM order; higher z-index generally renders above lower.'
     };
   }
@@ -2560,8 +2632,14 @@
     const stats = { count: 0, truncated: false };
     let tree = null;
 
+    // Same-origin frames are inlined; every frame (incl. cross-origin) is listed in blueprint.frames.
+    const frameEntries = opts.includeFrames && utils.collectFrames
+      ? utils.collectFrames({ maxFrameDepth: opts.maxFrameDepth })
+      : null;
+    const frames = frameEntries ? new Map(frameEntries.map(f => [f.element, f])) : null;
+
     try {
-      tree = buildNode(document.body, 0, null, { components, states, a11y: a11yIndex, cssVarMap: cssReverseMap }, opts, stats);
+      tree = buildNode(document.body, 0, null, { components, states, a11y: a11yIndex, cssVarMap: cssReverseMap, frames }, opts, stats);
     } catch (e) {
       logger.warn('Failed to build tree:', e.message);
     }
@@ -2596,6 +2674,7 @@
 
     // Pre-compute responsive summary for reuse
     const responsiveSummary = summarizeResponsive(responsive);
+    const cascade = summarizeCascade(extractedData.css);
 
     // Extra fidelity helpers for LLM-guided reconstruction.
     const stacking = detectStackingContexts(tree);
@@ -2636,11 +2715,13 @@
       interaction,
       responsive: responsiveSummary,
       responsiveHints: buildResponsiveHints(responsiveSummary, sections),
+      cascade,
       tokens,
       page: aiSemantic?.page || null,
       intent: aiSemantic?.summary || null,
       stacking,
       assets,
+      frames: frameEntries ? frameEntries.map(({ element, document: doc, ...frame }) => frame) : null,
       patterns: patterns?.count > 0 ? {
         count: patterns.count,
         totalRepeatingElements: patterns.totalRepeatingElements,
@@ -2728,6 +2809,8 @@
         spacing: pickObject(tokens.spacing, 24),
         radii: pickObject(tokens.radii, 16),
         shadows: pickObject(tokens.shadows, 16),
+        zIndex: tokens.zIndex || null,
+        opacity: pickObject(tokens.opacity, 16),
         motion: tokens.motion || null
       };
     };
@@ -2862,6 +2945,7 @@
         count: stacking.count || top.length || 0,
         overlayCandidates: overlays.slice(0, cfg.maxStackingOverlays).map(compact),
         top: top.slice(0, cfg.maxStackingItems).map(compact),
+        layers: stacking.layers || null,
         note: stacking.note || null
       };
     };
@@ -12,6 +12,7 @@
 //   window.__seResponsive.generateViewportWorkflow()
 //   window.__seResponsive.compareLayouts(layout1, layout2)
 //   window.__seResponsive.analyzeBreakpointChanges()
+//   window.__seResponsive.inferFluidType()
 
 (() => {
   if (window.__seResponsive?.installed) return;
@@ -129,6 +130,9 @@
     // Extract sizing
     const sizingInfo = extractSizingInfo();
 
+    // Text sizes, compared across viewports for fluid type
+    const typeSizes = extractTypeSizes();
+
     return {
       viewport,
       breakpoint: currentBreakpoint,
@@ -137,6 +141,7 @@
       flexLayouts,
       visibilityStates,
       sizingInfo,
+      typeSizes,
       timestamp: Date.now()
     };
   }
@@ -341,6 +346,36 @@
     return sizing;
   }
 
+  /**
+   * Extract font sizes of text elements, keyed by selector
+   */
+  function extractTypeSizes() {
+    const sizes = {};
+    const selectors = [
+      'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'p', 'small', 'figcaption', 'blockquote',
+      '[class*="display"]', '[class*="hero"]', '[class*="title"]', '[class*="lead"]'
+    ];
+
+    for (const selector of selectors) {
+      try {
+        for (const el of Array.from(document.querySelectorAll(selector)).slice(0, 3)) {
+          const path = cssPath(el);
+          if (sizes[path] || !isVisible(el)) continue;
+          const styles = getComputedStyle(el);
+          sizes[path] = {
+            tag: el.tagName.toLowerCase(),
+            fontSize: styles.fontSize,
+            lineHeight: styles.lineHeight
+          };
+        }
+      } catch (e) {
+        debug('Error extracting type sizes:', selector, e.message);
+      }
+    }
+
+    return sizes;
+  }
+
   // ============================================
   // MCP Viewport Workflow
   // ============================================
@@ -452,6 +487,44 @@
     return { ok: true };
   }
 
+  // ============================================
+  // Fluid Typography
+  // ============================================
+
+  /**
+   * Find text whose font size scales with the viewport across stored layouts and
+   * express it as clamp() (see __seUtils.fluidClamp). Needs three or more viewports.
+   * @param {Object} layouts - Viewport name → layout (default: getAllStoredLayouts())
+   * @returns {Object} selector → { tag, min, max, preferred, clamp, widths }
+   */
+  function inferFluidType(layouts = getAllStoredLayouts()) {
+    const fluidClamp = window.__seUtils?.fluidClamp;
+    if (!fluidClamp) return {};
+
+    const points = new Map();
+    const add = (selector, tag, width, fontSize) => {
+      const size = parseFloat(fontSize);
+      if (!width || isNaN(size)) return;
+      if (!points.has(selector)) points.set(selector, { tag, points: [] });
+      points.get(selector).points.push({ width, size });
+    };
+    for (const layout of Object.values(layouts || {})) {
+      const width = layout?.viewport?.width;
+      for (const [selector, info] of Object.entries(layout?.typeSizes || {})) add(selector, info.tag, width, info.fontSize);
+      // Layouts stored before typeSizes existed still carry headings and paragraphs
+      if (!layout?.typeSizes) {
+        for (const item of layout?.sizingInfo || []) add(item.selector, item.tag, width, item.computed?.fontSize);
+      }
+    }
+
+    const fluid = {};
+    for (const [selector, entry] of points) {
+      const result = fluidClamp(entry.points);
+      if (result) fluid[selector] = { tag: entry.tag, ...result };
+    }
+    return fluid;
+  }
+
   // ============================================
   // Layout Comparison
   // ============================================
@@ -585,65 +658,29 @@
   // ============================================
 
   /**
-   * Analyze CSS breakpoints from stylesheets
+   * Analyze CSS breakpoints from stylesheets.
+   * Media queries nested in @layer / @supports / @container blocks count too;
+   * container breakpoints are reported separately (see css-parser).
    */
   function analyzeBreakpoints() {
     const breakpoints = new Map();
     const mediaQueries = [];
 
-    for (const sheet of document.styleSheets) {
-      try {
-        const rules = sheet.cssRules || sheet.rules;
-        for (const rule of rules) {
-          if (rule.type === CSSRule.MEDIA_RULE) {
-            const media = rule.conditionText || rule.media?.mediaText;
-            if (!media) continue;
-
-            mediaQueries.push(media);
-
-            // Extract width breakpoints
-            const minMatch = media.match(/min-width:\s*(\d+(?:\.\d+)?)(px|em|rem)/);
-            const maxMatch = media.match(/max-width:\s*(\d+(?:\.\d+)?)(px|em|rem)/);
-
-            if (minMatch) {
-              const value = parseFloat(minMatch[1]);
-              const unit = minMatch[2];
-              const px = unit === 'px' ? value : value * 16;
-              const key = `min-${Math.round(px)}`;
-
-              if (!breakpoints.has(key)) {
-                breakpoints.set(key, {
-                  type: 'min-width',
-                  value: `${minMatch[1]}${unit}`,
-                  px: Math.round(px),
-                  rulesCount: 0
-                });
-              }
-              breakpoints.get(key).rulesCount++;
-            }
-
-            if (maxMatch) {
-              const value = parseFloat(maxMatch[1]);
-              const unit = maxMatch[2];
-              const px = unit === 'px' ? value : value * 16;
-              const key = `max-${Math.round(px)}`;
-
-              if (!breakpoints.has(key)) {
-                breakpoints.set(key, {
-                  type: 'max-width',
-                  value: `${maxMatch[1]}${unit}`,
-                  px: Math.round(px),
-                  rulesCount: 0
-                });
-              }
-              breakpoints.get(key).rulesCount++;
-            }
-          }
-        }
-      } catch (e) {
-        debug('Cannot access stylesheet:', sheet.href);
+    // Width conditions (min-/max-width and range syntax) come from css-parser's shared parser
+    const css = window.__seCSS;
+    if (!css?.walkRules || !css.parseWidthConditions) debug('css-parser not loaded; no media breakpoints');
+    css?.walkRules?.((rule, kind) => {
+      if (kind !== 'media') return;
+      const media = rule.conditionText || rule.media?.mediaText;
+      if (!media) return;
+
+      mediaQueries.push(media);
+      for (const bp of css.parseWidthConditions(media)) {
+        const key = `${bp.type === 'min-width' ? 'min' : 'max'}-${bp.px}`;
+        if (!breakpoints.has(key)) breakpoints.set(key, { ...bp, rulesCount: 0 });
+        breakpoints.get(key).rulesCount++;
       }
-    }
+    });
 
     // Sort breakpoints
     const sorted = Array.from(breakpoints.values())
@@ -662,11 +699,22 @@
       }
     }
 
+    // Container breakpoints live next to viewport ones but are keyed by container name
+    let container = null;
+    try {
+      container = window.__seCSS?.extractContainerQueries?.() || null;
+    } catch (e) {
+      debug('Container query extraction failed:', e.message);
+    }
+
     return {
       breakpoints: sorted,
       named,
       mediaQueries: [...new Set(mediaQueries)],
-      count: sorted.length
+      count: sorted.length,
+      containerBreakpoints: container?.breakpoints || [],
+      containers: container?.containers || [],
+      containerQueryCount: container?.count || 0
     };
   }
 
@@ -828,6 +876,7 @@
     extractFlexLayouts,
     extractVisibilityStates,
     extractSizingInfo,
+    extractTypeSizes,
 
     // MCP workflow
     generateViewportWorkflow,
@@ -838,6 +887,9 @@
     getAllStoredLayouts,
     clearStoredLayouts,
 
+    // Fluid typography across stored layouts
+    inferFluidType,
+
     // Comparison
     compareLayouts,
 
@@ -6,6 +6,7 @@
 // 2. Style extraction after state triggers
 // 3. State diff calculation
 // 4. Batch state capture for multiple elements
+// Selectors may pierce open shadow roots (' >>> ') or name frames (' |> ').
 //
 // Usage:
 //   window.__seStateCapture.generateMCPCommands(selector)
@@ -96,6 +97,11 @@
     return parts.join(' > ');
   }
 
+  // cssPath prefixed with the shadow hosts el lives under
+  function deepPath(el) {
+    return window.__seUtils?.shadowSelector ? window.__seUtils.shadowSelector(el, cssPath) : cssPath(el);
+  }
+
   function getRect(el) {
     const r = el.getBoundingClientRect();
     return {
@@ -195,6 +201,8 @@
     let candidates = [];
     try {
       candidates = Array.from(rootEl.querySelectorAll('*'));
+      // A web component's visible parts live in its shadow root
+      if (rootEl.shadowRoot) candidates.push(...rootEl.shadowRoot.querySelectorAll('*'));
     } catch {
       candidates = [];
     }
@@ -232,7 +240,7 @@
    * This function provides a fallback selector-based approach.
    */
   function getElementIdentifier(el) {
-    const selector = cssPath(el);
+    const selector = deepPath(el);
     const rect = getRect(el);
     const tag = el.tagName.toLowerCase();
     const text = (el.innerText || el.textContent || '').trim().slice(0, 50);
@@ -266,7 +274,7 @@
    * @returns {Object} MCP command sequence with instructions
    */
   function generateMCPCommands(selector) {
-    const el = typeof selector === 'string' ? document.querySelector(selector) : selector;
+    const el = window.__seUtils.resolveElement(selector);
     if (!el) return { ok: false, error: 'Element not found' };
 
     const identifier = getElementIdentifier(el);
@@ -343,7 +351,9 @@
         step: 7,
         action: 'blur',
         purpose: 'Reset focus state',
-        instruction: `Run: document.querySelector('${identifier.selector}').blur()`
+        instruction: identifier.selector.includes(' >>> ')
+          ? `Run: window.__seUtils.queryShadowSelector('${identifier.selector}').blur()`
+          : `Run: document.querySelector('${identifier.selector}').blur()`
       });
     }
 
@@ -381,6 +391,9 @@
     // Has tabindex
     if (el.hasAttribute('tabindex') && el.tabIndex >= 0) return true;
 
+    // Web components render their control inside the shadow root
+    if (el.shadowRoot?.querySelector('button, a[href], input, select, textarea, [role="button"]')) return true;
+
     return false;
   }
 
@@ -403,6 +416,9 @@
     // contenteditable
     if (el.isContentEditable) return true;
 
+    // Shadow hosts that forward focus to an inner control
+    if (el.shadowRoot?.delegatesFocus || el.shadowRoot?.querySelector('button, input, select, textarea, a[href]')) return true;
+
     return false;
   }
 
@@ -415,7 +431,7 @@
    * Call this after triggering a state via MCP tools.
    */
   function captureCurrentState(selector) {
-    const el = typeof selector === 'string' ? document.querySelector(selector) : selector;
+    const el = window.__seUtils.resolveElement(selector);
     if (!el) return { ok: false, error: 'Element not found' };
 
     // By default we include a small subtree snapshot so hover/focus changes on icons/text
@@ -427,7 +443,7 @@
 
     return {
       ok: true,
-      selector: cssPath(el),
+      selector: typeof selector === 'string' ? selector : deepPath(el),
       timestamp: Date.now(),
       styles: { ...extractStyles(el), ...subtree },
       rect: getRect(el)
@@ -560,7 +576,7 @@
     const errors = [];
 
     for (const selector of selectors) {
-      const el = document.querySelector(selector);
+      const el = window.__seUtils.resolveElement(selector);
       if (el) {
         elements.push({
           selector,
@@ -642,7 +658,7 @@
    * Less accurate than MCP-triggered states but works without interaction.
    */
   function extractAllStatesFallback(selector) {
-    const el = typeof selector === 'string' ? document.querySelector(selector) : selector;
+    const el = window.__seUtils.resolveElement(selector);
     if (!el) return { ok: false, error: 'Element not found' };
 
     const states = {
@@ -663,13 +679,16 @@
       ':focus-within', ':disabled', ':checked', ':invalid'
     ];
 
-    for (const sheet of document.styleSheets) {
+    const sheets = window.__seUtils?.stylesheetsFor
+      ? window.__seUtils.stylesheetsFor(el)
+      : Array.from(document.styleSheets, sheet => ({ sheet, mapSelector: s => s }));
+    for (const { sheet, mapSelector } of sheets) {
       try {
         const rules = sheet.cssRules || sheet.rules;
         for (const rule of rules) {
           if (rule.type !== 1) continue;
 
-          const selectorText = rule.selectorText || '';
+          const selectorText = mapSelector(rule.selectorText || '');
 
           for (const pseudo of pseudoClasses) {
             if (selectorText.includes(pseudo)) {
@@ -715,7 +734,7 @@
 
     return {
       ok: true,
-      selector: cssPath(el),
+      selector: typeof selector === 'string' ? selector : deepPath(el),
       method: 'css-fallback',
       states,
       stateCount: Object.keys(states).length
@@ -91,21 +91,24 @@
     minWidth: 10,
     minHeight: 10,
     includeShadowDOM: true,  // NEW: 穿透 Shadow DOM
-    shadowDepth: 3           // NEW: Shadow DOM 最大嵌套深度
+    shadowDepth: 3,          // NEW: Shadow DOM 最大嵌套深度
+    includeFrames: false,    // Opt-in: descend into same-origin iframes
+    maxFrameDepth: 3
   };
 
-  function extractDOMNode(el, depth, options, shadowDepth = 0) {
+  function extractDOMNode(el, depth, options, shadowDepth = 0, frame = null) {
     if (!el || el.nodeType !== 1) return null;
     if (depth > options.maxDepth) return null;
 
     const tag = el.tagName.toLowerCase();
     if (options.skipTags.includes(tag)) return null;
 
-    // Skip invisible elements
-    const rect = getRect(el);
+    // Skip invisible elements (rects inside frames are shifted to top-level coordinates)
+    const rect = frame ? window.__seUtils.offsetRect(getRect(el), frame) : getRect(el);
+    const frameEntry = options.frameIndex?.get(el) || null;
     if (rect.width < options.minWidth || rect.height < options.minHeight) {
       // Still process children - parent might be a wrapper
-      if (el.children.length === 0 && !el.shadowRoot) return null;
+      if (el.children.length === 0 && !el.shadowRoot && !frameEntry?.document) return null;
     }
 
     const node = {
@@ -156,7 +159,7 @@
     if (options.includeShadowDOM && el.shadowRoot && shadowDepth < options.shadowDepth) {
       const shadowChildren = [];
       for (const child of el.shadowRoot.children) {
-        const childNode = extractDOMNode(child, depth + 1, options, shadowDepth + 1);
+        const childNode = extractDOMNode(child, depth + 1, options, shadowDepth + 1, frame);
         if (childNode) {
           shadowChildren.push(childNode);
         }
@@ -167,11 +170,24 @@
       }
     }
 
+    // Same-origin frame: its <body> becomes the only child
+    if (frameEntry) {
+      node.frame = {
+        selector: frameEntry.selector,
+        url: frameEntry.url,
+        sameOrigin: frameEntry.sameOrigin
+      };
+      const body = frameEntry.document?.body;
+      const bodyNode = body ? extractDOMNode(body, depth + 1, options, shadowDepth, frameEntry) : null;
+      if (bodyNode) node.children = [bodyNode];
+      return node;
+    }
+
     // Process regular children
     if (el.children.length > 0 && depth < options.maxDepth) {
       const children = [];
       for (const child of el.children) {
-        const childNode = extractDOMNode(child, depth + 1, options, shadowDepth);
+        const childNode = extractDOMNode(child, depth + 1, options, shadowDepth, frame);
         if (childNode) {
           children.push(childNode);
         }
@@ -188,10 +204,15 @@
     const opts = { ...DEFAULT_DOM_OPTIONS, ...options };
     debug('Extracting DOM with options:', opts);
 
+    const frames = opts.includeFrames && window.__seUtils?.collectFrames
+      ? window.__seUtils.collectFrames({ maxFrameDepth: opts.maxFrameDepth })
+      : null;
+    if (frames) opts.frameIndex = new Map(frames.map(f => [f.element, f]));
+
     const root = document.body;
     const tree = extractDOMNode(root, 0, opts);
 
-    return {
+    const result = {
       url: location.href,
       title: document.title,
       viewport: {
@@ -201,6 +222,9 @@
       tree,
       extractedAt: Date.now()
     };
+    // Every frame, including cross-origin ones the runner has to extract separately
+    if (frames) result.frames = frames.map(({ element, document: doc, ...frame }) => frame);
+    return result;
   }
 
   // ============================================
@@ -63,13 +63,20 @@
   // Data Collection
   // ============================================
 
-  function collectExtractedData() {
+  /**
+   * options.palette: clustering/ramp options merged over PALETTE_DEFAULTS
+   * options.naming: one of NAMING_STRATEGIES (default 'semantic')
+   * Both are kept on data.options so normalizeToStyleKit applies the same ones.
+   */
+  function collectExtractedData(options = {}) {
+    const palette = { ...PALETTE_DEFAULTS, ...(options.palette || {}) };
     const data = {
       meta: {
         url: location.href,
         title: document.title,
         timestamp: Date.now()
       },
+      options: { palette, naming: options.naming || 'semantic' },
       colors: {},
       typography: {},
       spacing: {},
@@ -114,22 +121,56 @@
         debugWarn('Cannot access stylesheet (likely cross-origin):', sheet.href);
       }
     }
+    // Cross-origin sheets recovered by the runner (css-parser registerExternalCss)
+    if (window.__seCSS?.getExternalCss?.().count > 0) {
+      const recovered = window.__seCSS.extractVariables().variables;
+      for (const [prop, value] of Object.entries({ ...recovered.html, ...recovered.root })) {
+        if (!(prop in cssVars)) cssVars[prop] = value;
+      }
+    }
     data.cssVariables = cssVars;
 
+    // Web components: the custom properties each element reads are its styling API
+    if (window.__seCSS?.extractShadowStyles) {
+      const shadow = window.__seCSS.extractShadowStyles();
+      if (shadow.count > 0) data.webComponents = shadow.components;
+    }
+
     // Extract colors from common elements
-    data.colors = extractDocumentColors();
+    data.colors = extractDocumentColors({ ...options, palette });
 
     // Extract typography
     data.typography = extractTypography();
+    data.typography.textStyles = extractTextStyles();
+    // Fluid sizes need layouts stored at several viewports (responsive workflow)
+    if (window.__seResponsive?.inferFluidType) data.typography.fluid = window.__seResponsive.inferFluidType();
 
     // Extract spacing patterns
-    data.spacing = extractSpacing();
+    const spacingSamples = [];
+    data.spacing = extractSpacing(spacingSamples);
+    data.spacingGrid = analyzeSpacing(data.spacing, spacingSamples);
+
+    // Elevation, radius, opacity and z-index scales
+    data.elevation = extractElevation();
+
+    // Gradients and filter/blend/glass/noise effects
+    data.effects = extractEffects();
 
     return data;
   }
 
-  function extractDocumentColors() {
+  /**
+   * Sample colors from key elements.
+   * options.includeFrames: also sample same-origin iframes (Storybook canvases, embedded checkouts).
+   */
+  function extractDocumentColors(options = {}) {
     const colors = new Map();
+    const docs = [document];
+    if (options.includeFrames && window.__seUtils?.collectFrames) {
+      for (const frame of window.__seUtils.collectFrames({ maxFrameDepth: options.maxFrameDepth })) {
+        if (frame.document) docs.push(frame.document);
+      }
+    }
 
     // Sample from key elements
     const selectors = [
@@ -139,34 +180,42 @@
       '.card', '.panel', 'article'
     ];
 
-    for (const sel of selectors) {
-      try {
-        const els = document.querySelectorAll(sel);
-        for (const el of Array.from(els).slice(0, 3)) {
-          const s = getComputedStyle(el);
+    for (const doc of docs) {
+      for (const sel of selectors) {
+        try {
+          const els = doc.querySelectorAll(sel);
+          for (const el of Array.from(els).slice(0, 3)) {
+            const s = getComputedStyle(el);
 
-          addColor(colors, s.color, 'text');
-          addColor(colors, s.backgroundColor, 'background');
-          addColor(colors, s.borderColor, 'border');
+            addColor(colors, s.color, 'text');
+            addColor(colors, s.backgroundColor, 'background');
+            addColor(colors, s.borderColor, 'border');
+          }
+        } catch (e) {
+          debugWarn('Error extracting colors from selector:', sel, e.message);
         }
-      } catch (e) {
-        debugWarn('Error extracting colors from selector:', sel, e.message);
       }
     }
 
-    // Convert to object
-    const result = {};
+    // Collapse near-duplicates, then convert to object
+    const entries = [];
     for (const [color, info] of colors) {
       if (color && color !== 'transparent' && color !== 'rgba(0, 0, 0, 0)') {
-        const key = `color-${info.count}`;
-        result[key] = {
-          value: color,
-          usage: Array.from(info.usage),
-          count: info.count
-        };
+        entries.push({ value: color, usage: Array.from(info.usage), count: info.count });
       }
     }
 
+    const result = {};
+    for (const cluster of clusterColors(entries, options.palette || PALETTE_DEFAULTS)) {
+      const key = `color-${cluster.count}`;
+      result[key] = {
+        value: cluster.value,
+        usage: cluster.usage,
+        count: cluster.count
+      };
+      if (cluster.variants.length) result[key].variants = cluster.variants;
+    }
+
     return result;
   }
 
@@ -359,8 +408,71 @@
     };
   }
 
-  function extractSpacing() {
+  // Composite text style roles and the elements that carry them
+  const TEXT_STYLE_SELECTORS = {
+    display: '[class*="display"], [class*="hero"] h1, [class*="jumbotron"] h1',
+    h1: 'h1',
+    h2: 'h2',
+    h3: 'h3',
+    h4: 'h4',
+    h5: 'h5',
+    h6: 'h6',
+    body: 'p',
+    caption: 'figcaption, small, caption, [class*="caption"]'
+  };
+
+  /**
+   * Composite text styles (family, size, weight, line-height, letter-spacing):
+   * the most common look among each role's elements. Display only counts when
+   * it is larger than h1.
+   */
+  function extractTextStyles() {
+    const styles = {};
+
+    for (const [name, selector] of Object.entries(TEXT_STYLE_SELECTORS)) {
+      try {
+        const looks = new Map();
+        for (const el of Array.from(document.querySelectorAll(selector)).slice(0, 10)) {
+          const s = getComputedStyle(el);
+          if (!s.fontSize) continue;
+          const look = {
+            fontFamily: s.fontFamily,
+            fontSize: s.fontSize,
+            fontWeight: s.fontWeight,
+            lineHeight: s.lineHeight || 'normal',
+            letterSpacing: s.letterSpacing || 'normal'
+          };
+          const key = JSON.stringify(look);
+          if (!looks.has(key)) looks.set(key, { ...look, tag: el.tagName.toLowerCase(), count: 0 });
+          looks.get(key).count++;
+        }
+        const common = Array.from(looks.values()).sort((a, b) => b.count - a.count)[0];
+        if (common) styles[name] = common;
+      } catch (e) {
+        debugWarn('Error extracting text style:', name, e.message);
+      }
+    }
+
+    if (styles.display && styles.h1 && parseFloat(styles.display.fontSize) <= parseFloat(styles.h1.fontSize)) {
+      delete styles.display;
+    }
+    return styles;
+  }
+
+  // Spacing properties sampled per element
+  const SPACING_PROPS = [
+    ['paddingTop', 'padding-top'], ['paddingRight', 'padding-right'], ['paddingBottom', 'padding-bottom'],
+    ['paddingLeft', 'padding-left'], ['marginTop', 'margin-top'], ['marginRight', 'margin-right'],
+    ['marginBottom', 'margin-bottom'], ['marginLeft', 'margin-left'], ['gap', 'gap']
+  ];
+
+  /**
+   * Spacing usage counts. `samples` (optional) receives one { selector, property, value }
+   * per sampled element and property for the off-grid report.
+   */
+  function extractSpacing(samples = null) {
     const spacing = new Map();
+    const seen = new Set();
 
     // Use targeted selectors instead of querySelectorAll('*') for better performance
     const spacingSelectors = [
@@ -379,15 +491,15 @@
         for (const el of Array.from(els).slice(0, 20)) {
           const s = getComputedStyle(el);
 
-          addSpacing(spacing, s.paddingTop);
-          addSpacing(spacing, s.paddingRight);
-          addSpacing(spacing, s.paddingBottom);
-          addSpacing(spacing, s.paddingLeft);
-          addSpacing(spacing, s.marginTop);
-          addSpacing(spacing, s.marginRight);
-          addSpacing(spacing, s.marginBottom);
-          addSpacing(spacing, s.marginLeft);
-          addSpacing(spacing, s.gap);
+          for (const [prop] of SPACING_PROPS) addSpacing(spacing, s[prop]);
+
+          if (samples && !seen.has(el)) {
+            seen.add(el);
+            const selector = window.__seUtils?.cssPath ? window.__seUtils.cssPath(el) : el.tagName.toLowerCase();
+            for (const [prop, property] of SPACING_PROPS) {
+              if (s[prop] && s[prop] !== '0px') samples.push({ selector, property, value: s[prop] });
+            }
+          }
         }
       } catch (e) {
         debugWarn('Error extracting spacing from selector:', sel, e.message);
@@ -408,11 +520,872 @@
     map.set(value, (map.get(value) || 0) + 1);
   }
 
+  /**
+   * Spacing system (base unit, scale, off-grid values and elements) from the usage
+   * counts, via __seUtils.analyzeSpacingGrid(). The scale is in rem when most spacing
+   * declarations in the stylesheets use rem.
+   */
+  function analyzeSpacing(frequency, samples) {
+    if (!window.__seUtils?.analyzeSpacingGrid) return null;
+
+    const units = { rem: 0, px: 0 };
+    const scan = (rules) => {
+      for (const rule of rules || []) {
+        if (rule.cssRules) scan(rule.cssRules);
+        if (!rule.style) continue;
+        for (const prop of rule.style) {
+          if (!/^(padding|margin|gap|row-gap|column-gap)/.test(prop)) continue;
+          const value = rule.style.getPropertyValue(prop);
+          units.rem += (value.match(/[\d.]rem\b/g) || []).length;
+          units.px += (value.match(/[1-9][\d.]*px\b/g) || []).length;
+        }
+      }
+    };
+    for (const sheet of document.styleSheets) {
+      try {
+        scan(sheet.cssRules);
+      } catch (e) {
+        debugWarn('Cannot scan spacing units (likely cross-origin):', sheet.href);
+      }
+    }
+
+    return window.__seUtils.analyzeSpacingGrid(frequency, {
+      rootFontSize: parseFloat(getComputedStyle(document.documentElement).fontSize) || 16,
+      remBased: units.rem > units.px,
+      samples
+    });
+  }
+
+  /**
+   * Shadow, radius, opacity and z-index usage, ordered into scales by __seUtils
+   * (elevation, none → full, percentage, named layers). Z-index contexts come from
+   * positioned elements and from stylesheet rules, so hidden modals and toasts count.
+   * Every element computes a 0 radius by default, so only rules that set one count as `none`.
+   */
+  function extractElevation() {
+    const utils = window.__seUtils;
+    if (!utils?.analyzeShadowScale) return null;
+
+    const shadows = {};
+    const radii = {};
+    const opacity = {};
+    const stacking = [];
+    const count = (map, value) => { map[value] = (map[value] || 0) + 1; };
+    const rootArea = Math.max(1, window.innerWidth * window.innerHeight);
+
+    for (const el of Array.from(document.querySelectorAll('body, body *')).slice(0, 2000)) {
+      const s = getComputedStyle(el);
+      if (s.boxShadow && s.boxShadow !== 'none') count(shadows, s.boxShadow);
+      if (s.borderRadius && !/^0(px)?$/.test(s.borderRadius)) count(radii, s.borderRadius);
+      if (s.opacity && s.opacity !== '1') count(opacity, s.opacity);
+      if (s.position && s.position !== 'static' && s.zIndex && s.zIndex !== 'auto') {
+        const rect = el.getBoundingClientRect();
+        stacking.push({
+          selector: utils.cssPath ? utils.cssPath(el) : el.tagName.toLowerCase(),
+          position: s.position,
+          zIndex: s.zIndex,
+          areaRatio: Math.round((rect.width * rect.height / rootArea) * 100) / 100
+        });
+      }
+    }
+
+    const scan = (rules) => {
+      for (const rule of rules || []) {
+        if (rule.cssRules) scan(rule.cssRules);
+        if (/^0(px|rem|em|%)?$/.test(String(rule.style?.getPropertyValue('border-radius')).trim())) count(radii, '0px');
+        const zIndex = rule.style?.getPropertyValue('z-index');
+        if (!rule.selectorText || !/^-?\d+$/.test(String(zIndex).trim())) continue;
+        stacking.push({ selector: rule.selectorText, position: rule.style.getPropertyValue('position') || null, zIndex: zIndex.trim() });
+      }
+    };
+    for (const sheet of document.styleSheets) {
+      try {
+        scan(sheet.cssRules);
+      } catch (e) {
+        debugWarn('Cannot scan z-index and radius rules (likely cross-origin):', sheet.href);
+      }
+    }
+
+    return {
+      shadows: utils.analyzeShadowScale(shadows),
+      radius: utils.analyzeRadiusScale(radii, {
+        rootFontSize: parseFloat(getComputedStyle(document.documentElement).fontSize) || 16
+      }),
+      opacity: utils.analyzeOpacityScale(opacity),
+      zIndex: utils.analyzeZIndexLayers(stacking)
+    };
+  }
+
+  /**
+   * Gradients, filter and backdrop-filter stacks, blend modes, glass surfaces
+   * (backdrop blur over a translucent background) and noise overlays (SVG
+   * feTurbulence or noise/grain images) used on the page.
+   */
+  function extractEffects() {
+    const utils = window.__seUtils;
+    if (!utils?.parseGradients) return null;
+
+    const gradients = new Map();
+    const backdropFilters = {};
+    const filters = {};
+    const blendModes = {};
+    const glass = new Map();
+    const noise = {};
+    const count = (map, value) => { map[value] = (map[value] || 0) + 1; };
+    const isNoiseUrl = url => /feTurbulence|noise|grain/i.test(url);
+    const isNoiseFilter = (id) => {
+      try {
+        return !!document.querySelector(`${id} feTurbulence, ${id} feturbulence`);
+      } catch (e) {
+        return false;
+      }
+    };
+
+    for (const el of Array.from(document.querySelectorAll('body, body *')).slice(0, 2000)) {
+      const s = getComputedStyle(el);
+      const image = s.backgroundImage;
+      if (image && image !== 'none') {
+        for (const gradient of utils.parseGradients(image)) {
+          const value = utils.formatGradient(gradient);
+          if (!gradients.has(value)) gradients.set(value, { gradient, count: 0 });
+          gradients.get(value).count++;
+        }
+        for (const url of image.match(/url\((?:[^()]|\([^()]*\))*\)/g) || []) {
+          if (isNoiseUrl(url)) count(noise, url);
+        }
+      }
+      const backdrop = s.backdropFilter || s.webkitBackdropFilter;
+      if (backdrop && backdrop !== 'none') {
+        count(backdropFilters, backdrop);
+        // Glass: blurred backdrop seen through a translucent background
+        const alpha = utils.parseColor(s.backgroundColor)?.a;
+        if (/blur\(/.test(backdrop) && alpha > 0 && alpha < 1) {
+          const key = `${backdrop}|${s.backgroundColor}`;
+          if (!glass.has(key)) {
+            const border = s.borderTopWidth && s.borderTopWidth !== '0px' && s.borderTopStyle !== 'none'
+              ? `${s.borderTopWidth} ${s.borderTopStyle} ${s.borderTopColor}`
+              : null;
+            glass.set(key, { backdropFilter: backdrop, background: s.backgroundColor, border, count: 0 });
+          }
+          glass.get(key).count++;
+        }
+      }
+      if (s.filter && s.filter !== 'none') {
+        count(filters, s.filter);
+        for (const { fn, args } of utils.parseFilterStack(s.filter)) {
+          const id = fn === 'url' ? args.replace(/^["']|["']$/g, '').match(/#[\w-]+$/)?.[0] : null;
+          if (id && isNoiseFilter(id)) count(noise, `url(${id})`);
+        }
+      }
+      if (s.mixBlendMode && s.mixBlendMode !== 'normal') count(blendModes, s.mixBlendMode);
+    }
+
+    return {
+      gradients: Array.from(gradients.values()).sort((a, b) => b.count - a.count),
+      backdropFilter: utils.analyzeFilterStacks(backdropFilters),
+      filter: utils.analyzeFilterStacks(filters),
+      blendModes,
+      glass: Array.from(glass.values()).sort((a, b) => b.count - a.count),
+      noise
+    };
+  }
+
+  // ============================================
+  // Palette Clustering & Tonal Ramps
+  // ============================================
+
+  // deltaE: CIEDE2000 distance under which colors collapse into one cluster (2.3 ≈ just-noticeable)
+  // rampMinSize: clusters of one hue needed before they are emitted as a named scale
+  // brandScales: generate 50-950 ramps for the primary/secondary/accent colors (opt-in: most of
+  // the steps are synthesized, not observed)
+  const PALETTE_DEFAULTS = { deltaE: 2.3, rampMinSize: 3, brandScales: false };
+
+  // Token naming (see applyNamingStrategy): 'semantic' invents role and scale names,
+  // 'original' keeps the page's custom property names, 'tailwind' uses Tailwind's scale keys
+  const NAMING_STRATEGIES = ['semantic', 'original', 'tailwind'];
+
+  // Approximate CIELAB L* of Tailwind's 50-950 steps (blue/red average)
+  const RAMP_STEPS = [
+    ['50', 97], ['100', 92], ['200', 86], ['300', 77], ['400', 66], ['500', 55],
+    ['600', 47], ['700', 39], ['800', 32], ['900', 27], ['950', 15]
+  ];
+
+  // LCh(ab) hue of Tailwind's 500 shades, used to name detected ramps
+  const RAMP_HUES = [
+    ['rose', 20], ['red', 31], ['orange', 55], ['amber', 73], ['yellow', 84], ['lime', 123],
+    ['green', 147], ['emerald', 161], ['teal', 182], ['cyan', 223], ['sky', 256], ['blue', 285],
+    ['indigo', 299], ['violet', 307], ['purple', 313], ['fuchsia', 324], ['pink', 353]
+  ];
+
+  const RAMP_HUE_TOLERANCE = 25;
+
+  // Translucent colors only merge with colors of nearly the same alpha: a 18% white
+  // overlay is its own token, a 98% brand color is the brand color
+  const CLUSTER_ALPHA_TOLERANCE = 0.05;
+
+  function colorToLab(value) {
+    if (typeof value !== 'string' || !/^#[0-9a-f]{6}([0-9a-f]{2})?$/i.test(value)) return null;
+    return rgbToLab(hexToRgb(value));
+  }
+
+  function colorAlpha(value) {
+    return value.length === 9 ? parseInt(value.slice(7, 9), 16) / 255 : 1;
+  }
+
+  function hueDistance(h1, h2) {
+    const d = Math.abs(h1 - h2) % 360;
+    return d > 180 ? 360 - d : d;
+  }
+
+  /**
+   * Group near-duplicate colors (antialiasing, alpha blending) within a ΔE2000 threshold.
+   * The most-used member of each cluster is its representative; the rest are kept as variants.
+   * Clusters are returned in order of first appearance.
+   * @param {Array<{value: string, count: number, usage: string[]}>} entries
+   * @param {Object} [options] - { deltaE }
+   * @returns {Array<{value, count, usage, variants: Array<{value, count, deltaE}>}>}
+   */
+  function clusterColors(entries, options = {}) {
+    const threshold = options.deltaE ?? PALETTE_DEFAULTS.deltaE;
+    const sorted = entries
+      .map((entry, index) => ({ ...entry, index }))
+      .sort((a, b) => b.count - a.count || a.index - b.index);
+    const clusters = [];
+
+    for (const entry of sorted) {
+      const lab = colorToLab(entry.value);
+      const alpha = lab ? colorAlpha(entry.value) : 1;
+      let target = null;
+      let bestDistance = Infinity;
+
+      if (lab && threshold > 0) {
+        for (const cluster of clusters) {
+          if (!cluster.lab || Math.abs(cluster.alpha - alpha) > CLUSTER_ALPHA_TOLERANCE) continue;
+          const distance = deltaE2000(cluster.lab, lab);
+          if (distance <= threshold && distance < bestDistance) {
+            target = cluster;
+            bestDistance = distance;
+          }
+        }
+      }
+
+      if (target) {
+        target.count += entry.count;
+        target.index = Math.min(target.index, entry.index);
+        for (const u of entry.usage || []) target.usage.add(u);
+        target.variants.push({ value: entry.value, count: entry.count, deltaE: Math.round(bestDistance * 100) / 100 });
+      } else {
+        clusters.push({
+          value: entry.value,
+          lab,
+          alpha,
+          index: entry.index,
+          count: entry.count,
+          usage: new Set(entry.usage || []),
+          variants: []
+        });
+      }
+    }
+
+    // Keep first-appearance order so downstream role inference sees document order
+    return clusters
+      .sort((a, b) => a.index - b.index)
+      .map(({ value, count, usage, variants }) => ({ value, count, usage: Array.from(usage), variants }));
+  }
+
+  /**
+   * Detect tonal ramps (several lightness steps of one hue) in a normalized palette.
+   * Ramp members are assigned to the nearest 50-950 step by lightness, keeping their order.
+   * @param {Object} palette - { key: { value, usage, confidence, ... } }
+   * @param {Object} [options] - { rampMinSize }
+   * @returns {{ scales: Object, members: string[] }} scales by hue name, and the palette keys they consumed
+   */
+  function detectTonalRamps(palette, options = {}) {
+    const minSize = options.rampMinSize ?? PALETTE_DEFAULTS.rampMinSize;
+    const groups = [];
+
+    for (const [key, info] of Object.entries(palette || {})) {
+      const value = info?.value;
+      if (typeof value !== 'string' || value.length !== 7) continue;
+      const lab = colorToLab(value);
+      if (!lab || lab.l > 98.5 || lab.l < 3) continue; // pure white/black stay loose
+
+      const chroma = Math.hypot(lab.a, lab.b);
+      let hue = Math.atan2(lab.b, lab.a) * 180 / Math.PI;
+      if (hue < 0) hue += 360;
+      // Tints near white carry little chroma, so they count as chromatic earlier
+      const neutral = !(chroma >= 12 || (lab.l >= 85 && chroma >= 4));
+
+      const member = { key, info, lab, hue };
+      const group = neutral
+        ? groups.find(g => g.neutral)
+        : groups.find(g => !g.neutral && hueDistance(g.hue, hue) <= RAMP_HUE_TOLERANCE);
+      if (!group) {
+        groups.push({ neutral, hue, a: lab.a, b: lab.b, members: [member] });
+        continue;
+      }
+      group.members.push(member);
+      // Group hue = chroma-weighted mean, so saturated mid-tones outweigh pale tints
+      group.a += lab.a;
+      group.b += lab.b;
+      group.hue = (Math.atan2(group.b, group.a) * 180 / Math.PI + 360) % 360;
+    }
+
+    const scales = {};
+    const members = [];
+
+    for (const group of groups) {
+      if (group.members.length < minSize) continue;
+      const ordered = group.members.sort((a, b) => b.lab.l - a.lab.l);
+      if (ordered[0].lab.l - ordered[ordered.length - 1].lab.l < 25) continue;
+      if (ordered.length > RAMP_STEPS.length) ordered.length = RAMP_STEPS.length;
+
+      // Nearest step by lightness, monotonic, leaving room for the darker members
+      const scale = {};
+      let next = 0;
+      ordered.forEach((member, i) => {
+        const last = RAMP_STEPS.length - (ordered.length - i);
+        let pick = next;
+        for (let s = next; s <= last; s++) {
+          if (Math.abs(RAMP_STEPS[s][1] - member.lab.l) < Math.abs(RAMP_STEPS[pick][1] - member.lab.l)) pick = s;
+        }
+        scale[RAMP_STEPS[pick][0]] = { ...member.info, sourceKey: member.key };
+        members.push(member.key);
+        next = pick + 1;
+      });
+
+      let name = 'gray';
+      if (!group.neutral) {
+        name = RAMP_HUES.reduce((best, h) => (hueDistance(h[1], group.hue) < hueDistance(best[1], group.hue) ? h : best))[0];
+      }
+      let unique = name;
+      for (let n = 2; scales[unique]; n++) unique = `${name}-${n}`;
+      scales[unique] = scale;
+    }
+
+    return { scales, members };
+  }
+
+  // ============================================
+  // Brand Color Scales (OKLCH)
+  // ============================================
+
+  const BRAND_SCALE_ROLES = ['primary', 'secondary', 'accent'];
+
+  // OKLCH lightness and chroma (relative to 500) of Tailwind v4's 50-950 steps (blue/red average)
+  const OKLCH_STEPS = [
+    ['50', 0.971, 0.06], ['100', 0.934, 0.14], ['200', 0.884, 0.27], ['300', 0.809, 0.49],
+    ['400', 0.706, 0.79], ['500', 0.630, 1], ['600', 0.562, 1.09], ['700', 0.497, 1.02],
+    ['800', 0.434, 0.84], ['900', 0.388, 0.64], ['950', 0.270, 0.41]
+  ];
+
+  // CIEDE2000 distance under which a page color is taken as the step itself
+  const BRAND_OBSERVED_DELTA_E = 3;
+
+  function srgbToLinear(c) {
+    return c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+  }
+
+  function linearToSrgb(c) {
+    return c <= 0.0031308 ? 12.92 * c : 1.055 * Math.pow(c, 1 / 2.4) - 0.055;
+  }
+
+  function hexToOklch(hex) {
+    const { r, g, b } = hexToRgb(hex);
+    const [lr, lg, lb] = [r, g, b].map(c => srgbToLinear(c / 255));
+    const l = Math.cbrt(0.4122214708 * lr + 0.5363325363 * lg + 0.0514459929 * lb);
+    const m = Math.cbrt(0.2119034982 * lr + 0.6806995451 * lg + 0.1073969566 * lb);
+    const s = Math.cbrt(0.0883024619 * lr + 0.2817188376 * lg + 0.6299787005 * lb);
+    const L = 0.2104542553 * l + 0.7936177850 * m - 0.0040720468 * s;
+    const A = 1.9779984951 * l - 2.4285922050 * m + 0.4505937099 * s;
+    const B = 0.0259040371 * l + 0.7827717662 * m - 0.8086757660 * s;
+    return { l: L, c: Math.hypot(A, B), h: (Math.atan2(B, A) * 180 / Math.PI + 360) % 360 };
+  }
+
+  // → linear sRGB channels, possibly out of [0, 1]
+  function oklchToLinear({ l, c, h }) {
+    const A = c * Math.cos(h * Math.PI / 180);
+    const B = c * Math.sin(h * Math.PI / 180);
+    const l_ = Math.pow(l + 0.3963377774 * A + 0.2158037573 * B, 3);
+    const m_ = Math.pow(l - 0.1055613458 * A - 0.0638541728 * B, 3);
+    const s_ = Math.pow(l - 0.0894841775 * A - 1.2914855480 * B, 3);
+    return [
+      4.0767416621 * l_ - 3.3077115913 * m_ + 0.2309699292 * s_,
+      -1.2684380046 * l_ + 2.6097574011 * m_ - 0.3413193965 * s_,
+      -0.0041960863 * l_ - 0.7034186147 * m_ + 1.7076147010 * s_
+    ];
+  }
+
+  /**
+   * OKLCH → hex, reducing chroma (keeping lightness and hue) until the color fits sRGB.
+   */
+  function oklchToHex(color) {
+    const inGamut = channels => channels.every(c => c >= -1e-4 && c <= 1 + 1e-4);
+    let linear = oklchToLinear(color);
+    if (!inGamut(linear)) {
+      let lo = 0;
+      let hi = color.c;
+      for (let i = 0; i < 20; i++) {
+        const mid = (lo + hi) / 2;
+        if (inGamut(oklchToLinear({ ...color, c: mid }))) lo = mid;
+        else hi = mid;
+      }
+      linear = oklchToLinear({ ...color, c: lo });
+    }
+    return '#' + linear
+      .map(c => Math.round(Math.min(1, Math.max(0, linearToSrgb(Math.min(1, Math.max(0, c))))) * 255)
+        .toString(16).padStart(2, '0'))
+      .join('');
+  }
+
+  function formatOklch({ l, c, h }) {
+    return `oklch(${(l * 100).toFixed(1)}% ${c.toFixed(3)} ${h.toFixed(1)})`;
+  }
+
+  // Semantic values come from custom properties: hex, rgb(), hsl() or oklch()
+  function toOpaqueHex(value) {
+    if (typeof value !== 'string') return null;
+    const oklch = value.trim().match(/^oklch\(\s*([\d.]+)(%?)\s+([\d.]+)\s+([\d.]+)(?:deg)?\s*(?:\/\s*[\d.]+%?\s*)?\)$/i);
+    if (oklch) {
+      const l = parseFloat(oklch[1]) / (oklch[2] ? 100 : 1);
+      return oklchToHex({ l, c: parseFloat(oklch[3]), h: parseFloat(oklch[4]) });
+    }
+    const hex = normalizeColor(value.trim());
+    if (typeof hex !== 'string' || !/^#[0-9a-f]{6}$/i.test(hex)) return null;
+    return hex.toLowerCase();
+  }
+
+  /**
+   * Build a 50-950 ramp in OKLCH anchored on one extracted shade.
+   * The anchor lands on the step nearest its lightness; the other steps follow Tailwind's
+   * lightness/chroma curve at the anchor's hue. Steps within ΔE2000 3 of a page color take
+   * that color and are marked observed; the rest are marked synthesized.
+   * @param {string} value - Anchor color
+   * @param {Array<{value: string, key?: string}>} [observed] - Colors seen on the page
+   * @returns {Object|null} { step: { value, oklch, observed, confidence, anchor?, sourceKey? } }
+   */
+  function generateBrandScale(value, observed = []) {
+    const anchorHex = toOpaqueHex(value);
+    if (!anchorHex) return null;
+    const anchor = hexToOklch(anchorHex);
+
+    let k = 0;
+    OKLCH_STEPS.forEach(([, l], i) => {
+      if (Math.abs(l - anchor.l) < Math.abs(OKLCH_STEPS[k][1] - anchor.l)) k = i;
+    });
+    const last = OKLCH_STEPS.length - 1;
+    const shift = anchor.l - OKLCH_STEPS[k][1];
+    const relChroma = OKLCH_STEPS[k][2];
+
+    const candidates = [];
+    for (const entry of observed) {
+      const hex = toOpaqueHex(entry.value);
+      if (hex) candidates.push({ hex, key: entry.key, lab: rgbToLab(hexToRgb(hex)) });
+    }
+
+    const scale = {};
+    const used = new Set();
+    OKLCH_STEPS.forEach(([step, l, chroma], i) => {
+      if (i === k) {
+        scale[step] = { value: anchorHex, oklch: formatOklch(anchor), observed: true, confidence: 'high', anchor: true };
+        return;
+      }
+      // The anchor's lightness offset fades out towards 50 and 950
+      const weight = i < k ? i / k : (last - i) / (last - k);
+      const color = { l: l + shift * weight, c: anchor.c * chroma / relChroma, h: anchor.h };
+      const hex = oklchToHex(color);
+      const lab = rgbToLab(hexToRgb(hex));
+
+      let match = null;
+      let best = BRAND_OBSERVED_DELTA_E;
+      for (const candidate of candidates) {
+        if (used.has(candidate.hex) || candidate.hex === anchorHex) continue;
+        const distance = deltaE2000(lab, candidate.lab);
+        if (distance <= best) {
+          match = candidate;
+          best = distance;
+        }
+      }
+
+      if (match) {
+        used.add(match.hex);
+        scale[step] = { value: match.hex, oklch: formatOklch(hexToOklch(match.hex)), observed: true, confidence: 'medium' };
+        if (match.key) scale[step].sourceKey = match.key;
+      } else {
+        scale[step] = { value: hex, oklch: formatOklch({ ...color, c: hexToOklch(hex).c }), observed: false, confidence: 'low' };
+      }
+    });
+
+    return scale;
+  }
+
+  /**
+   * Ramps for the primary/secondary/accent semantic colors.
+   * @param {Object} semantic - { primary, secondary, accent, ... }
+   * @param {Array<{value: string, key?: string}>} [observed] - Colors seen on the page
+   * @returns {Object} { primary: scale, ... } for the roles that have a parseable color
+   */
+  function generateBrandScales(semantic, observed = []) {
+    const scales = {};
+    for (const role of BRAND_SCALE_ROLES) {
+      const scale = semantic?.[role] ? generateBrandScale(semantic[role], observed) : null;
+      if (scale) scales[role] = scale;
+    }
+    return scales;
+  }
+
+  // ============================================
+  // Token Tiers (primitive → semantic → component)
+  // ============================================
+
+  // Semantic color roles → dotted path of their alias token
+  const SEMANTIC_COLOR_PATHS = {
+    primary: 'color.action.primary.bg',
+    secondary: 'color.action.secondary.bg',
+    accent: 'color.action.accent.bg',
+    background: 'color.bg.default',
+    surface: 'color.bg.surface',
+    text: 'color.fg.default',
+    textMuted: 'color.fg.muted',
+    border: 'color.stroke.default',
+    error: 'color.feedback.error',
+    success: 'color.feedback.success',
+    warning: 'color.feedback.warning'
+  };
+
+  // Component style properties that become component tokens
+  const COMPONENT_COLOR_PROPS = [['bg', 'backgroundColor'], ['fg', 'color'], ['border', 'borderColor']];
+
+  const COMPONENT_STATES = ['hover', 'active', 'focus', 'focusVisible', 'disabled'];
+
+  // Semantic tokens a component property may reference (a white label is not `color.bg.default`)
+  const SEMANTIC_PROP_PATHS = {
+    bg: /^color\.(action\.[\w-]+\.bg|bg\.|feedback\.)/,
+    fg: /^color\.(action\.[\w-]+\.fg|fg\.|feedback\.)/,
+    border: /^color\.(action\.[\w-]+\.bg|stroke\.|feedback\.)/
+  };
+
+  function toKebabCase(str) {
+    return String(str).replace(/([a-z0-9])([A-Z])/g, '$1-$2').replace(/[^a-zA-Z0-9-]+/g, '-').toLowerCase();
+  }
+
+  /**
+   * Color value → lowercase #rrggbb / #rrggbbaa, following var() through the page's
+   * custom properties. Fully transparent and unparseable values give null.
+   */
+  function toTierColor(value, raw = {}, depth = 0) {
+    if (typeof value !== 'string') return null;
+    const v = value.trim();
+    const ref = v.match(/^var\(\s*--([\w-]+)\s*(?:,\s*(.+))?\)$/);
+    if (ref) {
+      if (depth > 5) return null;
+      const target = raw[ref[1]] ?? ref[2];
+      return target ? toTierColor(target, raw, depth + 1) : null;
+    }
+    let hex = v === 'white' ? '#ffffff' : v === 'black' ? '#000000' : normalizeColor(v);
+    if (typeof hex !== 'string') return null;
+    hex = hex.toLowerCase().replace(/^#([0-9a-f])([0-9a-f])([0-9a-f])([0-9a-f])?$/, (_, r, g, b, a) => `#${r}${r}${g}${g}${b}${b}${a ? a + a : ''}`);
+    if (!/^#[0-9a-f]{6}([0-9a-f]{2})?$/.test(hex)) return null;
+    if (hex.length === 9 && hex.endsWith('00')) return null;
+    return hex.length === 9 && hex.endsWith('ff') ? hex.slice(0, 7) : hex;
+  }
+
+  // Palette family (hue name, gray, white, black) and 50-950 step for a color
+  function primitiveName(hex) {
+    const lab = colorToLab(hex);
+    const chroma = Math.hypot(lab.a, lab.b);
+    const neutral = !(chroma >= 12 || (lab.l >= 85 && chroma >= 4));
+    if (neutral && lab.l > 98.5) return { family: 'white', step: null };
+    if (neutral && lab.l < 3) return { family: 'black', step: null };
+
+    let family = 'gray';
+    if (!neutral) {
+      const hue = (Math.atan2(lab.b, lab.a) * 180 / Math.PI + 360) % 360;
+      family = RAMP_HUES.reduce((best, h) => (hueDistance(h[1], hue) < hueDistance(best[1], hue) ? h : best))[0];
+    }
+    const step = RAMP_STEPS.reduce((best, s) => (Math.abs(s[1] - lab.l) < Math.abs(best[1] - lab.l) ? s : best))[0];
+    return { family, step };
+  }
+
+  /**
+   * Infer a three-tier token hierarchy from normalized StyleKit tokens:
+   * - primitive: raw palette values named by hue and step (`color.blue.600`)
+   * - semantic: role aliases referencing a primitive (`color.action.primary.bg`)
+   * - component: per-variant, per-state colors of detected components
+   *   (`button.primary.bg.hover`), referencing a semantic token or a primitive
+   * Keys are dotted paths; `ref` is the path of the referenced token in the tier below.
+   * `aliases` maps the flat role, scale and palette names to their tier tokens so each
+   * output format can emit those as references instead of repeating literals.
+   * With 'original' naming the first two tiers are the page's own custom properties,
+   * keyed by their name: literal ones are primitives, `var()` aliases are semantic
+   * tokens referencing their target. 'tailwind' naming names primitives after the
+   * nearest Tailwind color.
+   * @param {Object} normalized - normalizeToStyleKit() output
+   * @returns {{ primitive: Object, semantic: Object, component: Object, aliases: Object }}
+   */
+  function buildTokenTiers(normalized) {
+    const colors = normalized.tokens?.colors || {};
+    const raw = colors.raw || {};
+    const original = normalized.naming === 'original';
+    const tiers = {
+      primitive: {},
+      semantic: {},
+      component: {},
+      aliases: { roles: {}, scales: {}, palette: {} }
+    };
+
+    // Palette clustering already merged near-duplicates, so references need an exact match
+    const findIn = (tier, hex, paths = Object.keys(tier)) => paths.find(path => tier[path]?.value === hex) || null;
+
+    // Existing primitive with the color, or a new one named after it
+    function primitiveFor(hex) {
+      const found = findIn(tiers.primitive, hex);
+      if (found) return found;
+      const tw = normalized.naming === 'tailwind' ? colorToTw(hex.slice(0, 7))?.match(/^([a-z]+)(?:-(\d+))?$/) : null;
+      const { family, step } = tw ? { family: tw[1], step: tw[2] || null } : primitiveName(hex.slice(0, 7));
+      const alpha = hex.length === 9 ? `-a${Math.round(colorAlpha(hex) * 100)}` : '';
+      const base = `color.${family}${step ? `.${step}` : ''}${alpha}`;
+      let path = base;
+      for (let n = 2; tiers.primitive[path]; n++) path = `${base}-${n}`;
+      tiers.primitive[path] = { value: hex };
+      return path;
+    }
+
+    // Scales are whole primitive families; brand ramps are renamed by their hue
+    const families = new Set(Object.keys(colors.scales || {}).filter(name => !BRAND_SCALE_ROLES.includes(name)));
+    for (const [name, scale] of Object.entries(colors.scales || {})) {
+      let family = name;
+      if (BRAND_SCALE_ROLES.includes(name)) {
+        const anchor = Object.values(scale).find(info => info.anchor)?.value || scale['500']?.value;
+        const hex = toTierColor(anchor);
+        if (!hex) continue;
+        family = primitiveName(hex).family;
+        for (let n = 2; families.has(family); n++) family = `${primitiveName(hex).family}-${n}`;
+        families.add(family);
+        tiers.aliases.scales[name] = `color.${family}`;
+      }
+      for (const [step, info] of Object.entries(scale)) {
+        const hex = toTierColor(info.value, raw);
+        if (hex) tiers.primitive[`color.${family}.${step}`] = { value: hex };
+      }
+    }
+
+    // The page's own chain: literal properties first, then each alias after its target
+    if (original) {
+      const names = Object.keys(colors.semantic || {});
+      const targets = normalized.tokens?.aliases || {};
+      const depth = (name, n = 0) => (targets[name] && names.includes(targets[name]) && n < 6 ? depth(targets[name], n + 1) : n);
+      for (const name of names.sort((a, b) => depth(a) - depth(b))) {
+        const hex = toTierColor(colors.semantic[name], raw);
+        if (!hex) continue;
+        const target = targets[name];
+        const ref = target && (tiers.primitive[target] || tiers.semantic[target]) ? target : null;
+        if (ref) tiers.semantic[name] = { value: (tiers.primitive[ref] || tiers.semantic[ref]).value, ref };
+        else tiers.primitive[name] = { value: hex };
+        tiers.aliases.roles[name] = name;
+      }
+    }
+
+    // Semantic roles alias the primitive carrying their value
+    for (const [role, path] of original ? [] : Object.entries(SEMANTIC_COLOR_PATHS)) {
+      const hex = toTierColor(colors.semantic?.[role], raw);
+      if (!hex) continue;
+      const ref = primitiveFor(hex);
+      tiers.semantic[path] = { value: tiers.primitive[ref].value, ref, role };
+      tiers.aliases.roles[role] = path;
+    }
+
+    for (const [key, info] of Object.entries(colors.palette || {})) {
+      const hex = toTierColor(info?.value, raw);
+      if (hex) tiers.aliases.palette[key] = primitiveFor(hex);
+    }
+
+    // Component variants: one token set per distinct look, named after the role
+    // their background carries, else after their modifier class
+    const actionRoles = BRAND_SCALE_ROLES.filter(role => tiers.aliases.roles[role]);
+    for (const [type, items] of Object.entries(normalized.components || {})) {
+      const variants = {};
+      for (const item of items || []) {
+        if (!item?.states || !Object.keys(item.states).length) continue;
+
+        const read = (styles) => {
+          const props = {};
+          for (const [prop, cssProp] of COMPONENT_COLOR_PROPS) {
+            if (prop === 'border' && /^(none|0(px)?)\b/.test(String(styles?.border || styles?.borderStyle || ''))) continue;
+            const hex = toTierColor(styles?.[cssProp], raw);
+            if (hex) props[prop] = hex;
+          }
+          return props;
+        };
+        const base = read(item.states.default || item.styles);
+        const tokens = {};
+        for (const [prop, hex] of Object.entries(base)) tokens[`${prop}.default`] = hex;
+        for (const state of COMPONENT_STATES) {
+          if (!item.states[state]) continue;
+          for (const [prop, hex] of Object.entries(read(item.states[state]))) {
+            if (hex !== base[prop]) tokens[`${prop}.${toKebabCase(state)}`] = hex;
+          }
+        }
+        if (!Object.keys(tokens).length) continue;
+
+        const role = base.bg && actionRoles.find(r => tiers.semantic[tiers.aliases.roles[r]].value === base.bg);
+        let name = role;
+        if (!name) {
+          const classes = String(item.selector || '').split(/\s*[>+~ ]\s*/).pop().match(/\.[\w-]+/g) || [];
+          const modifier = classes.length ? classes[classes.length - 1].slice(1) : '';
+          const generic = `(${toKebabCase(type)}|btn|button)`;
+          const stripped = modifier.replace(new RegExp(`^${generic}[-_]+|[-_]+${generic}$`, 'g'), '');
+          name = stripped && !new RegExp(`^${generic}$`).test(modifier) ? toKebabCase(stripped) : 'default';
+        }
+
+        const signature = JSON.stringify(tokens);
+        let unique = name;
+        for (let n = 2; variants[unique] && variants[unique] !== signature; n++) unique = `${name}-${n}`;
+        if (variants[unique]) continue;
+        variants[unique] = signature;
+
+        // Buttons carrying a brand role supply that role's foreground
+        if (role && tokens['fg.default']) {
+          const fgPath = `color.action.${role}.fg`;
+          if (!tiers.semantic[fgPath]) {
+            const ref = primitiveFor(tokens['fg.default']);
+            tiers.semantic[fgPath] = { value: tiers.primitive[ref].value, ref, role };
+          }
+        }
+
+        for (const [key, hex] of Object.entries(tokens)) {
+          const [prop] = key.split('.');
+          // The page's aliases carry no role; prefer the ones named after the component
+          const allowed = Object.keys(tiers.semantic).filter(path => original || SEMANTIC_PROP_PATHS[prop].test(path));
+          const own = allowed.filter(path => (original
+            ? path.startsWith(`${toKebabCase(type)}-`)
+            : role && path.startsWith(`color.action.${role}.`)));
+          const semantic = findIn(tiers.semantic, hex, own) || findIn(tiers.semantic, hex, allowed);
+          const ref = semantic || primitiveFor(hex);
+          const target = semantic ? tiers.semantic[ref] : tiers.primitive[ref];
+          tiers.component[`${toKebabCase(type)}.${unique}.${key}`] = { value: target.value, ref };
+        }
+      }
+    }
+
+    return tiers;
+  }
+
+  /**
+   * Custom property name of a tier token path (`color.blue.600` → `--color-blue-600`).
+   */
+  function tierVarName(path) {
+    return `--${path.replace(/\./g, '-')}`;
+  }
+
+  // ============================================
+  // Naming Strategies
+  // ============================================
+
+  // Token groups renamed after the custom property that produced their value,
+  // with the css-parser category that property must belong to
+  const ORIGINAL_NAME_GROUPS = [
+    [['spacing'], 'spacing'],
+    [['typography', 'fontFamily'], 'typography'],
+    [['typography', 'fontSize'], 'typography'],
+    [['typography', 'fontWeight'], 'typography'],
+    [['typography', 'lineHeight'], 'typography'],
+    [['motion', 'duration'], 'motion'],
+    [['shadows'], 'shadow'],
+    [['borders', 'radius'], 'border']
+  ];
+
+  // Rename the keys of a token group; names that are taken keep their old key
+  function renameKeys(group, rename) {
+    const result = {};
+    const entries = Object.entries(group || {});
+    for (const [key, value] of entries) {
+      const name = rename(key, value);
+      const free = name && name !== key && !(name in result) && !entries.some(([other]) => other === name);
+      result[free ? name : key] = value;
+    }
+    return result;
+  }
+
+  /**
+   * Re-key normalized tokens for the chosen naming strategy. 'semantic' leaves them as is.
+   * - original: every color custom property becomes a semantic color under its own name
+   *   (`--brand-500` → `brand-500`), `var()` chains are kept in `tokens.aliases`
+   *   (`{ 'button-bg': 'brand-500' }`), palette colors a property already covers are
+   *   dropped, and spacing/typography/duration values take the name of the property
+   *   css-parser traces them to. Invented scales are not generated.
+   * - tailwind: palette colors, spacing, font sizes, weights and durations are keyed by
+   *   the nearest Tailwind name (`blue-600`, `4`, `lg`, `semibold`, `150`).
+   * @param {Object} stylekit - normalizeToStyleKit() output, updated in place
+   * @param {Object} cssVars - Page custom properties (`--name` → raw value)
+   * @param {string} strategy - One of NAMING_STRATEGIES
+   */
+  function applyNamingStrategy(stylekit, cssVars, strategy) {
+    const tokens = stylekit.tokens;
+    const colors = tokens.colors;
+
+    if (strategy === 'original') {
+      const raw = colors.raw || {};
+      const semantic = {};
+      const aliases = {};
+      const covered = new Set();
+      for (const [varName, value] of Object.entries(cssVars || {})) {
+        const name = varName.replace(/^--/, '');
+        const target = String(value).trim().match(/^var\(\s*--([\w-]+)\s*(?:,.*)?\)$/);
+        if (target) aliases[name] = target[1];
+        const hex = toTierColor(value, raw);
+        if (!hex) continue;
+        // Literal value at the end of the chain, as the author wrote it
+        let literal = value;
+        for (let depth = 0; /^var\(/.test(String(literal).trim()) && depth < 6; depth++) {
+          const next = String(literal).trim().match(/^var\(\s*--([\w-]+)/);
+          literal = next && raw[next[1]] !== undefined ? raw[next[1]] : hex;
+        }
+        semantic[name] = /^var\(/.test(String(literal).trim()) ? hex : literal;
+        covered.add(hex);
+      }
+      colors.semantic = semantic;
+      for (const [key, info] of Object.entries(colors.palette || {})) {
+        if (covered.has(toTierColor(info?.value, raw))) delete colors.palette[key];
+      }
+      if (Object.keys(aliases).length) tokens.aliases = aliases;
+
+      const lookup = window.__seCSS?.lookupVariable;
+      if (lookup) {
+        for (const [path, category] of ORIGINAL_NAME_GROUPS) {
+          const parent = path.length > 1 ? tokens[path[0]] : tokens;
+          const key = path[path.length - 1];
+          if (!parent?.[key]) continue;
+          parent[key] = renameKeys(parent[key], (name, value) => {
+            const found = typeof value === 'string' ? lookup(value) : null;
+            return found?.category === category ? found.varName.replace(/^--/, '') : null;
+          });
+        }
+      }
+    }
+
+    if (strategy === 'tailwind') {
+      colors.palette = renameKeys(colors.palette, (key, info) => colorToTw(toTierColor(info?.value, colors.raw)));
+      tokens.spacing = renameKeys(tokens.spacing, (key, value) => pxToTwSpacing(value));
+      const typography = tokens.typography || {};
+      typography.fontSize = renameKeys(typography.fontSize, (key, value) => fontSizeToTw(value)?.replace(/^text-/, ''));
+      typography.fontWeight = renameKeys(typography.fontWeight, (key, value) => fontWeightToTw(value)?.replace(/^font-/, ''));
+      // Durations are normalized to ms, Tailwind keys them by that number (`duration-150`)
+      if (tokens.motion?.duration) {
+        tokens.motion.duration = renameKeys(tokens.motion.duration, (key, value) => {
+          const ms = parseFloat(value);
+          return isNaN(ms) ? null : String(ms);
+        });
+      }
+    }
+  }
+
   // ============================================
   // Normalization to StyleKit Format
   // ============================================
 
   function normalizeToStyleKit(extractedData) {
+    const { palette = PALETTE_DEFAULTS, naming = 'semantic' } = extractedData.options || {};
     const stylekit = {
       id: generateId(extractedData.meta.url),
       name: extractedData.meta.title || 'Extracted Style',
@@ -422,6 +1395,7 @@
         url: extractedData.meta.url,
         extractedAt: new Date(extractedData.meta.timestamp).toISOString()
       },
+      naming,
 
       tokens: {
         colors: {},
@@ -437,19 +1411,32 @@
     };
 
     // Normalize colors
-    stylekit.tokens.colors = normalizeColors(extractedData.colors, extractedData.cssVariables);
+    stylekit.tokens.colors = normalizeColors(extractedData.colors, extractedData.cssVariables, { palette, naming });
 
     // Normalize typography
     stylekit.tokens.typography = normalizeTypography(extractedData.typography);
 
     // Normalize spacing
     stylekit.tokens.spacing = normalizeSpacing(extractedData.spacing);
+    if (extractedData.spacingGrid) stylekit.tokens.spacingGrid = extractedData.spacingGrid;
+
+    // Ordered scales: shadows by elevation, radii none → full, named z-index layers, opacity
+    const elevation = extractedData.elevation || {};
+    if (elevation.shadows) stylekit.tokens.shadows = elevation.shadows.scale;
+    if (elevation.radius) stylekit.tokens.borders.radius = elevation.radius.scale;
+    if (elevation.zIndex) stylekit.tokens.zIndex = elevation.zIndex.scale;
+    if (elevation.opacity) stylekit.tokens.opacity = elevation.opacity.scale;
 
     // Normalize motion
     if (extractedData.motion?.runtimeAnimations) {
       stylekit.tokens.motion = normalizeMotion(extractedData.motion);
     }
 
+    // Web component custom-property API, per element tag
+    if (extractedData.webComponents) {
+      stylekit.tokens.components = normalizeComponentApi(extractedData.webComponents);
+    }
+
     // Normalize components - merge interactiveDetails (with states) and basic components
     if (extractedData.componentDetails) {
       stylekit.components = normalizeComponents(extractedData.componentDetails);
@@ -467,9 +1454,90 @@
       }
     }
 
+    // Token names: invented roles (default), the page's own custom properties, or Tailwind keys
+    applyNamingStrategy(stylekit, extractedData.cssVariables, naming);
+
+    // Primitive → semantic → component hierarchy over the tokens above
+    stylekit.tokens.tiers = buildTokenTiers(stylekit);
+
+    // Gradient stops reference the color primitives above
+    if (extractedData.effects) {
+      const { gradients, effects } = normalizeEffects(extractedData.effects, stylekit.tokens, palette);
+      if (gradients) stylekit.tokens.gradients = gradients;
+      if (effects) stylekit.tokens.effects = effects;
+    }
+
     return stylekit;
   }
 
+  /**
+   * Gradient tokens (`gradient-1`, most used first) whose stops carry a `ref` to the
+   * color primitive they match (exactly, or within the palette's deltaE), and effect
+   * groups: backdropFilter, filter, blend, glass and noise.
+   */
+  function normalizeEffects(extracted, tokens, paletteOptions = PALETTE_DEFAULTS) {
+    const raw = tokens.colors?.raw || {};
+    const primitives = Object.entries(tokens.tiers?.primitive || {});
+    const refFor = (color) => {
+      const hex = toTierColor(color, raw);
+      if (!hex) return null;
+      const exact = primitives.find(([, token]) => token.value === hex);
+      if (exact) return exact[0];
+      const lab = colorToLab(hex);
+      let best = null;
+      for (const [path, token] of primitives) {
+        const other = colorToLab(token.value);
+        if (!lab || !other || Math.abs(colorAlpha(token.value) - colorAlpha(hex)) > CLUSTER_ALPHA_TOLERANCE) continue;
+        const distance = deltaE2000(lab, other);
+        if (distance <= paletteOptions.deltaE && (!best || distance < best.distance)) best = { path, distance };
+      }
+      return best?.path || null;
+    };
+
+    let gradients = null;
+    extracted.gradients.forEach(({ gradient, count }, i) => {
+      gradients = gradients || {};
+      gradients[`gradient-${i + 1}`] = {
+        type: gradient.type,
+        repeating: gradient.repeating,
+        prelude: gradient.prelude,
+        stops: gradient.stops.map(stop => {
+          const ref = refFor(stop.color);
+          return ref ? { ...stop, ref } : { ...stop };
+        }),
+        value: window.__seUtils.formatGradient(gradient),
+        count
+      };
+    });
+
+    const effects = {};
+    if (extracted.backdropFilter) effects.backdropFilter = extracted.backdropFilter.scale;
+    if (extracted.filter) effects.filter = extracted.filter.scale;
+    const blend = Object.keys(extracted.blendModes || {});
+    if (blend.length) effects.blend = Object.fromEntries(blend.map(mode => [mode, mode]));
+    if (extracted.glass?.length) {
+      effects.glass = Object.fromEntries(extracted.glass.map(({ count, border, ...glass }, i) =>
+        [`glass-${i + 1}`, border ? { ...glass, border } : glass]));
+    }
+    const noise = Object.entries(extracted.noise || {}).sort((a, b) => b[1] - a[1]);
+    if (noise.length) effects.noise = Object.fromEntries(noise.map(([url], i) => [`noise-${i + 1}`, url]));
+
+    return { gradients, effects: Object.keys(effects).length ? effects : null };
+  }
+
+  function normalizeComponentApi(webComponents) {
+    const result = {};
+    for (const [tag, info] of Object.entries(webComponents)) {
+      const properties = {};
+      for (const [name, api] of Object.entries(info.api || {}).sort(([a], [b]) => a.localeCompare(b))) {
+        properties[name] = { value: api.default, source: api.source };
+      }
+      if (!Object.keys(properties).length && !info.parts?.length) continue;
+      result[tag] = { properties, parts: info.parts || [] };
+    }
+    return result;
+  }
+
   function generateId(url) {
     try {
       const parsed = new URL(url);
@@ -504,7 +1572,7 @@
     return safe || 'extracted';
   }
 
-  function normalizeColors(colors, cssVars) {
+  function normalizeColors(colors, cssVars, { palette: paletteOptions = PALETTE_DEFAULTS, naming = 'semantic' } = {}) {
     const result = {
       semantic: {},
       palette: {},
@@ -550,6 +1618,7 @@
         usage: info.usage ? Array.from(info.usage) : [],
         confidence: countToConfidence(info.count || 1),
       };
+      if (info.variants?.length) result.palette[key].variants = info.variants;
 
       // Try to infer semantic usage
       if (info.usage?.includes('text') && !result.semantic.text) {
@@ -560,6 +1629,32 @@
       }
     }
 
+    // Ramp and brand scale names are invented; 'original' naming keeps the page's own
+    if (naming === 'original') return result;
+
+    // Tonal ramps become named scales instead of loose palette entries
+    const ramps = detectTonalRamps(result.palette, paletteOptions);
+    if (ramps.members.length) {
+      result.scales = ramps.scales;
+      for (const key of ramps.members) delete result.palette[key];
+    }
+
+    // Brand roles get a full ramp; steps that match a page color reuse it
+    if (paletteOptions.brandScales) {
+      const observed = [];
+      for (const [key, info] of Object.entries(result.palette)) {
+        observed.push({ value: info.value, key });
+        for (const v of info.variants || []) observed.push({ value: v.value, key });
+      }
+      for (const scale of Object.values(result.scales || {})) {
+        for (const info of Object.values(scale)) observed.push({ value: info.value, key: info.sourceKey });
+      }
+      for (const [name, value] of Object.entries(result.raw)) observed.push({ value, key: `--${name}` });
+
+      const brand = generateBrandScales(result.semantic, observed);
+      if (Object.keys(brand).length) result.scales = { ...brand, ...(result.scales || {}) };
+    }
+
     return result;
   }
 
@@ -614,6 +1709,28 @@
       }
     }
 
+    // Modular scale the observed sizes follow: ratio, base and off-scale sizes
+    const modularScale = window.__seUtils?.analyzeTypeScale?.(typography.sizes || {});
+    if (modularScale) result.modularScale = modularScale;
+
+    // Composite text styles, with their scale step and the clamp() of fluid ones
+    const fluid = Object.values(typography.fluid || {});
+    const textStyles = {};
+    for (const [name, style] of Object.entries(typography.textStyles || {})) {
+      const px = parseFloat(style.fontSize);
+      const entry = {};
+      for (const prop of ['fontFamily', 'fontSize', 'fontWeight', 'lineHeight', 'letterSpacing']) {
+        if (style[prop]) entry[prop] = style[prop];
+      }
+      const step = modularScale?.steps.find(s => s.observed && Math.abs(parseFloat(s.observed) - px) < 0.01);
+      if (step) entry.step = step.step;
+      const sized = fluid.find(f => f.tag === style.tag && px >= parseFloat(f.min) - 0.5 && px <= parseFloat(f.max) + 0.5);
+      if (sized) entry.fluid = sized.clamp;
+      textStyles[name] = entry;
+    }
+    if (Object.keys(textStyles).length) result.textStyles = textStyles;
+    if (fluid.length) result.fluid = typography.fluid;
+
     // Line heights
     if (typography.lineHeights?.length) {
       const lhs = typography.lineHeights
@@ -810,6 +1927,9 @@
 
   // ── Color Science: RGB → LAB → Delta-E CIE2000 ──
 
+  // Lab conversion and CIEDE2000 come from utils.js, shared with the contrast audit
+  const { rgbToLab, deltaE2000 } = window.__seUtils;
+
   function hexToRgb(hex) {
     return {
       r: parseInt(hex.slice(1, 3), 16),
@@ -818,61 +1938,18 @@
     };
   }
 
-  function rgbToLab({ r, g, b }) {
-    // sRGB → linear RGB
-    let rl = r / 255, gl = g / 255, bl = b / 255;
-    rl = rl > 0.04045 ? ((rl + 0.055) / 1.055) ** 2.4 : rl / 12.92;
-    gl = gl > 0.04045 ? ((gl + 0.055) / 1.055) ** 2.4 : gl / 12.92;
-    bl = bl > 0.04045 ? ((bl + 0.055) / 1.055) ** 2.4 : bl / 12.92;
-    // linear RGB → XYZ (D65)
-    let x = (rl * 0.4124564 + gl * 0.3575761 + bl * 0.1804375) / 0.95047;
-    let y = (rl * 0.2126729 + gl * 0.7151522 + bl * 0.0721750);
-    let z = (rl * 0.0193339 + gl * 0.1191920 + bl * 0.9503041) / 1.08883;
-    // XYZ → LAB
-    const f = t => t > 0.008856 ? t ** (1 / 3) : 7.787 * t + 16 / 116;
-    x = f(x); y = f(y); z = f(z);
-    return { l: 116 * y - 16, a: 500 * (x - y), b: 200 * (y - z) };
-  }
-
-  function deltaE2000(lab1, lab2) {
-    const { l: L1, a: a1, b: b1 } = lab1;
-    const { l: L2, a: a2, b: b2 } = lab2;
-    const rad = Math.PI / 180;
-    const avg_Lp = (L1 + L2) / 2;
-    const C1 = Math.sqrt(a1 * a1 + b1 * b1);
-    const C2 = Math.sqrt(a2 * a2 + b2 * b2);
-    const avg_C = (C1 + C2) / 2;
-    const G = 0.5 * (1 - Math.sqrt(avg_C ** 7 / (avg_C ** 7 + 25 ** 7)));
-    const a1p = a1 * (1 + G), a2p = a2 * (1 + G);
-    const C1p = Math.sqrt(a1p * a1p + b1 * b1);
-    const C2p = Math.sqrt(a2p * a2p + b2 * b2);
-    const avg_Cp = (C1p + C2p) / 2;
-    let h1p = Math.atan2(b1, a1p) / rad; if (h1p < 0) h1p += 360;
-    let h2p = Math.atan2(b2, a2p) / rad; if (h2p < 0) h2p += 360;
-    let dHP = h2p - h1p;
-    if (Math.abs(dHP) > 180) dHP += dHP > 0 ? -360 : 360;
-    const dHp = 2 * Math.sqrt(C1p * C2p) * Math.sin(dHP * rad / 2);
-    let avg_Hp = (h1p + h2p) / 2;
-    if (Math.abs(h1p - h2p) > 180) avg_Hp += avg_Hp < 180 ? 180 : -180;
-    const T = 1 - 0.17 * Math.cos((avg_Hp - 30) * rad) + 0.24 * Math.cos(2 * avg_Hp * rad) +
-      0.32 * Math.cos((3 * avg_Hp + 6) * rad) - 0.20 * Math.cos((4 * avg_Hp - 63) * rad);
-    const SL = 1 + 0.015 * (avg_Lp - 50) ** 2 / Math.sqrt(20 + (avg_Lp - 50) ** 2);
-    const SC = 1 + 0.045 * avg_Cp;
-    const SH = 1 + 0.015 * avg_Cp * T;
-    const RT_exp = -2 * Math.sqrt(avg_Cp ** 7 / (avg_Cp ** 7 + 25 ** 7));
-    const d_theta = 30 * Math.exp(-(((avg_Hp - 275) / 25) ** 2));
-    const RT = RT_exp * Math.sin(2 * d_theta * rad);
-    const dLp = L2 - L1, dCp = C2p - C1p;
-    return Math.sqrt((dLp / SL) ** 2 + (dCp / SC) ** 2 + (dHp / SH) ** 2 + RT * (dCp / SC) * (dHp / SH));
-  }
-
   // Pre-compute LAB values for TW_COLORS (once)
   const TW_COLORS_LAB = {};
   for (const hex of Object.keys(TW_COLORS)) {
     TW_COLORS_LAB[hex] = rgbToLab(hexToRgb(hex));
   }
 
-  function colorToTw(cssColor) {
+  // Every mapper below snaps to the nearest Tailwind step by default. With `exact` it only
+  // returns a step on an exact match and an arbitrary value (`[13px]`) otherwise — the mode
+  // declToTailwind (replica Tailwind mode) uses.
+
+  function colorToTw(cssColor, exact = false) {
+    if (exact) return colorToTwExact(cssColor);
     if (!cssColor || cssColor === 'transparent' || cssColor === 'rgba(0, 0, 0, 0)') return null;
     const hex = normalizeColor(cssColor);
     if (!hex || !hex.startsWith('#') || hex.length < 7) return null;
@@ -889,6 +1966,25 @@
     return bestDe < 15 ? best : null;
   }
 
+  // Exact color: palette name (with /alpha in steps of 5), keyword, or arbitrary value
+  function colorToTwExact(cssColor) {
+    const v = String(cssColor || '').trim();
+    const lower = v.toLowerCase();
+    if (lower === 'transparent' || lower === 'rgba(0, 0, 0, 0)') return 'transparent';
+    if (lower === 'currentcolor') return 'current';
+    if (lower === 'inherit') return 'inherit';
+    if (/^var\(/.test(v)) return twArbitrary(v, 'color');
+    const hex = normalizeColor(v);
+    if (typeof hex === 'string' && /^#[0-9a-f]{6}([0-9a-f]{2})?$/i.test(hex)) {
+      const name = TW_COLORS[hex.slice(0, 7).toLowerCase()];
+      const alpha = hex.length === 9 ? Math.round(parseInt(hex.slice(7), 16) / 255 * 100) : 100;
+      if (name && alpha === 100) return name;
+      if (name && alpha % 5 === 0) return `${name}/${alpha}`;
+    }
+    // Keywords (system colors, named colors) need the type hint to be read as a color
+    return twArbitrary(v, /^(#|rgba?\(|hsla?\(|oklch\(|oklab\(|lab\(|lch\(|color\()/i.test(v) ? null : 'color');
+  }
+
   // px → Tailwind spacing mapping
   const TW_SPACING = {
     '0': '0', '1': 'px', '2': '0.5', '4': '1', '6': '1.5', '8': '2', '10': '2.5',
@@ -898,7 +1994,40 @@
     '224': '56', '256': '64',
   };
 
-  function pxToTwSpacing(pxVal) {
+  // Tailwind scales keyed by px (or unitless ratio / ms)
+  const TW_FONT_SIZES = { 12: 'xs', 14: 'sm', 16: 'base', 18: 'lg', 20: 'xl', 24: '2xl', 30: '3xl', 36: '4xl', 48: '5xl', 60: '6xl', 72: '7xl', 96: '8xl', 128: '9xl' };
+  const TW_FONT_WEIGHTS = { 100: 'thin', 200: 'extralight', 300: 'light', 400: 'normal', 500: 'medium', 600: 'semibold', 700: 'bold', 800: 'extrabold', 900: 'black' };
+  const TW_RADII = { 0: '-none', 2: '-sm', 4: '', 6: '-md', 8: '-lg', 12: '-xl', 16: '-2xl', 24: '-3xl', 9999: '-full' };
+  const TW_BORDER_WIDTHS = { 0: '-0', 1: '', 2: '-2', 4: '-4', 8: '-8' };
+  const TW_MAX_WIDTHS = { 320: 'xs', 384: 'sm', 448: 'md', 512: 'lg', 576: 'xl', 672: '2xl', 768: '3xl', 896: '4xl', 1024: '5xl', 1152: '6xl', 1280: '7xl' };
+  const TW_LEADING = { '1': 'none', '1.25': 'tight', '1.375': 'snug', '1.5': 'normal', '1.625': 'relaxed', '2': 'loose' };
+  const TW_BLURS = { 0: '-none', 4: '-sm', 8: '', 12: '-md', 16: '-lg', 24: '-xl', 40: '-2xl', 64: '-3xl' };
+  const TW_DURATIONS = [0, 75, 100, 150, 200, 300, 500, 700, 1000];
+
+  // Step of the smallest key >= n (or the largest key <= n with `below`)
+  function twStep(table, n, below = false) {
+    const keys = Object.keys(table).map(Number).sort((a, b) => a - b);
+    const key = below ? keys.filter(k => k <= n).pop() : keys.find(k => k >= n);
+    return key === undefined ? undefined : table[key];
+  }
+
+  // Arbitrary value body: spaces become underscores, double quotes single (class attributes)
+  function twArbitrary(value, hint) {
+    const body = String(value).replace(/"/g, "'").replace(/\s*,\s*/g, ',').replace(/\s+/g, '_');
+    return `[${hint ? `${hint}:` : ''}${body}]`;
+  }
+
+  function twPx(value) {
+    const m = String(value).match(/^(-?\d+(?:\.\d+)?)px$/);
+    return m ? parseFloat(m[1]) : (String(value) === '0' ? 0 : null);
+  }
+
+  function pxToTwSpacing(pxVal, exact = false) {
+    if (exact) {
+      const px = twPx(pxVal);
+      if (px !== null && Number.isInteger(px) && TW_SPACING[String(px)]) return TW_SPACING[String(px)];
+      return twArbitrary(pxVal, /^var\(/.test(pxVal) ? 'length' : null);
+    }
     if (!pxVal) return null;
     const n = parseFloat(pxVal);
     if (isNaN(n)) return null;
@@ -914,69 +2043,56 @@
   }
 
   // Border radius → Tailwind class
-  function borderRadiusToTw(val) {
+  function borderRadiusToTw(val, exact = false) {
+    if (exact) {
+      const px = twPx(val);
+      return px !== null && TW_RADII[px] !== undefined ? `rounded${TW_RADII[px]}` : `rounded-${twArbitrary(val)}`;
+    }
     if (!val || val === '0px') return 'rounded-none';
     const n = parseFloat(val);
     if (isNaN(n)) return null;
-    if (n >= 9999) return 'rounded-full';
-    if (n >= 24) return 'rounded-3xl';
-    if (n >= 16) return 'rounded-2xl';
-    if (n >= 12) return 'rounded-xl';
-    if (n >= 8) return 'rounded-lg';
-    if (n >= 6) return 'rounded-md';
-    if (n >= 4) return 'rounded';
-    if (n >= 2) return 'rounded-sm';
-    return 'rounded-none';
+    return `rounded${twStep(TW_RADII, n, true) ?? '-none'}`;
   }
 
   // Font size → Tailwind class
-  function fontSizeToTw(val) {
+  function fontSizeToTw(val, exact = false) {
+    if (exact) {
+      const px = twPx(val);
+      if (px !== null && TW_FONT_SIZES[px]) return `text-${TW_FONT_SIZES[px]}`;
+      return `text-${twArbitrary(val, /^-?[\d.]+(px|rem|em)$/.test(val) ? null : 'length')}`;
+    }
     if (!val) return null;
     const n = parseFloat(val);
     if (isNaN(n)) return null;
-    if (n <= 12) return 'text-xs';
-    if (n <= 14) return 'text-sm';
-    if (n <= 16) return 'text-base';
-    if (n <= 18) return 'text-lg';
-    if (n <= 20) return 'text-xl';
-    if (n <= 24) return 'text-2xl';
-    if (n <= 30) return 'text-3xl';
-    if (n <= 36) return 'text-4xl';
-    if (n <= 48) return 'text-5xl';
-    if (n <= 60) return 'text-6xl';
-    if (n <= 72) return 'text-7xl';
-    if (n <= 96) return 'text-8xl';
-    return 'text-9xl';
+    return `text-${twStep(TW_FONT_SIZES, n) || '9xl'}`;
   }
 
   // Font weight → Tailwind class
-  function fontWeightToTw(val) {
+  function fontWeightToTw(val, exact = false) {
+    if (exact) {
+      const n = { normal: '400', bold: '700' }[val] || val;
+      if (TW_FONT_WEIGHTS[n]) return `font-${TW_FONT_WEIGHTS[n]}`;
+      return `font-${twArbitrary(val, /^\d+$/.test(val) ? null : 'number')}`;
+    }
     if (!val) return null;
     const n = parseInt(val);
-    if (n <= 100) return 'font-thin';
-    if (n <= 200) return 'font-extralight';
-    if (n <= 300) return 'font-light';
-    if (n <= 400) return 'font-normal';
-    if (n <= 500) return 'font-medium';
-    if (n <= 600) return 'font-semibold';
-    if (n <= 700) return 'font-bold';
-    if (n <= 800) return 'font-extrabold';
-    return 'font-black';
+    return `font-${twStep(TW_FONT_WEIGHTS, n) || 'black'}`;
   }
 
   // Border width → Tailwind class
-  function borderWidthToTw(val) {
+  function borderWidthToTw(val, exact = false) {
+    if (exact) {
+      const px = twPx(val);
+      return px !== null && TW_BORDER_WIDTHS[px] !== undefined ? `border${TW_BORDER_WIDTHS[px]}` : `border-${twArbitrary(val, 'length')}`;
+    }
     if (!val) return null;
     const n = parseFloat(val);
-    if (n === 0) return 'border-0';
-    if (n <= 1) return 'border';
-    if (n <= 2) return 'border-2';
-    if (n <= 4) return 'border-4';
-    return 'border-8';
+    return `border${twStep(TW_BORDER_WIDTHS, n) ?? '-8'}`;
   }
 
   // Box shadow → Tailwind class (best-effort)
-  function boxShadowToTw(val) {
+  function boxShadowToTw(val, exact = false) {
+    if (exact) return val === 'none' ? 'shadow-none' : `shadow-${twArbitrary(val)}`;
     if (!val || val === 'none') return null;
     // Hard offset shadows (brutalist-style)
     if (/\d+px\s+\d+px\s+0px/.test(val)) return `shadow-[${val.replace(/\s+/g, '_')}]`;
@@ -995,14 +2111,57 @@
   }
 
   // Opacity → Tailwind class
-  function opacityToTw(val) {
-    if (!val) return null;
+  function opacityToTw(val, exact = false) {
     const n = parseFloat(val);
+    if (exact) {
+      const pct = Math.round(n * 100);
+      return Number.isFinite(n) && Math.abs(n * 100 - pct) < 1e-6 && pct % 5 === 0 ? `opacity-${pct}` : `opacity-${twArbitrary(val)}`;
+    }
+    if (!val) return null;
     if (n >= 1) return null;
     const rounded = Math.round(n * 100 / 5) * 5;
     return `opacity-${rounded}`;
   }
 
+  // Line height → Tailwind class; the nearest step compares the ratio to the font size
+  function lineHeightToTw(val, exact = false, fontSize = null) {
+    if (exact) {
+      if (TW_LEADING[val]) return `leading-${TW_LEADING[val]}`;
+      const px = twPx(val);
+      if (px !== null && px >= 12 && px <= 40 && px % 4 === 0) return `leading-${px / 4}`;
+      return `leading-${twArbitrary(val)}`;
+    }
+    if (!val) return null;
+    const ratio = parseFloat(val) / (parseFloat(fontSize) || 16);
+    return `leading-${twStep(TW_LEADING, ratio) || 'loose'}`;
+  }
+
+  // Transition duration → Tailwind class
+  function durationToTw(val, exact = false) {
+    const ms = twTimeMs(exact ? val : String(val || '').split(',')[0]);
+    if (exact) {
+      if (ms === null) return null;
+      return TW_DURATIONS.includes(ms) ? `duration-${ms}` : `duration-${twArbitrary(val)}`;
+    }
+    if (!ms) return null;
+    return `duration-${TW_DURATIONS.find(d => d > 0 && d >= ms) || 1000}`;
+  }
+
+  function twTimeMs(value) {
+    const m = String(value).trim().match(/^(-?\d*\.?\d+)(ms|s)$/);
+    if (!m) return null;
+    return Math.round(parseFloat(m[1]) * (m[2] === 's' ? 1000 : 1));
+  }
+
+  // blur() radius → `${prefix}${step}` (blur-md / backdrop-blur-md); nearest caps at -2xl
+  function blurToTw(val, exact = false, prefix = 'blur') {
+    const m = String(val || '').trim().match(exact ? /^blur\((\d+(?:\.\d+)?)px\)$/ : /blur\((\d+(?:\.\d+)?)px\)/);
+    if (!m) return null;
+    const px = parseFloat(m[1]);
+    if (exact) return TW_BLURS[px] !== undefined ? `${prefix}${TW_BLURS[px]}` : `${prefix}-${twArbitrary(`${px}px`)}`;
+    return `${prefix}${px > 24 ? '-2xl' : twStep(TW_BLURS, Math.max(px, 4))}`;
+  }
+
   // Full computed styles → array of Tailwind classes
   function stylesToTailwind(styles) {
     if (!styles) return [];
@@ -1063,35 +2222,15 @@
     }
 
     // Transition
-    if (styles.transitionDuration && styles.transitionDuration !== '0s') {
-      classes.push('transition-all');
-      const ms = parseFloat(styles.transitionDuration) * 1000;
-      if (ms <= 75) classes.push('duration-75');
-      else if (ms <= 100) classes.push('duration-100');
-      else if (ms <= 150) classes.push('duration-150');
-      else if (ms <= 200) classes.push('duration-200');
-      else if (ms <= 300) classes.push('duration-300');
-      else if (ms <= 500) classes.push('duration-500');
-      else if (ms <= 700) classes.push('duration-700');
-      else classes.push('duration-1000');
-    }
+    const duration = durationToTw(styles.transitionDuration);
+    if (duration) classes.push('transition-all', duration);
 
     // Cursor
     if (styles.cursor === 'pointer') classes.push('cursor-pointer');
     if (styles.cursor === 'not-allowed') classes.push('cursor-not-allowed');
 
     // Line height
-    if (styles.lineHeight) {
-      const lh = parseFloat(styles.lineHeight);
-      const fs = parseFloat(styles.fontSize) || 16;
-      const ratio = lh / fs;
-      if (ratio <= 1) classes.push('leading-none');
-      else if (ratio <= 1.25) classes.push('leading-tight');
-      else if (ratio <= 1.375) classes.push('leading-snug');
-      else if (ratio <= 1.5) classes.push('leading-normal');
-      else if (ratio <= 1.625) classes.push('leading-relaxed');
-      else classes.push('leading-loose');
-    }
+    if (styles.lineHeight) classes.push(lineHeightToTw(styles.lineHeight, false, styles.fontSize));
 
     // Letter spacing
     if (styles.letterSpacing) {
@@ -1157,20 +2296,10 @@
     else if (styles.height === '100vh') classes.push('h-screen');
 
     // Max width
-    if (styles.maxWidth) {
-      const mw = parseFloat(styles.maxWidth);
-      if (mw <= 320) classes.push('max-w-xs');
-      else if (mw <= 384) classes.push('max-w-sm');
-      else if (mw <= 448) classes.push('max-w-md');
-      else if (mw <= 512) classes.push('max-w-lg');
-      else if (mw <= 576) classes.push('max-w-xl');
-      else if (mw <= 672) classes.push('max-w-2xl');
-      else if (mw <= 768) classes.push('max-w-3xl');
-      else if (mw <= 896) classes.push('max-w-4xl');
-      else if (mw <= 1024) classes.push('max-w-5xl');
-      else if (mw <= 1152) classes.push('max-w-6xl');
-      else if (mw <= 1280) classes.push('max-w-7xl');
-      else if (styles.maxWidth === 'none') classes.push('max-w-none');
+    if (styles.maxWidth === 'none') classes.push('max-w-none');
+    else if (styles.maxWidth) {
+      const step = twStep(TW_MAX_WIDTHS, parseFloat(styles.maxWidth));
+      if (step) classes.push(`max-w-${step}`);
     }
 
     // Overflow
@@ -1196,18 +2325,8 @@
     }
 
     // Backdrop filter (blur)
-    if (styles.backdropFilter) {
-      const blurMatch = styles.backdropFilter.match(/blur\((\d+(?:\.\d+)?)px\)/);
-      if (blurMatch) {
-        const px = parseFloat(blurMatch[1]);
-        if (px <= 4) classes.push('backdrop-blur-sm');
-        else if (px <= 8) classes.push('backdrop-blur');
-        else if (px <= 12) classes.push('backdrop-blur-md');
-        else if (px <= 16) classes.push('backdrop-blur-lg');
-        else if (px <= 24) classes.push('backdrop-blur-xl');
-        else classes.push('backdrop-blur-2xl');
-      }
-    }
+    const backdropBlur = blurToTw(styles.backdropFilter, false, 'backdrop-blur');
+    if (backdropBlur) classes.push(backdropBlur);
 
     // Text decoration
     if (styles.textDecoration?.includes('underline')) classes.push('underline');
@@ -1264,6 +2383,312 @@
     return classes;
   }
 
+  // ============================================
+  // CSS Declaration → Tailwind (exact)
+  // ============================================
+
+  // Unlike stylesToTailwind (nearest-step guesses for recipes), declToTailwind keeps the value:
+  // the mappers above in exact mode, plus keyword utilities for properties they don't cover,
+  // and an arbitrary property (`[text-shadow:…]`) when no utility covers the property.
+
+  const TW_TRACKING = { '-0.05em': 'tighter', '-0.025em': 'tight', '0em': 'normal', '0px': 'normal', normal: 'normal', '0.025em': 'wide', '0.05em': 'wider', '0.1em': 'widest' };
+  const TW_EASINGS = { linear: 'linear', 'cubic-bezier(0.4, 0, 1, 1)': 'in', 'cubic-bezier(0, 0, 0.2, 1)': 'out', 'cubic-bezier(0.4, 0, 0.2, 1)': 'in-out' };
+  const TW_FRACTIONS = { '50%': '1/2', '33.3333%': '1/3', '66.6667%': '2/3', '25%': '1/4', '75%': '3/4', '100%': 'full' };
+
+  const twKeywords = (prefix, values, rename = {}) =>
+    Object.fromEntries(values.map(v => [v, rename[v] || (prefix ? `${prefix}-${v}` : v)]));
+
+  // CSS property → { value: class } for keyword-only utilities
+  const TW_KEYWORDS = {
+    display: twKeywords('', ['block', 'inline-block', 'inline', 'flex', 'inline-flex', 'grid', 'inline-grid', 'contents', 'flow-root', 'table', 'list-item', 'none'], { none: 'hidden' }),
+    position: twKeywords('', ['static', 'relative', 'absolute', 'fixed', 'sticky']),
+    visibility: { visible: 'visible', hidden: 'invisible', collapse: 'collapse' },
+    'box-sizing': { 'border-box': 'box-border', 'content-box': 'box-content' },
+    'flex-direction': { row: 'flex-row', 'row-reverse': 'flex-row-reverse', column: 'flex-col', 'column-reverse': 'flex-col-reverse' },
+    'flex-wrap': { wrap: 'flex-wrap', nowrap: 'flex-nowrap', 'wrap-reverse': 'flex-wrap-reverse' },
+    'align-items': { 'flex-start': 'items-start', start: 'items-start', 'flex-end': 'items-end', end: 'items-end', center: 'items-center', baseline: 'items-baseline', stretch: 'items-stretch' },
+    'justify-content': {
+      normal: 'justify-normal', 'flex-start': 'justify-start', start: 'justify-start', 'flex-end': 'justify-end', end: 'justify-end', center: 'justify-center',
+      'space-between': 'justify-between', 'space-around': 'justify-around', 'space-evenly': 'justify-evenly', stretch: 'justify-stretch'
+    },
+    'align-content': {
+      normal: 'content-normal', center: 'content-center', 'flex-start': 'content-start', start: 'content-start', 'flex-end': 'content-end', end: 'content-end',
+      'space-between': 'content-between', 'space-around': 'content-around', 'space-evenly': 'content-evenly', baseline: 'content-baseline', stretch: 'content-stretch'
+    },
+    'align-self': { auto: 'self-auto', 'flex-start': 'self-start', start: 'self-start', 'flex-end': 'self-end', end: 'self-end', center: 'self-center', stretch: 'self-stretch', baseline: 'self-baseline' },
+    'justify-items': twKeywords('justify-items', ['start', 'end', 'center', 'stretch']),
+    'justify-self': twKeywords('justify-self', ['auto', 'start', 'end', 'center', 'stretch']),
+    'grid-auto-flow': { row: 'grid-flow-row', column: 'grid-flow-col', dense: 'grid-flow-dense', 'row dense': 'grid-flow-row-dense', 'column dense': 'grid-flow-col-dense' },
+    'font-style': { italic: 'italic', normal: 'not-italic' },
+    'text-align': twKeywords('text', ['left', 'center', 'right', 'justify', 'start', 'end']),
+    'text-transform': { uppercase: 'uppercase', lowercase: 'lowercase', capitalize: 'capitalize', none: 'normal-case' },
+    'text-decoration-line': { underline: 'underline', overline: 'overline', 'line-through': 'line-through', none: 'no-underline' },
+    'text-decoration-style': twKeywords('decoration', ['solid', 'double', 'dotted', 'dashed', 'wavy']),
+    'text-overflow': { ellipsis: 'text-ellipsis', clip: 'text-clip' },
+    'white-space': twKeywords('whitespace', ['normal', 'nowrap', 'pre', 'pre-line', 'pre-wrap', 'break-spaces']),
+    overflow: twKeywords('overflow', ['auto', 'hidden', 'clip', 'visible', 'scroll']),
+    'overflow-x': twKeywords('overflow-x', ['auto', 'hidden', 'clip', 'visible', 'scroll']),
+    'overflow-y': twKeywords('overflow-y', ['auto', 'hidden', 'clip', 'visible', 'scroll']),
+    'object-fit': twKeywords('object', ['contain', 'cover', 'fill', 'none', 'scale-down']),
+    'object-position': {
+      center: 'object-center', '50% 50%': 'object-center', top: 'object-top', '50% 0%': 'object-top', bottom: 'object-bottom', '50% 100%': 'object-bottom',
+      left: 'object-left', '0% 50%': 'object-left', right: 'object-right', '100% 50%': 'object-right'
+    },
+    'background-size': twKeywords('bg', ['auto', 'cover', 'contain']),
+    'background-repeat': { repeat: 'bg-repeat', 'no-repeat': 'bg-no-repeat', 'repeat-x': 'bg-repeat-x', 'repeat-y': 'bg-repeat-y', round: 'bg-repeat-round', space: 'bg-repeat-space' },
+    'background-position': {
+      center: 'bg-center', '50% 50%': 'bg-center', top: 'bg-top', '50% 0%': 'bg-top', bottom: 'bg-bottom', '50% 100%': 'bg-bottom',
+      left: 'bg-left', '0% 50%': 'bg-left', right: 'bg-right', '100% 50%': 'bg-right',
+      '0% 0%': 'bg-left-top', '100% 0%': 'bg-right-top', '0% 100%': 'bg-left-bottom', '100% 100%': 'bg-right-bottom'
+    },
+    'mix-blend-mode': twKeywords('mix-blend', ['normal', 'multiply', 'screen', 'overlay', 'darken', 'lighten', 'color-dodge', 'color-burn', 'hard-light', 'soft-light', 'difference', 'exclusion', 'hue', 'saturation', 'color', 'luminosity', 'plus-lighter']),
+    cursor: twKeywords('cursor', ['auto', 'default', 'pointer', 'wait', 'text', 'move', 'help', 'not-allowed', 'none', 'context-menu', 'progress', 'cell', 'crosshair', 'vertical-text', 'alias', 'copy', 'no-drop', 'grab', 'grabbing', 'all-scroll', 'col-resize', 'row-resize', 'zoom-in', 'zoom-out']),
+    'pointer-events': twKeywords('pointer-events', ['none', 'auto']),
+    'user-select': twKeywords('select', ['none', 'text', 'all', 'auto']),
+    'border-style': twKeywords('border', ['solid', 'dashed', 'dotted', 'double', 'hidden', 'none']),
+    'outline-style': { solid: 'outline', dashed: 'outline-dashed', dotted: 'outline-dotted', double: 'outline-double', none: 'outline-none' },
+    'aspect-ratio': { auto: 'aspect-auto', '1 / 1': 'aspect-square', '16 / 9': 'aspect-video' }
+  };
+
+  // Split on top-level whitespace (keeps `var(--x, 1px)` and `rgb(0 0 0)` whole)
+  function twSplitValue(value) {
+    const parts = [];
+    let depth = 0;
+    let current = '';
+    for (const ch of String(value).trim()) {
+      if (ch === '(') depth++;
+      if (ch === ')') depth = Math.max(0, depth - 1);
+      if (/\s/.test(ch) && depth === 0) {
+        if (current) parts.push(current);
+        current = '';
+      } else {
+        current += ch;
+      }
+    }
+    if (current) parts.push(current);
+    return parts;
+  }
+
+  // `${prefix}-${step}` for an exact Tailwind spacing step (negatives as -prefix-step), else arbitrary
+  function twSpacing(prefix, value, extra = {}) {
+    if (extra[value]) return `${prefix}-${extra[value]}`;
+    const px = twPx(value);
+    if (px !== null && px < 0 && Number.isInteger(px) && TW_SPACING[String(-px)]) return `-${prefix}-${TW_SPACING[String(-px)]}`;
+    return `${prefix}-${pxToTwSpacing(value, true)}`;
+  }
+
+  // Four box sides (1-4 value shorthand) → p-4 | px-6 py-4 | pt-… pr-… pb-… pl-…
+  function twBox(prefix, value, extra) {
+    const parts = twSplitValue(value);
+    if (!parts.length || parts.length > 4) return null;
+    const [t, r = t, b = t, l = r] = parts;
+    if (t === r && r === b && b === l) return [twSpacing(prefix, t, extra)];
+    if (t === b && l === r) return [twSpacing(`${prefix}y`, t, extra), twSpacing(`${prefix}x`, l, extra)];
+    return [twSpacing(`${prefix}t`, t, extra), twSpacing(`${prefix}r`, r, extra), twSpacing(`${prefix}b`, b, extra), twSpacing(`${prefix}l`, l, extra)];
+  }
+
+  // `1px solid rgb(…)` → width, non-solid style and color classes; side = '' | 't' | 'r' | 'b' | 'l'
+  function twBorder(side, value) {
+    const prefix = side ? `border-${side}` : 'border';
+    const parts = twSplitValue(value);
+    if (parts.includes('none') || parts.includes('hidden')) return [`${prefix}-0`];
+    const out = [];
+    for (const part of parts) {
+      if (twPx(part) !== null || /^(thin|medium|thick)$/.test(part)) {
+        out.push(borderWidthToTw(part, true).replace(/^border/, prefix));
+      } else if (/^(solid|dashed|dotted|double|groove|ridge|inset|outset)$/.test(part)) {
+        if (part === 'solid') continue;
+        if (side || !TW_KEYWORDS['border-style'][part]) return null;
+        out.push(TW_KEYWORDS['border-style'][part]);
+      } else {
+        out.push(`${prefix}-${colorToTw(part, true)}`);
+      }
+    }
+    return out.length ? out : null;
+  }
+
+  function twSizing(prop, value) {
+    const prefix = { width: 'w', height: 'h', 'min-width': 'min-w', 'min-height': 'min-h', 'max-width': 'max-w', 'max-height': 'max-h', 'flex-basis': 'basis' }[prop];
+    const words = { auto: 'auto', 'fit-content': 'fit', 'min-content': 'min', 'max-content': 'max', none: 'none' };
+    if (value === '100vh' && /h$/.test(prefix)) return `${prefix}-screen`;
+    if (value === '100vw' && /w$/.test(prefix)) return `${prefix}-screen`;
+    if (prop === 'max-width') {
+      const px = twPx(value);
+      if (px !== null && TW_MAX_WIDTHS[px]) return `max-w-${TW_MAX_WIDTHS[px]}`;
+      if (value === '65ch') return 'max-w-prose';
+    }
+    return twSpacing(prefix, value, { ...words, ...TW_FRACTIONS });
+  }
+
+  // One CSS declaration → { classes, kind } where kind is 'utility' (scale steps only),
+  // 'arbitrary' (some `[value]`) or 'property' (an arbitrary `[prop:value]` fallback)
+  function declToTailwind(prop, value) {
+    const p = String(prop || '').trim().toLowerCase();
+    const v = String(value ?? '').trim().replace(/\s*!important$/, '');
+    if (!p || !v) return null;
+
+    const finish = (classes) => {
+      if (!classes || !classes.length || classes.some(cls => !cls)) {
+        return { classes: [twArbitrary(v, p)], kind: 'property' };
+      }
+      return { classes, kind: classes.some(cls => cls.includes('[')) ? 'arbitrary' : 'utility' };
+    };
+    const keyword = TW_KEYWORDS[p]?.[v];
+    if (keyword) return finish([keyword]);
+
+    const single = twSplitValue(v).length === 1;
+    switch (p) {
+      case 'top': case 'right': case 'bottom': case 'left':
+        return finish([twSpacing(p, v, { auto: 'auto', ...TW_FRACTIONS })]);
+      case 'width': case 'height': case 'min-width': case 'min-height': case 'max-width': case 'max-height': case 'flex-basis':
+        return finish([single && twSizing(p, v)]);
+      case 'margin':
+        return finish(twBox('m', v, { auto: 'auto' }));
+      case 'padding':
+        return finish(twBox('p', v));
+      case 'gap': {
+        const parts = twSplitValue(v);
+        if (parts.length === 1) return finish([twSpacing('gap', v)]);
+        return finish(parts.length === 2 ? [twSpacing('gap-y', parts[0]), twSpacing('gap-x', parts[1])] : null);
+      }
+      case 'row-gap':
+        return finish([twSpacing('gap-y', v)]);
+      case 'column-gap':
+        return finish([twSpacing('gap-x', v)]);
+      case 'z-index':
+        return finish([['auto', '0', '10', '20', '30', '40', '50'].includes(v) ? `z-${v}` : `z-${twArbitrary(v)}`]);
+      case 'order': {
+        const named = { '0': 'none', '-9999': 'first', '9999': 'last' };
+        if (named[v]) return finish([`order-${named[v]}`]);
+        return finish([/^([1-9]|1[0-2])$/.test(v) ? `order-${v}` : `order-${twArbitrary(v)}`]);
+      }
+      case 'flex-grow': case 'flex-shrink': {
+        const name = p === 'flex-grow' ? 'grow' : 'shrink';
+        if (v === '1') return finish([name]);
+        if (v === '0') return finish([`${name}-0`]);
+        return finish([`${name}-${twArbitrary(v)}`]);
+      }
+      case 'grid-template-columns': case 'grid-template-rows': {
+        const prefix = p === 'grid-template-columns' ? 'grid-cols' : 'grid-rows';
+        const repeat = v.match(/^repeat\((\d+),\s*minmax\(0(?:px)?,\s*1fr\)\)$/);
+        if (repeat && Number(repeat[1]) >= 1 && Number(repeat[1]) <= 12) return finish([`${prefix}-${repeat[1]}`]);
+        if (v === 'none' || v === 'subgrid') return finish([`${prefix}-${v}`]);
+        return finish([`${prefix}-${twArbitrary(v)}`]);
+      }
+      case 'grid-column-start': case 'grid-column-end': case 'grid-row-start': case 'grid-row-end': {
+        const prefix = `${p.includes('column') ? 'col' : 'row'}-${p.endsWith('start') ? 'start' : 'end'}`;
+        if (v === 'auto' || /^([1-9]|1[0-3])$/.test(v)) return finish([`${prefix}-${v}`]);
+        return finish([`${prefix}-${twArbitrary(v)}`]);
+      }
+      case 'font-size':
+        return finish([fontSizeToTw(v, true)]);
+      case 'font-weight':
+        return finish([fontWeightToTw(v, true)]);
+      case 'font-family':
+        return finish([`font-${twArbitrary(v)}`]);
+      case 'line-height':
+        return finish([lineHeightToTw(v, true)]);
+      case 'letter-spacing':
+        return finish([TW_TRACKING[v] ? `tracking-${TW_TRACKING[v]}` : `tracking-${twArbitrary(v)}`]);
+      case 'color':
+        return finish([`text-${colorToTw(v, true)}`]);
+      case 'background-color':
+        return finish([`bg-${colorToTw(v, true)}`]);
+      case 'border-color':
+        return finish([single && `border-${colorToTw(v, true)}`]);
+      case 'outline-color':
+        return finish([`outline-${colorToTw(v, true)}`]);
+      case 'text-decoration-color':
+        return finish([`decoration-${colorToTw(v, true)}`]);
+      case 'fill': case 'stroke':
+        return finish([v === 'none' ? `${p}-none` : `${p}-${colorToTw(v, true)}`]);
+      case 'text-decoration': {
+        // Computed shorthand: `underline solid rgb(…)`
+        const parts = twSplitValue(v);
+        const lines = parts.filter(x => TW_KEYWORDS['text-decoration-line'][x]);
+        if (lines.length !== 1) return finish(null);
+        const out = [TW_KEYWORDS['text-decoration-line'][lines[0]]];
+        if (lines[0] === 'none') return finish(out);
+        for (const part of parts.filter(x => x !== lines[0])) {
+          if (TW_KEYWORDS['text-decoration-style'][part]) {
+            if (part !== 'solid') out.push(TW_KEYWORDS['text-decoration-style'][part]);
+          } else if (part.toLowerCase() !== 'currentcolor' && twPx(part) === null && part !== 'auto') {
+            out.push(`decoration-${colorToTw(part, true)}`);
+          } else if (part !== 'auto' && part.toLowerCase() !== 'currentcolor') {
+            return finish(null);
+          }
+        }
+        return finish(out);
+      }
+      case 'background-image':
+        if (v === 'none') return finish(['bg-none']);
+        return finish([`bg-${twArbitrary(v, /^var\(/.test(v) ? 'image' : null)}`]);
+      case 'background-size':
+        return finish([`bg-${twArbitrary(v, 'length')}`]);
+      case 'background-position':
+        return finish([`bg-${twArbitrary(v, 'position')}`]);
+      case 'border':
+        return finish(twBorder('', v));
+      case 'border-top': case 'border-right': case 'border-bottom': case 'border-left':
+        return finish(twBorder(p.slice(7, 8), v));
+      case 'border-width':
+        return finish([single && borderWidthToTw(v, true)]);
+      case 'border-radius':
+        return finish([borderRadiusToTw(v, true)]);
+      case 'outline': {
+        // Computed shorthand: `2px solid rgb(…)`
+        const parts = twSplitValue(v);
+        if (parts.includes('none')) return finish(['outline-none']);
+        const out = [];
+        for (const part of parts) {
+          const px = twPx(part);
+          if (px !== null) {
+            out.push([0, 1, 2, 4, 8].includes(px) ? `outline-${px}` : `outline-${twArbitrary(part, 'length')}`);
+          } else if (TW_KEYWORDS['outline-style'][part]) {
+            out.push(TW_KEYWORDS['outline-style'][part]);
+          } else if (part !== 'auto' && part.toLowerCase() !== 'currentcolor') {
+            out.push(`outline-${colorToTw(part, true)}`);
+          }
+        }
+        return finish(out.length ? out : null);
+      }
+      case 'outline-width': case 'outline-offset': {
+        const prefix = p === 'outline-width' ? 'outline' : 'outline-offset';
+        const px = twPx(v);
+        return finish([[0, 1, 2, 4, 8].includes(px) ? `${prefix}-${px}` : `${prefix}-${twArbitrary(v, 'length')}`]);
+      }
+      case 'box-shadow':
+        return finish([boxShadowToTw(v, true)]);
+      case 'opacity':
+        return finish([opacityToTw(v, true)]);
+      case 'transform':
+        return finish(v === 'none' ? ['transform-none'] : null);
+      case 'filter':
+        return finish([v === 'none' ? 'filter-none' : blurToTw(v, true)]);
+      case 'backdrop-filter':
+        return finish([v === 'none' ? 'backdrop-filter-none' : blurToTw(v, true, 'backdrop-blur')]);
+      case 'transition-property':
+        if (v === 'none' || v === 'all') return finish([`transition-${v}`]);
+        return finish([`transition-${twArbitrary(v)}`]);
+      case 'transition-duration':
+        return finish([durationToTw(v, true)]);
+      case 'transition-delay':
+        return finish([durationToTw(v, true)?.replace(/^duration/, 'delay')]);
+      case 'transition-timing-function':
+        if (TW_EASINGS[v]) return finish([`ease-${TW_EASINGS[v]}`]);
+        return finish(v.includes(',') && !/^cubic-bezier\([^()]*\)$|^steps\([^()]*\)$/.test(v) ? null : [`ease-${twArbitrary(v)}`]);
+      case 'aspect-ratio':
+        return finish([`aspect-${twArbitrary(v.replace(/\s*\/\s*/, '/'))}`]);
+      case 'content': {
+        if (v === 'none') return finish(['content-none']);
+        const text = v.match(/^"([^"'\]\\_]*)"$/) || v.match(/^'([^"'\]\\_]*)'$/);
+        return finish(text ? [`content-['${text[1].replace(/ /g, '_')}']`] : null);
+      }
+      default:
+        return finish(null);
+    }
+  }
+
   // Compare two style objects, return Tailwind classes for the diff
   function stateStyleDiff(defaultStyles, stateStyles) {
     if (!stateStyles || !defaultStyles) return [];
@@ -1511,6 +2936,265 @@ export const ${id}Recipes = createStyleRecipes("${slug}", "${name}", ${recipesJs
 `;
   }
 
+  // ============================================
+  // cva / tailwind-variants Recipes
+  // ============================================
+
+  const VARIANT_STATE_PREFIXES = ['hover', 'focus', 'active', 'disabled'];
+  // identifyVariant sizes onto the sm/md/lg size options
+  const VARIANT_SIZE_OPTIONS = { xs: 'sm', sm: 'sm', md: 'md', lg: 'lg', xl: 'lg' };
+
+  // Classes of `styles` that the base styles don't already produce
+  function tailwindClassDiff(baseStyles, styles) {
+    const base = new Set(stylesToTailwind(baseStyles));
+    return Array.from(new Set(stylesToTailwind(styles))).filter(cls => !base.has(cls));
+  }
+
+  // Utilities of one group set the same property. cva/tv concatenate classes without merging,
+  // so two of a group on one element resolve by stylesheet order; recipes keep them apart.
+  const TW_UTILITY_GROUPS = [
+    [/^text-(xs|sm|base|lg|[2-9]?xl|\[[\d.]+(px|rem|em)\])$/, 'font-size'],
+    [/^text-(left|center|right|justify|start|end)$/, 'text-align'],
+    [/^text-/, 'text-color'],
+    [/^bg-/, 'bg'],
+    [/^border(-[xytrbl])?(-\d+|-\[[\d.]+px\])?$/, 'border-width'],
+    [/^border-/, 'border-color'],
+    [/^rounded/, 'rounded'],
+    [/^font-(thin|extralight|light|normal|medium|semibold|bold|extrabold|black|\[\d+\])$/, 'font-weight'],
+    [/^font-/, 'font-family'],
+    [/^(block|inline-block|inline|flex|inline-flex|grid|inline-grid|hidden|contents|table)$/, 'display'],
+    [/^(static|relative|absolute|fixed|sticky)$/, 'position'],
+    [/^(uppercase|lowercase|capitalize|normal-case)$/, 'text-transform'],
+    [/^flex-(row|col)/, 'flex-direction'],
+    [/^p[xytrbl]?-/, 'padding'],
+    [/^m[xytrbl]?-/, 'margin'],
+    [/^(min-w|max-w|w|min-h|max-h|h)-/, null]
+  ];
+
+  function twUtilityGroup(cls) {
+    const idx = cls.lastIndexOf(':');
+    const prefix = cls.slice(0, idx + 1);
+    const utility = cls.slice(idx + 1);
+    for (const [pattern, group] of TW_UTILITY_GROUPS) {
+      const match = utility.match(pattern);
+      if (match) return prefix + (group || match[1]);
+    }
+    return prefix + utility.replace(/-[^-]+$/, '');
+  }
+
+  // Full class list of one look: its styles plus hover:/focus:/active:/disabled: state diffs
+  function lookClasses(item) {
+    const defaultStyles = item.states?.default || item.styles || {};
+    const classes = stylesToTailwind(item.styles);
+    for (const prefix of VARIANT_STATE_PREFIXES) {
+      const stateStyles = item.states?.[prefix];
+      if (!stateStyles) continue;
+      for (const cls of tailwindClassDiff(defaultStyles, { ...defaultStyles, ...stateStyles })) classes.push(`${prefix}:${cls}`);
+    }
+    return Array.from(new Set(classes));
+  }
+
+  // component-detect's identifyVariant for a normalized item, when its element is still on the page
+  function identifyItemVariant(item, type) {
+    if (item.variant) return item.variant;
+    if (!window.__seComponents?.identifyVariant || !item.selector) return null;
+    try {
+      const el = document.querySelector(item.selector);
+      return el ? window.__seComponents.identifyVariant(el, type) : null;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  /**
+   * Library-neutral variant model per detected component: base classes shared by every look
+   * (state diffs as hover:/focus:/active:/disabled: classes), one `variant` option per
+   * identifyVariant look, the recipe's size/padding options and fullWidth flag, and compound
+   * variants for instances that differ from their look's first instance at a given size.
+   * No class in an option shares a utility group with `base`: groups the size/boolean
+   * options set (padding, font size, width) leave the looks, and groups on which looks
+   * disagree leave `base`.
+   */
+  function buildVariantRecipes(normalizedData) {
+    const components = normalizedData.components || {};
+    const recipes = generateRecipesFromComponents(normalizedData);
+    const result = {};
+
+    for (const [type, recipe] of Object.entries(recipes)) {
+      const items = components[type] || [];
+      const primary = items[0];
+      if (!primary) continue;
+
+      const sizeParam = recipe.parameters.find(p => p.type === 'select');
+      const sizeKey = sizeParam?.id || null;
+      const sizeOf = (identified) => {
+        const size = VARIANT_SIZE_OPTIONS[identified?.size];
+        return sizeParam?.options.some(o => o.value === size) ? size : null;
+      };
+
+      // Groups owned by the size/padding and boolean options
+      const optionClasses = [
+        ...(sizeParam?.options || []).flatMap(o => o.classes.split(/\s+/)),
+        ...recipe.parameters.filter(p => p.type === 'boolean').flatMap(p => p.trueClasses.split(/\s+/))
+      ].filter(Boolean);
+      const owned = new Set(optionClasses.map(twUtilityGroup));
+      const classesOf = item => lookClasses(item).filter(cls => !owned.has(twUtilityGroup(cls)));
+
+      // Looks: identifyVariant's button variant, else its solid/outline/ghost/link style
+      const looks = new Map();
+      const pending = [];
+      const compoundVariants = [];
+      items.forEach((item, i) => {
+        const identified = identifyItemVariant(item, type);
+        let look = identified?.variant || identified?.style || (i === 0 ? 'default' : `variant${i + 1}`);
+        look = String(look).replace(/[^a-zA-Z0-9]+(.)?/g, (_, c) => (c ? c.toUpperCase() : ''));
+        const group = looks.get(look);
+        if (!group) {
+          looks.set(look, { item, classes: classesOf(item) });
+          return;
+        }
+        const size = sizeOf(identified);
+        if (!sizeKey || !size) return;
+        pending.push({ look, size, classes: classesOf(item).filter(cls => !group.classes.includes(cls)) });
+      });
+
+      // base: classes every look shares, minus groups some look sets differently
+      const lookLists = Array.from(looks.values(), group => group.classes);
+      let base = lookLists[0].filter(cls => lookLists.every(list => list.includes(cls)));
+      const lookGroups = new Set(lookLists.flatMap(list => list.filter(cls => !base.includes(cls))).map(twUtilityGroup));
+      base = base.filter(cls => !lookGroups.has(twUtilityGroup(cls)));
+      const lookOptions = Array.from(looks, ([look, group]) => [look, group.classes.filter(cls => !base.includes(cls))]);
+
+      // Compound classes only add groups that neither base nor the look already sets
+      for (const { look, size, classes } of pending) {
+        const taken = new Set([...base, ...looks.get(look).classes].map(twUtilityGroup));
+        const residual = classes.filter(cls => !taken.has(twUtilityGroup(cls)));
+        if (!residual.length || compoundVariants.some(c => c.variant === look && c[sizeKey] === size)) continue;
+        compoundVariants.push({ variant: look, [sizeKey]: size, classes: residual });
+      }
+
+      const variants = {};
+      const defaultVariants = {};
+      const defaultLook = looks.keys().next().value;
+      variants.variant = Object.fromEntries(lookOptions);
+      defaultVariants.variant = defaultLook;
+      if (sizeParam) {
+        variants[sizeKey] = Object.fromEntries(sizeParam.options.map(o => [o.value, o.classes.split(/\s+/).filter(Boolean)]));
+        defaultVariants[sizeKey] = sizeOf(identifyItemVariant(primary, type)) || sizeParam.default;
+      }
+      for (const param of recipe.parameters.filter(p => p.type === 'boolean')) {
+        variants[param.id] = { true: param.trueClasses.split(/\s+/).filter(Boolean), false: [] };
+        defaultVariants[param.id] = !!param.default;
+      }
+
+      result[type] = {
+        name: type,
+        element: recipe.skeleton.element,
+        base,
+        variants,
+        compoundVariants,
+        defaultVariants,
+        // tailwind-variants slots besides `base` ("children" renders as the content slot)
+        slots: recipe.slots.filter(s => s.id !== 'placeholder').map(s => (s.id === 'children' ? 'content' : s.id))
+      };
+    }
+
+    return result;
+  }
+
+  function tsString(classes) {
+    const str = Array.isArray(classes) ? classes.join(' ') : String(classes || '');
+    return `'${str.replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`;
+  }
+
+  function tsKey(key) {
+    return /^[A-Za-z_$][\w$]*$/.test(key) ? key : tsString(key);
+  }
+
+  function variantRecipesHeader(normalizedData, library) {
+    return `// ${library} Component Variants
+// Generated by style-extractor
+// Source: ${normalizedData.source.url}
+`;
+  }
+
+  function generateCvaTypeScript(normalizedData) {
+    const recipes = buildVariantRecipes(normalizedData);
+    if (!Object.keys(recipes).length) {
+      return `// No components detected — no variants generated.\n// Run component detection first: window.__seComponents.detectAll()\n`;
+    }
+
+    const blocks = Object.values(recipes).map((r) => {
+      const pascal = r.name.charAt(0).toUpperCase() + r.name.slice(1);
+      const variants = Object.entries(r.variants).map(([key, options]) =>
+        `    ${tsKey(key)}: {\n${Object.entries(options).map(([opt, cls]) => `      ${tsKey(opt)}: ${tsString(cls)},`).join('\n')}\n    },`
+      ).join('\n');
+      const compound = r.compoundVariants.map(({ classes, ...when }) =>
+        `    { ${Object.entries(when).map(([k, v]) => `${tsKey(k)}: ${tsString(v)}`).join(', ')}, class: ${tsString(classes)} },`
+      ).join('\n');
+      const defaults = Object.entries(r.defaultVariants)
+        .map(([k, v]) => `    ${tsKey(k)}: ${typeof v === 'boolean' ? v : tsString(v)},`).join('\n');
+      return `export const ${r.name}Variants = cva(${tsString(r.base)}, {
+  variants: {
+${variants}
+  },
+  compoundVariants: [${compound ? `\n${compound}\n  ` : ''}],
+  defaultVariants: {
+${defaults}
+  },
+});
+
+export type ${pascal}VariantProps = VariantProps<typeof ${r.name}Variants>;
+`;
+    });
+
+    return `${variantRecipesHeader(normalizedData, 'class-variance-authority')}
+import { cva, type VariantProps } from 'class-variance-authority';
+
+${blocks.join('\n')}`;
+  }
+
+  function generateTvTypeScript(normalizedData) {
+    const recipes = buildVariantRecipes(normalizedData);
+    if (!Object.keys(recipes).length) {
+      return `// No components detected — no variants generated.\n// Run component detection first: window.__seComponents.detectAll()\n`;
+    }
+
+    // Variant classes style the root element, i.e. the base slot
+    const blocks = Object.values(recipes).map((r) => {
+      const pascal = r.name.charAt(0).toUpperCase() + r.name.slice(1);
+      const slots = [`    base: ${tsString(r.base)},`, ...r.slots.map(s => `    ${tsKey(s)}: '',`)].join('\n');
+      const variants = Object.entries(r.variants).map(([key, options]) =>
+        `    ${tsKey(key)}: {\n${Object.entries(options).map(([opt, cls]) => `      ${tsKey(opt)}: { base: ${tsString(cls)} },`).join('\n')}\n    },`
+      ).join('\n');
+      const compound = r.compoundVariants.map(({ classes, ...when }) =>
+        `    { ${Object.entries(when).map(([k, v]) => `${tsKey(k)}: ${tsString(v)}`).join(', ')}, class: { base: ${tsString(classes)} } },`
+      ).join('\n');
+      const defaults = Object.entries(r.defaultVariants)
+        .map(([k, v]) => `    ${tsKey(k)}: ${typeof v === 'boolean' ? v : tsString(v)},`).join('\n');
+      return `export const ${r.name}Variants = tv({
+  slots: {
+${slots}
+  },
+  variants: {
+${variants}
+  },
+  compoundVariants: [${compound ? `\n${compound}\n  ` : ''}],
+  defaultVariants: {
+${defaults}
+  },
+});
+
+export type ${pascal}VariantProps = VariantProps<typeof ${r.name}Variants>;
+`;
+    });
+
+    return `${variantRecipesHeader(normalizedData, 'tailwind-variants')}
+import { tv, type VariantProps } from 'tailwind-variants';
+
+${blocks.join('\n')}`;
+  }
+
   // ============================================
   // AI-Ready Design System Prompt Generation
   // ============================================
@@ -1540,6 +3224,19 @@ export const ${id}Recipes = createStyleRecipes("${slug}", "${name}", ${recipesJs
       .filter(([, v]) => v)
       .map(([name, size]) => `\`${name}\`: ${size}`)
       .join(', ') || 'Not observed';
+    const scale = typo.modularScale;
+    const scaleRatio = scale
+      ? `${scale.name} (×${scale.ratio}) from ${scale.base}, ${Math.round(scale.fit * 100)}% of sizes on scale${scale.outliers.length ? `; off-scale: ${scale.outliers.join(', ')}` : ''}`
+      : 'Not detected';
+    const textStyles = Object.entries(typo.textStyles || {})
+      .map(([name, s]) => {
+        const details = [`${s.fluid || s.fontSize} / ${s.lineHeight || 'normal'}`];
+        if (s.fontWeight) details.push(`weight ${s.fontWeight}`);
+        if (s.letterSpacing && s.letterSpacing !== 'normal') details.push(`tracking ${s.letterSpacing}`);
+        if (s.fontFamily) details.push(`\`${s.fontFamily}\``);
+        return `- **${name}**: ${details.join(', ')}`;
+      })
+      .join('\n') || 'Not observed';
 
     // Spacing
     const spacing = Object.entries(tokens.spacing || {})
@@ -1547,6 +3244,35 @@ export const ${id}Recipes = createStyleRecipes("${slug}", "${name}", ${recipesJs
       .slice(0, 10)
       .map(([val, count]) => `\`${val}\` (${count}x)`)
       .join(', ') || 'Not observed';
+    const grid = tokens.spacingGrid;
+    const spacingGrid = grid
+      ? `${grid.base} base (${grid.rem}), ${Math.round(grid.coverage * 100)}% of values on grid; scale ${Object.values(grid.scale).join(', ')}${grid.offGrid.length ? `; off-grid: ${grid.offGrid.map(o => o.value).join(', ')}` : ''}`
+      : 'Not detected';
+
+    // Elevation & layers (ordered scales)
+    const scaleLine = (scale) => Object.entries(scale || {})
+      .map(([name, val]) => `\`${name}\`: ${val}`)
+      .join(', ') || 'Not observed';
+    const radiusScale = scaleLine(tokens.borders?.radius);
+    const shadowScale = scaleLine(tokens.shadows);
+    const zIndexLayers = scaleLine(tokens.zIndex);
+    const opacityScale = scaleLine(tokens.opacity);
+
+    // Gradients & effects
+    const gradientList = Object.entries(tokens.gradients || {})
+      .map(([name, g]) => `- \`${name}\`: \`${g.value}\`${g.stops.some(s => s.ref) ? ` (stops: ${g.stops.map(s => s.ref || s.color).join(' → ')})` : ''}`)
+      .join('\n') || 'Not observed';
+    const effects = tokens.effects || {};
+    const effectList = [
+      ['Backdrop filters', effects.backdropFilter],
+      ['Filters', effects.filter],
+      ['Blend modes', effects.blend],
+      ['Noise', effects.noise]
+    ].filter(([, group]) => group && Object.keys(group).length)
+      .map(([label, group]) => `- **${label}**: ${scaleLine(group)}`)
+      .concat(Object.entries(effects.glass || {}).map(([name, g]) =>
+        `- **Glass** \`${name}\`: backdrop-filter ${g.backdropFilter} over ${g.background}${g.border ? `, border ${g.border}` : ''}`))
+      .join('\n') || 'Not observed';
 
     // Motion
     const motion = tokens.motion || {};
@@ -1613,9 +3339,29 @@ ${fontFamilies}
 
 **Type Scale**: ${fontSizes}
 
+**Scale Ratio**: ${scaleRatio}
+
+**Text Styles**:
+${textStyles}
+
 ### Spacing System
 Common values: ${spacing}
 
+**Grid**: ${spacingGrid}
+
+### Elevation & Layers
+**Radius** (none → full): ${radiusScale}
+**Shadows** (low → high): ${shadowScale}
+**Z-Index Layers**: ${zIndexLayers}
+**Opacity**: ${opacityScale}
+
+### Gradients & Effects
+**Gradients**:
+${gradientList}
+
+**Effects**:
+${effectList}
+
 ### Motion
 **Durations**: ${durations}
 **Easings**: ${easings}
@@ -1830,6 +3576,13 @@ ${describeComponentStates('badge') !== 'Not detected' ? '\n### Badges\n' + descr
         btnSecondary = [bg ? `bg-${bg}` : null, tx ? `text-${tx}` : null].filter(Boolean).join(' ');
       }
 
+      // Brand ramps as hex, for shades the page itself never used
+      const scales = {};
+      for (const role of BRAND_SCALE_ROLES) {
+        const scale = tokens.colors?.scales?.[role];
+        if (scale) scales[role] = Object.fromEntries(Object.entries(scale).map(([step, info]) => [step, info.value]));
+      }
+
       return {
         background: {
           primary: bgPrimary ? `bg-${bgPrimary}` : 'bg-white',
@@ -1845,6 +3598,7 @@ ${describeComponentStates('badge') !== 'Not detected' ? '\n### Badges\n' + descr
           primary: btnPrimary || 'bg-blue-500 text-white',
           secondary: btnSecondary || 'bg-gray-200 text-gray-800',
         },
+        ...(Object.keys(scales).length ? { scales } : {}),
       };
     }
 
@@ -1913,6 +3667,10 @@ export const ${id}Tokens = createStyleTokens(${tokensJson});
     // Generate recipe definition
     files['style-recipes.ts'] = generateRecipesTypeScript(normalizedData);
 
+    // Same components as class-variance-authority / tailwind-variants definitions
+    files['cva-recipes.ts'] = generateCvaTypeScript(normalizedData);
+    files['tv-recipes.ts'] = generateTvTypeScript(normalizedData);
+
     // Generate AI-ready design system prompt
     files['design-system-prompt.md'] = generateDesignSystemPrompt(normalizedData);
 
@@ -1924,6 +3682,8 @@ export const ${id}Tokens = createStyleTokens(${tokensJson});
 
   function generateTypeScriptDefinition(data) {
     const id = toSafeIdentifier(data.id);
+    // StyleDefinition typography is the flat scales; analysis and composites stay in tokens.json
+    const { modularScale, textStyles, fluid, ...typography } = data.tokens.typography;
 
     return `// StyleKit Style Definition
 // Generated by style-extractor
@@ -1936,7 +3696,7 @@ export const ${id}Style: StyleDefinition = ${JSON.stringify({
       name: data.name,
       description: data.description,
       colors: data.tokens.colors.semantic,
-      typography: data.tokens.typography,
+      typography,
       spacing: data.tokens.spacing,
       motion: data.tokens.motion
     }, null, 2)};
@@ -1947,12 +3707,50 @@ export default ${id}Style;
 
   function generateCSSVariables(data) {
     const lines = [':root {'];
+    const tiers = data.tokens.tiers;
+    const aliases = tiers?.aliases || {};
+    const ref = path => `var(${tierVarName(path)})`;
+    // 'original' naming: tokens named after a page custom property keep that property's name
+    const own = (prefix, name) => (data.naming === 'original' && name in (data.tokens.colors.raw || {}) ? `--${name}` : `--${prefix}-${name}`);
+
+    // Token tiers: literals only in primitives, everything above is a reference
+    if (tiers) {
+      for (const [label, tier] of [['Primitives', tiers.primitive], ['Semantic', tiers.semantic], ['Component', tiers.component]]) {
+        const entries = Object.entries(tier || {});
+        if (!entries.length) continue;
+        lines.push(`  /* ${label} */`);
+        for (const [path, token] of entries) {
+          lines.push(`  ${tierVarName(path)}: ${token.ref ? ref(token.ref) : token.value};`);
+        }
+        lines.push('');
+      }
+    }
 
-    // Colors
-    if (data.tokens.colors.semantic) {
+    // Colors (a role that is its own tier token was emitted above)
+    const roleColors = Object.entries(data.tokens.colors.semantic || {}).filter(([name, value]) => value && aliases.roles?.[name] !== name);
+    if (roleColors.length) {
       lines.push('  /* Colors */');
-      for (const [name, value] of Object.entries(data.tokens.colors.semantic)) {
-        if (value) lines.push(`  --color-${name}: ${value};`);
+      for (const [name, value] of roleColors) {
+        lines.push(`  ${own('color', name)}: ${aliases.roles?.[name] ? ref(aliases.roles[name]) : value};`);
+      }
+      lines.push('');
+    }
+
+    // Detected ramps already are primitives under their own name
+    const scales = Object.entries(data.tokens.colors.scales || {}).filter(([name]) => !tiers || aliases.scales?.[name]);
+    if (scales.length) {
+      lines.push('  /* Color Scales */');
+      for (const [name, scale] of scales) {
+        const steps = Object.entries(scale);
+        // Generated ramps say which steps were seen on the page
+        if (steps.some(([, info]) => info.observed === false)) {
+          const observed = steps.filter(([, info]) => info.observed).map(([step]) => step);
+          lines.push(`  /* ${name}: observed ${observed.join(', ')}; other steps synthesized */`);
+        }
+        for (const [step, info] of steps) {
+          const family = aliases.scales?.[name];
+          lines.push(`  --color-${name}-${step}: ${family ? ref(`${family}.${step}`) : info.value};`);
+        }
       }
       lines.push('');
     }
@@ -1961,38 +3759,99 @@ export default ${id}Style;
     if (data.tokens.typography.fontFamily) {
       lines.push('  /* Typography */');
       for (const [name, value] of Object.entries(data.tokens.typography.fontFamily)) {
-        if (value) lines.push(`  --font-${name}: ${value};`);
+        if (value) lines.push(`  ${own('font', name)}: ${value};`);
       }
       lines.push('');
     }
 
     if (data.tokens.typography.fontSize) {
       lines.push('  /* Font Sizes */');
+      const scale = data.tokens.typography.modularScale;
+      if (scale) lines.push(`  /* ${window.__seUtils.describeTypeScale(scale)} */`);
       for (const [name, value] of Object.entries(data.tokens.typography.fontSize)) {
-        if (value) lines.push(`  --text-${name}: ${value};`);
+        if (value) lines.push(`  ${own('text', name)}: ${value};`);
       }
       lines.push('');
     }
 
-    // Spacing
-    if (data.tokens.spacing) {
+    // Composite text styles as `--text-<style>` plus `--text-<style>--<property>` (Tailwind v4 naming)
+    const textStyleLines = window.__seUtils.formatTextStyleVars(data.tokens.typography.textStyles || {});
+    if (textStyleLines.length) {
+      lines.push('  /* Text Styles */');
+      lines.push(...textStyleLines);
+      lines.push('');
+    }
+
+    // Spacing: base unit and its observed multiples when a grid was detected, else frequency buckets
+    const grid = data.tokens.spacingGrid;
+    if (grid && Object.keys(grid.scale).length) {
+      const off = grid.offGridElements.length ? `; ${grid.offGridElements.length} element(s) off grid` : '';
+      lines.push('  /* Spacing */');
+      lines.push(`  /* ${grid.base} grid (${grid.rem}), ${Math.round(grid.coverage * 100)}% of values on grid${off} */`);
+      lines.push(`  --space-base: ${grid.unit === 'rem' ? grid.rem : grid.base};`);
+      for (const [step, value] of Object.entries(grid.scale)) lines.push(`  --space-${step}: ${value};`);
+      // 'original' naming: the page's own spacing properties stay alongside the grid steps
+      for (const [name, value] of Object.entries(data.tokens.spacing || {})) {
+        if (value && own('space', name) === `--${name}`) lines.push(`  --${name}: ${value};`);
+      }
+      lines.push('');
+    } else if (data.tokens.spacing) {
       lines.push('  /* Spacing */');
       for (const [name, value] of Object.entries(data.tokens.spacing)) {
-        if (value) lines.push(`  --space-${name}: ${value};`);
+        if (value) lines.push(`  ${own('space', name)}: ${value};`);
+      }
+      lines.push('');
+    }
+
+    // Elevation & layers, each in scale order
+    for (const [label, prefix, scale] of [
+      ['Border Radius', 'radius', data.tokens.borders?.radius],
+      ['Shadows', 'shadow', data.tokens.shadows],
+      ['Z-Index', 'z', data.tokens.zIndex],
+      ['Opacity', 'opacity', data.tokens.opacity]
+    ]) {
+      const entries = Object.entries(scale || {}).filter(([, value]) => value);
+      if (!entries.length) continue;
+      lines.push(`  /* ${label} */`);
+      for (const [name, value] of entries) lines.push(`  ${own(prefix, name)}: ${value};`);
+      lines.push('');
+    }
+
+    // Gradients (stops reference the color primitives) and effects
+    const gradients = Object.entries(data.tokens.gradients || {});
+    if (gradients.length) {
+      lines.push('  /* Gradients */');
+      for (const [name, gradient] of gradients) {
+        lines.push(`  --${name}: ${window.__seUtils.formatGradient(gradient, stop => (stop.ref ? ref(stop.ref) : stop.color))};`);
       }
       lines.push('');
     }
+    const effectLines = window.__seUtils.formatEffectVars(data.tokens.effects || {});
+    if (effectLines.length) {
+      lines.push('  /* Effects */', ...effectLines, '');
+    }
 
     // Motion
     if (data.tokens.motion.duration) {
       lines.push('  /* Motion */');
       for (const [name, value] of Object.entries(data.tokens.motion.duration)) {
-        if (value) lines.push(`  --duration-${name}: ${value};`);
+        if (value) lines.push(`  ${own('duration', name)}: ${value};`);
       }
     }
 
     lines.push('}');
 
+    // Web component APIs: defaults set on the host, ready to override per element
+    for (const [tag, component] of Object.entries(data.tokens.components || {})) {
+      const props = Object.entries(component.properties).filter(([, p]) => p.value);
+      if (!props.length) continue;
+      lines.push('');
+      if (component.parts.length) lines.push(`/* ${tag} parts: ${component.parts.join(', ')} */`);
+      lines.push(`${tag} {`);
+      for (const [name, p] of props) lines.push(`  ${name}: ${p.value};`);
+      lines.push('}');
+    }
+
     return lines.join('\n');
   }
 
@@ -2009,9 +3868,47 @@ export default ${id}Style;
       }
     };
 
+    // With token tiers, colors point into a `primitives` object instead of repeating hex values
+    const tiers = data.tokens.tiers;
+    const primitives = {};
+    const primitiveRef = (path) => {
+      const token = tiers.semantic[path] || tiers.component[path];
+      return token?.ref ? primitiveRef(token.ref) : `@@ref:${path.replace(/^color\./, '').replace(/\./g, '/')}@@`;
+    };
+    if (tiers) {
+      for (const [path, token] of Object.entries(tiers.primitive)) {
+        const [family, step] = path.replace(/^color\./, '').split('.');
+        if (step) primitives[family] = { ...(primitives[family] || {}), [step]: token.value };
+        else primitives[family] = token.value;
+      }
+      for (const family of Object.keys(primitives)) config.theme.extend.colors[family] = `@@ref:${family}@@`;
+    }
+
     // Colors
+    const roles = tiers?.aliases.roles || {};
     for (const [name, value] of Object.entries(data.tokens.colors.semantic || {})) {
-      if (value) config.theme.extend.colors[name] = value;
+      if (value) config.theme.extend.colors[name] = roles[name] ? primitiveRef(roles[name]) : value;
+    }
+    for (const [name, scale] of Object.entries(data.tokens.colors.scales || {})) {
+      const family = tiers?.aliases.scales[name];
+      if (tiers && !family) continue;
+      // Brand ramps keep the semantic color as DEFAULT so `bg-primary` still works
+      const base = data.tokens.colors.semantic?.[name];
+      config.theme.extend.colors[name] = Object.fromEntries([
+        ...(base ? [['DEFAULT', roles[name] ? primitiveRef(roles[name]) : base]] : []),
+        ...Object.entries(scale).map(([step, info]) => [step, family ? primitiveRef(`${family}.${step}`) : info.value])
+      ]);
+    }
+
+    // Semantic tier as nested colors: `bg-action-primary-bg`, `text-fg-muted`
+    for (const path of Object.keys(tiers?.semantic || {})) {
+      const keys = path.replace(/^color\./, '').split('.');
+      let node = config.theme.extend.colors;
+      for (const key of keys.slice(0, -1)) {
+        if (typeof node[key] !== 'object') node[key] = {};
+        node = node[key];
+      }
+      node[keys[keys.length - 1]] = primitiveRef(path);
     }
 
     // Typography
@@ -2021,19 +3918,56 @@ export default ${id}Style;
     for (const [name, value] of Object.entries(data.tokens.typography.fontSize || {})) {
       if (value) config.theme.extend.fontSize[name] = value;
     }
+    // Text styles use the [size, { lineHeight, letterSpacing, fontWeight }] form: `text-h1`
+    for (const [name, style] of Object.entries(data.tokens.typography.textStyles || {})) {
+      const extra = {};
+      if (style.lineHeight && style.lineHeight !== 'normal') extra.lineHeight = style.lineHeight;
+      if (style.letterSpacing && style.letterSpacing !== 'normal') extra.letterSpacing = style.letterSpacing;
+      if (style.fontWeight) extra.fontWeight = style.fontWeight;
+      config.theme.extend.fontSize[name] = [style.fluid || style.fontSize, extra];
+    }
 
-    // Spacing
+    // Spacing: the grid's multiples of the base unit (`p-4` = 4 steps), else frequency buckets
+    const gridScale = Object.entries(data.tokens.spacingGrid?.scale || {});
+    const rawVars = data.naming === 'original' ? data.tokens.colors.raw || {} : {};
     for (const [name, value] of Object.entries(data.tokens.spacing || {})) {
-      if (value) config.theme.extend.spacing[name] = value;
+      if (value && (!gridScale.length || name in rawVars)) config.theme.extend.spacing[name] = value;
     }
+    for (const [step, value] of gridScale) config.theme.extend.spacing[step] = value;
 
     // Motion
     for (const [name, value] of Object.entries(data.tokens.motion.duration || {})) {
       if (value) config.theme.extend.transitionDuration[name] = value;
     }
 
+    // Elevation & layers: `shadow-md`, `rounded-full`, `z-modal`, `opacity-50`
+    for (const [key, scale] of [
+      ['borderRadius', data.tokens.borders?.radius],
+      ['boxShadow', data.tokens.shadows],
+      ['zIndex', data.tokens.zIndex],
+      ['opacity', data.tokens.opacity]
+    ]) {
+      const entries = Object.entries(scale || {}).filter(([, value]) => value);
+      if (entries.length) config.theme.extend[key] = Object.fromEntries(entries);
+    }
+
+    // Gradients as `bg-gradient-1`, lone blurs as `backdrop-blur-md` / `blur-md`
+    const gradients = Object.entries(data.tokens.gradients || {});
+    if (gradients.length) {
+      config.theme.extend.backgroundImage = Object.fromEntries(gradients.map(([name, gradient]) =>
+        [name, window.__seUtils.formatGradient(gradient, stop => (stop.ref && tiers ? `var(${tierVarName(stop.ref)})` : stop.color))]));
+    }
+    for (const [key, stacks] of [['backdropBlur', data.tokens.effects?.backdropFilter], ['blur', data.tokens.effects?.filter]]) {
+      const blurs = Object.entries(stacks || {}).filter(([name]) => name.startsWith('blur-') && /^blur\([^)]*\)$/.test(stacks[name]));
+      if (blurs.length) config.theme.extend[key] = Object.fromEntries(blurs.map(([name, value]) => [name.slice(5), value.slice(5, -1)]));
+    }
+
+    const accessor = ref => 'primitives' + ref.split('/')
+      .map(key => (/^[a-z_$][\w$]*$/i.test(key) ? `.${key}` : `[${JSON.stringify(key)}]`)).join('');
+    const body = JSON.stringify(config, null, 2).replace(/"@@ref:([^"@]+)@@"/g, (_, ref) => accessor(ref));
+
     return `/** @type {import('tailwindcss').Config} */
-module.exports = ${JSON.stringify(config, null, 2)};
+${tiers ? `const primitives = ${JSON.stringify(primitives, null, 2)};\n\n` : ''}module.exports = ${body};
 `;
   }
 
@@ -2048,8 +3982,19 @@ module.exports = ${JSON.stringify(config, null, 2)};
     installed: true,
 
     // Collect all extracted data
-    collect() {
-      collectedData = collectExtractedData();
+    // options.palette: { deltaE, rampMinSize, brandScales } for palette clustering and brand ramps
+    // options.includeFrames: sample colors inside same-origin iframes too
+    // options.naming: 'semantic' (default) | 'original' | 'tailwind' token names
+    collect(options = {}) {
+      if (options.naming && !NAMING_STRATEGIES.includes(options.naming)) {
+        debugWarn(`Unknown naming strategy "${options.naming}", using "semantic"`);
+      }
+      collectedData = collectExtractedData({
+        includeFrames: options.includeFrames,
+        maxFrameDepth: options.maxFrameDepth,
+        palette: options.palette,
+        naming: NAMING_STRATEGIES.includes(options.naming) ? options.naming : 'semantic'
+      });
       return collectedData;
     },
 
@@ -2086,6 +4031,29 @@ module.exports = ${JSON.stringify(config, null, 2)};
       return generateRecipesFromComponents(normalizedData);
     },
 
+    // Generate cva() / tv() component variants (cva-recipes.ts / tv-recipes.ts)
+    generateCva() {
+      if (!normalizedData) {
+        this.normalize();
+      }
+      return generateCvaTypeScript(normalizedData);
+    },
+
+    generateTv() {
+      if (!normalizedData) {
+        this.normalize();
+      }
+      return generateTvTypeScript(normalizedData);
+    },
+
+    // Variant model behind both: { button: { base, variants, compoundVariants, defaultVariants, slots } }
+    getVariantRecipes() {
+      if (!normalizedData) {
+        this.normalize();
+      }
+      return buildVariantRecipes(normalizedData);
+    },
+
     // Generate AI-ready design system prompt
     generatePrompt() {
       if (!normalizedData) {
@@ -2103,8 +4071,8 @@ module.exports = ${JSON.stringify(config, null, 2)};
     },
 
     // Full pipeline
-    extract() {
-      this.collect();
+    extract(options = {}) {
+      this.collect(options);
       this.normalize();
       return {
         raw: collectedData,
@@ -2152,6 +4120,25 @@ module.exports = ${JSON.stringify(config, null, 2)};
       return report;
     },
 
+    // Palette clustering (also applied inside collect())
+    clusterColors,
+    detectTonalRamps,
+
+    // OKLCH 50-950 ramps for brand colors (also applied inside normalize())
+    generateBrandScale,
+    generateBrandScales,
+
+    // Primitive / semantic / component tiers (also applied inside normalize())
+    buildTokenTiers,
+    tierVarName,
+
+    // Token naming strategies (also applied inside normalize())
+    NAMING_STRATEGIES,
+    applyNamingStrategy,
+
+    // One CSS declaration → exact Tailwind classes (used by the Tailwind replica)
+    declToTailwind,
+
     // Schema reference
     SCHEMA: STYLEKIT_SCHEMA
   };
@@ -2,10 +2,11 @@
 // Common utility functions used across all extraction modules
 //
 // This module provides:
-// 1. DOM utilities (cssPath, getRect, isVisible)
+// 1. DOM utilities (cssPath, getRect, isVisible, same-origin frame and open shadow root traversal)
 // 2. Debug logging
 // 3. Result caching
 // 4. Standardized response format
+// 5. Color parsing and CIEDE2000 distance
 //
 // Usage: Load this script FIRST, then other modules can use window.__seUtils
 
@@ -112,6 +113,243 @@
     );
   }
 
+  // ============================================
+  // Frame Traversal
+  // ============================================
+
+  // Joins a frame path to a selector inside that frame. Deliberately not valid CSS,
+  // so a frame-scoped selector is never mistaken for a top-level one.
+  const FRAME_SEPARATOR = ' |> ';
+
+  /**
+   * Walk <iframe>/<frame> elements from the top document.
+   * Same-origin frames are descended into; cross-origin ones are listed with their URL only.
+   * Entries hold live references (element, document) — use listFrames() for a serializable copy.
+   *   path: frame element selectors from the top document, outermost first
+   *   offset: where the frame's viewport sits in top-level coordinates
+   */
+  function collectFrames(options = {}) {
+    const maxDepth = options.maxFrameDepth ?? 3;
+    const frames = [];
+
+    const visit = (doc, parentPath, parentOffset, depth) => {
+      let elements = [];
+      try {
+        elements = Array.from(doc.querySelectorAll('iframe, frame'));
+      } catch {
+        return;
+      }
+
+      for (const el of elements) {
+        const path = [...parentPath, cssPath(el)];
+        const r = el.getBoundingClientRect();
+        const view = el.ownerDocument?.defaultView || window;
+        const s = view.getComputedStyle(el);
+        const offset = {
+          x: Math.round(parentOffset.x + r.x + (el.clientLeft || 0) + (parseFloat(s.paddingLeft) || 0)),
+          y: Math.round(parentOffset.y + r.y + (el.clientTop || 0) + (parseFloat(s.paddingTop) || 0))
+        };
+
+        let frameDoc = null;
+        try {
+          frameDoc = el.contentDocument || null;
+          // Touch the body: some engines hand out a document but throw on access.
+          if (frameDoc) void frameDoc.body;
+        } catch {
+          frameDoc = null;
+        }
+
+        const src = el.getAttribute('src');
+        const url = src ? (el.src || src) : (el.hasAttribute('srcdoc') ? 'about:srcdoc' : (frameDoc?.URL || 'about:blank'));
+
+        frames.push({
+          path,
+          selector: path.join(FRAME_SEPARATOR),
+          url,
+          name: el.getAttribute('name') || el.getAttribute('title') || null,
+          sameOrigin: !!frameDoc,
+          depth,
+          offset,
+          rect: {
+            x: Math.round(parentOffset.x + r.x),
+            y: Math.round(parentOffset.y + r.y),
+            width: Math.round(r.width),
+            height: Math.round(r.height)
+          },
+          element: el,
+          document: frameDoc
+        });
+
+        if (frameDoc && depth + 1 < maxDepth) visit(frameDoc, path, offset, depth + 1);
+      }
+    };
+
+    visit(options.document || document, [], { x: 0, y: 0 }, 0);
+    return frames;
+  }
+
+  /**
+   * Serializable frame list: same-origin frames plus cross-origin ones to extract separately
+   */
+  function listFrames(options = {}) {
+    return collectFrames(options).map(({ element, document: doc, ...frame }) => frame);
+  }
+
+  /**
+   * Namespace a selector found inside a frame with the frame's path
+   */
+  function frameSelector(frame, selector) {
+    if (!selector || !frame?.path?.length) return selector;
+    return [...frame.path, selector].join(FRAME_SEPARATOR);
+  }
+
+  /**
+   * Shift a frame-local rect into top-level coordinates
+   */
+  function offsetRect(rect, frame) {
+    if (!rect || !frame?.offset) return rect;
+    return { ...rect, x: rect.x + frame.offset.x, y: rect.y + frame.offset.y };
+  }
+
+  /**
+   * Resolve a (possibly frame-scoped) selector to an element
+   */
+  function queryFrameSelector(selector, root = document) {
+    const parts = String(selector || '').split(FRAME_SEPARATOR);
+    let doc = root;
+    for (let i = 0; i < parts.length - 1; i++) {
+      const frameEl = queryShadowSelector(parts[i], doc);
+      try {
+        doc = frameEl?.contentDocument;
+      } catch {
+        doc = null;
+      }
+      if (!doc) return null;
+    }
+    return queryShadowSelector(parts[parts.length - 1], doc);
+  }
+
+  /**
+   * Element passed through; frame-scoped (' |> ') and shadow-piercing (' >>> ') selectors resolved.
+   * Callers report the selector they were given, since a path rebuilt from the element loses the frame prefix.
+   */
+  function resolveElement(selectorOrEl) {
+    if (typeof selectorOrEl !== 'string') return selectorOrEl;
+    return queryFrameSelector(selectorOrEl);
+  }
+
+  // ============================================
+  // Shadow Root Traversal
+  // ============================================
+
+  // Joins shadow host selectors to a selector inside the shadow root
+  // (the "pierce" combinator understood by Puppeteer and Playwright).
+  const SHADOW_SEPARATOR = ' >>> ';
+
+  /**
+   * Selector for an element that may sit inside (nested) open shadow roots:
+   * each host's path, outermost first, joined with SHADOW_SEPARATOR.
+   * pathFn lets modules keep their own cssPath flavour.
+   */
+  function shadowSelector(el, pathFn = cssPath) {
+    if (!el || el.nodeType !== 1) return null;
+    const parts = [pathFn(el)];
+    let root = el.getRootNode?.();
+    while (root && root.host) {
+      parts.unshift(pathFn(root.host));
+      root = root.host.getRootNode?.();
+    }
+    return parts.join(SHADOW_SEPARATOR);
+  }
+
+  /**
+   * Walk open shadow roots below a document (or shadow root), nested ones included.
+   * Closed roots are invisible to scripts and are not listed.
+   * Entries hold live references (host, root):
+   *   selector: shadowSelector() of the host
+   *   depth: 0 for roots attached to light-DOM hosts
+   */
+  function collectShadowRoots(options = {}) {
+    const maxDepth = options.maxShadowDepth ?? 3;
+    const roots = [];
+
+    const visit = (root, depth) => {
+      let elements = [];
+      try {
+        elements = Array.from(root.querySelectorAll('*'));
+      } catch {
+        return;
+      }
+      for (const el of elements) {
+        const shadowRoot = el.shadowRoot;
+        if (!shadowRoot) continue;
+        roots.push({
+          host: el,
+          root: shadowRoot,
+          selector: shadowSelector(el),
+          tag: el.tagName.toLowerCase(),
+          mode: shadowRoot.mode || 'open',
+          depth
+        });
+        if (depth + 1 < maxDepth) visit(shadowRoot, depth + 1);
+      }
+    };
+
+    visit(options.root || document, 0);
+    return roots;
+  }
+
+  /**
+   * Stylesheets that apply inside a shadow root: <style>/<link> sheets plus
+   * adoptedStyleSheets (Lit, FAST and Spectrum ship their styles that way).
+   */
+  function getShadowSheets(root) {
+    const sheets = [];
+    const add = (sheet) => {
+      if (sheet && !sheets.includes(sheet)) sheets.push(sheet);
+    };
+    if (root.styleSheets) {
+      for (const sheet of root.styleSheets) add(sheet);
+    } else {
+      for (const el of root.querySelectorAll?.('style, link[rel~="stylesheet"]') || []) add(el.sheet);
+    }
+    for (const sheet of root.adoptedStyleSheets || []) add(sheet);
+    return sheets;
+  }
+
+  /**
+   * Sheets whose rules can match el, for pseudo-class lookups: the sheets of the tree
+   * el lives in, then el's own shadow sheets, whose :host rules describe el itself.
+   * mapSelector turns a rule's selector into one el.matches() accepts ('' = skip).
+   */
+  function stylesheetsFor(el) {
+    const root = el?.getRootNode?.();
+    const sheets = root?.host ? getShadowSheets(root) : Array.from((el?.ownerDocument || document).styleSheets);
+    const entries = sheets.map(sheet => ({ sheet, mapSelector: s => s }));
+    if (el?.shadowRoot) {
+      // :host(.primary:hover) → *.primary:hover; other shadow rules target descendants
+      const isHostOnly = part => /^:host\b/.test(part) && !/[\s>+~]/.test(part.replace(/\((?:[^()]|\([^()]*\))*\)/g, ''));
+      const mapHost = s => (s.split(',').every(part => isHostOnly(part.trim()))
+        ? s.replace(/:host\(((?:[^()]|\([^()]*\))*)\)/g, '*$1').replace(/:host\b/g, '*')
+        : '');
+      for (const sheet of getShadowSheets(el.shadowRoot)) entries.push({ sheet, mapSelector: mapHost });
+    }
+    return entries;
+  }
+
+  /**
+   * Resolve a (possibly shadow-piercing) selector to an element
+   */
+  function queryShadowSelector(selector, root = document) {
+    const parts = String(selector || '').split(SHADOW_SEPARATOR);
+    let scope = root;
+    for (let i = 0; i < parts.length - 1; i++) {
+      scope = scope.querySelector(parts[i])?.shadowRoot;
+      if (!scope) return null;
+    }
+    return scope.querySelector(parts[parts.length - 1]);
+  }
+
   // ============================================
   // Caching
   // ============================================
@@ -259,6 +497,141 @@
            value.startsWith('lab');
   }
 
+  let colorProbe = null;
+
+  // Rasterize any CSS color (named, hsl, oklch, color-mix...) to sRGB bytes; null without canvas
+  function rasterizeColor(value) {
+    try {
+      if (!colorProbe) {
+        const canvas = document.createElement('canvas');
+        canvas.width = canvas.height = 1;
+        colorProbe = canvas.getContext('2d', { willReadFrequently: true });
+      }
+      if (!colorProbe) return null;
+      colorProbe.clearRect(0, 0, 1, 1);
+      colorProbe.fillStyle = '#000';
+      colorProbe.fillStyle = value;
+      colorProbe.fillRect(0, 0, 1, 1);
+      const [r, g, b, a] = colorProbe.getImageData(0, 0, 1, 1).data;
+      return { r, g, b, a: Math.round((a / 255) * 1000) / 1000 };
+    } catch (e) {
+      colorProbe = null;
+      return null;
+    }
+  }
+
+  function hslToRgb(h, s, l) {
+    const k = n => (n + h / 30) % 12;
+    const f = n => l - s * Math.min(l, 1 - l) * Math.max(-1, Math.min(k(n) - 3, 9 - k(n), 1));
+    return { r: Math.round(f(0) * 255), g: Math.round(f(8) * 255), b: Math.round(f(4) * 255) };
+  }
+
+  /**
+   * Parse a CSS color into { r, g, b, a } (0-255, alpha 0-1).
+   * var() references resolve against :root; anything else falls back to the canvas.
+   */
+  function parseColor(value) {
+    if (!value || typeof value !== 'string') return null;
+    let color = value.trim();
+
+    const varMatch = color.match(/^var\(\s*(--[\w-]+)\s*(?:,\s*(.+))?\)$/);
+    if (varMatch) {
+      const resolved = getComputedStyle(document.documentElement).getPropertyValue(varMatch[1]).trim();
+      return parseColor(resolved || varMatch[2] || '');
+    }
+
+    if (color === 'transparent') return { r: 0, g: 0, b: 0, a: 0 };
+
+    const hex = color.match(/^#([0-9a-f]{3,8})$/i);
+    if (hex) {
+      let h = hex[1];
+      if (h.length === 3 || h.length === 4) h = h.split('').map(c => c + c).join('');
+      if (h.length !== 6 && h.length !== 8) return null;
+      return {
+        r: parseInt(h.slice(0, 2), 16),
+        g: parseInt(h.slice(2, 4), 16),
+        b: parseInt(h.slice(4, 6), 16),
+        a: h.length === 8 ? Math.round((parseInt(h.slice(6, 8), 16) / 255) * 1000) / 1000 : 1
+      };
+    }
+
+    // rgb()/hsl() in both comma and space syntax, with optional "/ alpha"
+    const fn = color.match(/^(rgba?|hsla?)\(\s*([^)]+)\)$/i);
+    if (fn) {
+      const parts = fn[2].split(/[\s,/]+/).filter(Boolean);
+      if (parts.length >= 3) {
+        const alphaPart = parts[3];
+        const a = alphaPart === undefined ? 1
+          : alphaPart.endsWith('%') ? parseFloat(alphaPart) / 100 : parseFloat(alphaPart);
+        if (fn[1].toLowerCase().startsWith('rgb')) {
+          const channel = p => Math.round(p.endsWith('%') ? parseFloat(p) * 2.55 : parseFloat(p));
+          const [r, g, b] = parts.slice(0, 3).map(channel);
+          if (![r, g, b, a].some(isNaN)) return { r, g, b, a };
+        } else {
+          const [h, s, l] = [parseFloat(parts[0]), parseFloat(parts[1]) / 100, parseFloat(parts[2]) / 100];
+          if (![h, s, l, a].some(isNaN)) return { ...hslToRgb(((h % 360) + 360) % 360, s, l), a };
+        }
+      }
+    }
+
+    return rasterizeColor(color);
+  }
+
+  /**
+   * Format { r, g, b, a } as #rrggbb (or #rrggbbaa when translucent)
+   */
+  function formatHex({ r, g, b, a = 1 }) {
+    const hex = '#' + [r, g, b].map(x => Math.round(x).toString(16).padStart(2, '0')).join('');
+    return a < 1 ? hex + Math.round(a * 255).toString(16).padStart(2, '0') : hex;
+  }
+
+  /**
+   * sRGB → CIE Lab (D65)
+   */
+  function rgbToLab({ r, g, b }) {
+    const lin = c => {
+      c /= 255;
+      return c > 0.04045 ? ((c + 0.055) / 1.055) ** 2.4 : c / 12.92;
+    };
+    const rl = lin(r), gl = lin(g), bl = lin(b);
+    const f = t => t > 0.008856 ? t ** (1 / 3) : 7.787 * t + 16 / 116;
+    const x = f((rl * 0.4124564 + gl * 0.3575761 + bl * 0.1804375) / 0.95047);
+    const y = f(rl * 0.2126729 + gl * 0.7151522 + bl * 0.0721750);
+    const z = f((rl * 0.0193339 + gl * 0.1191920 + bl * 0.9503041) / 1.08883);
+    return { l: 116 * y - 16, a: 500 * (x - y), b: 200 * (y - z) };
+  }
+
+  /**
+   * CIEDE2000 color difference between two Lab colors
+   */
+  function deltaE2000(lab1, lab2) {
+    const { l: L1, a: a1, b: b1 } = lab1;
+    const { l: L2, a: a2, b: b2 } = lab2;
+    const rad = Math.PI / 180;
+    const avgL = (L1 + L2) / 2;
+    const avgC = (Math.hypot(a1, b1) + Math.hypot(a2, b2)) / 2;
+    const G = 0.5 * (1 - Math.sqrt(avgC ** 7 / (avgC ** 7 + 25 ** 7)));
+    const a1p = a1 * (1 + G), a2p = a2 * (1 + G);
+    const C1p = Math.hypot(a1p, b1), C2p = Math.hypot(a2p, b2);
+    const avgCp = (C1p + C2p) / 2;
+    let h1p = Math.atan2(b1, a1p) / rad; if (h1p < 0) h1p += 360;
+    let h2p = Math.atan2(b2, a2p) / rad; if (h2p < 0) h2p += 360;
+    let dhp = h2p - h1p;
+    if (Math.abs(dhp) > 180) dhp += dhp > 0 ? -360 : 360;
+    const dHp = 2 * Math.sqrt(C1p * C2p) * Math.sin(dhp * rad / 2);
+    let avgHp = (h1p + h2p) / 2;
+    if (Math.abs(h1p - h2p) > 180) avgHp += avgHp < 180 ? 180 : -180;
+    const T = 1 - 0.17 * Math.cos((avgHp - 30) * rad) + 0.24 * Math.cos(2 * avgHp * rad) +
+      0.32 * Math.cos((3 * avgHp + 6) * rad) - 0.20 * Math.cos((4 * avgHp - 63) * rad);
+    const SL = 1 + 0.015 * (avgL - 50) ** 2 / Math.sqrt(20 + (avgL - 50) ** 2);
+    const SC = 1 + 0.045 * avgCp;
+    const SH = 1 + 0.015 * avgCp * T;
+    const RT = -2 * Math.sqrt(avgCp ** 7 / (avgCp ** 7 + 25 ** 7)) *
+      Math.sin(2 * 30 * Math.exp(-(((avgHp - 275) / 25) ** 2)) * rad);
+    const dLp = L2 - L1, dCp = C2p - C1p;
+    return Math.sqrt((dLp / SL) ** 2 + (dCp / SC) ** 2 + (dHp / SH) ** 2 + RT * (dCp / SC) * (dHp / SH));
+  }
+
   // ============================================
   // String Utilities
   // ============================================
@@ -307,6 +680,610 @@
     return unit === 's' ? parseFloat(value) * 1000 : parseFloat(value);
   }
 
+  // ============================================
+  // Typography Utilities
+  // ============================================
+
+  // Named modular scale ratios, tightest first
+  const TYPE_SCALE_RATIOS = [
+    ['minor-second', 1.067], ['major-second', 1.125], ['minor-third', 1.2], ['major-third', 1.25],
+    ['perfect-fourth', 1.333], ['augmented-fourth', 1.414], ['perfect-fifth', 1.5], ['golden-ratio', 1.618]
+  ];
+
+  const round = (n, digits = 2) => Math.round(n * 10 ** digits) / 10 ** digits;
+
+  /**
+   * Fit observed font sizes to a modular scale (base × ratio^step).
+   * A size fits when it is within a quarter step of its predicted size (at most 5%)
+   * and at most 8 steps from the base, so tight ratios cannot claim every size by
+   * stretching over dozens of steps. Bases are tried from the observed sizes
+   * between 12 and 24px; the fit covering the most usage wins, then the smallest error,
+   * then the most used base.
+   * @param {Object|string[]} sizes - { '16px': { count } } or ['16px', ...]; non-px sizes are ignored
+   * @returns {Object|null} { name, ratio, base, fit, confidence, steps, outliers }, null under 3 sizes
+   */
+  function analyzeTypeScale(sizes) {
+    const entries = Array.isArray(sizes)
+      ? sizes.map(size => [size, 1])
+      : Object.entries(sizes || {}).map(([size, info]) => [size, info?.count || 1]);
+    const observed = new Map();
+    for (const [size, count] of entries) {
+      const px = parseFloat(size);
+      if (!/^[\d.]+px$/.test(String(size).trim()) || !(px > 0)) continue;
+      observed.set(round(px), (observed.get(round(px)) || 0) + count);
+    }
+    if (observed.size < 3) return null;
+
+    const total = [...observed.values()].reduce((sum, count) => sum + count, 0);
+    let best = null;
+    for (const [name, ratio] of TYPE_SCALE_RATIOS) {
+      const tolerance = Math.min(0.05, (ratio - 1) / 4);
+      for (const base of [...observed.keys()].filter(px => px >= 12 && px <= 24)) {
+        const fits = new Map();
+        let covered = 0, error = 0;
+        for (const [px, count] of observed) {
+          const step = Math.round(Math.log(px / base) / Math.log(ratio));
+          const off = Math.abs(px - base * ratio ** step) / (base * ratio ** step);
+          if (off > tolerance || Math.abs(step) > 8) continue;
+          fits.set(px, step);
+          covered += count;
+          error += off * count;
+        }
+        const fit = { name, ratio, base, fits, coverage: covered / total, error: error / covered };
+        const better = !best
+          || fit.coverage > best.coverage + 1e-9
+          || (Math.abs(fit.coverage - best.coverage) <= 1e-9 && (fit.error < best.error - 1e-4
+            || (Math.abs(fit.error - best.error) <= 1e-4 && observed.get(base) > observed.get(best.base))));
+        if (better) best = fit;
+      }
+    }
+    if (!best || !best.fits.size) return null;
+
+    const stepValues = [...best.fits.values()];
+    const steps = [];
+    for (let step = Math.min(...stepValues); step <= Math.max(...stepValues); step++) {
+      const px = [...best.fits].find(([, s]) => s === step)?.[0];
+      steps.push({
+        step,
+        size: `${round(best.base * best.ratio ** step)}px`,
+        observed: px === undefined ? null : `${px}px`,
+        count: px === undefined ? 0 : observed.get(px)
+      });
+    }
+    return {
+      name: best.name,
+      ratio: best.ratio,
+      base: `${best.base}px`,
+      fit: round(best.coverage),
+      confidence: best.coverage >= 0.9 ? 'high' : best.coverage >= 0.7 ? 'medium' : 'low',
+      steps,
+      outliers: [...observed.keys()].filter(px => !best.fits.has(px)).sort((a, b) => a - b).map(px => `${px}px`)
+    };
+  }
+
+  /**
+   * Fluid size from values measured at several viewport widths. Sizes that grow linearly
+   * between a floor and a ceiling become `clamp(min, intercept + slope·vw, max)`; a jump
+   * at a breakpoint (no width lands between floor and ceiling) or a shrinking or irregular
+   * progression gives null, as do fewer than three widths.
+   * @param {Array<{width: number, size: number}>} points - Viewport width and size in px
+   * @returns {Object|null} { min, max, preferred, clamp, widths }
+   */
+  function fluidClamp(points) {
+    const byWidth = new Map();
+    for (const { width, size } of points || []) {
+      if (width > 0 && size > 0) byWidth.set(width, size);
+    }
+    const sorted = [...byWidth].sort((a, b) => a[0] - b[0]).map(([width, size]) => ({ width, size }));
+    if (sorted.length < 3) return null;
+    const sizes = sorted.map(p => p.size);
+    const min = Math.min(...sizes), max = Math.max(...sizes);
+    if (max - min < 1 || sizes.some((size, i) => i && size < sizes[i - 1] - 0.5)) return null;
+
+    // The slope runs from the last width at the floor to the first width at the ceiling;
+    // those two may sit past the clamp's knees, so two widths in between are fitted alone
+    const lo = sizes.map(size => size <= min + 0.5).lastIndexOf(true);
+    const hi = sizes.findIndex(size => size >= max - 0.5);
+    if (hi - lo < 2) return null;
+    const slope = hi - lo > 2 ? sorted.slice(lo + 1, hi) : sorted.slice(lo, hi + 1);
+
+    const n = slope.length;
+    const meanX = slope.reduce((sum, p) => sum + p.width, 0) / n;
+    const meanY = slope.reduce((sum, p) => sum + p.size, 0) / n;
+    const k = slope.reduce((sum, p) => sum + (p.width - meanX) * (p.size - meanY), 0)
+      / slope.reduce((sum, p) => sum + (p.width - meanX) ** 2, 0);
+    const b = meanY - k * meanX;
+    if (slope.some(p => Math.abs(k * p.width + b - p.size) > Math.max(1, 0.15 * (max - min)))) return null;
+
+    const rem = px => `${round(px / 16, 4)}rem`;
+    const preferred = `${rem(b)} ${k < 0 ? '-' : '+'} ${round(Math.abs(k) * 100, 4)}vw`;
+    return {
+      min: `${round(min)}px`,
+      max: `${round(max)}px`,
+      preferred,
+      clamp: `clamp(${rem(min)}, ${preferred}, ${rem(max)})`,
+      widths: sorted.map(p => p.width)
+    };
+  }
+
+  // analyzeTypeScale() result as one line for generated comments
+  function describeTypeScale(scale) {
+    const outliers = scale.outliers.length ? `; off-scale: ${scale.outliers.join(', ')}` : '';
+    return `${scale.name} scale (${scale.ratio}) from ${scale.base}, fit ${scale.fit}${outliers}`;
+  }
+
+  /**
+   * Composite text styles as Tailwind v4 custom property lines: `--text-<style>` (its fluid
+   * clamp() when it has one) plus `--text-<style>--line-height`, `--letter-spacing`,
+   * `--font-weight` and `--font-family`.
+   * @param {Object} textStyles - stylekit-adapter typography.textStyles
+   * @param {Function} varName - maps a style name to its custom property name part
+   * @returns {string[]} `  --name: value;` lines
+   */
+  function formatTextStyleVars(textStyles = {}, varName = name => name) {
+    return Object.entries(textStyles).flatMap(([name, style]) => {
+      const key = varName(name);
+      const lines = [`  --text-${key}: ${style.fluid || style.fontSize};`];
+      if (style.lineHeight && style.lineHeight !== 'normal') lines.push(`  --text-${key}--line-height: ${style.lineHeight};`);
+      if (style.letterSpacing && style.letterSpacing !== 'normal') lines.push(`  --text-${key}--letter-spacing: ${style.letterSpacing};`);
+      if (style.fontWeight) lines.push(`  --text-${key}--font-weight: ${style.fontWeight};`);
+      if (style.fontFamily) lines.push(`  --text-${key}--font-family: ${style.fontFamily};`);
+      return lines;
+    });
+  }
+
+  // ============================================
+  // Spacing Utilities
+  // ============================================
+
+  // Share of weighted spacing usage a base unit must divide to count as the grid
+  const SPACING_GRID_COVERAGE = 0.8;
+  // Below this share even the best candidate is not a grid the site follows
+  const SPACING_GRID_MIN_COVERAGE = 0.7;
+
+  /**
+   * Detect the spacing system: the largest base unit (8px, 4px, or half/quarter of the
+   * root font size for rem-based sites) dividing at least 80% of weighted usage, else
+   * the candidate dividing the most as long as that is 70% or more; otherwise there is
+   * no grid and the result is null. The scale lists each observed multiple of the base
+   * (`{ '1': '4px', '4': '16px' }`, in rem when the site authors spacing in rem);
+   * everything else is off the grid, with the nearest on-grid value.
+   * @param {Object} frequency - { '16px': count } spacing usage (rem values count at the root size)
+   * @param {Object} options
+   * @param {number} options.rootFontSize - Root font size in px (default 16)
+   * @param {boolean} options.remBased - Express the base and scale in rem
+   * @param {Array<{selector, property, value}>} options.samples - Per-element values to report off-grid elements
+   * @returns {Object|null} { base, rem, unit, coverage, scale, offGrid, offGridElements },
+   *   null without spacing values or without a grid
+   */
+  function analyzeSpacingGrid(frequency, options = {}) {
+    const root = options.rootFontSize > 0 ? options.rootFontSize : 16;
+    const toPx = (value) => {
+      const match = String(value).trim().match(/^(-?[\d.]+)(px|rem)$/);
+      if (!match) return 0;
+      return Math.abs(parseFloat(match[1])) * (match[2] === 'rem' ? root : 1);
+    };
+    const samples = [];
+    for (const [value, count] of Object.entries(frequency || {})) {
+      const px = toPx(value);
+      if (px > 0 && count > 0) samples.push({ value, px, count });
+    }
+    if (!samples.length) return null;
+
+    const onGrid = (px, base) => Math.abs(px / base - Math.round(px / base)) < 0.01;
+    const total = samples.reduce((sum, s) => sum + s.count, 0);
+    const candidates = [...new Set([8, 4, root / 2, root / 4].map(px => round(px)))]
+      .filter(px => px >= 2)
+      .sort((a, b) => b - a);
+    let best = null;
+    for (const base of candidates) {
+      const coverage = samples.filter(s => onGrid(s.px, base)).reduce((sum, s) => sum + s.count, 0) / total;
+      if (coverage >= SPACING_GRID_COVERAGE) {
+        best = { base, coverage };
+        break;
+      }
+      if (!best || coverage > best.coverage) best = { base, coverage };
+    }
+    if (best.coverage < SPACING_GRID_MIN_COVERAGE) return null;
+
+    const { base } = best;
+    const unit = options.remBased ? 'rem' : 'px';
+    const format = px => (unit === 'rem' ? `${round(px / root, 4)}rem` : `${round(px)}px`);
+    const nearest = px => format(Math.max(1, Math.round(px / base)) * base);
+
+    const scale = {};
+    const offGrid = [];
+    for (const s of samples.sort((a, b) => a.px - b.px)) {
+      if (onGrid(s.px, base)) scale[String(Math.round(s.px / base))] = format(s.px);
+      else offGrid.push({ value: s.value, count: s.count, nearest: nearest(s.px) });
+    }
+
+    // Elements whose padding, margin or gap misses the grid, one entry per selector
+    const elements = new Map();
+    for (const { selector, property, value } of options.samples || []) {
+      const px = toPx(value);
+      if (!selector || !(px > 0) || onGrid(px, base)) continue;
+      if (!elements.has(selector)) elements.set(selector, { selector, properties: {} });
+      elements.get(selector).properties[property] = { value, nearest: nearest(px) };
+    }
+
+    return {
+      base: `${base}px`,
+      rem: `${round(base / root, 4)}rem`,
+      unit,
+      coverage: round(best.coverage),
+      scale,
+      offGrid,
+      offGridElements: Array.from(elements.values())
+    };
+  }
+
+  // ============================================
+  // Elevation & Layer Utilities
+  // ============================================
+
+  // Tailwind's shadow and radius steps, as reference points for naming observed values
+  const ELEVATION_STEPS = [['2xs', 1], ['xs', 2], ['sm', 2.5], ['md', 6.5], ['lg', 16], ['xl', 30], ['2xl', 44]];
+  const RADIUS_STEPS = [['xs', 2], ['sm', 4], ['md', 6], ['lg', 8], ['xl', 12], ['2xl', 16], ['3xl', 24], ['4xl', 32]];
+
+  // Stacking layers, bottom to top, with the selector names that give each away
+  const Z_INDEX_LAYERS = ['base', 'dropdown', 'sticky', 'overlay', 'modal', 'toast'];
+  const Z_INDEX_HINTS = {
+    toast: /toast|snackbar|notification|notice/i,
+    overlay: /overlay|backdrop|scrim|curtain/i,
+    modal: /modal|dialog|drawer|lightbox/i,
+    sticky: /sticky|header|navbar|topbar|app-?bar/i,
+    dropdown: /dropdown|menu|popover|tooltip|popup|listbox|combobox|autocomplete/i
+  };
+
+  // Split a comma-separated CSS list (shadow layers, gradient arguments, font stacks), ignoring commas inside parentheses
+  function splitLayers(value) {
+    const parts = [];
+    let depth = 0;
+    let current = '';
+    for (const ch of String(value)) {
+      if (ch === '(') depth++;
+      if (ch === ')') depth = Math.max(0, depth - 1);
+      if (ch === ',' && depth === 0) {
+        parts.push(current.trim());
+        current = '';
+      } else {
+        current += ch;
+      }
+    }
+    if (current.trim()) parts.push(current.trim());
+    return parts;
+  }
+
+  function lengthToPx(value, root = 16) {
+    const match = String(value).trim().match(/^(-?[\d.]+)(px|rem|em)?$/);
+    if (!match) return null;
+    return parseFloat(match[1]) * (match[2] === 'rem' || match[2] === 'em' ? root : 1);
+  }
+
+  // Name ascending values after the nearest reference step (log scale), each name used once
+  function nameBySteps(values, steps) {
+    let previous = -1;
+    return values.map((v) => {
+      let nearest = 0;
+      steps.forEach(([, ref], i) => {
+        const distance = Math.abs(Math.log(Math.max(v, 0.5) / ref));
+        if (distance < Math.abs(Math.log(Math.max(v, 0.5) / steps[nearest][1]))) nearest = i;
+      });
+      previous = Math.max(nearest, previous + 1);
+      if (previous < steps.length) return steps[previous][0];
+      return `${previous - steps.length + parseInt(steps[steps.length - 1][0], 10) + 1}xl`;
+    });
+  }
+
+  /**
+   * Perceived elevation of a box-shadow: the largest layer's vertical offset plus half
+   * its blur and spread. Inset layers don't lift the element and are ignored.
+   * @returns {{elevation: number, inset: boolean}|null}
+   */
+  function shadowElevation(value) {
+    if (!value || value === 'none') return null;
+    let elevation = 0;
+    let outer = 0;
+    let inset = 0;
+    for (const layer of splitLayers(value)) {
+      const rest = layer.replace(/(rgba?|hsla?|oklch|oklab|lab|lch|color|color-mix|var)\([^)]*\)+|#[0-9a-f]{3,8}\b/gi, ' ');
+      if (/\binset\b/.test(rest)) {
+        inset++;
+        continue;
+      }
+      const lengths = rest.trim().split(/\s+/).map(l => lengthToPx(l)).filter(n => n !== null);
+      if (lengths.length < 2) continue;
+      const [, y, blur = 0, spread = 0] = lengths;
+      elevation = Math.max(elevation, Math.abs(y) + Math.max(0, blur) / 2 + spread / 2);
+      outer++;
+    }
+    if (!outer && !inset) return null;
+    return { elevation: round(Math.max(0, elevation)), inset: outer === 0 };
+  }
+
+  /**
+   * Order box-shadows by perceived elevation and name them after the nearest Tailwind
+   * step (`2xs` … `2xl`), so the scale reads low to high whatever the page called them.
+   * Inset-only shadows become `inner`, `inner-2`, … by frequency.
+   * @param {Object} frequency - { 'box-shadow value': count }
+   * @returns {Object|null} { scale: { sm: value }, ranked: [{ name, value, elevation, count }] }
+   */
+  function analyzeShadowScale(frequency) {
+    const outer = [];
+    const inner = [];
+    for (const [value, count] of Object.entries(frequency || {})) {
+      const info = shadowElevation(value);
+      if (!info || !(count > 0)) continue;
+      (info.inset ? inner : outer).push({ value, elevation: info.elevation, count });
+    }
+    if (!outer.length && !inner.length) return null;
+
+    outer.sort((a, b) => a.elevation - b.elevation || b.count - a.count);
+    inner.sort((a, b) => b.count - a.count);
+    const names = nameBySteps(outer.map(s => s.elevation), ELEVATION_STEPS);
+    const ranked = [
+      ...outer.map((s, i) => ({ name: names[i], ...s })),
+      ...inner.map((s, i) => ({ name: i ? `inner-${i + 1}` : 'inner', ...s }))
+    ];
+    const scale = {};
+    for (const s of ranked) scale[s.name] = s.value;
+    return { scale, ranked };
+  }
+
+  /**
+   * Order border radii from `none` to `full`. `none` is only there when a 0 radius was
+   * observed; pill/circle values (50%+ or 500px+) are `full`; the rest are named after
+   * the nearest Tailwind step. Multi-corner values count as their largest corner.
+   * @param {Object} frequency - { 'border-radius value': count }
+   * @returns {Object|null} { scale: { none: '0px', sm: '4px', …, full: '9999px' } }
+   */
+  function analyzeRadiusScale(frequency, options = {}) {
+    const root = options.rootFontSize > 0 ? options.rootFontSize : 16;
+    const steps = new Map();
+    let full = null;
+    let zero = false;
+    for (const [value, count] of Object.entries(frequency || {})) {
+      if (!(count > 0)) continue;
+      const corners = String(value).split('/')[0].trim().split(/\s+/);
+      if (corners.some(c => /^(\d*\.?\d+)%$/.test(c) && parseFloat(c) >= 50)) {
+        if (!full || count > full.count) full = { value, count };
+        continue;
+      }
+      const px = Math.max(...corners.map(c => lengthToPx(c, root)).filter(n => n !== null));
+      if (px === 0) zero = true;
+      if (!(px > 0)) continue;
+      if (px >= 500) {
+        if (!full || count > full.count) full = { value, count };
+        continue;
+      }
+      // Same size written two ways (8px vs 0.5rem): keep the more common spelling
+      const existing = steps.get(round(px));
+      if (!existing || count > existing.count) steps.set(round(px), { value, px, count: count + (existing?.count || 0) });
+      else existing.count += count;
+    }
+    if (!steps.size && !full && !zero) return null;
+
+    const sorted = Array.from(steps.values()).sort((a, b) => a.px - b.px);
+    const names = nameBySteps(sorted.map(s => s.px), RADIUS_STEPS);
+    const scale = zero ? { none: '0px' } : {};
+    sorted.forEach((s, i) => { scale[names[i]] = s.value; });
+    if (full) scale.full = full.value;
+    return { scale };
+  }
+
+  /**
+   * Name z-index layers from a stacking analysis (replica-blueprint
+   * detectStackingContexts() entries, or anything with selector/position/zIndex).
+   * Layers run base → dropdown → sticky → overlay → modal → toast: a value takes the
+   * layer its selectors or positioning suggest, never one below the value under it;
+   * unhinted in-flow (relative) values stay in the layer below and other unhinted
+   * values take the next layer up. Each layer's token is the highest value seen in it.
+   * @param {Array<{selector, position, zIndex, zIndexNum, areaRatio}>} contexts
+   * @returns {Object|null} { scale: { base: '0', modal: '1000' }, layers: [{ name, value, values, selectors }] }
+   */
+  function analyzeZIndexLayers(contexts) {
+    const byValue = new Map();
+    for (const c of contexts || []) {
+      const z = Number.isFinite(c?.zIndexNum) ? c.zIndexNum : parseInt(c?.zIndex, 10);
+      if (!Number.isFinite(z)) continue;
+      if (!byValue.has(z)) byValue.set(z, []);
+      byValue.get(z).push(c);
+    }
+    if (!byValue.size) return null;
+
+    const hintFor = (c) => {
+      // Only the element's own compound selector, not its ancestors (`header > .dropdown`)
+      const selector = String(c.selector || '').split(',')
+        .map(part => part.trim().split(/\s*[\s>+~]\s*/).pop())
+        .join(' ');
+      for (const name of Object.keys(Z_INDEX_HINTS)) {
+        if (Z_INDEX_HINTS[name].test(selector)) return name;
+      }
+      const position = String(c.position || '').toLowerCase();
+      if (position === 'sticky') return 'sticky';
+      if (position === 'fixed' && c.areaRatio >= 0.9) return 'overlay';
+      if (position === 'fixed') return 'sticky';
+      return null;
+    };
+
+    const layers = new Map([['base', { name: 'base', value: 0, values: [], selectors: [] }]]);
+    let previous = 0;
+    for (const z of Array.from(byValue.keys()).sort((a, b) => a - b)) {
+      const members = byValue.get(z);
+      let index = 0;
+      if (z > 0) {
+        const votes = {};
+        for (const c of members) {
+          const hint = hintFor(c);
+          if (hint) votes[hint] = (votes[hint] || 0) + 1;
+        }
+        const hint = Object.keys(votes).sort((a, b) => votes[b] - votes[a] || Z_INDEX_LAYERS.indexOf(b) - Z_INDEX_LAYERS.indexOf(a))[0];
+        const inFlow = members.every(c => !c.position || c.position === 'relative' || c.position === 'static');
+        if (hint) index = Math.max(Z_INDEX_LAYERS.indexOf(hint), previous);
+        else index = inFlow ? previous : Math.min(previous + 1, Z_INDEX_LAYERS.length - 1);
+        previous = index;
+      }
+      const name = Z_INDEX_LAYERS[index];
+      if (!layers.has(name)) layers.set(name, { name, value: z, values: [], selectors: [] });
+      const layer = layers.get(name);
+      layer.value = Math.max(layer.value, z);
+      layer.values.push(z);
+      for (const c of members) {
+        if (c.selector && layer.selectors.length < 5 && !layer.selectors.includes(c.selector)) layer.selectors.push(c.selector);
+      }
+    }
+
+    const ordered = Z_INDEX_LAYERS.filter(name => layers.has(name)).map(name => layers.get(name));
+    const scale = {};
+    for (const layer of ordered) scale[layer.name] = String(layer.value);
+    return { scale, layers: ordered };
+  }
+
+  /**
+   * Ordered opacity scale keyed by percentage (`{ '50': '0.5' }`), Tailwind-style.
+   * Fully opaque values are dropped.
+   * @param {Object} frequency - { '0.5': count }
+   * @returns {Object|null} { scale }
+   */
+  function analyzeOpacityScale(frequency) {
+    const values = new Map();
+    for (const [value, count] of Object.entries(frequency || {})) {
+      const str = String(value).trim();
+      const n = str.endsWith('%') ? parseFloat(str) / 100 : parseFloat(str);
+      if (!Number.isFinite(n) || n < 0 || n >= 1 || !(count > 0)) continue;
+      values.set(round(n), true);
+    }
+    if (!values.size) return null;
+    const scale = {};
+    for (const n of Array.from(values.keys()).sort((a, b) => a - b)) scale[String(Math.round(n * 100))] = String(n);
+    return { scale };
+  }
+
+  // ============================================
+  // Gradient & Effect Utilities
+  // ============================================
+
+  // First gradient argument that is a direction, angle, shape or position rather than a stop
+  const GRADIENT_PRELUDE = /^(to\s|from\s|at\s|in\s|circle\b|ellipse\b|closest-|farthest-|-?[\d.]+(deg|grad|rad|turn)\b)|\sat\s/i;
+  // Tailwind's blur steps (filter and backdrop-filter share them)
+  const BLUR_STEPS = [['xs', 4], ['sm', 8], ['md', 12], ['lg', 16], ['xl', 24], ['2xl', 40], ['3xl', 64]];
+
+  /**
+   * Parse one linear/radial/conic gradient (optionally repeating) into its stops.
+   * Each stop keeps the authored color and position; `offset` is the 0-1 position,
+   * interpolated for stops without a percentage as CSS does.
+   * @returns {{type, repeating, prelude, stops: Array<{color, position, offset}>}|null}
+   */
+  function parseGradient(value) {
+    const match = String(value || '').trim().match(/^(repeating-)?(linear|radial|conic)-gradient\(([\s\S]*)\)$/i);
+    if (!match) return null;
+    const args = splitLayers(match[3]);
+    const prelude = args.length && GRADIENT_PRELUDE.test(args[0]) ? args.shift() : null;
+
+    const stops = [];
+    for (const arg of args) {
+      // Transition hints (a bare position) carry no color
+      const stop = arg.match(/^((?:[a-z-]+\((?:[^()]|\([^()]*\))*\))|#[0-9a-f]{3,8}\b|[a-z]+)\s*(.*)$/i);
+      if (!stop) continue;
+      const positions = stop[2].split(/\s+/).filter(Boolean);
+      for (const position of positions.length ? positions.slice(0, 2) : [null]) {
+        stops.push({ color: stop[1], position, offset: /%$/.test(position || '') ? round(parseFloat(position) / 100, 4) : null });
+      }
+    }
+    if (stops.length < 2) return null;
+
+    // Missing offsets: first 0, last 1, the rest evenly between their known neighbours
+    if (stops[0].offset === null) stops[0].offset = 0;
+    if (stops[stops.length - 1].offset === null) stops[stops.length - 1].offset = 1;
+    for (let i = 1; i < stops.length - 1; i++) {
+      if (stops[i].offset !== null) continue;
+      let next = i;
+      while (stops[next].offset === null) next++;
+      const from = stops[i - 1].offset;
+      const step = (stops[next].offset - from) / (next - i + 1);
+      for (let j = i; j < next; j++) stops[j].offset = round(from + step * (j - i + 1), 4);
+    }
+
+    return { type: match[2].toLowerCase(), repeating: !!match[1], prelude, stops };
+  }
+
+  // Every gradient layer in a background-image list
+  function parseGradients(value) {
+    if (!value || value === 'none') return [];
+    return splitLayers(value).map(parseGradient).filter(Boolean);
+  }
+
+  /**
+   * Rebuild CSS for a parsed gradient. stopColor(stop) may swap a stop's color for a
+   * reference (e.g. `var(--color-blue-600)`).
+   */
+  function formatGradient(gradient, stopColor = stop => stop.color) {
+    const stops = gradient.stops.map(stop => [stopColor(stop), stop.position].filter(Boolean).join(' '));
+    const args = [gradient.prelude, ...stops].filter(Boolean).join(', ');
+    return `${gradient.repeating ? 'repeating-' : ''}${gradient.type}-gradient(${args})`;
+  }
+
+  /**
+   * Split a filter / backdrop-filter value into its functions.
+   * @returns {Array<{fn, args}>} - [] for `none`
+   */
+  function parseFilterStack(value) {
+    if (!value || value === 'none') return [];
+    return Array.from(String(value).matchAll(/([a-z-]+)\(((?:[^()]|\([^()]*\))*)\)/gi), m => ({ fn: m[1].toLowerCase(), args: m[2].trim() }));
+  }
+
+  /**
+   * Name filter stacks: a lone blur after the nearest Tailwind blur step (`blur-md`),
+   * ordered by radius; other stacks after their functions (`blur-saturate`), most
+   * used first.
+   * @param {Object} frequency - { 'blur(12px) saturate(180%)': count }
+   * @returns {Object|null} { scale: { 'blur-md': 'blur(12px)' } }
+   */
+  function analyzeFilterStacks(frequency) {
+    const blurs = [];
+    const stacks = [];
+    for (const [value, count] of Object.entries(frequency || {})) {
+      const fns = parseFilterStack(value);
+      if (!fns.length || !(count > 0)) continue;
+      const px = fns.length === 1 && fns[0].fn === 'blur' ? lengthToPx(fns[0].args || '0px') : null;
+      if (px !== null) blurs.push({ value, px, count });
+      else stacks.push({ value, name: fns.map(f => f.fn).join('-'), count });
+    }
+    if (!blurs.length && !stacks.length) return null;
+
+    const scale = {};
+    blurs.sort((a, b) => a.px - b.px);
+    nameBySteps(blurs.map(b => b.px), BLUR_STEPS).forEach((step, i) => { scale[`blur-${step}`] = blurs[i].value; });
+    for (const stack of stacks.sort((a, b) => b.count - a.count)) {
+      let name = stack.name;
+      for (let n = 2; scale[name]; n++) name = `${stack.name}-${n}`;
+      scale[name] = stack.value;
+    }
+    return { scale };
+  }
+
+  /**
+   * Effect tokens as custom property lines: --backdrop-*, --filter-*, --blend-*,
+   * --glass-N-{backdrop,background,border} and --noise-N.
+   * @param {Object} effects - { backdropFilter, filter, blend, glass, noise } token maps
+   * @param {Function} varName - maps a token name to its custom property name part
+   * @returns {string[]} `  --name: value;` lines
+   */
+  function formatEffectVars(effects = {}, varName = name => name) {
+    return [
+      ...Object.entries(effects.backdropFilter || {}).map(([name, value]) => `  --backdrop-${varName(name)}: ${value};`),
+      ...Object.entries(effects.filter || {}).map(([name, value]) => `  --filter-${varName(name)}: ${value};`),
+      ...Object.entries(effects.blend || {}).map(([name, value]) => `  --blend-${varName(name)}: ${value};`),
+      ...Object.entries(effects.glass || {}).flatMap(([name, glass]) => [
+        `  --${varName(name)}-backdrop: ${glass.backdropFilter};`,
+        `  --${varName(name)}-background: ${glass.background};`,
+        ...(glass.border ? [`  --${varName(name)}-border: ${glass.border};`] : [])
+      ]),
+      ...Object.entries(effects.noise || {}).map(([name, value]) => `  --${varName(name)}: ${value};`)
+    ];
+  }
+
   // ============================================
   // Deep Comparison
   // ============================================
@@ -348,6 +1325,23 @@
     getAbsoluteRect,
     isVisible,
 
+    // Frame traversal
+    FRAME_SEPARATOR,
+    collectFrames,
+    listFrames,
+    frameSelector,
+    offsetRect,
+    queryFrameSelector,
+    resolveElement,
+
+    // Shadow root traversal
+    SHADOW_SEPARATOR,
+    shadowSelector,
+    collectShadowRoots,
+    queryShadowSelector,
+    getShadowSheets,
+    stylesheetsFor,
+
     // Caching
     getCachedStyle,
     getCachedSelector,
@@ -363,16 +1357,47 @@
     rgbToHex,
     isColorDark,
     isColorValue,
+    parseColor,
+    formatHex,
+    rgbToLab,
+    deltaE2000,
 
     // String utilities
     slugify,
     toKebabCase,
     toCamelCase,
     toPascalCase,
+    splitLayers,
 
     // Timing
     parseDuration,
 
+    // Typography
+    TYPE_SCALE_RATIOS,
+    analyzeTypeScale,
+    fluidClamp,
+    describeTypeScale,
+    formatTextStyleVars,
+
+    // Spacing
+    analyzeSpacingGrid,
+
+    // Elevation & layers
+    Z_INDEX_LAYERS,
+    shadowElevation,
+    analyzeShadowScale,
+    analyzeRadiusScale,
+    analyzeZIndexLayers,
+    analyzeOpacityScale,
+
+    // Gradients & effects
+    parseGradient,
+    parseGradients,
+    formatGradient,
+    parseFilterStack,
+    analyzeFilterStacks,
+    formatEffectVars,
+
     // Comparison
     deepEqual
   };
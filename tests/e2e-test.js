@@ -320,6 +320,37 @@
     };
   });
 
+  // ============================================
+  // Test 2.5: Contrast audit
+  // ============================================
+
+  test('Contrast audit - audit()', () => {
+    if (!window.__seContrast?.audit) {
+      return { success: false, error: '__seContrast not available' };
+    }
+    if (window.__seContrast.wcagRatio('#000000', '#ffffff') !== 21) {
+      return { success: false, error: 'WCAG ratio for black on white is not 21' };
+    }
+    const report = window.__seContrast.audit();
+    if (!report.summary || !Array.isArray(report.failures)) {
+      return { success: false, error: 'Missing summary/failures' };
+    }
+    if (report.summary.renderedPairs === 0) {
+      return { success: false, error: 'No rendered text pairs sampled' };
+    }
+    const missingSelectors = report.failures.filter(f => f.source === 'rendered' && !f.selectors.length);
+    if (missingSelectors.length) {
+      return { success: false, error: `${missingSelectors.length} rendered failures without selectors` };
+    }
+    return {
+      success: true,
+      roles: Object.keys(report.roles),
+      renderedPairs: report.summary.renderedPairs,
+      failing: report.summary.failing,
+      minRatio: report.summary.minRatio
+    };
+  });
+
   // ============================================
   // Test 3: 代码生成
   // ============================================
@@ -425,6 +456,98 @@
     };
   });
 
+  test('Export - exportStyleDictionary()', () => {
+    const sd = window.__seExport.exportStyleDictionary();
+    const platforms = Object.keys(sd?.config?.platforms || {});
+    const missing = ['css', 'scss', 'ios-swift', 'android'].filter(p => !platforms.includes(p));
+    if (missing.length || !sd.files['config.json']) {
+      return { success: false, error: `Missing platforms: ${missing.join(', ')}` };
+    }
+    return {
+      success: true,
+      files: Object.keys(sd.files),
+      categories: Object.keys(sd.tokens)
+    };
+  });
+
+  // ============================================
+  // Test 4.5: Format converter (DTCG)
+  // ============================================
+
+  test('Format - toDTCG()', () => {
+    if (!window.__seFormat?.toDTCG) {
+      return { success: false, error: 'toDTCG not available' };
+    }
+    const dtcg = window.__seFormat.toDTCG({
+      name: 'E2E',
+      url: location.href,
+      colors: { primary: '#0066cc', text: '#333333' },
+      typography: { families: ['Inter, sans-serif'], scale: { base: '16px', xl: '24px' }, weights: ['400', '700'] },
+      spacing: { md: '16px' },
+      shadows: { md: '0px 4px 6px rgba(0, 0, 0, 0.1)' },
+      animations: { durations: { fast: '150ms' }, easings: { standard: 'ease-out' } }
+    });
+    const tokens = [dtcg.color?.primary, dtcg.fontSize?.base, dtcg.shadow?.md, dtcg.easing?.standard, dtcg.typography?.base];
+    if (!tokens.every(t => t && t.$type && t.$value !== undefined)) {
+      return { success: false, error: 'Missing $type/$value tokens' };
+    }
+    return {
+      success: true,
+      groups: Object.keys(dtcg).filter(k => !k.startsWith('$')),
+      primaryIsAlias: typeof dtcg.color.primary.$value === 'string' && dtcg.color.primary.$value.startsWith('{'),
+      easing: dtcg.easing.standard.$value
+    };
+  });
+
+  test('Format - toTailwind4()', async () => {
+    if (!window.__seFormat?.toTailwind4) {
+      return { success: false, error: 'toTailwind4 not available' };
+    }
+    const result = await window.extractStyle({ preset: 'style', format: 'tailwind4' });
+    const css = result.formatted;
+    if (typeof css !== 'string' || !css.includes('@import "tailwindcss";') || !/@theme \{[\s\S]*\}/.test(css)) {
+      return { success: false, error: 'Missing @import / @theme block' };
+    }
+    const base = window.__seFormat.deriveSpacingBase({ '8px': 4, '16px': 2, '24px': 1 });
+    if (base.px !== 8 || base.rem !== '0.5rem') {
+      return { success: false, error: `Unexpected spacing base ${base.rem}` };
+    }
+    return {
+      success: true,
+      themeVars: (css.match(/^  --[\w-]+:/gm) || []).length,
+      spacing: (css.match(/--spacing: ([^;]+);/) || [])[1] || null,
+      keyframes: (css.match(/@keyframes /g) || []).length
+    };
+  });
+
+  test('Format - toTokensStudio() / toFigmaVariables()', async () => {
+    if (!window.__seFormat?.toTokensStudio || !window.__seFormat?.toFigmaVariables) {
+      return { success: false, error: 'Figma exporters not available' };
+    }
+    if (!window.__seStyleKit?.installed) {
+      return { success: false, error: 'stylekit-adapter.js not loaded' };
+    }
+    const { normalized } = window.__seStyleKit.extract();
+    const themes = window.__seTheme?.installed ? await window.__seTheme.extractBothThemes() : null;
+    const studio = window.__seFormat.toTokensStudio(normalized, themes);
+    const figma = window.__seFormat.toFigmaVariables(normalized, themes);
+    const sets = studio.$metadata?.tokenSetOrder || [];
+    if (sets[0] !== 'core' || studio.$themes?.length !== sets.length - 1) {
+      return { success: false, error: 'Tokens Studio sets/themes mismatch' };
+    }
+    const theme = figma.variableCollections.find(c => c.id === 'theme');
+    const themeModes = figma.variableModes.filter(m => m.variableCollectionId === 'theme');
+    if (!theme || themeModes.length !== studio.$themes.length) {
+      return { success: false, error: 'Figma theme collection modes mismatch' };
+    }
+    return {
+      success: true,
+      tokenSets: sets,
+      figmaVariables: figma.variables.length,
+      figmaModes: themeModes.map(m => m.name)
+    };
+  });
+
   // ============================================
   // Test 5: StyleKit Adapter (Recipes, Prompt, Confidence)
   // ============================================
@@ -0,0 +1,81 @@
+// class-variance-authority Component Variants
+// Generated by style-extractor
+// Source: http://localhost/e2e-test.html
+
+import { cva, type VariantProps } from 'class-variance-authority';
+
+export const buttonVariants = cva('cursor-pointer', {
+  variants: {
+    variant: {
+      default: 'bg-white border border-white rounded-3xl inline-flex items-center justify-center',
+      secondary: 'text-white rounded inline-block items-start',
+    },
+    size: {
+      sm: 'px-3 py-1.5 text-sm',
+      md: 'px-5 py-2 text-base',
+      lg: 'px-7 py-3 text-lg',
+    },
+    fullWidth: {
+      true: 'w-full',
+      false: '',
+    },
+  },
+  compoundVariants: [
+    { variant: 'default', size: 'md', class: 'text-white' },
+  ],
+  defaultVariants: {
+    variant: 'default',
+    size: 'lg',
+    fullWidth: false,
+  },
+});
+
+export type ButtonVariantProps = VariantProps<typeof buttonVariants>;
+
+export const inputVariants = cva('bg-white border border-gray-200 rounded inline-block w-full focus:shadow', {
+  variants: {
+    variant: {
+      solid: '',
+    },
+    size: {
+      sm: 'px-3 py-1.5 text-sm',
+      md: 'px-5 py-2 text-base',
+      lg: 'px-7 py-3 text-lg',
+    },
+  },
+  compoundVariants: [],
+  defaultVariants: {
+    variant: 'solid',
+    size: 'md',
+  },
+});
+
+export type InputVariantProps = VariantProps<typeof inputVariants>;
+
+export const navItemVariants = cva('text-white rounded', {
+  variants: {
+    variant: {
+      ghost: '',
+    },
+  },
+  compoundVariants: [],
+  defaultVariants: {
+    variant: 'ghost',
+  },
+});
+
+export type NavItemVariantProps = VariantProps<typeof navItemVariants>;
+
+export const navigationVariants = cva('text-white rounded-none flex', {
+  variants: {
+    variant: {
+      ghost: '',
+    },
+  },
+  compoundVariants: [],
+  defaultVariants: {
+    variant: 'ghost',
+  },
+});
+
+export type NavigationVariantProps = VariantProps<typeof navigationVariants>;
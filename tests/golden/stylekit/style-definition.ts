@@ -0,0 +1,39 @@
+// StyleKit Style Definition
+// Generated by style-extractor
+// Source: http://localhost/e2e-test.html
+
+import type { StyleDefinition } from '@/lib/styles/types';
+
+export const localhostStyle: StyleDefinition = {
+  "id": "localhost",
+  "name": "Style Extractor v3.0 - E2E Test",
+  "description": "Extracted from http://localhost/e2e-test.html",
+  "colors": {
+    "primary": "#0066cc",
+    "secondary": "#666666",
+    "background": "#ffffff",
+    "surface": "#f5f5f5",
+    "text": "#333333"
+  },
+  "typography": {
+    "fontFamily": {
+      "primary": ""
+    },
+    "fontSize": {
+      "xs": "1.5em",
+      "sm": "1.17em",
+      "base": "16px",
+      "lg": "18px",
+      "xl": "48px"
+    },
+    "fontWeight": {
+      "normal": "400",
+      "bold": "500"
+    },
+    "lineHeight": {}
+  },
+  "spacing": {},
+  "motion": {}
+};
+
+export default localhostStyle;
@@ -0,0 +1,340 @@
+// StyleKit Recipe Definition
+// Generated by style-extractor
+// Source: http://localhost/e2e-test.html
+
+import { createStyleRecipes } from "./factory";
+
+export const localhostRecipes = createStyleRecipes("localhost", "Style Extractor v3.0 - E2E Test", {
+  "button": {
+    "id": "button",
+    "name": "Button",
+    "nameZh": "按钮",
+    "description": "Extracted button component (confidence: high)",
+    "skeleton": {
+      "element": "button",
+      "baseClasses": [
+        "bg-white",
+        "border",
+        "border-white",
+        "rounded-3xl",
+        "cursor-pointer",
+        "inline-flex",
+        "items-center",
+        "justify-center",
+        "w-10"
+      ]
+    },
+    "parameters": [
+      {
+        "id": "size",
+        "label": "Size",
+        "labelZh": "尺寸",
+        "type": "select",
+        "options": [
+          {
+            "value": "sm",
+            "label": "Small",
+            "labelZh": "小",
+            "classes": "px-3 py-1.5 text-sm"
+          },
+          {
+            "value": "md",
+            "label": "Medium",
+            "labelZh": "中",
+            "classes": "px-5 py-2 text-base"
+          },
+          {
+            "value": "lg",
+            "label": "Large",
+            "labelZh": "大",
+            "classes": "px-7 py-3 text-lg"
+          }
+        ],
+        "default": "md"
+      },
+      {
+        "id": "fullWidth",
+        "label": "Full Width",
+        "labelZh": "全宽",
+        "type": "boolean",
+        "default": false,
+        "trueClasses": "w-full"
+      }
+    ],
+    "variants": {
+      "primary": {
+        "id": "primary",
+        "label": "Primary",
+        "labelZh": "主要",
+        "classes": []
+      },
+      "secondary": {
+        "id": "secondary",
+        "label": "Secondary",
+        "labelZh": "次要",
+        "classes": [
+          "rounded-none",
+          "inline-block",
+          "rounded-none",
+          "rounded-none",
+          "items-start",
+          "rounded-none",
+          "text-white",
+          "rounded-none",
+          "rounded",
+          "rounded-none",
+          "text-base",
+          "rounded-none"
+        ]
+      },
+      "outline": {
+        "id": "outline",
+        "label": "Outline",
+        "labelZh": "轮廓",
+        "classes": [
+          "rounded-none",
+          "inline-block",
+          "rounded-none",
+          "rounded-none",
+          "items-start",
+          "rounded-none",
+          "text-white",
+          "rounded-none",
+          "rounded",
+          "rounded-none",
+          "text-base",
+          "rounded-none"
+        ]
+      },
+      "ghost": {
+        "id": "ghost",
+        "label": "Ghost",
+        "labelZh": "幽灵",
+        "classes": [
+          "rounded-none",
+          "inline-block",
+          "rounded-none",
+          "rounded-none",
+          "items-start",
+          "rounded-none",
+          "text-white",
+          "rounded-none",
+          "rounded",
+          "rounded-none",
+          "text-base",
+          "rounded-none"
+        ]
+      },
+      "accent": {
+        "id": "accent",
+        "label": "Accent",
+        "labelZh": "强调",
+        "classes": [
+          "rounded-none",
+          "inline-block",
+          "rounded-none",
+          "rounded-none",
+          "items-start",
+          "rounded-none",
+          "text-white",
+          "rounded-none",
+          "rounded",
+          "rounded-none",
+          "text-base",
+          "rounded-none"
+        ]
+      }
+    },
+    "slots": [
+      {
+        "id": "icon",
+        "label": "Icon",
+        "labelZh": "图标",
+        "required": false,
+        "type": "icon"
+      },
+      {
+        "id": "label",
+        "label": "Label",
+        "labelZh": "文字",
+        "required": true,
+        "default": "Click",
+        "type": "text"
+      }
+    ],
+    "states": {
+      "hover": [
+        "hover:rounded-none"
+      ]
+    },
+    "responsive": null,
+    "_confidence": "high"
+  },
+  "input": {
+    "id": "input",
+    "name": "Input",
+    "nameZh": "输入框",
+    "description": "Extracted input component (confidence: medium)",
+    "skeleton": {
+      "element": "input",
+      "baseClasses": [
+        "bg-white",
+        "border",
+        "border-gray-200",
+        "rounded",
+        "text-base",
+        "inline-block",
+        "w-full"
+      ]
+    },
+    "parameters": [
+      {
+        "id": "size",
+        "label": "Size",
+        "labelZh": "尺寸",
+        "type": "select",
+        "options": [
+          {
+            "value": "sm",
+            "label": "Small",
+            "labelZh": "小",
+            "classes": "px-3 py-1.5 text-sm"
+          },
+          {
+            "value": "md",
+            "label": "Medium",
+            "labelZh": "中",
+            "classes": "px-5 py-2 text-base"
+          },
+          {
+            "value": "lg",
+            "label": "Large",
+            "labelZh": "大",
+            "classes": "px-7 py-3 text-lg"
+          }
+        ],
+        "default": "md"
+      }
+    ],
+    "variants": {
+      "primary": {
+        "id": "primary",
+        "label": "Primary",
+        "labelZh": "主要",
+        "classes": []
+      },
+      "secondary": {
+        "id": "secondary",
+        "label": "Secondary",
+        "labelZh": "次要",
+        "classes": []
+      }
+    },
+    "slots": [
+      {
+        "id": "placeholder",
+        "label": "Placeholder",
+        "labelZh": "占位符",
+        "required": false,
+        "default": "Type here...",
+        "type": "text"
+      }
+    ],
+    "states": {
+      "focus": [
+        "focus:rounded-none",
+        "focus:rounded-none",
+        "focus:shadow",
+        "focus:rounded-none"
+      ]
+    },
+    "responsive": null,
+    "_confidence": "medium"
+  },
+  "navItem": {
+    "id": "navItem",
+    "name": "Nav Item",
+    "nameZh": "导航项",
+    "description": "Extracted navigation item component (confidence: high)",
+    "skeleton": {
+      "element": "a",
+      "baseClasses": [
+        "text-white",
+        "rounded"
+      ]
+    },
+    "parameters": [],
+    "variants": {
+      "primary": {
+        "id": "primary",
+        "label": "Primary",
+        "labelZh": "主要",
+        "classes": []
+      },
+      "secondary": {
+        "id": "secondary",
+        "label": "Secondary",
+        "labelZh": "次要",
+        "classes": []
+      },
+      "outline": {
+        "id": "outline",
+        "label": "Outline",
+        "labelZh": "轮廓",
+        "classes": []
+      },
+      "ghost": {
+        "id": "ghost",
+        "label": "Ghost",
+        "labelZh": "幽灵",
+        "classes": []
+      }
+    },
+    "slots": [
+      {
+        "id": "label",
+        "label": "Label",
+        "labelZh": "文字",
+        "required": true,
+        "default": "Nav Item",
+        "type": "text"
+      }
+    ],
+    "responsive": null,
+    "_confidence": "high"
+  },
+  "navigation": {
+    "id": "navigation",
+    "name": "Navigation",
+    "nameZh": "导航",
+    "description": "Extracted navigation bar component (confidence: low)",
+    "skeleton": {
+      "element": "nav",
+      "baseClasses": [
+        "text-white",
+        "rounded-none",
+        "flex"
+      ]
+    },
+    "parameters": [],
+    "variants": {
+      "primary": {
+        "id": "primary",
+        "label": "Primary",
+        "labelZh": "主要",
+        "classes": []
+      }
+    },
+    "slots": [
+      {
+        "id": "children",
+        "label": "Content",
+        "labelZh": "内容",
+        "required": true,
+        "type": "children"
+      }
+    ],
+    "responsive": null,
+    "_confidence": "low"
+  }
+});
@@ -0,0 +1,95 @@
+// StyleKit Token Definition
+// Generated by style-extractor
+// Source: http://localhost/e2e-test.html
+
+import { createStyleTokens } from "./token-defaults";
+
+export const localhostTokens = createStyleTokens({
+  "border": {
+    "width": "border",
+    "color": "border-white",
+    "radius": "rounded-3xl",
+    "style": "border-solid"
+  },
+  "shadow": {
+    "sm": "shadow-sm",
+    "md": "shadow-md",
+    "lg": "shadow-lg",
+    "none": "shadow-none",
+    "hover": "hover:shadow-lg",
+    "focus": "focus:shadow-md"
+  },
+  "interaction": {
+    "transition": "transition-all duration-200"
+  },
+  "typography": {
+    "heading": "font-bold tracking-tight",
+    "body": "font-sans",
+    "mono": "font-mono",
+    "sizes": {
+      "hero": "text-5xl md:text-5xl",
+      "h1": "text-lg",
+      "h2": "text-base",
+      "h3": "text-xs",
+      "body": "text-xs",
+      "small": "text-xs md:text-sm"
+    }
+  },
+  "spacing": {
+    "section": "py-12 md:py-20 lg:py-28",
+    "container": "px-4 md:px-8 lg:px-12",
+    "card": "p-5 md:p-8",
+    "gap": {
+      "sm": "gap-3 md:gap-4",
+      "md": "gap-4 md:gap-6",
+      "lg": "gap-6 md:gap-10"
+    }
+  },
+  "colors": {
+    "background": {
+      "primary": "bg-white",
+      "secondary": "bg-gray-100",
+      "accent": [
+        "bg-blue-600",
+        "bg-gray-500"
+      ]
+    },
+    "text": {
+      "primary": "text-gray-800",
+      "secondary": "text-gray-600",
+      "muted": "text-gray-400"
+    },
+    "button": {
+      "primary": "bg-white",
+      "secondary": "text-white"
+    }
+  },
+  "forbidden": {
+    "classes": [],
+    "patterns": [],
+    "reasons": {}
+  },
+  "required": {
+    "button": [
+      "bg-white",
+      "border",
+      "border-white",
+      "rounded-3xl",
+      "cursor-pointer",
+      "inline-flex",
+      "items-center",
+      "justify-center",
+      "w-10"
+    ],
+    "card": [],
+    "input": [
+      "bg-white",
+      "border",
+      "border-gray-200",
+      "rounded",
+      "text-base",
+      "inline-block",
+      "w-full"
+    ]
+  }
+});
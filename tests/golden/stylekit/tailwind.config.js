@@ -0,0 +1,98 @@
+/** @type {import('tailwindcss').Config} */
+const primitives = {
+  "blue": {
+    "600": "#0066cc"
+  },
+  "gray": {
+    "50": "#f5f5f5",
+    "200": "#dddddd",
+    "600": "#666666",
+    "900": "#333333"
+  },
+  "white": "#ffffff",
+  "white-a35": "#ffffff59",
+  "white-a18": "#ffffff2e"
+};
+
+module.exports = {
+  "theme": {
+    "extend": {
+      "colors": {
+        "blue": primitives.blue,
+        "gray": primitives.gray,
+        "white": primitives.white,
+        "white-a35": primitives["white-a35"],
+        "white-a18": primitives["white-a18"],
+        "primary": primitives.blue["600"],
+        "secondary": primitives.gray["600"],
+        "background": primitives.white,
+        "surface": primitives.gray["50"],
+        "text": primitives.gray["900"],
+        "action": {
+          "primary": {
+            "bg": primitives.blue["600"]
+          },
+          "secondary": {
+            "bg": primitives.gray["600"]
+          }
+        },
+        "bg": {
+          "default": primitives.white,
+          "surface": primitives.gray["50"]
+        },
+        "fg": {
+          "default": primitives.gray["900"]
+        }
+      },
+      "fontFamily": {},
+      "fontSize": {
+        "xs": "1.5em",
+        "sm": "1.17em",
+        "base": "16px",
+        "lg": "18px",
+        "xl": "48px",
+        "h1": [
+          "48px",
+          {
+            "fontWeight": "bold"
+          }
+        ],
+        "h2": [
+          "1.5em",
+          {
+            "fontWeight": "bold"
+          }
+        ],
+        "h3": [
+          "1.17em",
+          {
+            "fontWeight": "bold"
+          }
+        ],
+        "body": [
+          "18px",
+          {
+            "fontWeight": "400"
+          }
+        ]
+      },
+      "spacing": {},
+      "transitionDuration": {},
+      "borderRadius": {
+        "sm": "4px",
+        "lg": "8px",
+        "xl": "12px",
+        "full": "999px"
+      },
+      "boxShadow": {
+        "md": "0 2px 8px rgba(0,0,0,0.1)"
+      },
+      "opacity": {
+        "90": "0.9"
+      },
+      "backgroundImage": {
+        "gradient-1": "linear-gradient(135deg, #667eea 0%, #764ba2 100%)"
+      }
+    }
+  }
+};
@@ -0,0 +1,97 @@
+// tailwind-variants Component Variants
+// Generated by style-extractor
+// Source: http://localhost/e2e-test.html
+
+import { tv, type VariantProps } from 'tailwind-variants';
+
+export const buttonVariants = tv({
+  slots: {
+    base: 'cursor-pointer',
+    icon: '',
+    label: '',
+  },
+  variants: {
+    variant: {
+      default: { base: 'bg-white border border-white rounded-3xl inline-flex items-center justify-center' },
+      secondary: { base: 'text-white rounded inline-block items-start' },
+    },
+    size: {
+      sm: { base: 'px-3 py-1.5 text-sm' },
+      md: { base: 'px-5 py-2 text-base' },
+      lg: { base: 'px-7 py-3 text-lg' },
+    },
+    fullWidth: {
+      true: { base: 'w-full' },
+      false: { base: '' },
+    },
+  },
+  compoundVariants: [
+    { variant: 'default', size: 'md', class: { base: 'text-white' } },
+  ],
+  defaultVariants: {
+    variant: 'default',
+    size: 'lg',
+    fullWidth: false,
+  },
+});
+
+export type ButtonVariantProps = VariantProps<typeof buttonVariants>;
+
+export const inputVariants = tv({
+  slots: {
+    base: 'bg-white border border-gray-200 rounded inline-block w-full focus:shadow',
+  },
+  variants: {
+    variant: {
+      solid: { base: '' },
+    },
+    size: {
+      sm: { base: 'px-3 py-1.5 text-sm' },
+      md: { base: 'px-5 py-2 text-base' },
+      lg: { base: 'px-7 py-3 text-lg' },
+    },
+  },
+  compoundVariants: [],
+  defaultVariants: {
+    variant: 'solid',
+    size: 'md',
+  },
+});
+
+export type InputVariantProps = VariantProps<typeof inputVariants>;
+
+export const navItemVariants = tv({
+  slots: {
+    base: 'text-white rounded',
+    label: '',
+  },
+  variants: {
+    variant: {
+      ghost: { base: '' },
+    },
+  },
+  compoundVariants: [],
+  defaultVariants: {
+    variant: 'ghost',
+  },
+});
+
+export type NavItemVariantProps = VariantProps<typeof navItemVariants>;
+
+export const navigationVariants = tv({
+  slots: {
+    base: 'text-white rounded-none flex',
+    content: '',
+  },
+  variants: {
+    variant: {
+      ghost: { base: '' },
+    },
+  },
+  compoundVariants: [],
+  defaultVariants: {
+    variant: 'ghost',
+  },
+});
+
+export type NavigationVariantProps = VariantProps<typeof navigationVariants>;
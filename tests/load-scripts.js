@@ -1,6 +1,6 @@
 // Style Extractor v3.2 - Script Loader
 //
-// Loads all 23 scripts in correct dependency order.
+// Loads all 24 scripts in correct dependency order.
 //
 // Usage:
 //   Method 1: Paste into browser console
@@ -10,7 +10,8 @@
 // Set BASE_URL before running to override (e.g. for GitHub raw).
 
 (async () => {
-  // Authoritative load order — matches e2e-test.html
+  // Authoritative load order — matches e2e-test.html; tools/script-order.cjs reads this list
+  // for the Node harness and the headless CLI, so keep it a plain array of '<name>.js' strings
   const SCRIPTS = [
     'utils.js',
     'structure-extract.js',
@@ -19,6 +20,7 @@
     'state-capture.js',
     'ai-semantic.js',
     'a11y-tree.js',
+    'contrast-audit.js',
     'responsive-extract.js',
     'stylekit-adapter.js',
     'theme-detect.js',
@@ -46,6 +48,7 @@
     'state-capture.js':      '__seStateCapture',
     'ai-semantic.js':        '__seAISemantic',
     'a11y-tree.js':          '__seA11y',
+    'contrast-audit.js':     '__seContrast',
     'responsive-extract.js': '__seResponsive',
     'stylekit-adapter.js':   '__seStyleKit',
     'theme-detect.js':       '__seTheme',
@@ -0,0 +1,328 @@
+/*
+  Node harness for the browser-injected scripts/*.js modules.
+
+  Builds a simulated DOM (jsdom) from fixture HTML, evaluates the IIFE modules inside it
+  and exposes the resulting window.__se* globals. jsdom has no layout engine, so
+  getBoundingClientRect() returns zero rects and getComputedStyle() only knows about
+  cascaded values; both are shimmed and the shims are injectable per test.
+
+  Usage:
+    const { createEnvironment } = require("./node-harness.cjs");
+    const env = createEnvironment({
+      htmlPath: "tests/e2e-test.html",
+      rects: { ".hero": { width: 1200, height: 480 } },
+      computedStyles: { ".btn-primary": { "background-color": "rgb(37, 99, 235)" } },
+    });
+    env.window.__seCSS.analyze();
+    env.close();
+
+  Notes:
+  - jsdom is a pinned devDependency (package.json); other versions serialize the CSSOM differently
+    and break the goldens.
+  - Modules are evaluated in load-scripts.js order; pass `scripts` to load a subset.
+  - jsdom does not resolve var() in computed values; use computedStyles to pin real colors.
+*/
+
+const fs = require("node:fs");
+const path = require("node:path");
+const { pathToFileURL } = require("node:url");
+const { SCRIPT_ORDER, listScripts: listScriptFiles } = require("../tools/script-order.cjs");
+
+const ROOT_DIR = path.resolve(__dirname, "..");
+const SCRIPTS_DIR = path.join(ROOT_DIR, "scripts");
+
+const SKIP_RECT_TAGS = new Set(["HTML", "HEAD", "META", "TITLE", "LINK", "STYLE", "SCRIPT", "NOSCRIPT", "TEMPLATE", "BASE"]);
+
+function loadJsdom() {
+  try {
+    return require("jsdom");
+  } catch {
+    throw new Error(
+      "jsdom is required for the Node harness. Run npm install to get the pinned version."
+    );
+  }
+}
+
+function toKebab(prop) {
+  if (prop.startsWith("--")) return prop;
+  return prop.replace(/[A-Z]/g, (c) => `-${c.toLowerCase()}`);
+}
+
+function makeRect(r) {
+  const x = r.x ?? r.left ?? 0;
+  const y = r.y ?? r.top ?? 0;
+  const width = r.width ?? 0;
+  const height = r.height ?? 0;
+  return {
+    x,
+    y,
+    left: x,
+    top: y,
+    width,
+    height,
+    right: x + width,
+    bottom: y + height,
+    toJSON() {
+      return { x, y, width, height, top: y, left: x, right: x + width, bottom: y + height };
+    },
+  };
+}
+
+/**
+ * Resolve a per-element override from a selector map or a function.
+ * Later selector entries win; all matching entries are merged.
+ */
+function matchOverrides(source, el) {
+  if (!source) return null;
+  if (typeof source === "function") return source(el) || null;
+
+  let merged = null;
+  for (const [selector, value] of Object.entries(source)) {
+    let matches = false;
+    try {
+      matches = el.matches(selector);
+    } catch {}
+    if (matches) merged = Object.assign(merged || {}, typeof value === "function" ? value(el) : value);
+  }
+  return merged;
+}
+
+/**
+ * Default layout: elements are stacked in document order, block boxes span the
+ * viewport and inline-level boxes get a button-sized width, so visibility, size
+ * and ordering heuristics see plausible non-zero boxes.
+ */
+function createAutoLayout(window, viewport, rowHeight) {
+  const order = new WeakMap();
+  let indexed = false;
+
+  function indexDocument() {
+    let i = 0;
+    for (const el of window.document.querySelectorAll("*")) order.set(el, i++);
+    indexed = true;
+  }
+
+  return (el) => {
+    if (SKIP_RECT_TAGS.has(el.tagName)) return { x: 0, y: 0, width: 0, height: 0 };
+    if (!indexed || !order.has(el)) indexDocument();
+    const i = order.get(el) ?? 0;
+    const inline = /^inline/.test(window.getComputedStyle(el).display);
+    return { x: 0, y: i * rowHeight, width: inline ? Math.min(160, viewport.width) : viewport.width, height: rowHeight };
+  };
+}
+
+function installRectShim(window, { rects, defaultRect, viewport, rowHeight }) {
+  const auto = createAutoLayout(window, viewport, rowHeight);
+  const fallback = typeof defaultRect === "function" ? defaultRect : defaultRect ? () => defaultRect : auto;
+
+  function rectFor(el) {
+    const base = fallback(el) || {};
+    const override = matchOverrides(rects, el);
+    return makeRect(override ? { ...base, ...override } : base);
+  }
+
+  const proto = window.Element.prototype;
+  proto.getBoundingClientRect = function () {
+    return rectFor(this);
+  };
+  proto.getClientRects = function () {
+    const r = rectFor(this);
+    return r.width || r.height ? [r] : [];
+  };
+
+  const htmlProto = window.HTMLElement.prototype;
+  const dims = {
+    offsetWidth: (r) => r.width,
+    offsetHeight: (r) => r.height,
+    offsetTop: (r) => r.top,
+    offsetLeft: (r) => r.left,
+    clientWidth: (r) => r.width,
+    clientHeight: (r) => r.height,
+    scrollWidth: (r) => r.width,
+    scrollHeight: (r) => r.height,
+  };
+  for (const [name, pick] of Object.entries(dims)) {
+    Object.defineProperty(htmlProto, name, {
+      configurable: true,
+      get() {
+        return pick(rectFor(this));
+      },
+    });
+  }
+
+  return rectFor;
+}
+
+// jsdom leaves many properties empty instead of reporting their initial value,
+// which makes checks like parseFloat(style.opacity) > 0 fail.
+const INITIAL_STYLE = {
+  opacity: "1",
+  visibility: "visible",
+  position: "static",
+  "z-index": "auto",
+  transform: "none",
+  "box-shadow": "none",
+  "background-image": "none",
+  "transition-duration": "0s",
+  "transition-property": "all",
+  "animation-name": "none",
+  "animation-duration": "0s",
+  "font-weight": "400",
+  "line-height": "normal",
+  "letter-spacing": "normal",
+};
+
+function installComputedStyleShim(window, computedStyles) {
+  const original = window.getComputedStyle.bind(window);
+
+  window.getComputedStyle = function (el, pseudo) {
+    const real = original(el, pseudo);
+    const overrides = pseudo ? null : matchOverrides(computedStyles, el);
+
+    const values = {};
+    for (const [k, v] of Object.entries(overrides || {})) values[toKebab(k)] = String(v);
+
+    function read(target, name) {
+      if (name in values) return values[name];
+      const value = target.getPropertyValue(name);
+      if (value === "" && name in INITIAL_STYLE) return INITIAL_STYLE[name];
+      return value;
+    }
+
+    return new Proxy(real, {
+      get(target, prop) {
+        if (prop === "getPropertyValue") return (name) => read(target, name);
+        if (typeof prop === "string") {
+          const kebab = toKebab(prop);
+          if (kebab in values || kebab in INITIAL_STYLE) return read(target, kebab);
+        }
+        const value = target[prop];
+        return typeof value === "function" ? value.bind(target) : value;
+      },
+    });
+  };
+}
+
+// jsdom gaps the modules touch; only filled when missing.
+function installPolyfills(window, viewport) {
+  Object.defineProperty(window, "innerWidth", { configurable: true, value: viewport.width });
+  Object.defineProperty(window, "innerHeight", { configurable: true, value: viewport.height });
+
+  if (!window.CSS) window.CSS = {};
+  if (!window.CSS.escape) {
+    window.CSS.escape = (value) =>
+      String(value)
+        .replace(/([^\w-])/g, "\\$1")
+        .replace(/^(-?)(\d)/, (_, dash, digit) => `${dash}\\3${digit} `);
+  }
+  if (!window.CSS.supports) window.CSS.supports = () => false;
+
+  if (!window.matchMedia) {
+    window.matchMedia = (query) => ({
+      matches: false,
+      media: query,
+      onchange: null,
+      addListener() {},
+      removeListener() {},
+      addEventListener() {},
+      removeEventListener() {},
+      dispatchEvent() {
+        return false;
+      },
+    });
+  }
+
+  if (!window.document.getAnimations) window.document.getAnimations = () => [];
+  if (!window.Element.prototype.getAnimations) window.Element.prototype.getAnimations = () => [];
+  if (!window.Element.prototype.scrollIntoView) window.Element.prototype.scrollIntoView = () => {};
+  if (!window.scrollTo || /not implemented/i.test(String(window.scrollTo))) window.scrollTo = () => {};
+
+  // jsdom's CSSStyleDeclaration is array-like but not iterable, while browsers' is. Without
+  // this, stylekit-adapter's `for (const prop of rule.style)` scan of :root custom properties
+  // throws inside its try/catch and the brand colors those properties name are never seen.
+  const probe = window.document.createElement("style");
+  probe.textContent = "a {}";
+  window.document.head.appendChild(probe);
+  const declarationProto = Object.getPrototypeOf(probe.sheet.cssRules[0].style);
+  probe.remove();
+  if (!(Symbol.iterator in declarationProto)) declarationProto[Symbol.iterator] = Array.prototype[Symbol.iterator];
+
+  for (const name of ["ResizeObserver", "IntersectionObserver"]) {
+    if (!window[name]) {
+      window[name] = class {
+        observe() {}
+        unobserve() {}
+        disconnect() {}
+        takeRecords() {
+          return [];
+        }
+      };
+    }
+  }
+}
+
+function listScripts(scripts) {
+  return Array.isArray(scripts) ? scripts : listScriptFiles(SCRIPTS_DIR);
+}
+
+/**
+ * Create a simulated page with the style-extractor modules loaded.
+ * @param {Object} options
+ * @param {string} [options.html] - Fixture HTML (or use htmlPath)
+ * @param {string} [options.htmlPath] - Path to a fixture HTML file
+ * @param {string} [options.url] - Document URL (default: http://localhost/<fixture name>)
+ * @param {{width:number,height:number}} [options.viewport] - Viewport size (default 1440x900)
+ * @param {Object|Function} [options.rects] - selector → rect partial, or (el) => rect partial
+ * @param {Object|Function} [options.defaultRect] - Fallback rect (default: stacked auto layout)
+ * @param {Object|Function} [options.computedStyles] - selector → { prop: value }, or (el) => overrides
+ * @param {string[]} [options.scripts] - Script files to load (default: all, in load order)
+ * @returns {{ window, document, scripts: string[], close: Function }}
+ */
+function createEnvironment(options = {}) {
+  const { JSDOM, VirtualConsole } = loadJsdom();
+  const viewport = { width: 1440, height: 900, ...(options.viewport || {}) };
+  const htmlPath = options.htmlPath ? path.resolve(ROOT_DIR, options.htmlPath) : null;
+  const html = options.html ?? (htmlPath ? fs.readFileSync(htmlPath, "utf8") : "<!doctype html><html><body></body></html>");
+  // file:// is an opaque origin in jsdom (no localStorage), so fixtures get a localhost URL.
+  const url = options.url || `http://localhost/${htmlPath ? path.basename(htmlPath) : ""}`;
+
+  const virtualConsole = new VirtualConsole();
+  if (options.debug) virtualConsole.sendTo(console);
+
+  const dom = new JSDOM(html, { url, runScripts: "outside-only", pretendToBeVisual: true, virtualConsole });
+  const { window } = dom;
+
+  installPolyfills(window, viewport);
+  installRectShim(window, {
+    rects: options.rects,
+    defaultRect: options.defaultRect,
+    viewport,
+    rowHeight: options.rowHeight || 24,
+  });
+  installComputedStyleShim(window, options.computedStyles);
+
+  // Fixture pages load the scripts via <script src>; the harness injects them instead.
+  const scripts = listScripts(options.scripts);
+  for (const file of scripts) {
+    const code = fs.readFileSync(path.join(SCRIPTS_DIR, file), "utf8");
+    try {
+      window.eval(`${code}\n//# sourceURL=${pathToFileURL(path.join(SCRIPTS_DIR, file)).href}`);
+    } catch (e) {
+      throw new Error(`Failed to load ${file}: ${e.message}`);
+    }
+  }
+
+  return {
+    window,
+    document: window.document,
+    scripts,
+    close: () => window.close(),
+  };
+}
+
+module.exports = {
+  SCRIPT_ORDER,
+  createEnvironment,
+  loadJsdom,
+  makeRect,
+};
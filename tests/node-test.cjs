@@ -0,0 +1,1500 @@
+#!/usr/bin/env node
+
+/*
+  Style Extractor - Node test runner (jsdom)
+
+  Runs the scripts/*.js modules against fixture HTML without a browser (see node-harness.cjs),
+  asserts on output shapes and compares generated files against golden snapshots.
+
+  Usage:
+    npm test                                 # run all tests
+    node tests/node-test.cjs --update        # write/rewrite golden files in tests/golden/
+    node tests/node-test.cjs --filter Format # run tests whose name contains "Format"
+
+  Requires the jsdom version pinned in package.json (npm install); goldens depend on its CSSOM.
+*/
+
+const fs = require("node:fs");
+const path = require("node:path");
+const assert = require("node:assert/strict");
+const { createEnvironment, loadJsdom, SCRIPT_ORDER } = require("./node-harness.cjs");
+
+const GOLDEN_DIR = path.join(__dirname, "golden");
+const FIXTURE = "tests/e2e-test.html";
+
+function getArg(flag, fallback = null) {
+  const idx = process.argv.indexOf(flag);
+  if (idx === -1) return fallback;
+  const next = process.argv[idx + 1];
+  if (!next || next.startsWith("--")) return fallback;
+  return next;
+}
+
+function hasFlag(flag) {
+  return process.argv.includes(flag);
+}
+
+const UPDATE = hasFlag("--update");
+const FILTER = getArg("--filter");
+
+const tests = [];
+const results = { passed: 0, failed: 0, updated: 0 };
+
+function test(name, fn) {
+  tests.push({ name, fn });
+}
+
+// Volatile values (timestamps, absolute fixture URLs) are masked so goldens stay stable.
+function normalizeSnapshot(text) {
+  return String(text)
+    .replace(/\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?Z/g, "<timestamp>")
+    .replace(/("(?:timestamp|extractedAt|analyzedAt)":\s*)\d{10,}/g, "$1<timestamp>")
+    .replace(/\r\n/g, "\n");
+}
+
+/**
+ * Compare content against tests/golden/<name>; a missing golden fails unless --update is set.
+ */
+function matchGolden(name, content) {
+  const file = path.join(GOLDEN_DIR, name);
+  const actual = normalizeSnapshot(content);
+
+  if (UPDATE) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, actual);
+    results.updated++;
+    return;
+  }
+  if (!fs.existsSync(file)) {
+    throw new Error(`Golden missing: ${name}\n  Run with --update to create it.`);
+  }
+
+  const expected = fs.readFileSync(file, "utf8").replace(/\r\n/g, "\n");
+  if (actual !== expected) {
+    const a = actual.split("\n");
+    const e = expected.split("\n");
+    const line = a.findIndex((l, i) => l !== e[i]);
+    throw new Error(
+      `Golden mismatch: ${name} (line ${line + 1})\n  expected: ${e[line]}\n  actual:   ${a[line]}\n` +
+        "  Run with --update if the change is intended."
+    );
+  }
+}
+
+// One shared page for the read-only tests; tests needing shims build their own.
+let shared = null;
+function page() {
+  if (!shared) shared = createEnvironment({ htmlPath: FIXTURE });
+  return shared.window;
+}
+
+// ============================================
+// Test 1: Module loading
+// ============================================
+
+test("Modules - every script installs its global", () => {
+  const w = page();
+  const globals = Object.keys(w).filter((k) => k.startsWith("__se"));
+  for (const g of ["__seUtils", "__seCSS", "__seComponents", "__seStyleKit", "__seFormat", "__seIncremental", "__seRegistry"]) {
+    assert.ok(w[g]?.installed, `${g} not installed`);
+  }
+  assert.equal(typeof w.extractStyle, "function");
+  assert.ok(globals.length >= shared.scripts.length - 1, `only ${globals.length} globals for ${shared.scripts.length} scripts`);
+
+  // One load order: load-scripts.js (read by tools/script-order.cjs) and the fixture's <script> tags
+  assert.ok(SCRIPT_ORDER.length > 20 && SCRIPT_ORDER[0] === "utils.js" && SCRIPT_ORDER.at(-1) === "registry.js");
+  const fixtureOrder = Array.from(fs.readFileSync(FIXTURE, "utf8").matchAll(/<script src="\.\.\/scripts\/([\w-]+\.js)"/g), (m) => m[1]);
+  assert.deepEqual(fixtureOrder, SCRIPT_ORDER);
+});
+
+// ============================================
+// Test 2: CSS parser
+// ============================================
+
+test("CSS - analyze() reads fixture variables and keyframes", () => {
+  const css = page().__seCSS.analyze();
+  for (const key of ["stylesheets", "variables", "keyframes", "mediaQueries", "fontFaces", "reverseMap", "summary"]) {
+    assert.ok(key in css, `missing ${key}`);
+  }
+  assert.ok(css.summary.variableCount > 0, "no CSS variables found");
+  assert.ok(Object.keys(css.variables.categorized.colors).length > 0, "no color variables");
+  assert.ok(css.reverseMap.count > 0, "empty reverse map");
+});
+
+test("CSS - lookupVariable() resolves a known value", () => {
+  const w = page();
+  const css = w.__seCSS.analyze();
+  const [name, value] = Object.entries(css.variables.categorized.colors)[0];
+  const hit = w.__seCSS.lookupVariable(value);
+  assert.ok(hit, `no reverse lookup for ${name}: ${value}`);
+  assert.ok(hit.varName.startsWith("--"));
+});
+
+test("CSS - container queries, nested media, layers and @supports are recorded", () => {
+  const env = createEnvironment({
+    html: `<!doctype html><html><head><style>
+      .card-wrap { container: card / inline-size; }
+      .sidebar { container-type: size; }
+      @container card (min-width: 400px) { .card { display: flex; } .card h2 { font-size: 2rem; } }
+      @container (width >= 40em) { .sidebar nav { display: block; } }
+      @supports (display: grid) {
+        @media (min-width: 900px) { .grid { display: grid; } }
+      }
+      @media (width >= 1200px) { .wide { display: grid; } }
+    </style></head><body><div class="card-wrap"><div class="card"><h2>A</h2></div></div><aside class="sidebar"></aside></body></html>`,
+    scripts: ["utils.js", "css-parser.js", "responsive-extract.js"],
+  });
+  try {
+    const w = env.window;
+    const cq = w.__seCSS.extractContainerQueries();
+    assert.equal(cq.count, 2);
+    assert.equal(cq.containerQueries[0].name, "card");
+    assert.equal(cq.containerQueries[0].condition, "(min-width: 400px)");
+    assert.equal(cq.containerQueries[0].ruleCount, 2);
+    assert.equal(cq.containerQueries[1].name, null);
+    assert.equal(cq.containers.length, 2);
+    assert.equal(cq.containers[0].selector, ".card-wrap");
+    assert.equal(cq.containers[0].type, "inline-size");
+    assert.equal(cq.containers[0].names[0], "card");
+    assert.equal(cq.containers[0].elementCount, 1);
+    assert.equal(cq.breakpoints.map((b) => `${b.container}:${b.type}:${b.px}`).join(","), "card:min-width:400,null:min-width:640");
+
+    // Media nested inside @supports is found and carries its guard
+    const mq = w.__seCSS.extractMediaQueries();
+    assert.equal(mq.count, 2);
+    assert.equal(mq.mediaQueries[0].supports[0], "(display: grid)");
+    assert.equal(mq.breakpoints[0].px, 900);
+    assert.equal(w.__seCSS.extractSupports().conditions[0], "(display: grid)");
+
+    // Range syntax goes through the shared width parser
+    const bp = w.__seResponsive.analyzeBreakpoints();
+    assert.equal(bp.breakpoints.map((b) => `${b.type}:${b.px}:${b.rulesCount}`).join(","), "min-width:900:1,min-width:1200:1");
+    assert.equal(bp.containerBreakpoints.length, 2);
+
+    // jsdom cannot parse @layer blocks, so feed rule-shaped objects
+    const style = (sel) => ({ type: 1, selectorText: sel, cssText: `${sel} {}`, style: null });
+    const sheets = [{
+      href: null,
+      cssRules: [
+        { type: 0, cssText: "@layer reset, base, components;" },
+        { type: 0, cssText: "@layer components { .btn {} }", cssRules: [style(".btn"), style(".btn:hover")] },
+        { type: 0, cssText: "@layer base { body {} }", cssRules: [
+          style("body"),
+          { type: 0, cssText: "@layer typography { h1 {} }", cssRules: [style("h1")] },
+        ] },
+        { type: 0, cssText: "@layer { .x {} }", cssRules: [style(".x")] },
+        style(".unlayered"),
+      ],
+    }];
+    const layers = w.__seCSS.extractLayers(sheets);
+    assert.equal(layers.order.join(","), "reset,base,components,base.typography,(anonymous)");
+    assert.equal(layers.layers.components.ruleCount, 2);
+    assert.equal(layers.layers["base.typography"].ruleCount, 1);
+    assert.equal(layers.unlayeredRuleCount, 1);
+  } finally {
+    env.close();
+  }
+});
+
+test("CSS - cross-origin sheets recovered in Node merge into analyze() with source URLs", async () => {
+  const cssRecover = require("../tools/css-recover.cjs");
+  const bodies = {
+    "https://cdn.example.com/css/site.css": `
+      @charset "utf-8";
+      @import url("theme.css") screen;
+      /* brand; { not a rule } */
+      :root { --brand-accent: #ff3366; --hero-bg: url(../img/hero.png); --font-display: "Inter", sans-serif !important; }
+      .card { --card-pad: 12px; }
+      @keyframes pulse { from { opacity: 0 } 50% { opacity: .5 } to { opacity: 1 } }
+      @media (min-width: 720px) and (max-width: 1100px) { .a { content: "}"; } }
+      @supports (display: grid) { @media (min-width: 1300px) { .b { color: red } } }
+    `,
+    "https://cdn.example.com/css/theme.css": `
+      @font-face { font-family: "Brand Sans"; src: url(fonts/brand.woff2) format("woff2"); font-weight: 400 700; }
+      @layer base { :root { --radius-lg: 12px; } }
+      @media (prefers-color-scheme: dark) { :root { --brand-accent: #000; } }
+    `,
+  };
+  const fetchImpl = async (url) => ({
+    ok: url in bodies,
+    status: url in bodies ? 200 : 404,
+    text: async () => bodies[url],
+  });
+
+  const sheets = await cssRecover.recoverStylesheets(
+    [{ url: "https://cdn.example.com/css/site.css" }, { url: "https://cdn.example.com/css/missing.css" }],
+    { fetchImpl }
+  );
+  assert.equal(sheets.map((s) => `${s.status}:${s.url.split("/").pop()}`).join(","), "fetched:site.css,failed:missing.css,fetched:theme.css");
+  assert.equal(sheets[1].error, "HTTP 404");
+  assert.equal(sheets[2].importedBy, "https://cdn.example.com/css/site.css");
+
+  const [site, , theme] = sheets;
+  assert.equal(site.variables.root["--brand-accent"], "#ff3366");
+  assert.equal(site.variables.root["--hero-bg"], 'url("https://cdn.example.com/img/hero.png")');
+  assert.equal(site.variables.root["--font-display"], '"Inter", sans-serif');
+  assert.equal(site.variables.other[".card"]["--card-pad"], "12px");
+  assert.equal(site.keyframes[0].frames.map((f) => f.offset).join(","), "0%,50%,100%");
+  assert.equal(site.mediaQueries.length, 2);
+  assert.equal(site.mediaQueries[1].supports[0], "(display: grid)");
+  assert.equal(theme.fontFaces[0].family, "Brand Sans");
+  assert.equal(theme.fontFaces[0].src, 'url("https://cdn.example.com/css/fonts/brand.woff2") format("woff2")');
+  // Layered :root vars count, media-conditional ones do not
+  assert.equal(theme.variables.root["--radius-lg"], "12px");
+  assert.equal(Object.keys(theme.variables.root).length, 1);
+
+  const w = page();
+  try {
+    w.__seCSS.registerExternalCss(JSON.parse(JSON.stringify(sheets)));
+    const css = w.__seCSS.analyze();
+    assert.equal(css.external.count, 3);
+    assert.equal(css.external.recoveredCount, 2);
+    assert.equal(css.variables.variables.root["--brand-accent"], "#ff3366");
+    assert.equal(css.variables.sources.root["--radius-lg"], "https://cdn.example.com/css/theme.css");
+    assert.equal(css.variables.variables.other[".card"]["--card-pad"], "12px");
+    assert.equal(css.variables.sources.other[".card"]["--card-pad"], "https://cdn.example.com/css/site.css");
+    assert.equal(css.keyframes.keyframes.pulse.source, "https://cdn.example.com/css/site.css");
+    assert.ok(css.fontFaces.fontFaces.some((f) => f.family === "Brand Sans" && f.source.endsWith("theme.css")));
+    assert.ok(css.mediaQueries.breakpoints.some((b) => b.type === "min-width" && b.px === 1300));
+    assert.ok(css.mediaQueries.mediaQueries.some((m) => m.source.endsWith("site.css")));
+  } finally {
+    w.__seCSS.registerExternalCss([]);
+  }
+});
+
+// ============================================
+// Test 3: Components (with rect/computed-style shim)
+// ============================================
+
+test("Components - generateReport() shape", () => {
+  const report = page().__seComponents.generateReport();
+  assert.ok(report.summary, "missing summary");
+  assert.equal(typeof report.components, "object");
+  assert.ok(report.components.button?.length > 0, "no buttons detected");
+});
+
+test("Components - zero rects hide elements, injected rects restore them", () => {
+  const hidden = createEnvironment({ htmlPath: FIXTURE, defaultRect: { width: 0, height: 0 } });
+  const shown = createEnvironment({ htmlPath: FIXTURE, defaultRect: { width: 0, height: 0 }, rects: { button: { width: 120, height: 40 } } });
+  try {
+    const visible = (env) => Array.from(env.document.querySelectorAll("button")).filter((b) => env.window.__seUtils.isVisible(b)).length;
+    assert.equal(visible(hidden), 0);
+    assert.ok(visible(shown) > 0);
+  } finally {
+    hidden.close();
+    shown.close();
+  }
+});
+
+test("Frames - same-origin iframes are traversed with scoped selectors and top-level rects", async () => {
+  const env = createEnvironment({
+    html: `<!doctype html><html><body><header><h1>Docs</h1></header>
+      <iframe id="canvas" title="Story"></iframe>
+      <iframe id="checkout" src="https://pay.example.com/embed"></iframe></body></html>`,
+    rects: { "#canvas": { x: 100, y: 200, width: 600, height: 400 } },
+  });
+  try {
+    const w = env.window;
+    const frame = w.document.getElementById("canvas");
+    // jsdom iframes get their own realm, so the rect shim is applied per element here
+    frame.contentDocument.body.innerHTML = '<button class="btn" style="background:#ff0066;color:#ffffff">Buy now</button>' +
+      '<p style="color:#ff0066">One</p><p style="color:#ff0066">Two</p><p style="color:#ff0066">Three</p>';
+    const rectOf = (x, y, width, height) => () => ({ x, y, width, height, top: y, left: x, right: x + width, bottom: y + height });
+    frame.contentDocument.body.getBoundingClientRect = rectOf(0, 0, 600, 400);
+    frame.contentDocument.querySelector("button").getBoundingClientRect = rectOf(10, 20, 120, 40);
+    // Cross-origin frames expose no document
+    Object.defineProperty(w.document.getElementById("checkout"), "contentDocument", { get: () => null });
+
+    const frames = w.__seUtils.listFrames();
+    assert.equal(frames.length, 2);
+    assert.equal(frames[0].sameOrigin, true);
+    assert.equal(frames[0].offset.x, 100);
+    assert.equal(frames[1].sameOrigin, false);
+    assert.equal(frames[1].url, "https://pay.example.com/embed");
+
+    const inner = frame.contentDocument.querySelector("button");
+    const scoped = `#canvas${w.__seUtils.FRAME_SEPARATOR}${w.__seUtils.cssPath(inner)}`;
+    assert.equal(w.__seUtils.queryFrameSelector(scoped).textContent, "Buy now");
+    // State helpers report the frame-scoped selector they were given
+    assert.equal(w.__seComponents.extractStates(scoped).selector, scoped);
+    assert.equal((await w.__seComponents.captureInteractiveStates(scoped)).selector, scoped);
+    assert.equal(w.__seStateCapture.captureCurrentState(scoped).selector, scoped);
+    assert.equal(w.__seStateCapture.extractAllStatesFallback(scoped).selector, scoped);
+
+    // Opt-in: without includeFrames nothing inside the frame is seen
+    const plain = w.__seComponents.detectAllEnhanced();
+    assert.ok(!(plain.components.button || []).some((b) => b.selector.includes("#canvas")));
+
+    const detected = w.__seComponents.detectAllEnhanced({ includeFrames: true });
+    const button = detected.components.button.find((b) => b.selector === scoped);
+    assert.ok(button, "framed button not detected");
+    assert.equal(button.rect.x, 110);
+    assert.equal(button.rect.y, 220);
+    assert.equal(detected.frames.length, 2);
+
+    const dom = w.__seStructure.extractDOM({ includeFrames: true });
+    const find = (node, pred) => (pred(node) ? node : (node.children || []).map((c) => find(c, pred)).find(Boolean) || null);
+    const iframeNode = find(dom.tree, (n) => n.tag === "iframe" && n.id === "canvas");
+    assert.equal(iframeNode.frame.sameOrigin, true);
+    assert.equal(find(iframeNode, (n) => n.tag === "button").rect.y, 220);
+    assert.equal(dom.frames[1].sameOrigin, false);
+
+    const colors = w.__seStyleKit.extract({ includeFrames: true }).raw.colors;
+    assert.ok(Object.values(colors).some((c) => c.value === "#ff0066"), "framed background color missing");
+
+    const blueprint = w.__seBlueprint.build({}, { includeFrames: true });
+    const bpButton = find(blueprint.tree, (n) => n.selector === scoped);
+    assert.ok(bpButton, "framed node missing from blueprint");
+    assert.equal(bpButton.rect.x, 110);
+    const bpFrame = find(blueprint.tree, (n) => n.frame?.selector === "#canvas");
+    assert.equal(bpFrame.children[0].frameRoot, true);
+    const html = w.__seCodeGen.toReplicaHTML(blueprint);
+    assert.ok(!/<iframe[^>]*>\s*<body/.test(html) && html.includes("Buy now"), "inlined frame should render as a container");
+
+    const result = await w.extractStyle({ modules: ["structure"], includeFrames: true });
+    assert.equal(result.data.frames.length, 2);
+    assert.ok(result.warnings.some((x) => x.code === "CROSS_ORIGIN_FRAMES" && x.details.urls[0] === "https://pay.example.com/embed"));
+  } finally {
+    env.close();
+  }
+});
+
+test("Shadow DOM - adopted sheets, :host API, ::part rules and custom elements as components", async () => {
+  const env = createEnvironment({
+    html: `<!doctype html><html><head><style>
+      sl-button::part(base) { border-radius: 8px; }
+      sl-button.primary::part(base):hover { color: #ffffff; }
+      </style></head><body><sl-button id="save" class="primary">Save</sl-button><app-root></app-root></body></html>`,
+  });
+  try {
+    const w = env.window;
+    const host = w.document.getElementById("save");
+    const root = host.attachShadow({ mode: "open" });
+    root.innerHTML = '<button part="base" class="base"><span part="label">Save</span></button>';
+    // jsdom has no constructable sheets: parse in a scratch frame and adopt that sheet
+    const scratch = w.document.createElement("iframe");
+    w.document.body.appendChild(scratch);
+    scratch.contentDocument.head.innerHTML = `<style>
+      :host { --sl-button-radius: 4px; display: inline-block; }
+      :host(:hover) { opacity: 0.9; }
+      .base { --_pad: 12px; padding: var(--_pad); border-radius: var(--sl-button-radius);
+        background: var(--sl-button-bg, #0055ff); color: var(--sl-color-neutral-0); }
+    </style>`;
+    Object.defineProperty(root, "adoptedStyleSheets", { value: [scratch.contentDocument.styleSheets[0]] });
+
+    const inner = root.querySelector("button");
+    const selector = w.__seUtils.shadowSelector(inner);
+    assert.equal(selector, `#save${w.__seUtils.SHADOW_SEPARATOR}button.base`);
+    assert.equal(w.__seUtils.queryShadowSelector(selector), inner);
+
+    const shadow = w.__seCSS.extractShadowStyles();
+    const button = shadow.components["sl-button"];
+    assert.equal(button.adoptedSheetCount, 1);
+    assert.deepEqual([...button.parts], ["base", "label"]);
+    assert.deepEqual({ ...button.api["--sl-button-radius"] }, { default: "4px", source: "host" });
+    assert.deepEqual({ ...button.api["--sl-button-bg"] }, { default: "#0055ff", source: "fallback" });
+    assert.deepEqual({ ...button.api["--sl-color-neutral-0"] }, { default: null, source: "inherited" });
+    assert.ok(!("--_pad" in button.api), "internal properties are not API");
+    assert.equal(button.variables[".base"]["--_pad"], "12px");
+    assert.ok(button.hostRules.some((r) => r.selector === ":host(:hover)"));
+    const hover = shadow.partRules.find((r) => r.pseudo === ":hover");
+    assert.equal(hover.tag, "sl-button");
+    assert.deepEqual([...hover.parts], ["base"]);
+    assert.equal(w.__seCSS.analyze().summary.shadowComponentCount, 1);
+
+    const detected = w.__seComponents.detectAll();
+    const hostEntry = detected.components.button.find((b) => b.selector === "#save");
+    assert.ok(hostEntry && hostEntry.customElement && hostEntry.tag === "sl-button", "custom element not a component");
+    assert.ok(detected.components.button.some((b) => b.selector === selector), "shadow button not detected");
+    assert.ok(!Object.values(detected.components).flat().some((c) => c.tag === "app-root"));
+
+    assert.equal(w.__seComponents.extractStates("#save").states.hover?.opacity, "0.9");
+    assert.equal(w.__seStateCapture.captureCurrentState(selector).selector, selector);
+
+    const files = w.__seStyleKit.extract().files;
+    const tokens = JSON.parse(files["tokens.json"]).tokens.components["sl-button"];
+    assert.deepEqual(tokens.properties["--sl-button-bg"], { value: "#0055ff", source: "fallback" });
+    assert.ok(/sl-button \{\n  --sl-button-bg: #0055ff;\n  --sl-button-radius: 4px;\n\}/.test(files["variables.css"]));
+  } finally {
+    env.close();
+  }
+});
+
+test("Shim - computedStyles overrides reach getComputedStyle()", () => {
+  const env = createEnvironment({
+    htmlPath: FIXTURE,
+    scripts: ["utils.js"],
+    computedStyles: { body: { backgroundColor: "rgb(1, 2, 3)", "--probe": "4px" } },
+  });
+  try {
+    const cs = env.window.getComputedStyle(env.document.body);
+    assert.equal(cs.backgroundColor, "rgb(1, 2, 3)");
+    assert.equal(cs.getPropertyValue("background-color"), "rgb(1, 2, 3)");
+    assert.equal(cs.getPropertyValue("--probe"), "4px");
+  } finally {
+    env.close();
+  }
+});
+
+// ============================================
+// Test 3.5: Contrast audit
+// ============================================
+
+test("Contrast - WCAG/APCA metrics match reference values", () => {
+  const c = page().__seContrast;
+  assert.equal(c.wcagRatio("#000", "#fff"), 21);
+  assert.equal(c.wcagRatio("#767676", "#fff"), 4.54);
+  assert.equal(c.apcaContrast("#000", "#fff"), 106);
+  assert.equal(c.apcaContrast("#fff", "#000"), -107.9);
+  assert.equal(c.evaluatePair("#767676", "#fff").wcag.AA, true);
+  assert.equal(c.evaluatePair("#999", "#fff", { fontSize: 24 }).wcag.pass, false);
+});
+
+test("Contrast - audit() reports failing pairs with selectors and a passing suggestion", () => {
+  const env = createEnvironment({
+    html:
+      "<!doctype html><html><head><style>body { background: #fff; } .muted { color: #999999; } h1 { color: #111827; }</style></head>" +
+      "<body><h1>Title</h1><p class=\"muted\">Low contrast copy</p><p class=\"muted\">More copy</p></body></html>",
+  });
+  try {
+    const report = env.window.__seContrast.audit({
+      colors: {
+        semantic: { text: "#111827", textMuted: "#999999", background: "#ffffff" },
+        palette: { "color-1": { value: "#595959" }, "color-2": { value: "#0000ff" } },
+      },
+    });
+    assert.equal(report.summary.roles, 3);
+    assert.ok(report.matrix.textMuted.background.ratio < 4.5);
+
+    const role = report.failures.find((f) => f.source === "roles" && f.fgRole === "textMuted");
+    assert.ok(role, "textMuted on background not reported");
+    assert.deepEqual([...role.failed], ["wcag-aa", "apca"]);
+    assert.deepEqual([...role.selectors], ["html > body > p.muted:nth-of-type(1)", "html > body > p.muted:nth-of-type(2)"]);
+    assert.equal(role.suggestion.value, "#595959");
+    assert.ok(role.suggestion.ratio >= 4.5);
+
+    const rendered = report.failures.find((f) => f.source === "rendered");
+    assert.equal(rendered.count, 2);
+    assert.ok(!report.failures.some((f) => f.fg === "#111827"), "passing pair reported");
+  } finally {
+    env.close();
+  }
+});
+
+// ============================================
+// Test 4: StyleKit adapter + golden files
+// ============================================
+
+test("StyleKit - extract() files match golden snapshots", () => {
+  const { normalized, files } = page().__seStyleKit.extract();
+  assert.ok(normalized.tokens.colors, "missing color tokens");
+  for (const name of ["tokens.json", "variables.css", "tailwind.config.js", "style-tokens.ts", "style-recipes.ts", "cva-recipes.ts", "tv-recipes.ts", "design-system-prompt.md", "style-definition.ts"]) {
+    assert.equal(typeof files[name], "string", `missing ${name}`);
+    matchGolden(`stylekit/${name}`, files[name]);
+  }
+});
+
+test("StyleKit - clusterColors() collapses near-duplicates into the most-used member", () => {
+  const clusters = page().__seStyleKit.clusterColors([
+    { value: "#ffffff2e", count: 1, usage: ["border"] },
+    { value: "#2564eb", count: 2, usage: ["text"] },
+    { value: "#2563eb", count: 10, usage: ["background"] },
+    { value: "#2563ebfa", count: 1, usage: ["border"] },
+    { value: "#ffffff", count: 5, usage: ["background"] },
+  ]);
+  assert.deepEqual(Array.from(clusters, (c) => c.value), ["#ffffff2e", "#2563eb", "#ffffff"]);
+  const brand = clusters[1];
+  assert.equal(brand.count, 13);
+  assert.deepEqual([...brand.usage].sort(), ["background", "border", "text"]);
+  assert.deepEqual(Array.from(brand.variants, (v) => v.value), ["#2564eb", "#2563ebfa"]);
+  assert.ok(brand.variants.every((v) => v.deltaE <= 2.3));
+
+  const strict = page().__seStyleKit.clusterColors([{ value: "#2563eb", count: 1 }, { value: "#2564eb", count: 1 }], { deltaE: 0 });
+  assert.equal(strict.length, 2);
+});
+
+test("StyleKit - detectTonalRamps() emits hue scales and leaves loose colors", () => {
+  const entry = (value) => ({ value, usage: ["background"], confidence: "high" });
+  const { scales, members } = page().__seStyleKit.detectTonalRamps({
+    "color-1": entry("#dbeafe"),
+    "color-2": entry("#93c5fd"),
+    "color-3": entry("#3b82f6"),
+    "color-4": entry("#1d4ed8"),
+    "color-5": entry("#1e3a8a"),
+    "color-6": entry("#e5e7eb"),
+    "color-7": entry("#6b7280"),
+    "color-8": entry("#1f2937"),
+    "color-9": entry("#ef4444"),
+    "color-10": entry("#ffffff"),
+  });
+  assert.deepEqual(Object.keys(scales).sort(), ["blue", "gray"]);
+  assert.deepEqual({ ...Object.fromEntries(Object.entries(scales.blue).map(([k, v]) => [k, v.value])) }, {
+    100: "#dbeafe",
+    300: "#93c5fd",
+    500: "#3b82f6",
+    700: "#1d4ed8",
+    900: "#1e3a8a",
+  });
+  // Steps follow lightness, light to dark
+  assert.deepEqual(Array.from(Object.values(scales.gray), (v) => v.value), ["#e5e7eb", "#6b7280", "#1f2937"]);
+  assert.ok(!members.includes("color-9") && !members.includes("color-10"));
+});
+
+test("StyleKit - extract() emits detected ramps as named scales in generated files", () => {
+  // Palette keys are count-based, so each color gets a distinct sample count
+  const env = createEnvironment({
+    html:
+      "<!doctype html><html><head><style>" +
+      "h1 { color: #1e3a8a; } a { color: #1e3a8b; } h2 { color: #1d4ed8; } h3 { color: #3b82f6; } " +
+      "p, article { color: #93c5fd; }</style></head><body><h1>A</h1><a href=\"#\">A</a><h2>B</h2>" +
+      "<h3>C</h3><h3>C</h3><h3>C</h3><p>D</p><p>D</p><p>D</p><article>D</article></body></html>",
+  });
+  try {
+    const { raw, normalized, files } = env.window.__seStyleKit.extract();
+    const near = Object.values(raw.colors).find((c) => c.variants?.length);
+    assert.ok(near, "near-duplicate #1e3a8b not collapsed");
+    assert.ok(["#1e3a8a", "#1e3a8b"].includes(near.value));
+
+    const blue = normalized.tokens.colors.scales?.blue;
+    assert.ok(blue, "blue ramp not detected");
+    assert.ok(Object.keys(blue).length >= 3);
+    assert.ok(!Object.values(normalized.tokens.colors.palette).some((p) => p.value === "#3b82f6"), "ramp member left in palette");
+    assert.match(files["variables.css"], /--color-blue-\d+: #3b82f6;/);
+    assert.match(files["tailwind.config.js"], /"blue": \{/);
+  } finally {
+    env.close();
+  }
+});
+
+test("StyleKit - brand colors get an OKLCH 50-950 ramp with observed and synthesized steps", async () => {
+  const env = createEnvironment({
+    html:
+      "<!doctype html><html><head><style>" +
+      ":root { --brand-primary: #2563eb; --accent: oklch(70.5% 0.213 47.6); } " +
+      "h1 { color: #1d4ed8; }</style></head><body><h1>A</h1></body></html>",
+  });
+  try {
+    // Opt-in: without the option only observed ramps become scales
+    assert.equal(env.window.__seStyleKit.extract().normalized.tokens.colors.scales?.primary, undefined);
+
+    const { normalized, files } = env.window.__seStyleKit.extract({ palette: { brandScales: true } });
+    const { primary, accent } = normalized.tokens.colors.scales;
+    assert.deepEqual([...Object.keys(primary)], ["50", "100", "200", "300", "400", "500", "600", "700", "800", "900", "950"]);
+    assert.equal(primary["600"].value, "#2563eb");
+    assert.equal(primary["600"].anchor, true);
+    // #1d4ed8 is on the page and close enough to the generated 700
+    assert.equal(primary["700"].value, "#1d4ed8");
+    assert.equal(primary["700"].observed, true);
+    assert.equal(primary["50"].observed, false);
+    assert.equal(Object.values(primary).filter((s) => s.observed).length, 2);
+
+    const lightness = Object.values(primary).map((s) => parseFloat(s.oklch.slice(6)));
+    assert.deepEqual(lightness, [...lightness].sort((a, b) => b - a), "steps not ordered light to dark");
+    assert.ok(Object.values(accent).some((s) => s.anchor), "oklch() anchor not parsed");
+
+    assert.match(files["variables.css"], /\/\* primary: observed 600, 700; other steps synthesized \*\//);
+    // Brand ramps alias the primitive family named after their hue
+    const family = normalized.tokens.tiers.aliases.scales.primary.replace(/^color\./, "");
+    assert.match(files["variables.css"], new RegExp(`--color-${family}-50: #[0-9a-f]{6};`));
+    assert.match(files["variables.css"], new RegExp(`--color-primary-50: var\\(--color-${family}-50\\);`));
+    assert.match(files["tailwind.config.js"], new RegExp(`"DEFAULT": primitives\\.${family}\\["600"\\]`));
+    assert.match(files["tailwind.config.js"], /"600": "#2563eb"/);
+
+    const tw = env.window.__seFormat.toTailwind({ colors: { primary: "#2563eb" }, colorScales: { primary } });
+    assert.equal(tw.theme.extend.colors.primary.DEFAULT, "#2563eb");
+    assert.equal(tw.theme.extend.colors.primary["700"], "#1d4ed8");
+
+    // extractStyle() forwards the palette options to StyleKit
+    const scaleSteps = async (options) =>
+      Object.keys((await env.window.extractStyle({ preset: "style", format: "tailwind", ...options })).formatted.theme.extend.colors.primary || {});
+    assert.ok(!(await scaleSteps({})).includes("950"));
+    assert.ok((await scaleSteps({ palette: { brandScales: true } })).includes("950"));
+  } finally {
+    env.close();
+  }
+});
+
+test("StyleKit - token tiers alias primitives from semantic roles and component states", () => {
+  const env = createEnvironment({
+    html:
+      "<!doctype html><html><head><style>" +
+      ":root { --color-primary: #2563eb; --color-text: #111827; } body { color: var(--color-text); } " +
+      ".btn { background-color: #2563eb; color: #ffffff; border: none; } .btn:hover { background-color: #1d4ed8; }" +
+      "</style></head><body><button class=\"btn\">Save</button><button class=\"btn\">Send</button></body></html>",
+  });
+  try {
+    const { normalized, files } = env.window.__seStyleKit.extract({ palette: { brandScales: true } });
+    const { primitive, semantic, component, aliases } = normalized.tokens.tiers;
+
+    const primary = semantic["color.action.primary.bg"];
+    assert.equal(primitive[primary.ref].value, "#2563eb");
+    assert.equal(primary.ref, `${aliases.scales.primary}.600`, "brand ramp step not reused as the primitive");
+    assert.equal(semantic["color.action.primary.fg"].ref, "color.white");
+    assert.equal(component["button.primary.bg.default"].ref, "color.action.primary.bg");
+    assert.equal(component["button.primary.fg.default"].ref, "color.action.primary.fg");
+    const hover = component["button.primary.bg.hover"];
+    assert.equal(primitive[hover.ref].value, "#1d4ed8");
+    assert.ok(!Object.keys(component).some((path) => path.includes("primary-2")), "identical buttons not merged");
+
+    const css = files["variables.css"];
+    assert.match(css, /--color-action-primary-bg: var\(--color-[a-z]+-600\);/);
+    assert.match(css, /--button-primary-bg-default: var\(--color-action-primary-bg\);/);
+    assert.match(css, /--color-primary: var\(--color-action-primary-bg\);/);
+
+    const fmt = env.window.__seFormat;
+    const styleData = { colors: normalized.tokens.colors.semantic, colorScales: normalized.tokens.colors.scales, tiers: normalized.tokens.tiers };
+    const dtcg = fmt.toDTCG(styleData);
+    assert.equal(dtcg.color.primary.$value, "{color.action.primary.bg}");
+    assert.equal(dtcg.color.action.primary.bg.$value, `{${primary.ref}}`);
+    assert.equal(dtcg.button.primary.bg.hover.$value, `{${hover.ref}}`);
+    assert.equal(fmt.toJSON(styleData).colors.primary.value, "{color.action.primary.bg}");
+    assert.match(fmt.toCSSVars(styleData), /--button-primary-bg-hover: var\(--color-[\w-]+\);/);
+    assert.match(fmt.toTailwind4(styleData), /--color-primary-600: var\(--color-[a-z]+-600\);/);
+    assert.equal(fmt.toTailwind(styleData).theme.extend.colors.action.primary.bg, "var(--color-action-primary-bg)");
+
+    const studio = fmt.toTokensStudio(normalized);
+    assert.equal(studio.default.semantic.primary.value, "{color.action.primary.bg}");
+    const figma = fmt.toFigmaVariables(normalized);
+    const button = figma.variables.find((v) => v.name === "button/primary/bg/default");
+    const value = figma.variableModeValues.find((v) => v.variableId === button.id).value;
+    assert.equal(value.id, "semantic:color/action/primary/bg");
+  } finally {
+    env.close();
+  }
+});
+
+test("StyleKit - naming strategies keep the page's custom property names or use Tailwind keys", () => {
+  const env = createEnvironment({
+    html:
+      "<!doctype html><html><head><style>" +
+      ":root { --brand-500: #2563eb; --button-bg: var(--brand-500); --ink: #111827; --space-md: 16px; } body { color: var(--ink); } " +
+      ".card { padding: var(--space-md); margin: 16px; } " +
+      ".btn { background-color: var(--button-bg); color: #ffffff; border: none; } .btn:hover { background-color: #1d4ed8; }" +
+      "</style></head><body><div class=\"card\"><button class=\"btn\">Save</button><button class=\"btn\">Send</button></div></body></html>",
+  });
+  try {
+    const original = env.window.__seStyleKit.extract({ naming: "original" });
+    const tokens = original.normalized.tokens;
+    assert.equal(original.normalized.naming, "original");
+    assert.deepEqual(Object.keys(tokens.colors.semantic).sort(), ["brand-500", "button-bg", "ink"]);
+    assert.deepEqual({ ...tokens.aliases }, { "button-bg": "brand-500" });
+    assert.equal(tokens.colors.scales, undefined, "invented scales generated");
+    assert.equal(tokens.spacing["space-md"], "16px");
+    assert.equal(tokens.tiers.primitive["brand-500"].value, "#2563eb");
+    assert.equal(tokens.tiers.semantic["button-bg"].ref, "brand-500");
+    assert.equal(tokens.tiers.component["button.default.bg.default"].ref, "button-bg");
+
+    const css = original.files["variables.css"];
+    assert.match(css, /--brand-500: #2563eb;/);
+    assert.match(css, /--button-bg: var\(--brand-500\);/);
+    assert.match(css, /--space-md: 16px;/);
+    assert.doesNotMatch(css, /--color-brand-500|--color-button-bg|--space-space-md/);
+    const tw = original.files["tailwind.config.js"];
+    assert.match(tw, /"brand-500": primitives\["brand-500"\]/);
+    assert.match(tw, /"button-bg": primitives\["brand-500"\]/);
+    assert.match(tw, /"space-md": "16px"/);
+
+    const fmt = env.window.__seFormat;
+    const styleData = { colors: tokens.colors.semantic, tiers: tokens.tiers };
+    assert.equal(fmt.toTailwind(styleData).theme.extend.colors["brand-500"], "#2563eb");
+    assert.equal(fmt.toDTCG(styleData)["button-bg"].$value, "{brand-500}");
+
+    const tailwind = env.window.__seStyleKit.extract({ naming: "tailwind" }).normalized;
+    assert.deepEqual(Object.keys(tailwind.tokens.colors.palette).sort(), ["blue-600", "gray-900"]);
+    assert.deepEqual(Object.keys(tailwind.tokens.spacing), ["4"]);
+    assert.ok(tailwind.tokens.tiers.primitive["color.blue.700"], "hover color not named after Tailwind blue-700");
+
+    assert.equal(env.window.__seStyleKit.extract({ naming: "bogus" }).normalized.naming, "semantic");
+  } finally {
+    env.close();
+  }
+});
+
+test("StyleKit - type scale ratio, fluid clamp() across stored viewports and composite text styles", async () => {
+  const env = createEnvironment({
+    html:
+      "<!doctype html><html><head><style>" +
+      "body { font-family: Inter, sans-serif; } p { font-size: 16px; line-height: 24px; } " +
+      "h1 { font-size: 39px; font-weight: 700; line-height: 1.1; letter-spacing: -0.02em; } h2 { font-size: 31px; } h3 { font-size: 25px; } " +
+      "h4 { font-size: 20px; } small { font-size: 13px; } a { font-size: 15px; }" +
+      "</style></head><body><h1>Title</h1><h2>Sub</h2><h3>Section</h3><h4>Part</h4>" +
+      "<p>One</p><p>Two</p><p>Three</p><p><small>Note</small> <a href=\"#\">link</a></p></body></html>",
+  });
+  try {
+    const utils = env.window.__seUtils;
+    const scale = utils.analyzeTypeScale({ "13px": { count: 1 }, "16px": { count: 3 }, "20px": { count: 1 }, "25px": { count: 1 }, "31px": { count: 1 }, "39px": { count: 1 }, "15px": { count: 1 } });
+    assert.equal(scale.name, "major-third");
+    assert.equal(scale.base, "16px");
+    assert.deepEqual([...scale.outliers], ["15px"]);
+    assert.deepEqual([...scale.steps.map((s) => s.step)], [-1, 0, 1, 2, 3, 4]);
+
+    // 2rem floor, 3rem ceiling, 1.5rem + 2vw in between
+    const size = (width) => Math.min(48, Math.max(32, 24 + 0.02 * width));
+    const responsive = env.window.__seResponsive;
+    for (const width of [375, 768, 1024, 1440]) {
+      responsive.storeLayout(`w${width}`, { viewport: { width }, typeSizes: { "h1.hero": { tag: "h1", fontSize: `${size(width)}px` }, "p": { tag: "p", fontSize: "16px" } } });
+    }
+    const fluid = responsive.inferFluidType();
+    assert.deepEqual([...Object.keys(fluid)], ["h1.hero"]);
+    assert.equal(fluid["h1.hero"].clamp, "clamp(2rem, 1.5rem + 2vw, 3rem)");
+    assert.equal(utils.fluidClamp([{ width: 375, size: 32 }, { width: 768, size: 48 }, { width: 1440, size: 48 }]), null, "breakpoint jump read as fluid");
+
+    responsive.clearStoredLayouts();
+    responsive.storeLayout("mobile", { viewport: { width: 375 }, typeSizes: { h1: { tag: "h1", fontSize: "28px" } } });
+    responsive.storeLayout("tablet", { viewport: { width: 768 }, typeSizes: { h1: { tag: "h1", fontSize: "33.5px" } } });
+    responsive.storeLayout("desktop", { viewport: { width: 1440 }, typeSizes: { h1: { tag: "h1", fontSize: "39px" } } });
+
+    const { normalized, files } = env.window.__seStyleKit.extract();
+    const typography = normalized.tokens.typography;
+    assert.equal(typography.modularScale.name, "major-third");
+    const h1 = typography.textStyles.h1;
+    assert.equal(h1.fontSize, "39px");
+    assert.equal(h1.fontWeight, "700");
+    assert.equal(h1.letterSpacing, "-0.02em");
+    assert.equal(h1.step, 4);
+    assert.match(h1.fluid, /^clamp\(1\.75rem, [\d.]+rem \+ [\d.]+vw, 2\.4375rem\)$/);
+    assert.equal(typography.textStyles.body.lineHeight, "24px");
+    assert.equal(typography.textStyles.caption.fontSize, "13px");
+
+    assert.match(files["variables.css"], /--text-h1: clamp\(/);
+    assert.match(files["variables.css"], /--text-h1--letter-spacing: -0\.02em;/);
+    assert.match(files["variables.css"], /major-third scale \(1\.25\) from 16px/);
+    assert.match(files["tailwind.config.js"], /"body": \[\s*"16px",\s*\{\s*"lineHeight": "24px"/);
+    assert.ok(!("modularScale" in JSON.parse(files["style-definition.ts"].match(/= (\{[\s\S]*\});/)[1]).typography));
+    assert.equal(env.window.__seAISemantic.extractDesignSystem().typography.modularScale.name, "major-third");
+
+    // The format exporters get the text styles, scale and fluid sizes too
+    const formatted = async (format) => (await env.window.extractStyle({ preset: "style", format })).formatted;
+    const tw4 = await formatted("tailwind4");
+    assert.match(tw4, /--text-h1: clamp\(1\.75rem/);
+    assert.match(tw4, /--text-body--line-height: 24px;/);
+    assert.match(tw4, /\/\* major-third scale \(1\.25\) from 16px/);
+    const dtcg = await formatted("dtcg");
+    assert.match(dtcg.typography.h1.$extensions["dev.stylekit"].fluid, /^clamp\(/);
+    assert.equal(dtcg.typography.body.$value.lineHeight, 1.5);
+    assert.equal(dtcg.fontSize.$extensions["dev.stylekit"].modularScale.name, "major-third");
+    assert.match(dtcg.fontSize.$extensions["dev.stylekit"].fluid.h1, /^clamp\(/);
+    const studio = await formatted("tokens-studio");
+    assert.equal(studio.core.typography.h1.type, "typography");
+    assert.equal(studio.core.typography.h1.value.letterSpacing, "-0.02em");
+    assert.match(studio.core.typography.h1.description, /^Fluid: clamp\(/);
+    const figma = await formatted("figma");
+    const h1Size = figma.variables.find((v) => v.name === "text/h1/font-size");
+    assert.equal(h1Size.codeSyntax.WEB, "var(--text-h1)");
+    assert.equal(figma.variableModeValues.find((v) => v.variableId === h1Size.id).value, 39);
+  } finally {
+    env.close();
+  }
+});
+
+test("StyleKit - spacing grid detects the base unit, builds its scale and reports off-grid elements", () => {
+  const env = createEnvironment({
+    html:
+      "<!doctype html><html><head><style>" +
+      "section { padding: 1rem; margin: 0; } .card { padding: 0.5rem 1.5rem; margin: 0; } .odd { padding: 0.8125rem; margin: 0; } " +
+      "p { margin: 1rem 0; }" +
+      "</style></head><body><section><div class=\"card\">A</div><div class=\"card\">B</div><div class=\"card odd\">C</div>" +
+      "<p>One</p><p>Two</p></section></body></html>",
+  });
+  try {
+    const { normalized, files } = env.window.__seStyleKit.extract();
+    const grid = normalized.tokens.spacingGrid;
+    assert.equal(grid.base, "8px");
+    assert.equal(grid.unit, "rem");
+    assert.equal(grid.scale["2"], "1rem");
+    assert.equal(grid.scale["3"], "1.5rem");
+    // jsdom keeps rem in computed styles; browsers report 13px
+    assert.deepEqual([...grid.offGrid.map((o) => o.nearest)], ["1rem"]);
+    assert.match(grid.offGrid[0].value, /^(13px|0\.8125rem)$/);
+    assert.equal(grid.offGridElements.length, 1);
+    assert.match(grid.offGridElements[0].selector, /\.odd/);
+    assert.equal(grid.offGridElements[0].properties["padding-top"].value, grid.offGrid[0].value);
+
+    const fmt = env.window.__seFormat;
+    const styleData = { spacing: normalized.tokens.spacing, spacingGrid: grid };
+    assert.equal(fmt.toTailwind(styleData).theme.extend.spacing["2"], "1rem");
+    assert.ok(!("xs" in fmt.toTailwind(styleData).theme.extend.spacing), "frequency buckets kept next to the grid scale");
+    const css = fmt.toCSSVars(styleData);
+    assert.match(css, /--space-base: 0\.5rem;/);
+    assert.match(css, /--space-3: 1\.5rem;/);
+    assert.match(fmt.toTailwind4(styleData), /--spacing: 0\.5rem; \/\* 8px base/);
+
+    // StyleKit's own variables.css and tailwind.config.js use the same scale
+    assert.match(files["variables.css"], /--space-base: 0\.5rem;/);
+    assert.match(files["variables.css"], /--space-2: 1rem;/);
+    assert.doesNotMatch(files["variables.css"], /--space-(xs|sm|md|lg|xl):/);
+    assert.match(files["tailwind.config.js"], /"3": "1\.5rem"/);
+    assert.equal(fmt.deriveSpacingBase({ "8px": 4, "16px": 2, "1rem": 1 }).px, 8);
+
+    const px = env.window.__seUtils.analyzeSpacingGrid({ "4px": 3, "12px": 4, "20px": 2, "7px": 1 });
+    assert.equal(px.base, "4px");
+    assert.equal(px.unit, "px");
+    assert.equal(px.coverage, 0.9);
+    assert.deepEqual({ ...px.scale }, { 1: "4px", 3: "12px", 5: "20px" });
+    assert.equal(env.window.__seUtils.analyzeSpacingGrid({ "7px": 4, "13px": 3, "10px": 2 }), null, "scattered values reported as a grid");
+  } finally {
+    env.close();
+  }
+});
+
+test("StyleKit - shadows, radii, z-index layers and opacity become ordered scales in every format", () => {
+  const env = createEnvironment({
+    html:
+      "<!doctype html><html><head><style>" +
+      ".card { box-shadow: 0 10px 15px -3px rgba(0, 0, 0, 0.1); border-radius: 8px; } " +
+      ".chip { box-shadow: 0 1px 2px rgba(0, 0, 0, 0.05); border-radius: 9999px; } " +
+      ".input { box-shadow: inset 0 2px 4px rgba(0, 0, 0, 0.06); border-radius: 4px; opacity: 0.5; } " +
+      ".site-header { position: sticky; z-index: 20; } .dropdown-menu { position: absolute; z-index: 10; } " +
+      ".modal-backdrop { position: fixed; z-index: 40; } .modal { position: fixed; z-index: 50; } .toast { position: fixed; z-index: 100; }" +
+      "</style></head><body><header class=\"site-header\"><div class=\"dropdown-menu\">Menu</div></header>" +
+      "<div class=\"card\">A</div><span class=\"chip\">B</span><input class=\"input\"></body></html>",
+  });
+  try {
+    const { normalized } = env.window.__seStyleKit.extract();
+    const tokens = normalized.tokens;
+    assert.deepEqual(Object.keys(tokens.shadows), ["xs", "lg", "inner"], "shadows not ranked by elevation");
+    assert.equal(tokens.shadows.lg, "0 10px 15px -3px rgba(0, 0, 0, 0.1)");
+    // No square corners on the page, so no `none` step
+    assert.deepEqual({ ...tokens.borders.radius }, { sm: "4px", lg: "8px", full: "9999px" });
+    assert.deepEqual({ ...env.window.__seUtils.analyzeRadiusScale({ "0px": 3, "6px": 2 }).scale }, { none: "0px", md: "6px" });
+    // Hidden modal and toast rules count through the stylesheet scan
+    assert.deepEqual({ ...tokens.zIndex }, { base: "0", dropdown: "10", sticky: "20", overlay: "40", modal: "50", toast: "100" });
+    assert.deepEqual({ ...tokens.opacity }, { 50: "0.5" });
+
+    const { files } = env.window.__seStyleKit.extract();
+    assert.match(files["variables.css"], /--z-modal: 50;/);
+    assert.match(files["tailwind.config.js"], /"zIndex": \{\n\s+"base": "0",\n\s+"dropdown": "10"/);
+
+    const fmt = env.window.__seFormat;
+    const styleData = {
+      borders: { radius: tokens.borders.radius },
+      shadows: tokens.shadows,
+      zIndex: tokens.zIndex,
+      opacity: tokens.opacity,
+    };
+    assert.equal(fmt.toTailwind(styleData).theme.extend.zIndex.toast, "100");
+    assert.match(fmt.toCSSVars(styleData), /--shadow-xs: [^;]+;\n  --shadow-lg: [^;]+;\n  --shadow-inner:/);
+    assert.match(fmt.toTailwind4(styleData), /--z-overlay: 40;/);
+    const dtcg = fmt.toDTCG(styleData);
+    assert.equal(dtcg.zIndex.modal.$value, 50);
+    assert.equal(dtcg.opacity["50"].$type, "number");
+    assert.equal(fmt.toJSON(styleData).zIndex.sticky, "20");
+    assert.equal(fmt.toStyleKit(styleData).borders.radius.lg, "8px");
+    assert.equal(fmt.toTokensStudio(normalized).core.zIndex.dropdown.value, "10");
+    const figma = fmt.toFigmaVariables(normalized);
+    assert.equal(figma.variableModeValues.find((v) => v.variableId === "primitives:opacity/50").value, 50);
+    const sd = env.window.__seExport.toStyleDictionary(tokens);
+    assert.equal(sd.tokens["z-index"].toast.value, 100);
+    assert.equal(sd.tokens["z-index"].toast.private, true);
+
+    // Bare value lists are ranked by the same analyzers
+    const ranked = fmt.toTailwind({ shadows: ["0 20px 25px -5px #0003", "0 1px 3px #0001"], borders: { radius: ["50%", "12px"] } });
+    assert.deepEqual(Object.keys(ranked.theme.extend.boxShadow), ["sm", "xl"]);
+    assert.deepEqual(Object.keys(ranked.theme.extend.borderRadius), ["xl", "full"]);
+  } finally {
+    env.close();
+  }
+
+  // A rule that resets the radius to 0 is an observed `none`
+  const square = createEnvironment({
+    html: "<!doctype html><html><head><style>.card { border-radius: 8px; } .card.flat { border-radius: 0; }</style></head><body><div class=\"card\">A</div><div class=\"card flat\">B</div></body></html>",
+  });
+  try {
+    assert.deepEqual({ ...square.window.__seStyleKit.extract().normalized.tokens.borders.radius }, { none: "0px", lg: "8px" });
+  } finally {
+    square.close();
+  }
+});
+
+test("StyleKit - gradients reference palette colors and backdrop, glass, filter and noise become effect tokens", () => {
+  const env = createEnvironment({
+    html:
+      "<!doctype html><html><head><style>" +
+      ".btn { background-color: #2563eb; color: #ffffff; } .hero { background-image: linear-gradient(90deg, #2563eb, #7c3aed 100%); } " +
+      ".glass { background-color: rgba(255, 255, 255, 0.2); border: 1px solid rgba(255, 255, 255, 0.3); } " +
+      ".photo { filter: grayscale(1) contrast(1.2); mix-blend-mode: multiply; } .grain { background-image: url(\"/assets/noise.svg\"); }" +
+      "</style></head><body><button class=\"btn\">A</button><button class=\"btn\">B</button><section class=\"hero\">H</section>" +
+      "<div class=\"glass\">G</div><img class=\"photo\"><div class=\"grain\"></div></body></html>",
+  });
+  try {
+    // jsdom drops backdrop-filter from computed styles; report what a browser would
+    const computed = env.window.getComputedStyle;
+    env.window.getComputedStyle = (el, pseudo) => {
+      const style = computed.call(env.window, el, pseudo);
+      if (el.classList?.contains("glass")) Object.defineProperty(style, "backdropFilter", { value: "blur(12px)" });
+      return style;
+    };
+    const { normalized, files } = env.window.__seStyleKit.extract();
+    const tokens = normalized.tokens;
+    const gradient = tokens.gradients["gradient-1"];
+    assert.equal(gradient.type, "linear");
+    assert.equal(gradient.prelude, "90deg");
+    assert.deepEqual([...gradient.stops].map((s) => [s.offset, s.ref || null]), [[0, "color.indigo.600"], [1, null]]);
+    assert.deepEqual({ ...tokens.effects.backdropFilter }, { "blur-md": "blur(12px)" });
+    assert.deepEqual({ ...tokens.effects.glass["glass-1"] }, {
+      backdropFilter: "blur(12px)",
+      background: "rgba(255, 255, 255, 0.2)",
+      border: "1px solid rgba(255, 255, 255, 0.3)",
+    });
+    assert.deepEqual({ ...tokens.effects.filter }, { "grayscale-contrast": "grayscale(1) contrast(1.2)" });
+    assert.deepEqual({ ...tokens.effects.blend }, { multiply: "multiply" });
+    assert.deepEqual(Object.values(tokens.effects.noise), ['url("/assets/noise.svg")']);
+    assert.match(files["variables.css"], /--gradient-1: linear-gradient\(90deg, var\(--color-indigo-600\), #7c3aed 100%\);/);
+    assert.match(files["tailwind.config.js"], /"backdropBlur": \{\n\s+"md": "12px"/);
+
+    const fmt = env.window.__seFormat;
+    const styleData = { colors: tokens.colors, tiers: tokens.tiers, gradients: tokens.gradients, effects: tokens.effects };
+    const tw = fmt.toTailwind(styleData).theme.extend;
+    assert.equal(tw.backgroundImage["gradient-1"], "linear-gradient(90deg, var(--color-indigo-600), #7c3aed 100%)");
+    assert.equal(tw.backdropBlur.md, "12px");
+    const css = fmt.toCSSVars(styleData);
+    assert.match(css, /--glass-1-background: rgba\(255, 255, 255, 0.2\);/);
+    assert.match(css, /--filter-grayscale-contrast: grayscale\(1\) contrast\(1.2\);/);
+    assert.match(fmt.toTailwind4(styleData), /--blur-md: 12px;/);
+    const dtcg = fmt.toDTCG(styleData);
+    assert.equal(dtcg.gradient["gradient-1"].$type, "gradient");
+    assert.deepEqual([...dtcg.gradient["gradient-1"].$value].map((s) => ({ ...s })), [
+      { color: "{color.indigo.600}", position: 0 },
+      { color: "#7c3aed", position: 1 },
+    ]);
+    assert.equal(dtcg.effect.backdropFilter["blur-md"].$value, "blur(12px)");
+
+    // Plain CSS gradients are parsed on the way in
+    const plain = fmt.toTailwind({ gradients: { sunset: "radial-gradient(circle, #f97316, #db2777)" } });
+    assert.equal(plain.theme.extend.backgroundImage.sunset, "radial-gradient(circle, #f97316, #db2777)");
+  } finally {
+    env.close();
+  }
+});
+
+test("StyleKit - cva and tailwind-variants recipes map looks, sizes, compound variants and states", () => {
+  const env = createEnvironment({
+    html:
+      "<!doctype html><html><head><style>" +
+      ".btn { padding: 8px 16px; border-radius: 6px; font-size: 14px; cursor: pointer; border: 0; } " +
+      ".btn-primary { background-color: #3b82f6; color: #ffffff; } .btn-primary:hover { background-color: #2563eb; } " +
+      ".btn-secondary { background-color: #f3f4f6; color: #111827; } .btn-lg { font-size: 18px; font-weight: 600; }" +
+      "</style></head><body><main>" +
+      "<button class=\"btn btn-primary\">Save</button><button class=\"btn btn-secondary\">Cancel</button>" +
+      "<button class=\"btn btn-primary btn-lg\">Start</button>" +
+      "</main></body></html>",
+  });
+  try {
+    const kit = env.window.__seStyleKit;
+    const button = kit.getVariantRecipes().button;
+    // Base keeps what every look shares; identifyVariant names the looks, which carry their colors
+    assert.deepEqual([...button.base], ["rounded-md", "cursor-pointer", "inline-block", "items-start"]);
+    assert.deepEqual(Object.keys(button.variants), ["variant", "size", "fullWidth"]);
+    assert.deepEqual([...button.variants.variant.primary], ["bg-blue-500", "text-white", "hover:bg-blue-600"]);
+    assert.deepEqual([...button.variants.variant.secondary], ["bg-gray-100", "text-gray-900"]);
+    assert.deepEqual([...button.variants.size.sm], ["px-3", "py-1.5", "text-sm"]);
+    // The large primary button's font size is the size option's; only its weight is compound
+    assert.deepEqual(Array.from(button.compoundVariants, (c) => ({ ...c, classes: [...c.classes] })), [
+      { variant: "primary", size: "lg", classes: ["font-semibold"] },
+    ]);
+    assert.deepEqual({ ...button.defaultVariants }, { variant: "primary", size: "sm", fullWidth: false });
+
+    const cva = kit.generateCva();
+    assert.ok(cva.includes("import { cva, type VariantProps } from 'class-variance-authority';"));
+    assert.ok(cva.includes("export const buttonVariants = cva('rounded-md cursor-pointer inline-block items-start', {"));
+    assert.ok(cva.includes("      primary: 'bg-blue-500 text-white hover:bg-blue-600',"));
+    assert.ok(cva.includes("      secondary: 'bg-gray-100 text-gray-900',"));
+    assert.ok(cva.includes("    { variant: 'primary', size: 'lg', class: 'font-semibold' },"));
+    assert.ok(cva.includes("export type ButtonVariantProps = VariantProps<typeof buttonVariants>;"));
+
+    const tv = kit.generateTv();
+    assert.ok(tv.includes("import { tv, type VariantProps } from 'tailwind-variants';"));
+    assert.match(tv, /export const buttonVariants = tv\(\{\n  slots: \{\n    base: 'rounded-md cursor-pointer inline-block items-start',\n    icon: '',\n    label: '',/);
+    assert.ok(tv.includes("      true: { base: 'w-full' },"));
+    assert.ok(tv.includes("    { variant: 'primary', size: 'lg', class: { base: 'font-semibold' } },"));
+    assert.ok(tv.includes("export type ButtonVariantProps = VariantProps<typeof buttonVariants>;"));
+
+    const files = kit.generateFiles();
+    assert.equal(files["cva-recipes.ts"], cva);
+    assert.equal(files["tv-recipes.ts"], tv);
+  } finally {
+    env.close();
+  }
+
+  // cva does not merge classes: no option may set a property base already sets
+  const group = (cls) => {
+    const [, prefix, utility] = cls.match(/^(.*:)?(.*)$/);
+    const key = /^text-(xs|sm|base|lg|\d?xl)$/.test(utility) ? "font-size"
+      : /^(inline-block|inline-flex|flex|grid|block|hidden)$/.test(utility) ? "display"
+        : /^p[xytrbl]?-/.test(utility) ? "padding"
+          : /^rounded/.test(utility) ? "rounded"
+            : /^border(-\d)?$/.test(utility) ? "border-width" : utility.replace(/-[^-]+$/, "");
+    return (prefix || "") + key;
+  };
+  for (const recipe of Object.values(page().__seStyleKit.getVariantRecipes())) {
+    const baseGroups = new Set(Array.from(recipe.base, group));
+    for (const [key, options] of Object.entries(recipe.variants)) {
+      for (const [option, classes] of Object.entries(options)) {
+        for (const cls of classes) assert.ok(!baseGroups.has(group(cls)), `${recipe.name}.${key}.${option}: ${cls} conflicts with base`);
+      }
+    }
+  }
+});
+
+// ============================================
+// Test 5: Format converter
+// ============================================
+
+test("Format - convertAll() outputs match golden snapshots", async () => {
+  const w = page();
+  const result = await w.extractStyle({ preset: "style", format: "dtcg" });
+  assert.notEqual(result.meta.status, "error");
+  assert.ok(result.formatted?.color, "dtcg output missing color group");
+  // Typography composites are the extracted text styles, not invented heading/body pairs
+  const textStyles = result.data.stylekit.normalized.tokens.typography.textStyles;
+  // (jsdom leaves em sizes unresolved, so only the px-sized styles become composites here)
+  assert.deepEqual(Object.keys(result.formatted.typography || {}), ["h1", "body"]);
+  assert.ok(Object.keys(textStyles).includes("h2"));
+  assert.deepEqual({ ...result.formatted.typography.body.$value }, { fontSize: "{fontSize.lg}", fontWeight: "{fontWeight.400}", letterSpacing: "0px" });
+  assert.equal(w.__seFormat.toDTCG({ typography: { families: ["Inter"], scale: ["16px"], weights: ["400"] } }).typography, undefined);
+
+  const styleData = {
+    name: "fixture",
+    colors: { primary: "#2563eb", text: "#111827" },
+    typography: {
+      families: ["Inter, sans-serif"],
+      scale: ["14px", "16px", "24px"],
+      weights: ["400", "700"],
+      textStyles: {
+        h1: { fontFamily: "Inter, sans-serif", fontSize: "24px", fontWeight: "700", lineHeight: "30px", letterSpacing: "-0.5px" },
+        body: { fontFamily: "Inter, sans-serif", fontSize: "16px", fontWeight: "400", lineHeight: "normal", letterSpacing: "normal" },
+      },
+    },
+    spacing: ["4px", "8px", "16px"],
+    borders: { radius: ["4px", "8px"] },
+    shadows: ["0 1px 2px rgba(0, 0, 0, 0.1)"],
+    animations: { durations: ["150ms"], easings: ["ease-in-out"] },
+  };
+  const all = w.__seFormat.convertAll(styleData);
+  for (const [name, output] of Object.entries(all)) {
+    if (typeof output === "string") matchGolden(`format/${name}.txt`, output);
+    else matchGolden(`format/${name}.json`, JSON.stringify(output, null, 2));
+  }
+});
+
+test("Format - toTailwind4() writes @theme with keyframes and a derived --spacing base", () => {
+  const env = createEnvironment({
+    html: "<!doctype html><html><head><style>:root { --color-brand: #ff0000; } @keyframes fade-in { from { opacity: 0; } to { opacity: 1; } }</style></head><body></body></html>",
+  });
+  try {
+    const fmt = env.window.__seFormat;
+    assert.equal(fmt.deriveSpacingBase({ "8px": 10, "16px": 6, "24px": 3, "12px": 1 }).px, 8);
+    assert.equal(fmt.deriveSpacingBase({ "8px": 10, "16px": 6, "24px": 3, "12px": 1 }).grid, true);
+    assert.equal(fmt.deriveSpacingBase({}).rem, "0.25rem");
+    // Values sharing no base unit are no grid rather than a 1px or 2px one
+    const scattered = fmt.deriveSpacingBase({ "7px": 4, "13px": 3, "10px": 2, "8px": 1 });
+    assert.equal(scattered.grid, false);
+    assert.equal(scattered.rem, "0.25rem");
+    assert.equal(scattered.samples, 4);
+    assert.equal(fmt.deriveSpacingBase({ "4px": 5, "8px": 5, "6px": 5 }).grid, false);
+    const noGrid = fmt.toTailwind4({ spacing: { a: "7px" } }, { spacingFrequency: { "7px": 4, "13px": 3 } });
+    assert.doesNotMatch(noGrid, /--spacing:/);
+    assert.match(noGrid, /No spacing grid/);
+
+    const css = fmt.toTailwind4(
+      { colors: { primary: "rgb(37, 99, 235)", brand: "var(--color-brand)" }, spacing: { md: "16px" }, animations: { durations: { fast: "150ms" } } },
+      { spacingFrequency: { "8px": 10, "16px": 4 } }
+    );
+    assert.match(css, /@import "tailwindcss";\n\n@theme \{/);
+    assert.match(css, /--color-primary: #2563eb;/);
+    assert.match(css, /--color-brand: #ff0000;/, "self-referencing var() not resolved");
+    assert.match(css, /--spacing: 0\.5rem;/);
+    assert.match(css, /--spacing-md: 16px;/);
+    assert.match(css, /--animate-fade-in: fade-in 150ms ease;/);
+    assert.match(css, /  @keyframes fade-in \{\n    from \{\n      opacity: 0;/);
+  } finally {
+    env.close();
+  }
+});
+
+test("Format - Tokens Studio sets and Figma modes follow detected themes", () => {
+  const w = page();
+  const normalized = {
+    tokens: {
+      colors: { semantic: { primary: "var(--brand)", accent: "#ff0000" }, palette: { "color-1": { value: "#2563eb", usage: ["background"] } } },
+      typography: { fontFamily: { primary: "Inter, sans-serif" }, fontSize: { base: "16px", lg: "1.25rem" }, fontWeight: { bold: "700" } },
+      spacing: { sm: "8px" },
+    },
+  };
+  const themes = {
+    current: { mode: "dark", variables: { colors: { "--brand": "#60a5fa" }, borders: { "--border-width": "1px" }, other: { "--hero-image": "url(x.png)" } } },
+    opposite: { mode: "light", variables: { colors: { "--brand": "#2563eb" }, borders: { "--border-width": "2px" }, other: { "--hero-image": "url(y.png)" } } },
+  };
+
+  const studio = w.__seFormat.toTokensStudio(normalized, themes);
+  assert.deepEqual([...studio.$metadata.tokenSetOrder], ["core", "light", "dark"]);
+  assert.equal(studio.light.semantic.primary.value, "{theme.brand}");
+  assert.equal(studio.dark.theme.brand.value, "#60a5fa");
+  assert.equal(studio.core.fontSizes.lg.value, "1.25rem");
+  // Non-color theme variables keep their own types
+  assert.equal(studio.light.theme["border-width"].type, "dimension");
+  assert.equal(studio.dark.theme["hero-image"].type, "other");
+  assert.equal(studio.dark.theme["hero-image"].value, "url(x.png)");
+
+  const figma = w.__seFormat.toFigmaVariables(normalized, themes);
+  const modes = Array.from(figma.variableModes.filter((m) => m.variableCollectionId === "theme"), (m) => m.name);
+  assert.deepEqual(modes, ["Light", "Dark"]);
+  const primary = figma.variableModeValues.find((v) => v.variableId === "theme:semantic/primary");
+  assert.deepEqual({ ...primary.value }, { type: "VARIABLE_ALIAS", id: "theme:theme/brand" });
+  const lg = figma.variableModeValues.find((v) => v.variableId === "primitives:font-size/lg");
+  assert.equal(lg.value, 20);
+  const types = Object.fromEntries(figma.variables.filter((v) => v.variableCollectionId === "theme").map((v) => [v.name, v.resolvedType]));
+  assert.equal(types["theme/brand"], "COLOR");
+  assert.equal(types["theme/border-width"], "FLOAT");
+  assert.equal(types["theme/hero-image"], "STRING");
+  const width = Array.from(figma.variableModeValues.filter((v) => v.variableId === "theme:theme/border-width"), (v) => v.value);
+  assert.deepEqual(width, [2, 1]);
+});
+
+test("Export - Style Dictionary tree uses rem sizes and keeps CSS-only tokens off native", () => {
+  const sd = page().__seExport.toStyleDictionary(
+    {
+      colors: { semantic: { primary: "rgb(37, 99, 235)" } },
+      typography: { fontSize: { base: "16px" }, fontFamily: { primary: "Inter, sans-serif" } },
+      spacing: { sm: "8px" },
+      shadows: { card: "0 1px 2px rgba(0, 0, 0, 0.1)" },
+    },
+    { name: "fixture site" }
+  );
+  assert.equal(sd.tokens.color.semantic.primary.value, "#2563eb");
+  assert.equal(sd.tokens.size.font.base.value, 1);
+  assert.equal(sd.tokens.size.spacing.sm.value, 0.5);
+  assert.equal(sd.tokens.shadow.card.private, true);
+  assert.equal(sd.config.platforms["ios-swift"].files[0].options.className, "FixtureSite");
+  assert.ok(sd.config.platforms.android.files.every((f) => f.filter === "removePrivate"));
+  matchGolden("style-dictionary/config.json", sd.files["config.json"]);
+});
+
+// ============================================
+// Test 5.5: Replica codegen
+// ============================================
+
+test("Replica - Vue, Svelte and Angular split the blueprint into section components with scoped styles", () => {
+  const w = page();
+  const blueprint = w.__seBlueprint.build({}, {});
+  const vue = w.__seCodeGen.toReplicaVue(blueprint, null);
+  assert.deepEqual([...vue.components], ["HeaderSection", "MainSection", "FooterSection"]);
+  assert.match(vue.files["App.vue"], /import HeaderSection from '.\/HeaderSection.vue';/);
+  assert.match(vue.files["App.vue"], /<div data-se-id="n1">\n    <HeaderSection \/>/);
+  assert.match(vue.files["main.ts"], /createApp\(App\).mount\('#app'\);/);
+  assert.match(vue.files["FooterSection.vue"], /<style scoped>\n\[data-se-id="n50"\] \{/);
+  // Section rules leave the global sheet; the reset and page root stay
+  assert.ok(!vue.files["replica.css"].includes('[data-se-id="n50"]'));
+  assert.match(vue.files["replica.css"], /\[data-se-id="n1"\] \{ min-height: 100vh; \}/);
+
+  // Detected sections win over top-level children; state rules follow their node
+  const custom = {
+    meta: { title: "Demo" },
+    tree: {
+      uid: "n1", tag: "body", selector: "body", children: [
+        { uid: "n2", tag: "header", selector: "body > header", text: "Logo" },
+        { uid: "n3", tag: "section", selector: "body > section.hero", children: [
+          { uid: "n4", tag: "button", selector: "body > section.hero > button", text: "Use {{ code }} @home" },
+        ] },
+      ],
+    },
+    sections: [{ name: "Hero", selector: "body > section.hero" }],
+  };
+  const stateCapture = { captured: { states: { "body > section.hero > button": { states: { default: { color: "red" }, hover: { color: "blue" } } } } } };
+  const svelte = w.__seCodeGen.toReplicaSvelte(custom, stateCapture);
+  assert.deepEqual(Object.keys(svelte.files), ["replica.css", "index.html", "main.ts", "App.svelte", "HeroSection.svelte"]);
+  assert.match(svelte.files["App.svelte"], /<header data-se-id="n2">Logo<\/header>\n  <HeroSection \/>/);
+  assert.match(svelte.files["HeroSection.svelte"], /Use &#123;&#123; code &#125;&#125; &#64;home/);
+  assert.match(svelte.files["HeroSection.svelte"], /<style>\n\[data-se-id="n4"\]:hover \{\n  color: blue;/);
+
+  const angular = w.__seCodeGen.toReplicaAngular(custom, stateCapture);
+  assert.deepEqual([...angular.components], ["HeroSectionComponent"]);
+  assert.match(angular.files["app.component.ts"], /imports: \[HeroSectionComponent\]/);
+  assert.match(angular.files["app.component.html"], /<app-hero-section><\/app-hero-section>/);
+  assert.match(angular.files["hero-section.component.css"], /^:host \{ display: contents; \}\n\[data-se-id="n4"\]:hover/);
+  assert.match(angular.files["index.html"], /<app-root><\/app-root>/);
+});
+
+test("Replica - content option moves copy into content.json or locale catalogs that every replica reads", () => {
+  const w = page();
+  const blueprint = w.__seBlueprint.build({}, {});
+  const react = w.__seCodeGen.toReplicaReact(blueprint, null, { content: true });
+  const content = JSON.parse(react.files["content.json"]);
+  assert.equal(content.meta.title, "Style Extractor v3.0 - E2E Test");
+  assert.deepEqual({ ...content.header.n4 }, { ariaLabel: "Main navigation" });
+  assert.deepEqual({ ...content.main.n41 }, { text: "Documentation", href: "#docs" });
+  assert.equal(content.footer.n51.text, blueprint.tree.children[2].children[0].text);
+
+  // No page copy ships in the components; pattern data arrays read the catalog too
+  const tsx = react.files["Page.tsx"];
+  assert.ok(tsx.includes("import content from './content.json';"));
+  assert.ok(tsx.includes('<h1 data-se-id="n12">{content.main.n12.text}</h1>'));
+  assert.ok(tsx.includes('aria-label={content.header.n4.ariaLabel}'));
+  assert.ok(tsx.includes("{ linkLabel: content.main.n41.text, linkHref: content.main.n41.href }"));
+  for (const copy of ["Style Extractor v3.0", "Main navigation", "Documentation", "#docs"]) {
+    assert.ok(!tsx.includes(copy), `"${copy}" still in the markup`);
+  }
+
+  // Static index.html keeps the default copy inline and survives a failed catalog fetch
+  const html = react.files["index.html"];
+  assert.ok(html.includes(`<title>${content.meta.title}</title>`));
+  assert.ok(html.includes(`<h1 data-se-id="n12" data-content="main.n12">${content.main.n12.text}</h1>`));
+  assert.ok(html.includes('aria-label="Main navigation" data-content="header.n4"'));
+  assert.ok(html.includes("fetch('content.json')"));
+  assert.ok(html.includes(".catch("));
+
+  const vue = w.__seCodeGen.toReplicaVue(blueprint, null, { content: { locales: ["en", "de"] } });
+  assert.equal(vue.files["locales/de.json"], vue.files["locales/en.json"]);
+  assert.equal(vue.files["content.json"], undefined);
+  assert.match(vue.files["HeaderSection.vue"], /^<script setup lang="ts">\nimport content from '.\/locales\/en.json';/);
+  assert.ok(vue.files["HeaderSection.vue"].includes('<a data-se-id="n5" :href="content.header.n5.href">{{ content.header.n5.text }}</a>'));
+
+  const angular = w.__seCodeGen.toReplicaAngular(blueprint, null, { content: true });
+  assert.ok(angular.files["header-section.component.ts"].includes("protected readonly content = content;"));
+  assert.ok(angular.files["header-section.component.html"].includes('[attr.aria-label]="content.header.n4.ariaLabel"'));
+
+  // The <body> wrapper binds its content attributes like any other node
+  const labelled = { ...blueprint, tree: { ...blueprint.tree, ariaLabel: "Style guide" } };
+  assert.ok(w.__seCodeGen.toReplicaVue(labelled, null, { content: true }).files["App.vue"].includes('<div data-se-id="n1" :aria-label="content.page.n1.ariaLabel">'));
+  assert.ok(w.__seCodeGen.toReplicaSvelte(labelled, null, { content: true }).files["App.svelte"].includes('aria-label={content.page.n1.ariaLabel}'));
+  assert.ok(w.__seCodeGen.toReplicaAngular(labelled, null, { content: true }).files["app.component.html"].startsWith('<div data-se-id="n1" [attr.aria-label]="content.page.n1.ariaLabel">'));
+
+  // Without the option the copy stays inline
+  assert.ok(!Object.keys(w.__seCodeGen.toReplicaReact(blueprint, null).files).includes("content.json"));
+});
+
+test("Replica - Tailwind mode writes exact utilities, state variants and mobile-first breakpoints with a report", () => {
+  const env = createEnvironment({
+    html:
+      "<!doctype html><html><head><style>" +
+      ".grid { display: grid; grid-template-columns: repeat(3, minmax(0, 1fr)); gap: 24px; padding: 16px 24px; } " +
+      ".btn { color: #ffffff; background-color: #3b82f6; padding: 8px 13px; border-radius: 6px; }" +
+      "</style></head><body><section class=\"grid\"><div>A</div><button class=\"btn\">Go</button></section></body></html>",
+  });
+  try {
+    const w = env.window;
+    const toTw = w.__seStyleKit.declToTailwind;
+    assert.deepEqual([...toTw("padding", "16px 24px").classes], ["py-4", "px-6"]);
+    assert.equal(toTw("font-size", "15px").classes[0], "text-[15px]");
+    assert.equal(toTw("font-size", "15px").kind, "arbitrary");
+    assert.equal(toTw("background-color", "rgba(0, 0, 0, 0.5)").classes[0], "bg-black/50");
+    const shadow = toTw("text-shadow", "0 1px 2px #000");
+    assert.equal(shadow.kind, "property");
+    assert.equal(shadow.classes[0], "[text-shadow:0_1px_2px_#000]");
+
+    const blueprint = w.__seBlueprint.build({}, {});
+    const find = (node, pred) => (pred(node) ? node : (node.children || []).map((c) => find(c, pred)).find(Boolean) || null);
+    const grid = find(blueprint.tree, (n) => n.tag === "section");
+    const button = find(blueprint.tree, (n) => n.tag === "button");
+    const rect = { x: 0, y: 0, width: 1440, height: 200 };
+    w.__seResponsive.storeLayout("desktop", { viewport: { width: 1440 }, gridLayouts: [{ selector: grid.selector, gridTemplateColumns: "repeat(3, minmax(0, 1fr))", gap: "24px", rect }] });
+    w.__seResponsive.storeLayout("mobile", { viewport: { width: 375 }, gridLayouts: [{ selector: grid.selector, gridTemplateColumns: "repeat(1, minmax(0, 1fr))", gap: "16px", rect: { ...rect, width: 375 } }] });
+    const stateCapture = {
+      captured: { states: { [button.selector]: { states: { default: { backgroundColor: "rgb(59, 130, 246)" }, hover: { backgroundColor: "rgb(37, 99, 235)" } } } } },
+    };
+
+    const { classesByUid, report } = w.__seCodeGen.toReplicaTailwind(blueprint, stateCapture);
+    const gridClasses = classesByUid[grid.uid].split(" ");
+    // Desktop-first @media (max-width: 767px) flips to a mobile-first md: prefix
+    for (const cls of ["grid", "grid-cols-1", "md:grid-cols-3", "gap-4", "md:gap-6", "py-4", "px-6"]) {
+      assert.ok(gridClasses.includes(cls), `missing ${cls} in ${classesByUid[grid.uid]}`);
+    }
+    const buttonClasses = classesByUid[button.uid].split(" ");
+    for (const cls of ["bg-blue-500", "hover:bg-blue-600", "text-white", "rounded-md", "py-2", "px-[13px]"]) {
+      assert.ok(buttonClasses.includes(cls), `missing ${cls} in ${classesByUid[button.uid]}`);
+    }
+    assert.ok(report.arbitraryValues > 0 && report.utilities > report.arbitraryValues);
+    // jsdom's default button border has no utility
+    assert.ok(report.arbitraryProperties.some((e) => e.uid === button.uid && e.declaration.startsWith("border:")));
+
+    const react = w.__seCodeGen.toReplicaReact(blueprint, stateCapture, { styling: "tailwind" });
+    assert.deepEqual(Object.keys(react.files), ["index.html", "Page.tsx", "tailwind-report.json"]);
+    assert.ok(!react.files["Page.tsx"].includes("replica.css"));
+    assert.match(react.files["Page.tsx"], /<button data-se-id="n\d+" className="[^"]*hover:bg-blue-600/);
+    assert.match(react.files["index.html"], /<script src="https:\/\/cdn.tailwindcss.com"><\/script>/);
+    assert.match(react.files["index.html"], /<section data-se-id="n\d+" class="[^"]*md:grid-cols-3/);
+    assert.equal(JSON.parse(react.files["tailwind-report.json"]).utilities, report.utilities);
+  } finally {
+    env.close();
+  }
+});
+
+
+test("Replica - repeated patterns become prop-driven React components rendered from data arrays", () => {
+  const card = (cls, title, img) =>
+    `<article class="${cls}"><img src="/img/${img}.png" alt="${title} icon"><h3>${title}</h3>` +
+    `<p>About ${title.toLowerCase()}.</p><a class="more" href="/${img}">Read more</a></article>`;
+  const env = createEnvironment({
+    html:
+      "<!doctype html><html><head><style>" +
+      ".features { display: grid; grid-template-columns: repeat(4, 1fr); gap: 16px; } " +
+      ".feature-card { padding: 16px; background-color: #ffffff; } .feature-card--featured { background-color: #1e293b; } " +
+      "h3 { font-size: 20px; } .more { color: #2563eb; }" +
+      "</style></head><body><section class=\"features\">" +
+      card("feature-card", "Speed", "speed") +
+      card("feature-card feature-card--featured", "Scale", "scale") +
+      card("feature-card", "Safety", "safety") +
+      card("feature-card", "Support", "support") +
+      "</section></body></html>",
+  });
+  try {
+    const w = env.window;
+    const blueprint = w.__seBlueprint.build({}, {});
+    const cards = blueprint.tree.children[0].children;
+    assert.equal(cards.length, 4);
+
+    const react = w.__seCodeGen.toReplicaReact(blueprint, null);
+    assert.equal(react.components.length, 1);
+    const component = react.components[0];
+    assert.equal(component.name, "FeatureCard");
+    assert.equal(component.instances, 4);
+    // The shared "Read more" label stays literal; everything that differs is a prop
+    assert.deepEqual([...component.props], ["imageSrc", "imageAlt", "title", "body", "linkHref"]);
+    assert.deepEqual([...component.variants], ["default", "featured"]);
+
+    const tsx = react.files["FeatureCard.tsx"];
+    assert.ok(tsx.includes("export interface FeatureCardProps {\n  imageSrc: string;"));
+    assert.ok(tsx.includes("variant?: 'default' | 'featured';"));
+    assert.ok(tsx.includes(`<img data-se-id="${cards[0].children[0].uid}" src={imageSrc} alt={imageAlt} />`));
+    assert.ok(tsx.includes(`>{title}</h3>`) && tsx.includes(">Read more</a>"));
+    assert.ok(tsx.includes("{...attrs.root}"));
+    assert.ok(tsx.includes(`featured: { root: { 'data-se-id': "${cards[1].uid}" } }`));
+
+    const page = react.files["Page.tsx"];
+    assert.ok(page.includes("import FeatureCard, { type FeatureCardProps } from './FeatureCard';"));
+    assert.ok(page.includes("const featureCards: FeatureCardProps[] = ["));
+    assert.ok(page.includes('title: "Scale", body: "About scale.", linkHref: "/scale", variant: "featured" }'));
+    assert.ok(page.includes("{featureCards.map((item, index) => <FeatureCard key={index} {...item} />)}"));
+    assert.ok(!page.includes("<article"));
+
+    // Later instances reuse instance 1's hooks (the featured root keeps its own) and lose their rules
+    const css = react.files["replica.css"];
+    assert.ok(css.includes(`[data-se-id="${cards[1].uid}"]`));
+    assert.ok(!css.includes(`[data-se-id="${cards[2].uid}"]`));
+    assert.ok(!css.includes(`[data-se-id="${cards[3].children[1].uid}"]`));
+    const html = react.files["index.html"];
+    assert.equal(html.split(`<h3 data-se-id="${cards[0].children[1].uid}">`).length - 1, 4);
+
+    const inline = w.__seCodeGen.toReplicaReact(blueprint, null, { extractPatterns: false });
+    assert.equal(inline.components, undefined);
+    assert.equal(inline.files["FeatureCard.tsx"], undefined);
+    assert.ok(inline.files["Page.tsx"].split("<article").length - 1 === 4);
+    assert.ok(page.length < inline.files["Page.tsx"].length);
+  } finally {
+    env.close();
+  }
+});
+// ============================================
+// Test 6: Incremental
+// ============================================
+
+test("Incremental - compare() detects changed sections", () => {
+  const inc = page().__seIncremental;
+  const prev = { colors: { primary: "#000" }, spacing: { sm: "4px" } };
+  const next = { colors: { primary: "#fff" }, spacing: { sm: "4px" } };
+  const diff = inc.compare(prev, next);
+  assert.equal(diff.hasChanges, true);
+  assert.ok(diff.changedSections.includes("colors"));
+  assert.ok(diff.unchangedSections.includes("spacing"));
+  assert.equal(inc.compare(prev, prev).hasChanges, false);
+});
+
+// ============================================
+// Test 7: Visual diff (replica verification, no browser needed)
+// ============================================
+
+function solidImage(width, height, rgb) {
+  const data = new Uint8Array(width * height * 4);
+  for (let i = 0; i < width * height; i++) data.set([...rgb, 255], i * 4);
+  return { width, height, data };
+}
+
+function paintStripes(image, rect) {
+  for (let y = rect.y; y < rect.y + rect.height; y++) {
+    for (let x = rect.x; x < rect.x + rect.width; x++) {
+      const v = x % 4 < 2 ? 0 : 255;
+      image.data.set([v, v, v, 255], (y * image.width + x) * 4);
+    }
+  }
+}
+
+test("VisualDiff - PNG round trip and SSIM scores per section with worst region mapped to a node", () => {
+  const diff = require("../tools/visual-diff.cjs");
+  const source = solidImage(128, 128, [240, 240, 240]);
+  paintStripes(source, { x: 0, y: 0, width: 128, height: 32 });
+
+  const decoded = diff.decodePNG(diff.encodePNG(source));
+  assert.equal(decoded.width, 128);
+  assert.deepEqual(Buffer.from(decoded.data), Buffer.from(source.data));
+
+  // Replica keeps the header stripes but misses the stripes of the card below
+  paintStripes(source, { x: 64, y: 64, width: 32, height: 32 });
+  const replica = solidImage(128, 128, [240, 240, 240]);
+  paintStripes(replica, { x: 0, y: 0, width: 128, height: 32 });
+
+  const sections = [
+    { id: "section-1", name: "Header", selector: "header", rect: { x: 0, y: 0, width: 128, height: 32 } },
+    { id: "section-2", name: "Main", selector: "main", rect: { x: 0, y: 32, width: 128, height: 96 } },
+  ];
+  const nodes = [
+    { uid: "n2", selector: "main", rect: sections[1].rect },
+    { uid: "n3", selector: "main > .card", rect: { x: 60, y: 60, width: 40, height: 40 } },
+  ];
+  const scored = diff.scoreViewport(source, replica, { sections, nodes, tileSize: 32 });
+
+  assert.equal(diff.scoreViewport(source, source).score, 1);
+  assert.equal(scored.sections[0].score, 1);
+  assert.ok(scored.sections[1].score < 0.95, `main scored ${scored.sections[1].score}`);
+  assert.ok(scored.score > scored.sections[1].score);
+  assert.equal(scored.worstRegions[0].selector, "main > .card");
+  assert.deepEqual([scored.worstRegions[0].x, scored.worstRegions[0].y], [64, 64]);
+
+  const heatmap = diff.renderHeatmap(source, scored.result);
+  const at = (x, y) => [...heatmap.data.subarray((y * 128 + x) * 4, (y * 128 + x) * 4 + 3)];
+  assert.ok(at(70, 70)[0] > at(70, 70)[1] + 100, "mismatch not painted red");
+  assert.equal(at(10, 100)[0], at(10, 100)[1]);
+});
+
+// ============================================
+// Test 8: CLI argument parsing
+// ============================================
+
+test("CLI - boolean flags do not swallow the target", () => {
+  const { getPositionals } = require("../tools/style-extractor.cjs");
+  const target = "tests/e2e-test.html";
+  for (const flag of ["--noCssRecovery", "--offlineCss", "--frames", "--brandScales"]) {
+    assert.deepEqual(getPositionals(["extract", flag, target]), ["extract", target], flag);
+  }
+  assert.deepEqual(getPositionals(["extract", "--preset", "style", target, "--out", ".tmp/e2e"]), ["extract", target]);
+});
+
+// ============================================
+// Run
+// ============================================
+
+(async () => {
+  try {
+    loadJsdom();
+  } catch (e) {
+    console.error(e.message);
+    process.exit(1);
+  }
+
+  for (const { name, fn } of tests) {
+    if (FILTER && !name.includes(FILTER)) continue;
+    try {
+      await fn();
+      results.passed++;
+      console.log(`[PASS] ${name}`);
+    } catch (e) {
+      results.failed++;
+      console.error(`[FAIL] ${name}: ${e.message}`);
+    }
+  }
+
+  if (shared) shared.close();
+
+  const updated = results.updated ? `, ${results.updated} golden file(s) written` : "";
+  console.log(`\n${results.passed} passed, ${results.failed} failed${updated}`);
+  process.exit(results.failed ? 1 : 0);
+})();
@@ -0,0 +1,363 @@
+/*
+  Cross-origin stylesheet recovery.
+
+  Pages can list CDN-hosted stylesheets, but reading `cssRules` on them throws a SecurityError,
+  so css-parser.js never sees their variables, keyframes, @font-face rules or media queries.
+  This module downloads those stylesheet bodies (or reads them from a local evidence/css folder),
+  parses them in Node and returns items in the same shapes css-parser.js produces, each marked
+  with its source URL. The page side merges them via `window.__seCSS.registerExternalCss(sheets)`.
+
+  Usage:
+    const recover = require("./css-recover.cjs");
+    const sheets = await recover.recoverStylesheets(
+      [{ url: "https://cdn.example.com/site.css", media: "all" }],
+      { cssDir: "evidence/css", saveDir: ".tmp/out/evidence/css" }
+    );
+    recover.parseStylesheet("@media (min-width: 640px) { .a { color: red } }");
+
+  Notes:
+  - Parsing is css-tree's tolerant parser (package.json dependency) with values, selectors and
+    at-rule preludes kept as raw text, so values come back as written.
+  - Variables are read from top-level style rules and rules inside @layer blocks (unconditional);
+    selectors are bucketed exactly like css-parser.extractVariables (:root / html / body / other).
+  - url() references in variables and @font-face src are resolved against the stylesheet URL.
+  - @import targets are followed (same-origin or not) up to `maxSheets` stylesheets in total.
+*/
+
+const fs = require("node:fs");
+const path = require("node:path");
+const crypto = require("node:crypto");
+const csstree = require("css-tree");
+
+const GROUP_AT_RULES = new Set(["media", "supports", "layer", "container", "document", "-moz-document", "scope", "starting-style"]);
+const KEYFRAMES_AT_RULES = new Set(["keyframes", "-webkit-keyframes", "-moz-keyframes"]);
+
+// Raw text for selectors, preludes and values; parse errors recover like a browser would
+const PARSE_OPTIONS = {
+  parseValue: false,
+  parseCustomProperty: false,
+  parseAtrulePrelude: false,
+  parseRulePrelude: false,
+  onParseError: () => {},
+};
+
+// ============================================
+// Parser
+// ============================================
+
+/**
+ * Convert css-tree Block children to rules. Each rule is either
+ *   { type: "style", selector, declarations: [{ property, value, important }] }
+ *   { type: "at", name, prelude, rules?, declarations? }
+ * Group at-rules (@media, @supports, @layer, @container, ...) carry `rules`;
+ * @keyframes carries `rules` of keyframe selectors; @font-face / @page / @property carry `declarations`.
+ */
+function toRules(nodes) {
+  const rules = [];
+  for (const node of nodes || []) {
+    if (node.type === "Rule") {
+      const selector = normalizeSpace(node.prelude?.value || "");
+      if (selector) rules.push({ type: "style", selector, declarations: toDeclarations(node.block?.children) });
+    } else if (node.type === "Atrule") {
+      const name = node.name.toLowerCase();
+      const rule = { type: "at", name, prelude: normalizeSpace(node.prelude?.value || "") };
+      if (node.block) {
+        if (GROUP_AT_RULES.has(name) || KEYFRAMES_AT_RULES.has(name)) rule.rules = toRules(node.block.children);
+        else rule.declarations = toDeclarations(node.block.children);
+      }
+      rules.push(rule);
+    }
+  }
+  return rules;
+}
+
+/**
+ * Declarations of a css-tree Block. Nested rules (CSS nesting) are skipped.
+ */
+function toDeclarations(nodes) {
+  const declarations = [];
+  for (const node of nodes || []) {
+    if (node.type !== "Declaration") continue;
+    const property = node.property.startsWith("--") ? node.property : node.property.toLowerCase();
+    declarations.push({ property, value: String(node.value?.value || "").trim(), important: !!node.important });
+  }
+  return declarations;
+}
+
+/**
+ * Parse a declaration block body ("color: red; --x: 1px").
+ */
+function parseDeclarations(text) {
+  const ast = csstree.parse(String(text || ""), { ...PARSE_OPTIONS, context: "declarationList" });
+  return toDeclarations(csstree.toPlainObject(ast).children);
+}
+
+function normalizeSpace(text) {
+  return String(text).replace(/\s+/g, " ").trim();
+}
+
+/**
+ * Parse stylesheet text into a rule tree.
+ */
+function parseStylesheet(text) {
+  const ast = csstree.parse(String(text || "").replace(/^\uFEFF/, ""), PARSE_OPTIONS);
+  return toRules(csstree.toPlainObject(ast).children);
+}
+
+// ============================================
+// Extraction
+// ============================================
+
+function resolveUrls(value, baseUrl) {
+  if (!baseUrl) return value;
+  return value.replace(/url\(\s*(['"]?)([^'")]+)\1\s*\)/g, (match, quote, ref) => {
+    if (/^(data:|#|[a-z][\w+.-]*:\/\/)/i.test(ref)) return match;
+    try {
+      return `url("${new URL(ref, baseUrl).href}")`;
+    } catch {
+      return match;
+    }
+  });
+}
+
+function declarationValue(declarations, property) {
+  let found = "";
+  for (const d of declarations) if (d.property === property) found = d.value;
+  return found;
+}
+
+function keyframeOffset(text) {
+  return text
+    .split(",")
+    .map((s) => {
+      const t = s.trim().toLowerCase();
+      if (t === "from") return "0%";
+      if (t === "to") return "100%";
+      return t;
+    })
+    .join(", ");
+}
+
+function serializeKeyframes(name, keyword, frames) {
+  const body = frames.map((f) => {
+    const decls = Object.entries(f.styles).map(([p, v]) => `${p}: ${v};`).join(" ");
+    return `  ${f.offset} { ${decls} }`;
+  });
+  return `@${keyword} ${name} {\n${body.join("\n")}\n}`;
+}
+
+/**
+ * Extract css-parser shaped items from stylesheet text.
+ * Returns { variables: { root, html, body, other }, keyframes, fontFaces, mediaQueries, imports }.
+ */
+function extractFromStylesheet(text, url) {
+  const source = url || "inline";
+  const variables = { root: {}, html: {}, body: {}, other: {} };
+  const keyframes = [];
+  const fontFaces = [];
+  const mediaQueries = [];
+  const imports = [];
+
+  const readVariables = (rule) => {
+    for (const d of rule.declarations) {
+      if (!d.property.startsWith("--")) continue;
+      const value = resolveUrls(d.value, url);
+      const selector = rule.selector;
+      if (selector === ":root") variables.root[d.property] = value;
+      else if (selector === "html") variables.html[d.property] = value;
+      else if (selector === "body") variables.body[d.property] = value;
+      else {
+        if (!variables.other[selector]) variables.other[selector] = {};
+        variables.other[selector][d.property] = value;
+      }
+    }
+  };
+
+  const walk = (rules, ctx) => {
+    for (const rule of rules) {
+      if (rule.type === "style") {
+        if (!ctx.conditional) readVariables(rule);
+        continue;
+      }
+
+      if (rule.name === "import" && !ctx.conditional && !ctx.layer) {
+        const m = rule.prelude.match(/^(?:url\(\s*(['"]?)([^'")]+)\1\s*\)|(['"])(.*?)\3)\s*(.*)$/);
+        if (m) {
+          const ref = m[2] || m[4];
+          let href = ref;
+          try {
+            href = new URL(ref, url || undefined).href;
+          } catch {
+            // Keep relative when there is no base URL.
+          }
+          imports.push({ url: href, media: m[5].replace(/^layer(\([^)]*\))?\s*/, "").trim() || "all" });
+        }
+        continue;
+      }
+
+      if (KEYFRAMES_AT_RULES.has(rule.name)) {
+        const name = rule.prelude.replace(/^['"]|['"]$/g, "");
+        const frames = (rule.rules || [])
+          .filter((f) => f.type === "style")
+          .map((f) => ({
+            offset: keyframeOffset(f.selector),
+            styles: Object.fromEntries(f.declarations.map((d) => [d.property, d.value])),
+          }));
+        keyframes.push({ name, frames, cssText: serializeKeyframes(name, rule.name, frames), source });
+        continue;
+      }
+
+      if (rule.name === "font-face") {
+        const decls = rule.declarations || [];
+        fontFaces.push({
+          family: declarationValue(decls, "font-family").replace(/['"]/g, ""),
+          src: resolveUrls(declarationValue(decls, "src"), url),
+          weight: declarationValue(decls, "font-weight") || "normal",
+          style: declarationValue(decls, "font-style") || "normal",
+          display: declarationValue(decls, "font-display") || "auto",
+          source,
+        });
+        continue;
+      }
+
+      if (rule.name === "media" && rule.rules) {
+        const entry = { query: rule.prelude, ruleCount: rule.rules.length, source };
+        if (ctx.layer) entry.layer = ctx.layer;
+        if (ctx.supports.length) entry.supports = ctx.supports.slice();
+        mediaQueries.push(entry);
+        walk(rule.rules, { ...ctx, conditional: true });
+        continue;
+      }
+
+      if (rule.name === "supports" && rule.rules) {
+        walk(rule.rules, { ...ctx, conditional: true, supports: [...ctx.supports, rule.prelude] });
+        continue;
+      }
+
+      if (rule.name === "layer" && rule.rules) {
+        const name = rule.prelude || "(anonymous)";
+        walk(rule.rules, { ...ctx, layer: ctx.layer ? `${ctx.layer}.${name}` : name });
+        continue;
+      }
+
+      if (rule.rules) walk(rule.rules, { ...ctx, conditional: true });
+    }
+  };
+
+  walk(parseStylesheet(text), { conditional: false, layer: null, supports: [] });
+
+  return { variables, keyframes, fontFaces, mediaQueries, imports };
+}
+
+// ============================================
+// Loading
+// ============================================
+
+/**
+ * Stable file name for a stylesheet URL: `<sha1-8>-<basename>.css`.
+ */
+function cssFileName(url) {
+  let base = "style.css";
+  try {
+    base = path.posix.basename(new URL(url).pathname) || base;
+  } catch {
+    // Not a URL; hash only.
+  }
+  base = base.replace(/[^\w.-]+/g, "_");
+  if (!base.endsWith(".css")) base += ".css";
+  const hash = crypto.createHash("sha1").update(String(url)).digest("hex").slice(0, 8);
+  return `${hash}-${base}`;
+}
+
+function readLocal(cssDir, url) {
+  if (!cssDir) return null;
+  const hashed = cssFileName(url);
+  const plain = hashed.slice(9);
+  for (const name of [hashed, plain]) {
+    const file = path.join(cssDir, name);
+    if (fs.existsSync(file)) return { text: fs.readFileSync(file, "utf8"), file };
+  }
+  return null;
+}
+
+async function fetchText(url, { timeoutMs, fetchImpl }) {
+  const doFetch = fetchImpl || globalThis.fetch;
+  if (typeof doFetch !== "function") throw new Error("fetch() is not available (Node 18+ required)");
+  const res = await doFetch(url, { signal: AbortSignal.timeout(timeoutMs), headers: { accept: "text/css,*/*;q=0.1" } });
+  if (!res.ok) throw new Error(`HTTP ${res.status}`);
+  return res.text();
+}
+
+/**
+ * Load and parse stylesheets the page could not read.
+ *
+ * @param {Array<{url: string, media?: string}>} entries - from __seCSS.getInaccessibleStylesheets()
+ * @param {Object} [options]
+ * @param {string} [options.cssDir] - folder with local copies (looked up before the network)
+ * @param {string} [options.saveDir] - folder to write downloaded bodies to (evidence/css)
+ * @param {boolean} [options.offline] - never touch the network; local copies only
+ * @param {number} [options.timeoutMs=15000]
+ * @param {number} [options.maxSheets=40] - cap including followed @imports
+ * @param {Function} [options.fetchImpl] - fetch replacement (tests)
+ * @returns {Promise<Array>} one entry per stylesheet, ready for __seCSS.registerExternalCss()
+ */
+async function recoverStylesheets(entries, options = {}) {
+  const timeoutMs = options.timeoutMs || 15000;
+  const maxSheets = options.maxSheets || 40;
+  const queue = (entries || []).map((e) => ({ url: e.url, media: e.media || "all", importedBy: null }));
+  const seen = new Set();
+  const sheets = [];
+
+  while (queue.length && sheets.length < maxSheets) {
+    const entry = queue.shift();
+    if (!entry.url || seen.has(entry.url)) continue;
+    seen.add(entry.url);
+
+    const sheet = { url: entry.url, media: entry.media, importedBy: entry.importedBy, status: "failed" };
+    sheets.push(sheet);
+
+    let text = null;
+    const local = readLocal(options.cssDir, entry.url);
+    if (local) {
+      text = local.text;
+      sheet.status = "local";
+      sheet.file = local.file;
+    } else if (options.offline) {
+      sheet.error = "No local copy";
+      continue;
+    } else {
+      try {
+        text = await fetchText(entry.url, { timeoutMs, fetchImpl: options.fetchImpl });
+        sheet.status = "fetched";
+        if (options.saveDir) {
+          fs.mkdirSync(options.saveDir, { recursive: true });
+          sheet.file = path.join(options.saveDir, cssFileName(entry.url));
+          fs.writeFileSync(sheet.file, text);
+        }
+      } catch (e) {
+        sheet.error = e?.name === "TimeoutError" ? `Timed out after ${timeoutMs}ms` : e?.message || String(e);
+        continue;
+      }
+    }
+
+    const extracted = extractFromStylesheet(text, entry.url);
+    sheet.bytes = Buffer.byteLength(text);
+    sheet.variables = extracted.variables;
+    sheet.keyframes = extracted.keyframes;
+    sheet.fontFaces = extracted.fontFaces;
+    sheet.mediaQueries = extracted.mediaQueries;
+    for (const imp of extracted.imports) {
+      queue.push({ url: imp.url, media: imp.media, importedBy: entry.url });
+    }
+  }
+
+  return sheets;
+}
+
+module.exports = {
+  parseStylesheet,
+  parseDeclarations,
+  extractFromStylesheet,
+  cssFileName,
+  recoverStylesheets,
+};
@@ -345,6 +345,14 @@ async function main() {
   const browserUrlOverride = getArg("--browserUrl", null);
   const outDir = getArg("--outDir", null);
   const codeMaxNodes = Number(getArg("--codeMaxNodes", "240")) || 240;
+  // Replica codegen target for --outDir: react (default), vue, svelte or angular
+  const framework = String(getArg("--framework", "react")).toLowerCase();
+  const replicaGenerator = { react: "toReplicaReact", vue: "toReplicaVue", svelte: "toReplicaSvelte", angular: "toReplicaAngular" }[framework];
+  // --styling tailwind: utility classes inline instead of replica.css (React/HTML replica only)
+  const styling = getArg("--styling", "css") === "tailwind" ? "tailwind" : "css";
+  // --content: copy goes to content.json; --locales en,de writes one catalog per locale instead
+  const locales = String(getArg("--locales", "") || "").split(",").map((l) => l.trim()).filter(Boolean);
+  const contentOption = locales.length ? { locales } : hasFlag("--content");
   const codeMaxDepth = Number(getArg("--codeMaxDepth", "12")) || 12;
   const promptMaxChars = Number(getArg("--promptMaxChars", "12000")) || 12000;
   const skipResponsive = hasFlag("--skipResponsive");
@@ -352,6 +360,12 @@ async function main() {
   const skipScreenshots = hasFlag("--skipScreenshots") || !withScreenshots;
   const strict = hasFlag("--strict");
 
+  if (!replicaGenerator) {
+    // eslint-disable-next-line no-console
+    console.error(`Unknown --framework "${framework}" (expected react, vue, svelte or angular)`);
+    process.exit(2);
+  }
+
   if (testInit) {
     // Allow smoke-testing MCP transport without needing Chrome or script injection.
   } else if (!url || !baseUrl) {
@@ -729,8 +743,8 @@ async function main() {
          const r = await window.extractStyle({ preset: 'replica', format: 'raw' });
          const bp = r?.data?.blueprint || null;
          const sc = r?.data?.['state-capture'] || null;
-         const files = window.__seCodeGen?.toReplicaReact
-           ? window.__seCodeGen.toReplicaReact(bp, sc, { maxNodes: ${codeMaxNodes}, maxDepth: ${codeMaxDepth}, stateLimit: 12 })
+         const files = window.__seCodeGen?.${replicaGenerator}
+           ? window.__seCodeGen.${replicaGenerator}(bp, sc, { maxNodes: ${codeMaxNodes}, maxDepth: ${codeMaxDepth}, stateLimit: 12, styling: '${styling}', content: ${JSON.stringify(contentOption)} })
            : null;
          const prompt = window.__seBlueprint?.toLLMPrompt
            ? window.__seBlueprint.toLLMPrompt(bp, { maxChars: ${promptMaxChars} })
@@ -0,0 +1,39 @@
+/*
+  Module load order for Node-side injection (tools/style-extractor.cjs, tests/node-harness.cjs).
+
+  tests/load-scripts.js is the authoritative list: it is the loader pasted into DevTools, so it
+  cannot require anything. This module reads its SCRIPTS array instead of keeping a copy.
+
+  Usage:
+    const { SCRIPT_ORDER, listScripts } = require("./script-order.cjs");
+    listScripts("scripts");  // every scripts/*.js on disk, in load order
+*/
+
+const fs = require("node:fs");
+const path = require("node:path");
+
+const LOADER_PATH = path.resolve(__dirname, "..", "tests", "load-scripts.js");
+
+function readScriptOrder() {
+  const source = fs.readFileSync(LOADER_PATH, "utf8");
+  const list = source.match(/const SCRIPTS = \[([\s\S]*?)\];/);
+  if (!list) throw new Error(`No SCRIPTS array in ${LOADER_PATH}`);
+  return Array.from(list[1].matchAll(/'([^']+\.js)'/g), (m) => m[1]);
+}
+
+const SCRIPT_ORDER = readScriptOrder();
+
+/**
+ * Every .js module in `scriptsDir` in load order. Modules not listed yet still load,
+ * alphabetically, just before the registry (which wires the others together).
+ */
+function listScripts(scriptsDir) {
+  const onDisk = fs.readdirSync(scriptsDir).filter((f) => f.endsWith(".js"));
+  const ordered = SCRIPT_ORDER.filter((f) => onDisk.includes(f));
+  const extra = onDisk.filter((f) => !SCRIPT_ORDER.includes(f)).sort();
+  const registryIdx = ordered.indexOf("registry.js");
+  if (registryIdx === -1) return ordered.concat(extra);
+  return ordered.slice(0, registryIdx).concat(extra, ordered.slice(registryIdx));
+}
+
+module.exports = { SCRIPT_ORDER, listScripts };
@@ -0,0 +1,1186 @@
+#!/usr/bin/env node
+
+/*
+  Headless style-extractor CLI.
+
+  What it does:
+  1) Launches a local headless Chrome (or attaches to an existing one via --browserUrl).
+  2) Opens the target URL or local HTML file over the Chrome DevTools Protocol (CDP).
+  3) Injects every scripts/*.js module straight from disk (no static server or tunnel needed).
+  4) Recovers cross-origin stylesheets the page cannot read: downloads them (or reads --cssDir copies),
+     parses them in Node (tools/css-recover.cjs) and registers the result with __seCSS.
+  5) Runs extractStyle({ preset }) and writes the generated deliverables to --out.
+  6) `verify` instead renders the generated replica at each responsive-extract STANDARD_VIEWPORTS size
+     and pixel-diffs it against the source page (tools/visual-diff.cjs).
+
+  Usage:
+    node tools/style-extractor.cjs extract https://example.com --preset full --out .tmp/example
+    node tools/style-extractor.cjs extract tests/e2e-test.html --out .tmp/e2e
+    node tools/style-extractor.cjs verify https://example.com --viewports mobile,desktop --out .tmp/verify
+
+  Output (mirrors the SKILL.md layout):
+    tokens.json, variables.css, tailwind.config.js, tailwind.css (v4 @theme), style-tokens.ts,
+    style-recipes.ts, cva-recipes.ts + tv-recipes.ts (cva / tailwind-variants), design-system-prompt.md,
+    style-definition.ts, structure/*.json, export.json,
+    contrast-audit.json (WCAG/APCA failures + suggestions),
+    style-dictionary/ (config.json + tokens/*.json, build with `npx style-dictionary build`),
+    extraction-report.json (meta + warnings/errors + externalCss), evidence/screenshots/full.png (--screenshot),
+    evidence/css/<hash>-<name>.css (downloaded cross-origin stylesheets),
+    frames.json + frames/<n>-<host>/ (--frames: frame inventory and per-frame cross-origin extractions)
+
+  Verify output:
+    replica/index.html + replica.css (code-generator toReplicaHTML/toReplicaCSS),
+    visual-diff/<viewport>/{source,replica,heatmap}.png, fidelity-report.json
+    (SSIM score per viewport and blueprint section, worst regions mapped to node selectors)
+
+  Notes:
+  - CDP is spoken over a minimal built-in WebSocket client; the only package dependency is css-tree
+    (tools/css-recover.cjs), installed with `npm install`.
+  - Chrome is resolved from --chrome, $CHROME_PATH, common install locations, then the puppeteer cache.
+  - Exits non-zero when extraction reports status "error" (or "partial" with --strict).
+*/
+
+const fs = require("node:fs");
+const os = require("node:os");
+const http = require("node:http");
+const crypto = require("node:crypto");
+const path = require("node:path");
+const { spawn } = require("node:child_process");
+const { pathToFileURL } = require("node:url");
+const { listScripts: listScriptFiles } = require("./script-order.cjs");
+
+const ROOT_DIR = path.resolve(__dirname, "..");
+const SCRIPTS_DIR = path.join(ROOT_DIR, "scripts");
+
+const PRESETS = ["minimal", "style", "components", "motion", "ai-semantic", "replica", "full"];
+const NAMING_STRATEGIES = ["semantic", "original", "tailwind"];
+// verify emulates a mobile device for viewports narrower than STANDARD_VIEWPORTS' tablet
+const TABLET_MIN_WIDTH = 768;
+
+function getArg(flag, fallback = null) {
+  const idx = process.argv.indexOf(flag);
+  if (idx === -1) return fallback;
+  const next = process.argv[idx + 1];
+  if (!next || next.startsWith("--")) return fallback;
+  return next;
+}
+
+function hasFlag(flag) {
+  return process.argv.includes(flag);
+}
+
+function sleep(ms) {
+  return new Promise((r) => setTimeout(r, ms));
+}
+
+function withTimeout(promise, ms, label) {
+  let t = null;
+  const timeout = new Promise((_, reject) => {
+    t = setTimeout(() => reject(new Error(`Timeout after ${ms}ms: ${label}`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(t));
+}
+
+function debugLog(...args) {
+  if (hasFlag("--debug")) console.error("[style-extractor]", ...args);
+}
+
+// Positional args are everything that is not a flag or a flag value.
+function getPositionals(argv = process.argv.slice(2)) {
+  const out = [];
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (a.startsWith("--")) {
+      const next = argv[i + 1];
+      if (next && !next.startsWith("--") && !BOOLEAN_FLAGS.has(a)) i++;
+      continue;
+    }
+    out.push(a);
+  }
+  return out;
+}
+
+const BOOLEAN_FLAGS = new Set([
+  "--screenshot",
+  "--noSandbox",
+  "--headful",
+  "--offlineCss",
+  "--noCssRecovery",
+  "--frames",
+  "--brandScales",
+  "--strict",
+  "--debug",
+  "--help",
+]);
+
+function printUsage() {
+  console.log(
+    [
+      "Usage: node tools/style-extractor.cjs extract <url|file.html> [options]",
+      "       node tools/style-extractor.cjs verify <url|file.html> [options]",
+      "",
+      "Options:",
+      `  --preset <name>       ${PRESETS.join(" | ")} (default: full)`,
+      "  --out <dir>           Output directory (default: ./style-extractor-out)",
+      "  --viewport <WxH>      Viewport size (default: 1440x900)",
+      "  --waitMs <ms>         Extra settle time after load (default: 500)",
+      "  --timeoutMs <ms>      Per-step timeout (default: 60000)",
+      "  --browserUrl <url>    Attach to a running Chrome (e.g. http://127.0.0.1:9222)",
+      "  --chrome <path>       Chrome/Chromium executable to launch",
+      "  --noSandbox           Pass --no-sandbox to Chrome (containers/CI)",
+      "  --headful             Launch a visible browser window",
+      "  --screenshot          Save evidence/screenshots/full.png",
+      "  --cssDir <dir>        Local copies of cross-origin stylesheets (default: <out>/evidence/css)",
+      "  --offlineCss          Recover cross-origin stylesheets from --cssDir only (no network)",
+      "  --noCssRecovery       Skip cross-origin stylesheet recovery",
+      "  --frames              Traverse same-origin iframes; extract cross-origin ones separately",
+      "  --maxFrames <n>       Cap on cross-origin frames extracted with --frames (default: 5)",
+      `  --naming <strategy>   Token names: ${NAMING_STRATEGIES.join(" | ")} (default: semantic)`,
+      "  --brandScales         Generate OKLCH 50-950 ramps for the primary/secondary/accent colors",
+      "  --strict              Exit non-zero on partial extraction",
+      "  --debug               Verbose logging",
+      "",
+      "Verify options (render the generated replica and diff it against the source):",
+      "  --viewports <names>   Comma-separated STANDARD_VIEWPORTS names, or all (default: all)",
+      "  --maxHeight <px>      Cap on the captured page height (default: 4000)",
+      "  --minScore <0..1>     Exit non-zero when the mean fidelity score is lower",
+      "  --regionThreshold <0..1>  Report 64px tiles scoring below this as worst regions (default: 0.9)",
+    ].join("\n")
+  );
+}
+
+// ============================================
+// Target + Chrome resolution
+// ============================================
+
+function resolveTargetUrl(target) {
+  if (/^(https?|file|data):/i.test(target)) return target;
+  const abs = path.resolve(process.cwd(), target);
+  if (fs.existsSync(abs)) return pathToFileURL(abs).href;
+  if (/^[\w-]+(\.[\w-]+)+(:\d+)?(\/|$)/.test(target)) return `https://${target}`;
+  return null;
+}
+
+function findOnPath(names) {
+  const dirs = String(process.env.PATH || "").split(path.delimiter).filter(Boolean);
+  for (const dir of dirs) {
+    for (const name of names) {
+      const candidate = path.join(dir, name);
+      try {
+        fs.accessSync(candidate, fs.constants.X_OK);
+        return candidate;
+      } catch {}
+    }
+  }
+  return null;
+}
+
+function findPuppeteerChrome() {
+  const cache = path.join(os.homedir(), ".cache", "puppeteer");
+  const layouts = [
+    ["chrome", ["chrome-linux64", "chrome"]],
+    ["chrome", ["chrome-mac-arm64", "Google Chrome for Testing.app", "Contents", "MacOS", "Google Chrome for Testing"]],
+    ["chrome", ["chrome-mac-x64", "Google Chrome for Testing.app", "Contents", "MacOS", "Google Chrome for Testing"]],
+    ["chrome", ["chrome-win64", "chrome.exe"]],
+    ["chrome-headless-shell", ["chrome-headless-shell-linux64", "chrome-headless-shell"]],
+    ["chrome-headless-shell", ["chrome-headless-shell-mac-arm64", "chrome-headless-shell"]],
+    ["chrome-headless-shell", ["chrome-headless-shell-mac-x64", "chrome-headless-shell"]],
+    ["chrome-headless-shell", ["chrome-headless-shell-win64", "chrome-headless-shell.exe"]],
+  ];
+  for (const [product, parts] of layouts) {
+    let versions = [];
+    try {
+      versions = fs.readdirSync(path.join(cache, product)).sort().reverse();
+    } catch {
+      continue;
+    }
+    for (const v of versions) {
+      const candidate = path.join(cache, product, v, ...parts);
+      if (fs.existsSync(candidate)) return candidate;
+    }
+  }
+  return null;
+}
+
+function findChrome() {
+  const explicit = getArg("--chrome") || process.env.CHROME_PATH;
+  if (explicit) return explicit;
+
+  if (process.platform === "darwin") {
+    const candidates = [
+      "/Applications/Google Chrome.app/Contents/MacOS/Google Chrome",
+      "/Applications/Chromium.app/Contents/MacOS/Chromium",
+      "/Applications/Microsoft Edge.app/Contents/MacOS/Microsoft Edge",
+    ];
+    const hit = candidates.find((p) => fs.existsSync(p));
+    if (hit) return hit;
+  } else if (process.platform === "win32") {
+    const roots = [process.env.PROGRAMFILES, process.env["PROGRAMFILES(X86)"], process.env.LOCALAPPDATA].filter(Boolean);
+    for (const root of roots) {
+      const candidates = [
+        path.join(root, "Google", "Chrome", "Application", "chrome.exe"),
+        path.join(root, "Microsoft", "Edge", "Application", "msedge.exe"),
+      ];
+      const hit = candidates.find((p) => fs.existsSync(p));
+      if (hit) return hit;
+    }
+  } else {
+    const hit = findOnPath(["google-chrome", "google-chrome-stable", "chromium", "chromium-browser", "microsoft-edge"]);
+    if (hit) return hit;
+  }
+
+  return findPuppeteerChrome();
+}
+
+function getJson(url, timeoutMs = 2000) {
+  return new Promise((resolve, reject) => {
+    const req = http.get(url, { timeout: timeoutMs }, (res) => {
+      let body = "";
+      res.setEncoding("utf8");
+      res.on("data", (c) => (body += c));
+      res.on("end", () => {
+        try {
+          resolve(JSON.parse(body));
+        } catch (e) {
+          reject(new Error(`Invalid JSON from ${url}: ${e.message}`));
+        }
+      });
+    });
+    req.on("timeout", () => req.destroy(new Error(`Timeout fetching ${url}`)));
+    req.on("error", reject);
+  });
+}
+
+async function launchChrome(executable, { viewport, timeoutMs }) {
+  const userDataDir = fs.mkdtempSync(path.join(os.tmpdir(), "style-extractor-chrome-"));
+  const args = [
+    hasFlag("--headful") ? null : "--headless=new",
+    "--remote-debugging-port=0",
+    `--user-data-dir=${userDataDir}`,
+    `--window-size=${viewport.width},${viewport.height}`,
+    "--no-first-run",
+    "--no-default-browser-check",
+    "--disable-gpu",
+    "--disable-extensions",
+    "--disable-background-networking",
+    "--disable-dev-shm-usage",
+    "--hide-scrollbars",
+    "--mute-audio",
+  ].filter(Boolean);
+
+  const runningAsRoot = typeof process.getuid === "function" && process.getuid() === 0;
+  if (hasFlag("--noSandbox") || runningAsRoot) args.push("--no-sandbox");
+  args.push("about:blank");
+
+  debugLog("launch", executable, args.join(" "));
+  const proc = spawn(executable, args, { stdio: ["ignore", "ignore", "pipe"] });
+
+  const wsUrl = await withTimeout(
+    new Promise((resolve, reject) => {
+      let stderr = "";
+      proc.stderr.setEncoding("utf8");
+      proc.stderr.on("data", (chunk) => {
+        stderr += chunk;
+        if (hasFlag("--debug")) process.stderr.write(chunk);
+        const m = stderr.match(/DevTools listening on (ws:\/\/\S+)/);
+        if (m) resolve(m[1]);
+      });
+      proc.once("error", reject);
+      proc.once("exit", (code) => reject(new Error(`Chrome exited early (code ${code}).\n${stderr.slice(-2000)}`)));
+    }),
+    timeoutMs,
+    "launch Chrome"
+  );
+
+  async function close() {
+    if (proc.exitCode === null) {
+      try {
+        proc.kill();
+      } catch {}
+      await new Promise((resolve) => {
+        const t = setTimeout(resolve, 3000);
+        proc.once("exit", () => {
+          clearTimeout(t);
+          resolve();
+        });
+      });
+    }
+    try {
+      fs.rmSync(userDataDir, { recursive: true, force: true });
+    } catch {}
+  }
+
+  return { wsUrl, close };
+}
+
+// ============================================
+// Minimal WebSocket client (RFC 6455, client side)
+// ============================================
+
+function connectWebSocket(wsUrl, timeoutMs) {
+  return withTimeout(
+    new Promise((resolve, reject) => {
+      const url = new URL(wsUrl);
+      const key = crypto.randomBytes(16).toString("base64");
+      const req = http.request({
+        host: url.hostname,
+        port: url.port,
+        path: url.pathname + url.search,
+        headers: {
+          Connection: "Upgrade",
+          Upgrade: "websocket",
+          "Sec-WebSocket-Key": key,
+          "Sec-WebSocket-Version": "13",
+        },
+      });
+
+      req.on("error", reject);
+      req.on("response", (res) => reject(new Error(`WebSocket upgrade refused: HTTP ${res.statusCode}`)));
+      req.on("upgrade", (res, socket, head) => {
+        const expected = crypto.createHash("sha1").update(key + "258EAFA5-E914-47DA-95CA-C5AB0DC85B11").digest("base64");
+        if (res.headers["sec-websocket-accept"] !== expected) {
+          socket.destroy();
+          reject(new Error("WebSocket handshake failed: bad Sec-WebSocket-Accept"));
+          return;
+        }
+        resolve(createWebSocket(socket, head));
+      });
+      req.end();
+    }),
+    timeoutMs,
+    "connect CDP WebSocket"
+  );
+}
+
+function encodeWsFrame(opcode, payload) {
+  const len = payload.length;
+  let header;
+  if (len < 126) {
+    header = Buffer.alloc(2);
+    header[1] = 0x80 | len;
+  } else if (len < 65536) {
+    header = Buffer.alloc(4);
+    header[1] = 0x80 | 126;
+    header.writeUInt16BE(len, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[1] = 0x80 | 127;
+    header.writeBigUInt64BE(BigInt(len), 2);
+  }
+  header[0] = 0x80 | opcode;
+
+  // Client frames must be masked.
+  const mask = crypto.randomBytes(4);
+  const masked = Buffer.alloc(len);
+  for (let i = 0; i < len; i++) masked[i] = payload[i] ^ mask[i & 3];
+  return Buffer.concat([header, mask, masked]);
+}
+
+function createWebSocket(socket, head) {
+  const listeners = { message: [], close: [] };
+  let buffer = head && head.length ? Buffer.from(head) : Buffer.alloc(0);
+  let fragments = [];
+  let closed = false;
+
+  function emit(type, value) {
+    for (const fn of listeners[type]) fn(value);
+  }
+
+  function handleClose() {
+    if (closed) return;
+    closed = true;
+    emit("close");
+  }
+
+  function drain() {
+    while (buffer.length >= 2) {
+      const fin = (buffer[0] & 0x80) !== 0;
+      const opcode = buffer[0] & 0x0f;
+      const masked = (buffer[1] & 0x80) !== 0;
+      let len = buffer[1] & 0x7f;
+      let offset = 2;
+
+      if (len === 126) {
+        if (buffer.length < 4) return;
+        len = buffer.readUInt16BE(2);
+        offset = 4;
+      } else if (len === 127) {
+        if (buffer.length < 10) return;
+        len = Number(buffer.readBigUInt64BE(2));
+        offset = 10;
+      }
+
+      const maskKey = masked ? buffer.subarray(offset, offset + 4) : null;
+      if (masked) offset += 4;
+      if (buffer.length < offset + len) return;
+
+      let payload = buffer.subarray(offset, offset + len);
+      if (maskKey) {
+        payload = Buffer.from(payload);
+        for (let i = 0; i < payload.length; i++) payload[i] ^= maskKey[i & 3];
+      }
+      buffer = buffer.subarray(offset + len);
+
+      if (opcode === 0x8) {
+        socket.end();
+        handleClose();
+        return;
+      }
+      if (opcode === 0x9) {
+        socket.write(encodeWsFrame(0xa, payload));
+        continue;
+      }
+      if (opcode === 0xa) continue;
+
+      fragments.push(Buffer.from(payload));
+      if (fin) {
+        const message = Buffer.concat(fragments).toString("utf8");
+        fragments = [];
+        emit("message", message);
+      }
+    }
+  }
+
+  socket.on("data", (chunk) => {
+    buffer = buffer.length ? Buffer.concat([buffer, chunk]) : chunk;
+    drain();
+  });
+  socket.on("close", handleClose);
+  socket.on("error", handleClose);
+  if (buffer.length) setImmediate(drain);
+
+  return {
+    send(text) {
+      if (closed) throw new Error("WebSocket is closed");
+      socket.write(encodeWsFrame(0x1, Buffer.from(text, "utf8")));
+    },
+    on(type, fn) {
+      listeners[type].push(fn);
+    },
+    close() {
+      if (closed) return;
+      try {
+        socket.write(encodeWsFrame(0x8, Buffer.alloc(0)));
+      } catch {}
+      socket.end();
+      handleClose();
+    },
+  };
+}
+
+// ============================================
+// CDP client
+// ============================================
+
+function createCdpClient(ws) {
+  let nextId = 1;
+  const pending = new Map();
+  const eventWaiters = [];
+
+  ws.on("message", (text) => {
+    let msg = null;
+    try {
+      msg = JSON.parse(text);
+    } catch {
+      return;
+    }
+
+    if (msg.id !== undefined) {
+      const entry = pending.get(msg.id);
+      if (!entry) return;
+      pending.delete(msg.id);
+      if (msg.error) entry.reject(new Error(`${entry.method}: ${msg.error.message}`));
+      else entry.resolve(msg.result || {});
+      return;
+    }
+
+    for (let i = eventWaiters.length - 1; i >= 0; i--) {
+      const w = eventWaiters[i];
+      if (w.method === msg.method && (!w.sessionId || w.sessionId === msg.sessionId)) {
+        eventWaiters.splice(i, 1);
+        w.resolve(msg.params || {});
+      }
+    }
+  });
+
+  ws.on("close", () => {
+    for (const entry of pending.values()) entry.reject(new Error("CDP connection closed"));
+    pending.clear();
+    for (const w of eventWaiters.splice(0)) w.reject(new Error("CDP connection closed"));
+  });
+
+  function send(method, params = {}, sessionId = null) {
+    const id = nextId++;
+    const msg = { id, method, params };
+    if (sessionId) msg.sessionId = sessionId;
+    return new Promise((resolve, reject) => {
+      pending.set(id, { method, resolve, reject });
+      try {
+        ws.send(JSON.stringify(msg));
+      } catch (e) {
+        pending.delete(id);
+        reject(e);
+      }
+    });
+  }
+
+  // Rejects after timeoutMs (when given) and stops listening either way.
+  function waitForEvent(method, sessionId = null, timeoutMs = 0) {
+    let waiter = null;
+    const event = new Promise((resolve, reject) => {
+      waiter = { method, sessionId, resolve, reject };
+      eventWaiters.push(waiter);
+    });
+    if (!(timeoutMs > 0)) return event;
+    return withTimeout(event, timeoutMs, method).finally(() => {
+      const idx = eventWaiters.indexOf(waiter);
+      if (idx !== -1) eventWaiters.splice(idx, 1);
+    });
+  }
+
+  return { send, waitForEvent, close: () => ws.close() };
+}
+
+async function evaluate(cdp, sessionId, expression, { timeoutMs, label }) {
+  const res = await withTimeout(
+    cdp.send(
+      "Runtime.evaluate",
+      { expression, awaitPromise: true, returnByValue: true, userGesture: true },
+      sessionId
+    ),
+    timeoutMs,
+    label
+  );
+  if (res.exceptionDetails) {
+    const d = res.exceptionDetails;
+    const detail = d.exception?.description || d.text || "Unknown exception";
+    throw new Error(`${label}: ${detail}`);
+  }
+  return res.result?.value;
+}
+
+// ============================================
+// Browser session
+// ============================================
+
+async function openBrowser({ viewport, timeoutMs }) {
+  let browser = null;
+  let wsUrl = null;
+  const browserUrl = getArg("--browserUrl");
+  if (browserUrl) {
+    const version = await getJson(`${browserUrl.replace(/\/+$/, "")}/json/version`, timeoutMs);
+    wsUrl = version.webSocketDebuggerUrl;
+    if (!wsUrl) throw new Error(`No webSocketDebuggerUrl at ${browserUrl}/json/version`);
+  } else {
+    const executable = findChrome();
+    if (!executable) {
+      throw new Error("Chrome not found. Pass --chrome <path>, set CHROME_PATH, or use --browserUrl.");
+    }
+    browser = await launchChrome(executable, { viewport, timeoutMs });
+    wsUrl = browser.wsUrl;
+  }
+
+  let ws = null;
+  try {
+    ws = await connectWebSocket(wsUrl, timeoutMs);
+  } catch (e) {
+    if (browser) await browser.close();
+    throw e;
+  }
+  const cdp = createCdpClient(ws);
+  const targetIds = [];
+
+  // New tab with Page/Runtime enabled; returns its flat-mode session id.
+  async function openPage(pageViewport) {
+    const { targetId } = await cdp.send("Target.createTarget", { url: "about:blank" });
+    targetIds.push(targetId);
+    const { sessionId } = await cdp.send("Target.attachToTarget", { targetId, flatten: true });
+    await cdp.send("Page.enable", {}, sessionId);
+    await cdp.send("Runtime.enable", {}, sessionId);
+    await setViewport(cdp, sessionId, pageViewport);
+    return sessionId;
+  }
+
+  async function close() {
+    // Tabs in an attached browser are left behind otherwise; a launched one goes away entirely.
+    if (browserUrl) {
+      for (const targetId of targetIds) {
+        try {
+          await withTimeout(cdp.send("Target.closeTarget", { targetId }), 2000, "close target");
+        } catch {}
+      }
+    }
+    cdp.close();
+    if (browser) await browser.close();
+  }
+
+  return { cdp, openPage, close };
+}
+
+function setViewport(cdp, sessionId, viewport) {
+  return cdp.send(
+    "Emulation.setDeviceMetricsOverride",
+    { width: viewport.width, height: viewport.height, deviceScaleFactor: 1, mobile: !!viewport.mobile },
+    sessionId
+  );
+}
+
+async function navigate(cdp, sessionId, url, { waitMs, timeoutMs }) {
+  debugLog("navigate", url);
+  const loaded = cdp.waitForEvent("Page.loadEventFired", sessionId, timeoutMs);
+  try {
+    const nav = await withTimeout(cdp.send("Page.navigate", { url }, sessionId), timeoutMs, `navigate ${url}`);
+    if (nav.errorText) throw new Error(`Navigation failed: ${nav.errorText}`);
+  } catch (e) {
+    loaded.catch(() => {});
+    throw e;
+  }
+  await loaded.catch((e) => {
+    throw new Error(`${e.message} (loading ${url})`);
+  });
+  if (waitMs > 0) await sleep(waitMs);
+}
+
+async function injectScripts(cdp, sessionId, timeoutMs) {
+  const scripts = listScripts();
+  for (const file of scripts) {
+    const code = fs.readFileSync(path.join(SCRIPTS_DIR, file), "utf8");
+    const sourceUrl = pathToFileURL(path.join(SCRIPTS_DIR, file)).href;
+    await evaluate(cdp, sessionId, `${code}\n//# sourceURL=${sourceUrl}`, { timeoutMs, label: `inject ${file}` });
+    debugLog("injected", file);
+  }
+  return scripts;
+}
+
+// ============================================
+// Extraction
+// ============================================
+
+function listScripts() {
+  return listScriptFiles(SCRIPTS_DIR);
+}
+
+function buildExtractExpression(preset, { includeFrames = false, naming = null, palette = null } = {}) {
+  // Runs in the page. Only the deliverables are returned so the CDP payload stays small.
+  return `(async () => {
+    if (typeof window.extractStyle !== 'function') throw new Error('extractStyle() is not installed');
+    const result = await window.extractStyle({ preset: ${JSON.stringify(preset)}, format: 'tailwind4', includeFrames: ${includeFrames}, naming: ${JSON.stringify(naming)}, palette: ${JSON.stringify(palette)} });
+    const data = result.data || {};
+    let files = data.stylekit?.files || null;
+    if (!files && window.__seStyleKit?.installed) {
+      try { files = window.__seStyleKit.extract({ naming: ${JSON.stringify(naming)}, palette: ${JSON.stringify(palette)} }).files; } catch (e) {}
+    }
+    const structure = data.structure || null;
+    return {
+      meta: result.meta,
+      errors: result.errors,
+      warnings: result.warnings,
+      files: files || {},
+      structure: structure ? {
+        'dom-tree.json': structure.dom,
+        'layout-patterns.json': structure.layout,
+        'breakpoints.json': structure.breakpoints,
+        'semantic.json': structure.semantic
+      } : null,
+      tailwind4: typeof result.formatted === 'string' ? result.formatted : null,
+      contrast: data.contrast || null,
+      exportSchema: data.export?.schema || null,
+      styleDictionary: data.export?.schema && window.__seExport?.toStyleDictionary
+        ? window.__seExport.toStyleDictionary(data.export.schema.tokens, { name: data.export.schema.meta?.name }).files
+        : null,
+      frames: data.frames || null
+    };
+  })()`;
+}
+
+/**
+ * Recover stylesheets the page cannot read (cross-origin without CORS): list them in the page,
+ * load them in Node (local --cssDir copies first, then the network) and register the parsed
+ * items with __seCSS so extractStyle() sees their variables, keyframes, fonts and media queries.
+ */
+async function recoverCrossOriginCss(cdp, sessionId, options) {
+  const { outDir, timeoutMs } = options;
+  const pending = await evaluate(cdp, sessionId, "window.__seCSS?.getInaccessibleStylesheets?.() || []", {
+    timeoutMs,
+    label: "list cross-origin stylesheets",
+  });
+  if (!pending.length) return [];
+
+  const cssRecover = require("./css-recover.cjs");
+  const saveDir = path.join(outDir, "evidence", "css");
+  const sheets = await cssRecover.recoverStylesheets(pending, {
+    cssDir: options.cssDir || saveDir,
+    saveDir: options.offlineCss ? null : saveDir,
+    offline: options.offlineCss,
+    timeoutMs: Math.min(timeoutMs, 15000),
+  });
+  await evaluate(cdp, sessionId, `window.__seCSS.registerExternalCss(${JSON.stringify(sheets)})`, {
+    timeoutMs,
+    label: "register recovered stylesheets",
+  });
+  for (const sheet of sheets) debugLog("css recovery", sheet.status, sheet.url, sheet.error || "");
+  return sheets;
+}
+
+/**
+ * Write the deliverables returned by buildExtractExpression(); returns the relative paths written.
+ */
+function writeDeliverables(outDir, extracted) {
+  const written = [];
+  for (const [name, content] of Object.entries(extracted.files || {})) {
+    if (typeof content === "string") written.push(writeFile(outDir, name, content));
+  }
+  if (extracted.structure) {
+    for (const [name, value] of Object.entries(extracted.structure)) {
+      if (value !== undefined && value !== null) written.push(writeFile(outDir, path.join("structure", name), toJsonText(value)));
+    }
+  }
+  if (extracted.tailwind4) {
+    written.push(writeFile(outDir, "tailwind.css", extracted.tailwind4));
+  }
+  if (extracted.contrast) {
+    written.push(writeFile(outDir, "contrast-audit.json", toJsonText(extracted.contrast)));
+  }
+  if (extracted.exportSchema) {
+    written.push(writeFile(outDir, "export.json", toJsonText(extracted.exportSchema)));
+  }
+  for (const [name, content] of Object.entries(extracted.styleDictionary || {})) {
+    written.push(writeFile(outDir, path.join("style-dictionary", name), content));
+  }
+  return written;
+}
+
+// ============================================
+// Cross-origin frames
+// ============================================
+
+/**
+ * Extract each cross-origin frame in the same tab at the frame's own size, writing its
+ * deliverables to frames/<n>-<host>/. Returns one run record per frame.
+ */
+async function extractCrossOriginFrames(cdp, sessionId, frames, options) {
+  const { preset, outDir, viewport, waitMs, timeoutMs, naming, palette } = options;
+  const runs = [];
+
+  for (const [i, frame] of frames.entries()) {
+    let host = "frame";
+    try {
+      host = new URL(frame.url).hostname.replace(/[^\w.-]+/g, "_") || host;
+    } catch {}
+    const run = { selector: frame.selector, url: frame.url, offset: frame.offset, dir: path.join("frames", `${i + 1}-${host}`), files: [] };
+    runs.push(run);
+
+    try {
+      const frameViewport = {
+        width: frame.rect?.width > 0 ? frame.rect.width : viewport.width,
+        height: frame.rect?.height > 0 ? frame.rect.height : viewport.height,
+      };
+      await setViewport(cdp, sessionId, frameViewport);
+      await navigate(cdp, sessionId, frame.url, { waitMs, timeoutMs });
+      await injectScripts(cdp, sessionId, timeoutMs);
+      const extracted = await evaluate(cdp, sessionId, buildExtractExpression(preset, { naming, palette }), {
+        timeoutMs,
+        label: `extractStyle ${frame.url}`,
+      });
+      run.status = extracted.meta?.status || "unknown";
+      run.tree = extracted.structure?.["dom-tree.json"]?.tree || null;
+      run.files = writeDeliverables(path.join(outDir, run.dir), extracted);
+    } catch (e) {
+      run.status = "error";
+      run.error = e?.message || String(e);
+    }
+    debugLog("frame", run.status, frame.url, run.error || "");
+  }
+
+  return runs;
+}
+
+/**
+ * Graft each frame's DOM tree under its <iframe> node in the top-level dom-tree,
+ * shifting rects into top-level coordinates.
+ */
+function stitchFrameTrees(tree, runs) {
+  const shift = (node, offset) => {
+    if (!node) return node;
+    const out = { ...node };
+    if (node.rect) out.rect = { ...node.rect, x: node.rect.x + offset.x, y: node.rect.y + offset.y };
+    if (node.children) out.children = node.children.map((c) => shift(c, offset));
+    return out;
+  };
+  const visit = (node) => {
+    if (!node) return;
+    const run = node.frame ? runs.find((r) => r.selector === node.frame.selector && r.tree) : null;
+    if (run) {
+      node.children = [{ ...shift(run.tree, run.offset || { x: 0, y: 0 }), stitchedFrom: run.url }];
+      return;
+    }
+    (node.children || []).forEach(visit);
+  };
+  visit(tree);
+}
+
+function writeFile(outDir, rel, content) {
+  const abs = path.join(outDir, rel);
+  fs.mkdirSync(path.dirname(abs), { recursive: true });
+  fs.writeFileSync(abs, content);
+  return rel;
+}
+
+function toJsonText(value) {
+  return JSON.stringify(value, null, 2) + "\n";
+}
+
+async function runExtract(targetUrl, options) {
+  const { preset, outDir, viewport, waitMs, timeoutMs } = options;
+  const session = await openBrowser({ viewport, timeoutMs });
+  const { cdp } = session;
+
+  try {
+    const sessionId = await session.openPage(viewport);
+    await navigate(cdp, sessionId, targetUrl, { waitMs, timeoutMs });
+    const scripts = await injectScripts(cdp, sessionId, timeoutMs);
+    const externalCss = options.cssRecovery === false ? [] : await recoverCrossOriginCss(cdp, sessionId, options);
+
+    const extracted = await evaluate(cdp, sessionId, buildExtractExpression(preset, { includeFrames: options.frames, naming: options.naming, palette: options.palette }), {
+      timeoutMs,
+      label: "extractStyle",
+    });
+
+    // Screenshot before cross-origin frame runs navigate the tab away.
+    let screenshot = null;
+    if (options.screenshot) {
+      const shot = await withTimeout(
+        cdp.send("Page.captureScreenshot", { format: "png", captureBeyondViewport: true }, sessionId),
+        timeoutMs,
+        "captureScreenshot"
+      );
+      screenshot = Buffer.from(shot.data, "base64");
+    }
+
+    const crossOrigin = (extracted.frames || []).filter((f) => !f.sameOrigin && /^https?:/.test(f.url));
+    const frames = crossOrigin.length
+      ? await extractCrossOriginFrames(cdp, sessionId, crossOrigin.slice(0, options.maxFrames), options)
+      : [];
+    if (frames.length && extracted.structure?.["dom-tree.json"]) {
+      stitchFrameTrees(extracted.structure["dom-tree.json"].tree, frames);
+    }
+
+    fs.mkdirSync(outDir, { recursive: true });
+    const written = writeDeliverables(outDir, extracted);
+    for (const frame of frames) written.push(...frame.files.map((f) => path.join(frame.dir, f)));
+    if (extracted.frames) {
+      const manifest = extracted.frames.map((f) => {
+        const run = frames.find((r) => r.selector === f.selector);
+        return { ...f, extraction: run ? { dir: run.dir.split(path.sep).join("/"), status: run.status, error: run.error || null } : null };
+      });
+      written.push(writeFile(outDir, "frames.json", toJsonText(manifest)));
+    }
+
+    if (screenshot) {
+      written.push(writeFile(outDir, path.join("evidence", "screenshots", "full.png"), screenshot));
+    }
+
+    const warnings = (extracted.warnings || []).slice();
+    for (const sheet of externalCss) {
+      if (sheet.status !== "failed") continue;
+      warnings.push({ module: "css", code: "CSS_RECOVERY_FAILED", message: `${sheet.url}: ${sheet.error}` });
+    }
+    for (const frame of frames) {
+      if (frame.status !== "error") continue;
+      warnings.push({ module: "frames", code: "FRAME_EXTRACTION_FAILED", message: `${frame.url}: ${frame.error}` });
+    }
+
+    const report = {
+      target: targetUrl,
+      preset,
+      viewport,
+      scripts,
+      meta: extracted.meta,
+      errors: extracted.errors,
+      warnings,
+      externalCss: externalCss.map((sheet) => ({
+        url: sheet.url,
+        status: sheet.status,
+        importedBy: sheet.importedBy,
+        file: sheet.file ? path.relative(outDir, sheet.file).split(path.sep).join("/") : null,
+        error: sheet.error || null,
+        variables: sheet.variables ? Object.keys({ ...sheet.variables.root, ...sheet.variables.html, ...sheet.variables.body }).length : 0,
+        keyframes: sheet.keyframes?.length || 0,
+        fontFaces: sheet.fontFaces?.length || 0,
+        mediaQueries: sheet.mediaQueries?.length || 0,
+      })),
+      files: written.map((f) => f.split(path.sep).join("/")),
+    };
+    written.push(writeFile(outDir, "extraction-report.json", toJsonText(report)));
+
+    return report;
+  } finally {
+    await session.close();
+  }
+}
+
+// ============================================
+// Replica verification
+// ============================================
+
+function buildReplicaExpression() {
+  // Runs in the source page: blueprint → replica files plus the node/section selectors to measure.
+  return `(async () => {
+    if (typeof window.extractStyle !== 'function') throw new Error('extractStyle() is not installed');
+    if (!window.__seCodeGen?.toReplicaHTML) throw new Error('__seCodeGen is not installed');
+    const result = await window.extractStyle({ preset: 'replica' });
+    const blueprint = result.data?.blueprint;
+    if (!blueprint?.tree) throw new Error('No blueprint tree available');
+    const nodes = [];
+    const walk = (node) => {
+      if (!node) return;
+      if (node.uid && node.selector) nodes.push({ uid: node.uid, selector: node.selector });
+      for (const child of node.children || []) walk(child);
+    };
+    walk(blueprint.tree);
+    return {
+      html: window.__seCodeGen.toReplicaHTML(blueprint),
+      css: window.__seCodeGen.toReplicaCSS(blueprint, result.data['state-capture']),
+      viewports: window.__seResponsive?.STANDARD_VIEWPORTS || null,
+      sections: (blueprint.sections || []).map((s) => ({ id: s.id, name: s.name, selector: s.selector })),
+      nodes
+    };
+  })()`;
+}
+
+function buildGeometryExpression(sections, nodes) {
+  // Document-space rects at the current viewport; nodes that no longer match are dropped.
+  return `(() => {
+    window.scrollTo(0, 0);
+    const rectOf = (selector) => {
+      let el = null;
+      try { el = selector ? document.querySelector(selector) : null; } catch (e) {}
+      if (!el) return null;
+      const r = el.getBoundingClientRect();
+      return { x: r.left + window.scrollX, y: r.top + window.scrollY, width: r.width, height: r.height };
+    };
+    const doc = document.documentElement;
+    return {
+      height: Math.max(doc.scrollHeight, document.body ? document.body.scrollHeight : 0),
+      sections: ${JSON.stringify(sections)}.map((s) => ({ ...s, rect: rectOf(s.selector) })),
+      nodes: ${JSON.stringify(nodes)}.map((n) => ({ ...n, rect: rectOf(n.selector) })).filter((n) => n.rect)
+    };
+  })()`;
+}
+
+async function captureClip(cdp, sessionId, clip, timeoutMs) {
+  const shot = await withTimeout(
+    cdp.send(
+      "Page.captureScreenshot",
+      { format: "png", captureBeyondViewport: true, clip: { x: 0, y: 0, ...clip, scale: 1 } },
+      sessionId
+    ),
+    timeoutMs,
+    "captureScreenshot"
+  );
+  return Buffer.from(shot.data, "base64");
+}
+
+function selectViewports(all, names) {
+  if (!names || names === "all") return Object.values(all);
+  const picked = [];
+  for (const name of names.split(",").map((n) => n.trim()).filter(Boolean)) {
+    if (!all[name]) throw new Error(`Unknown viewport "${name}". Expected one of: ${Object.keys(all).join(", ")}`);
+    picked.push(all[name]);
+  }
+  return picked;
+}
+
+async function runVerify(targetUrl, options) {
+  const { outDir, waitMs, timeoutMs, maxHeight } = options;
+  const visualDiff = require("./visual-diff.cjs");
+  const initial = { width: 1440, height: 900 };
+  const session = await openBrowser({ viewport: initial, timeoutMs });
+  const { cdp } = session;
+
+  try {
+    const sourceSession = await session.openPage(initial);
+    await navigate(cdp, sourceSession, targetUrl, { waitMs, timeoutMs });
+    await injectScripts(cdp, sourceSession, timeoutMs);
+    const replica = await evaluate(cdp, sourceSession, buildReplicaExpression(), { timeoutMs, label: "build replica" });
+    if (!replica.viewports) throw new Error("STANDARD_VIEWPORTS unavailable (responsive-extract.js not injected?)");
+
+    fs.mkdirSync(outDir, { recursive: true });
+    writeFile(outDir, path.join("replica", "index.html"), replica.html);
+    writeFile(outDir, path.join("replica", "replica.css"), replica.css);
+    const replicaUrl = pathToFileURL(path.join(outDir, "replica", "index.html")).href;
+
+    const replicaSession = await session.openPage(initial);
+    await navigate(cdp, replicaSession, replicaUrl, { waitMs, timeoutMs });
+
+    const viewports = [];
+    for (const vp of selectViewports(replica.viewports, options.viewports)) {
+      debugLog("viewport", vp.name, `${vp.width}x${vp.height}`);
+      // Phone sizes get mobile emulation (viewport meta, overlay scrollbars); tablets and up lay out as desktop
+      const emulated = { ...vp, mobile: vp.width < TABLET_MIN_WIDTH };
+      await setViewport(cdp, sourceSession, emulated);
+      await setViewport(cdp, replicaSession, emulated);
+      if (waitMs > 0) await sleep(waitMs);
+
+      const geometry = await evaluate(cdp, sourceSession, buildGeometryExpression(replica.sections, replica.nodes), {
+        timeoutMs,
+        label: `measure ${vp.name}`,
+      });
+      // Both pages are captured over the source's height so a short replica shows up as a gap.
+      const clip = { width: vp.width, height: Math.max(vp.height, Math.min(geometry.height, maxHeight)) };
+      const sourcePng = await captureClip(cdp, sourceSession, clip, timeoutMs);
+      const replicaPng = await captureClip(cdp, replicaSession, clip, timeoutMs);
+
+      const source = visualDiff.decodePNG(sourcePng);
+      const scored = visualDiff.scoreViewport(source, visualDiff.decodePNG(replicaPng), {
+        sections: geometry.sections,
+        nodes: geometry.nodes,
+        threshold: options.regionThreshold,
+      });
+
+      const dir = path.join("visual-diff", vp.name);
+      const files = {
+        source: writeFile(outDir, path.join(dir, "source.png"), sourcePng),
+        replica: writeFile(outDir, path.join(dir, "replica.png"), replicaPng),
+        heatmap: writeFile(outDir, path.join(dir, "heatmap.png"), visualDiff.encodePNG(visualDiff.renderHeatmap(source, scored.result))),
+      };
+
+      viewports.push({
+        name: vp.name,
+        label: vp.label,
+        width: vp.width,
+        height: vp.height,
+        capturedHeight: clip.height,
+        truncated: geometry.height > clip.height,
+        score: scored.score,
+        sections: scored.sections,
+        worstRegions: scored.worstRegions,
+        files: Object.fromEntries(Object.entries(files).map(([k, f]) => [k, f.split(path.sep).join("/")])),
+      });
+    }
+
+    const worst = viewports.reduce((a, b) => (b.score < a.score ? b : a), viewports[0] || null);
+    const report = {
+      target: targetUrl,
+      replica: "replica/index.html",
+      summary: {
+        score: viewports.length ? Math.round((viewports.reduce((sum, v) => sum + v.score, 0) / viewports.length) * 1000) / 1000 : null,
+        worstViewport: worst?.name || null,
+        viewportCount: viewports.length,
+      },
+      viewports,
+    };
+    writeFile(outDir, "fidelity-report.json", toJsonText(report));
+
+    return report;
+  } finally {
+    await session.close();
+  }
+}
+
+async function main() {
+  const [command, target] = getPositionals();
+
+  if (hasFlag("--help") || !command) {
+    printUsage();
+    process.exit(command ? 0 : 1);
+  }
+
+  if (command !== "extract" && command !== "verify") {
+    console.error(`Unknown command: ${command}`);
+    printUsage();
+    process.exit(1);
+  }
+
+  if (!target) {
+    console.error("Missing <url|file.html>.");
+    printUsage();
+    process.exit(1);
+  }
+
+  const targetUrl = resolveTargetUrl(target);
+  if (!targetUrl) {
+    console.error(`Target not found: ${target}`);
+    process.exit(1);
+  }
+
+  const outDir = path.resolve(process.cwd(), getArg("--out", "style-extractor-out"));
+  const waitMs = Number(getArg("--waitMs", "500")) || 0;
+  const timeoutMs = Number(getArg("--timeoutMs", "60000")) || 60000;
+
+  if (command === "verify") {
+    const minScore = getArg("--minScore") === null ? null : Number(getArg("--minScore"));
+    const regionThreshold = getArg("--regionThreshold") === null ? undefined : Number(getArg("--regionThreshold"));
+    const report = await runVerify(targetUrl, {
+      outDir,
+      waitMs,
+      timeoutMs,
+      viewports: getArg("--viewports", "all"),
+      maxHeight: Number(getArg("--maxHeight", "4000")) || 4000,
+      regionThreshold,
+    });
+
+    console.log(`Verified replica of ${targetUrl} (fidelity: ${report.summary.score ?? "n/a"})`);
+    for (const v of report.viewports) {
+      const worst = v.worstRegions[0];
+      const hint = worst ? `, worst ${worst.score} at ${worst.selector || `${worst.x},${worst.y}`}` : "";
+      console.log(`  ${v.name} ${v.width}x${v.height}: ${v.score}${hint}`);
+    }
+    console.log(`  ${path.join(outDir, "fidelity-report.json")}`);
+
+    if (minScore !== null && !(report.summary.score >= minScore)) process.exit(2);
+    process.exit(0);
+  }
+
+  const preset = getArg("--preset", "full");
+  if (!PRESETS.includes(preset)) {
+    console.error(`Unknown preset "${preset}". Expected one of: ${PRESETS.join(", ")}`);
+    process.exit(1);
+  }
+
+  const naming = getArg("--naming", "semantic");
+  if (!NAMING_STRATEGIES.includes(naming)) {
+    console.error(`Unknown naming strategy "${naming}". Expected one of: ${NAMING_STRATEGIES.join(", ")}`);
+    process.exit(1);
+  }
+
+  const [vw, vh] = String(getArg("--viewport", "1440x900")).split("x").map((n) => Number(n));
+  const viewport = { width: vw || 1440, height: vh || 900 };
+
+  const options = {
+    preset,
+    outDir,
+    viewport,
+    waitMs,
+    timeoutMs,
+    screenshot: hasFlag("--screenshot"),
+    cssRecovery: !hasFlag("--noCssRecovery"),
+    frames: hasFlag("--frames"),
+    maxFrames: Number(getArg("--maxFrames", "5")) || 5,
+    naming,
+    palette: hasFlag("--brandScales") ? { brandScales: true } : null,
+    cssDir: getArg("--cssDir") ? path.resolve(process.cwd(), getArg("--cssDir")) : null,
+    offlineCss: hasFlag("--offlineCss"),
+  };
+
+  const report = await runExtract(targetUrl, options);
+  const status = report.meta?.status || "unknown";
+
+  console.log(`Extracted ${targetUrl} (preset: ${preset}, status: ${status})`);
+  for (const f of report.files) console.log(`  ${path.join(options.outDir, f)}`);
+  console.log(`  ${path.join(options.outDir, "extraction-report.json")}`);
+  for (const w of report.warnings || []) console.warn(`  warning [${w.module}] ${w.code}: ${w.message}`);
+  for (const e of report.errors || []) console.error(`  error [${e.module}] ${e.code}: ${e.message}`);
+
+  if (status === "error" || status === "empty" || (hasFlag("--strict") && status !== "ok")) process.exit(2);
+  process.exit(0);
+}
+
+if (require.main === module) {
+  main().catch((e) => {
+    console.error(e?.stack || String(e));
+    process.exit(1);
+  });
+}
+
+module.exports = { BOOLEAN_FLAGS, getPositionals };
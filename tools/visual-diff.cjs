@@ -0,0 +1,394 @@
+/*
+  Visual diff for replica verification.
+
+  Compares two screenshots (source page vs generated replica) with block SSIM, scores
+  arbitrary rectangles (blueprint sections), finds the worst-matching regions and renders
+  a heatmap PNG. Used by `node tools/style-extractor.cjs verify`.
+
+  Usage:
+    const diff = require("./visual-diff.cjs");
+    const a = diff.decodePNG(fs.readFileSync("source.png"));
+    const b = diff.decodePNG(fs.readFileSync("replica.png"));
+    const result = diff.compareImages(a, b);
+    diff.scoreRegion(result, { x: 0, y: 0, width: 1440, height: 600 }); // → 0..1
+    fs.writeFileSync("heatmap.png", diff.encodePNG(diff.renderHeatmap(a, result)));
+
+  Notes:
+  - Dependency-free: PNG is decoded/encoded with node:zlib (8-bit, non-interlaced; what Chrome emits).
+  - SSIM is computed on luma over non-overlapping blocks (default 8px); 1 = identical.
+  - Pixels missing from the shorter/narrower image count as white, so a truncated replica scores low.
+*/
+
+const zlib = require("node:zlib");
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+const CHANNELS = { 0: 1, 2: 3, 4: 2, 6: 4 };
+
+// SSIM stabilizers for 8-bit data: (k1·L)², (k2·L)² with k1 = 0.01, k2 = 0.03
+const SSIM_C1 = (0.01 * 255) ** 2;
+const SSIM_C2 = (0.03 * 255) ** 2;
+
+// ============================================
+// PNG codec
+// ============================================
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+function crc32(buf) {
+  let c = 0xffffffff;
+  for (let i = 0; i < buf.length; i++) c = CRC_TABLE[(c ^ buf[i]) & 0xff] ^ (c >>> 8);
+  return (c ^ 0xffffffff) >>> 0;
+}
+
+function paeth(a, b, c) {
+  const p = a + b - c;
+  const pa = Math.abs(p - a);
+  const pb = Math.abs(p - b);
+  const pc = Math.abs(p - c);
+  if (pa <= pb && pa <= pc) return a;
+  return pb <= pc ? b : c;
+}
+
+/**
+ * Decode an 8-bit, non-interlaced PNG into RGBA.
+ * @param {Buffer} buf
+ * @returns {{ width: number, height: number, data: Uint8Array }}
+ */
+function decodePNG(buf) {
+  if (!Buffer.isBuffer(buf) || !buf.subarray(0, 8).equals(PNG_SIGNATURE)) throw new Error("Not a PNG file");
+
+  let width = 0;
+  let height = 0;
+  let bitDepth = 0;
+  let colorType = 0;
+  let interlace = 0;
+  const idat = [];
+
+  for (let offset = 8; offset < buf.length; ) {
+    const length = buf.readUInt32BE(offset);
+    const type = buf.toString("ascii", offset + 4, offset + 8);
+    const body = buf.subarray(offset + 8, offset + 8 + length);
+    if (type === "IHDR") {
+      width = body.readUInt32BE(0);
+      height = body.readUInt32BE(4);
+      bitDepth = body[8];
+      colorType = body[9];
+      interlace = body[12];
+    } else if (type === "IDAT") {
+      idat.push(body);
+    } else if (type === "IEND") {
+      break;
+    }
+    offset += 12 + length;
+  }
+
+  const channels = CHANNELS[colorType];
+  if (bitDepth !== 8 || !channels || interlace) {
+    throw new Error(`Unsupported PNG (bit depth ${bitDepth}, color type ${colorType}, interlace ${interlace})`);
+  }
+
+  const raw = zlib.inflateSync(Buffer.concat(idat));
+  const stride = width * channels;
+  const pixels = Buffer.alloc(stride * height);
+
+  for (let y = 0; y < height; y++) {
+    const filter = raw[y * (stride + 1)];
+    const src = y * (stride + 1) + 1;
+    const dst = y * stride;
+    for (let x = 0; x < stride; x++) {
+      const left = x >= channels ? pixels[dst + x - channels] : 0;
+      const up = y > 0 ? pixels[dst - stride + x] : 0;
+      const upLeft = y > 0 && x >= channels ? pixels[dst - stride + x - channels] : 0;
+      let predictor = 0;
+      if (filter === 1) predictor = left;
+      else if (filter === 2) predictor = up;
+      else if (filter === 3) predictor = (left + up) >> 1;
+      else if (filter === 4) predictor = paeth(left, up, upLeft);
+      pixels[dst + x] = (raw[src + x] + predictor) & 0xff;
+    }
+  }
+
+  const data = new Uint8Array(width * height * 4);
+  for (let i = 0, j = 0; i < width * height; i++, j += channels) {
+    const o = i * 4;
+    if (channels <= 2) {
+      data[o] = data[o + 1] = data[o + 2] = pixels[j];
+      data[o + 3] = channels === 2 ? pixels[j + 1] : 255;
+    } else {
+      data[o] = pixels[j];
+      data[o + 1] = pixels[j + 1];
+      data[o + 2] = pixels[j + 2];
+      data[o + 3] = channels === 4 ? pixels[j + 3] : 255;
+    }
+  }
+  return { width, height, data };
+}
+
+function pngChunk(type, body) {
+  const head = Buffer.alloc(8);
+  head.writeUInt32BE(body.length, 0);
+  head.write(type, 4, "ascii");
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(Buffer.concat([head.subarray(4), body])), 0);
+  return Buffer.concat([head, body, crc]);
+}
+
+/**
+ * Encode RGBA pixels as a PNG.
+ * @param {{ width: number, height: number, data: Uint8Array }} image
+ * @returns {Buffer}
+ */
+function encodePNG({ width, height, data }) {
+  const ihdr = Buffer.alloc(13);
+  ihdr.writeUInt32BE(width, 0);
+  ihdr.writeUInt32BE(height, 4);
+  ihdr[8] = 8;
+  ihdr[9] = 6;
+
+  const stride = width * 4;
+  const raw = Buffer.alloc((stride + 1) * height);
+  for (let y = 0; y < height; y++) {
+    raw[y * (stride + 1)] = 0;
+    Buffer.from(data.buffer, data.byteOffset + y * stride, stride).copy(raw, y * (stride + 1) + 1);
+  }
+
+  return Buffer.concat([
+    PNG_SIGNATURE,
+    pngChunk("IHDR", ihdr),
+    pngChunk("IDAT", zlib.deflateSync(raw)),
+    pngChunk("IEND", Buffer.alloc(0)),
+  ]);
+}
+
+// ============================================
+// SSIM comparison
+// ============================================
+
+// Rec. 601 luma, composited on white; out-of-bounds pixels are white
+function toLuma(image, width, height) {
+  const out = new Float32Array(width * height).fill(255);
+  const w = Math.min(width, image.width);
+  const h = Math.min(height, image.height);
+  for (let y = 0; y < h; y++) {
+    for (let x = 0; x < w; x++) {
+      const o = (y * image.width + x) * 4;
+      const a = image.data[o + 3] / 255;
+      const luma = 0.299 * image.data[o] + 0.587 * image.data[o + 1] + 0.114 * image.data[o + 2];
+      out[y * width + x] = luma * a + 255 * (1 - a);
+    }
+  }
+  return out;
+}
+
+/**
+ * Block SSIM between two images.
+ * @param {Object} a - Decoded image ({ width, height, data })
+ * @param {Object} b - Decoded image
+ * @param {Object} [options]
+ * @param {number} [options.blockSize=8]
+ * @returns {{ width, height, blockSize, cols, rows, ssim: Float32Array, score: number }}
+ */
+function compareImages(a, b, options = {}) {
+  const blockSize = options.blockSize || 8;
+  const width = Math.max(a.width, b.width);
+  const height = Math.max(a.height, b.height);
+  const la = toLuma(a, width, height);
+  const lb = toLuma(b, width, height);
+  const cols = Math.ceil(width / blockSize);
+  const rows = Math.ceil(height / blockSize);
+  const ssim = new Float32Array(cols * rows);
+
+  let total = 0;
+  for (let by = 0; by < rows; by++) {
+    for (let bx = 0; bx < cols; bx++) {
+      const x0 = bx * blockSize;
+      const y0 = by * blockSize;
+      const x1 = Math.min(x0 + blockSize, width);
+      const y1 = Math.min(y0 + blockSize, height);
+      const n = (x1 - x0) * (y1 - y0);
+
+      let sumA = 0;
+      let sumB = 0;
+      for (let y = y0; y < y1; y++) {
+        for (let x = x0; x < x1; x++) {
+          sumA += la[y * width + x];
+          sumB += lb[y * width + x];
+        }
+      }
+      const meanA = sumA / n;
+      const meanB = sumB / n;
+
+      let varA = 0;
+      let varB = 0;
+      let cov = 0;
+      for (let y = y0; y < y1; y++) {
+        for (let x = x0; x < x1; x++) {
+          const da = la[y * width + x] - meanA;
+          const db = lb[y * width + x] - meanB;
+          varA += da * da;
+          varB += db * db;
+          cov += da * db;
+        }
+      }
+      varA /= n;
+      varB /= n;
+      cov /= n;
+
+      const value =
+        ((2 * meanA * meanB + SSIM_C1) * (2 * cov + SSIM_C2)) /
+        ((meanA * meanA + meanB * meanB + SSIM_C1) * (varA + varB + SSIM_C2));
+      ssim[by * cols + bx] = Math.max(0, value);
+      total += ssim[by * cols + bx];
+    }
+  }
+
+  return { width, height, blockSize, cols, rows, ssim, score: cols * rows ? total / (cols * rows) : 1 };
+}
+
+/**
+ * Mean SSIM of the blocks whose centers fall inside a rectangle (document pixels).
+ * @returns {number|null} 0..1, or null when the rectangle is off-image
+ */
+function scoreRegion(result, rect) {
+  if (!rect) return null;
+  const { blockSize, cols, rows, ssim } = result;
+  const bx0 = Math.max(0, Math.floor(rect.x / blockSize));
+  const by0 = Math.max(0, Math.floor(rect.y / blockSize));
+  const bx1 = Math.min(cols, Math.ceil((rect.x + rect.width) / blockSize));
+  const by1 = Math.min(rows, Math.ceil((rect.y + rect.height) / blockSize));
+
+  let total = 0;
+  let count = 0;
+  for (let by = by0; by < by1; by++) {
+    for (let bx = bx0; bx < bx1; bx++) {
+      const cx = (bx + 0.5) * blockSize;
+      const cy = (by + 0.5) * blockSize;
+      if (cx < rect.x || cx > rect.x + rect.width || cy < rect.y || cy > rect.y + rect.height) continue;
+      total += ssim[by * cols + bx];
+      count++;
+    }
+  }
+  return count ? total / count : null;
+}
+
+/**
+ * Lowest-scoring tiles, worst first.
+ * @param {Object} result - compareImages() result
+ * @param {Object} [options]
+ * @param {number} [options.tileSize=64]
+ * @param {number} [options.limit=10]
+ * @param {number} [options.threshold=0.9] - Only tiles scoring below this are reported
+ * @returns {Array<{ x, y, width, height, score }>}
+ */
+function findWorstRegions(result, options = {}) {
+  const tileSize = options.tileSize || 64;
+  const limit = options.limit ?? 10;
+  const threshold = options.threshold ?? 0.9;
+  const tiles = [];
+
+  for (let y = 0; y < result.height; y += tileSize) {
+    for (let x = 0; x < result.width; x += tileSize) {
+      const rect = { x, y, width: Math.min(tileSize, result.width - x), height: Math.min(tileSize, result.height - y) };
+      const score = scoreRegion(result, rect);
+      if (score !== null && score < threshold) tiles.push({ ...rect, score });
+    }
+  }
+
+  return tiles.sort((a, b) => a.score - b.score).slice(0, limit);
+}
+
+/**
+ * Source screenshot in faded grayscale with dissimilarity (1 - SSIM) painted red.
+ * @returns {{ width, height, data: Uint8Array }} RGBA image for encodePNG()
+ */
+function renderHeatmap(base, result) {
+  const { width, height, blockSize, cols, ssim } = result;
+  const luma = toLuma(base, width, height);
+  const data = new Uint8Array(width * height * 4);
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = y * width + x;
+      const faded = 255 - (255 - luma[i]) * 0.35;
+      const heat = Math.min(1, (1 - ssim[Math.floor(y / blockSize) * cols + Math.floor(x / blockSize)]) * 2);
+      const o = i * 4;
+      data[o] = Math.round(faded + (255 - faded) * heat);
+      data[o + 1] = Math.round(faded * (1 - heat));
+      data[o + 2] = Math.round(faded * (1 - heat));
+      data[o + 3] = 255;
+    }
+  }
+  return { width, height, data };
+}
+
+/**
+ * Smallest node whose rectangle contains the center of a region.
+ * @param {{ x, y, width, height }} region
+ * @param {Array<{ rect: Object }>} nodes - Nodes with document-space rects
+ * @returns {Object|null}
+ */
+function locateNode(region, nodes) {
+  const cx = region.x + region.width / 2;
+  const cy = region.y + region.height / 2;
+  let best = null;
+  let bestArea = Infinity;
+  for (const node of nodes || []) {
+    const r = node?.rect;
+    if (!r || r.width <= 0 || r.height <= 0) continue;
+    if (cx < r.x || cx > r.x + r.width || cy < r.y || cy > r.y + r.height) continue;
+    const area = r.width * r.height;
+    if (area < bestArea) {
+      best = node;
+      bestArea = area;
+    }
+  }
+  return best;
+}
+
+const round = (n) => (n === null ? null : Math.round(n * 1000) / 1000);
+
+/**
+ * Compare one viewport's screenshots and score it the way the fidelity report needs.
+ * @param {Object} source - Decoded source screenshot
+ * @param {Object} replica - Decoded replica screenshot
+ * @param {Object} [options]
+ * @param {Array<{ id, name, selector, rect }>} [options.sections] - Blueprint sections with document rects
+ * @param {Array<{ uid, selector, rect }>} [options.nodes] - Blueprint nodes with document rects
+ * @param {number} [options.tileSize] - See findWorstRegions()
+ * @param {number} [options.limit]
+ * @param {number} [options.threshold]
+ * @returns {{ result, score, sections: Array, worstRegions: Array }}
+ */
+function scoreViewport(source, replica, options = {}) {
+  const result = compareImages(source, replica, options);
+  const sections = (options.sections || []).map((section) => ({
+    id: section.id,
+    name: section.name,
+    selector: section.selector || null,
+    score: round(scoreRegion(result, section.rect)),
+  }));
+  const worstRegions = findWorstRegions(result, options).map((region) => {
+    const node = locateNode(region, options.nodes);
+    return { ...region, score: round(region.score), selector: node?.selector || null, uid: node?.uid || null };
+  });
+  return { result, score: round(result.score), sections, worstRegions };
+}
+
+module.exports = {
+  decodePNG,
+  encodePNG,
+  compareImages,
+  scoreRegion,
+  findWorstRegions,
+  renderHeatmap,
+  locateNode,
+  scoreViewport,
+};